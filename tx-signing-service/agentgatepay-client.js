@@ -0,0 +1,68 @@
+/**
+ * AgentGatePay API client (owner verification and commission config)
+ *
+ * The API URL is pinned here - there is no env var to change it, so a
+ * deployment can't be pointed at a fake API that hands out its own
+ * commission address. Code embedding the service (see service.js) can pass
+ * its own client instead, e.g. a stub for tests against a local node:
+ *
+ *   {
+ *     url: 'http://127.0.0.1:4010',               // reported as config_fetched_from
+ *     fetchUser: async apiKey => ({ user_id, email }),
+ *     fetchCommissionConfig: async apiKey => signedConfig
+ *   }
+ *
+ * Throw UpstreamRejectedError when the API key is rejected; any other error
+ * means the API is unreachable (see upstream-cache.js). Whatever client is
+ * used, commission configs are still verified against the config signer
+ * pinned here (AGENTGATEPAY_CONFIG_SIGNER) before they are trusted - only
+ * tests pass another one (see commission-config.js).
+ */
+
+const { UpstreamRejectedError } = require('./upstream-cache');
+
+// 🔒 SECURITY: AgentGatePay URL is HARDCODED (client cannot change)
+const AGENTGATEPAY_API_URL = 'https://api.agentgatepay.com';
+
+// 🔒 SECURITY: Address that signs AgentGatePay's commission config is HARDCODED too -
+// a deployment can't trust another signer (see commission-config.js)
+const AGENTGATEPAY_CONFIG_SIGNER = '0x0000000000000000000000000000000000000000';
+
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+/**
+ * Client for the AgentGatePay API
+ * `url` is only for tests against a local stub - production uses the pinned URL.
+ */
+function createAgentGatePayClient({ url = AGENTGATEPAY_API_URL, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS } = {}) {
+    /**
+     * GET an AgentGatePay endpoint with the owner's key
+     * 401/403 are rejections (UpstreamRejectedError); any other failure means the API is unreachable
+     */
+    async function get(apiPath, apiKey) {
+        const response = await fetch(`${url}${apiPath}`, {
+            headers: { 'x-api-key': apiKey },
+            signal: AbortSignal.timeout(timeoutSeconds * 1000)
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            throw new UpstreamRejectedError(`AgentGatePay rejected the API key (${response.status})`);
+        }
+        if (!response.ok) {
+            throw new Error(`${apiPath} returned ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    return {
+        url,
+        fetchUser: apiKey => get('/v1/users/me', apiKey),
+        fetchCommissionConfig: apiKey => get('/v1/config/commission', apiKey)
+    };
+}
+
+module.exports = {
+    AGENTGATEPAY_API_URL,
+    AGENTGATEPAY_CONFIG_SIGNER,
+    createAgentGatePayClient
+};
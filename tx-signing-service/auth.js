@@ -0,0 +1,249 @@
+/**
+ * Request authentication: HMAC-signed requests, per-key rate limits and
+ * lockout after repeated auth failures
+ *
+ * HMAC requests never send the API key. The client signs the request with
+ * its owner API key as the HMAC secret and sends:
+ *
+ *   X-Key-Id:    tenant id ("default" in single-tenant mode)
+ *   X-Timestamp: unix seconds
+ *   X-Nonce:     random string used once (16-128 of A-Z a-z 0-9 _ -)
+ *   X-Signature: hex HMAC-SHA256 over
+ *
+ *     <timestamp>\n<nonce>\n<METHOD>\n<path with query>\n<hex SHA-256 of the raw body>
+ *
+ * Requests outside the clock-skew window or with a nonce that was already
+ * used are rejected, so a captured request can't be replayed. Used nonces
+ * are kept (auth-nonces.json) until their timestamp is out of the window.
+ *
+ * AUTH_MODE selects what is accepted: `either` (default - HMAC or the raw
+ * x-api-key), `hmac` (HMAC only) or `api_key` (x-api-key only).
+ */
+
+const crypto = require('crypto');
+const { JsonStore } = require('./store');
+
+const AUTH_MODES = ['either', 'hmac', 'api_key'];
+
+const HMAC_HEADERS = {
+    keyId: 'x-key-id',
+    timestamp: 'x-timestamp',
+    nonce: 'x-nonce',
+    signature: 'x-signature'
+};
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// How often expired nonces are dropped from the nonce store
+const NONCE_PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Constant-time string comparison (hashed first, so lengths don't leak either)
+ */
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b)) && typeof a === 'string' && typeof b === 'string';
+}
+
+function sha256Hex(body) {
+    return crypto.createHash('sha256').update(body || Buffer.alloc(0)).digest('hex');
+}
+
+/**
+ * The string an HMAC request signs
+ */
+function canonicalRequest({ timestamp, nonce, method, path, body }) {
+    return [timestamp, nonce, method.toUpperCase(), path, sha256Hex(body)].join('\n');
+}
+
+/**
+ * Headers for an HMAC-signed request (for clients and tests)
+ */
+function signRequest({ keyId, secret, method, path, body = '', timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') }) {
+    const signature = crypto.createHmac('sha256', secret)
+        .update(canonicalRequest({ timestamp, nonce, method, path, body }))
+        .digest('hex');
+
+    return {
+        'X-Key-Id': keyId,
+        'X-Timestamp': String(timestamp),
+        'X-Nonce': nonce,
+        'X-Signature': signature
+    };
+}
+
+/**
+ * Whether a request carries any of the HMAC headers
+ */
+function hasHmacHeaders(headers) {
+    return Object.values(HMAC_HEADERS).some(name => headers[name] !== undefined);
+}
+
+/**
+ * Nonces of accepted HMAC requests, remembered until they can't be replayed anyway
+ *
+ * Expired nonces are dropped at most once per pruneIntervalMs, in one write -
+ * not on every request.
+ */
+class NonceStore {
+    constructor({ store, pruneIntervalMs = NONCE_PRUNE_INTERVAL_MS } = {}) {
+        this.store = store || new JsonStore('auth-nonces');
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.prune();
+    }
+
+    /**
+     * Record a nonce; false if it was already used
+     */
+    claim(keyId, nonce, expiresAt) {
+        if (Date.now() - this.prunedAt >= this.pruneIntervalMs) {
+            this.prune();
+        }
+        const id = `${keyId}:${nonce}`;
+        if (this.store.has(id)) return false;
+
+        this.store.set(id, { id, expires_at: new Date(expiresAt).toISOString() });
+        return true;
+    }
+
+    prune() {
+        const now = Date.now();
+        this.store.deleteMany(this.store.values().filter(record => Date.parse(record.expires_at) < now).map(record => record.id));
+        this.prunedAt = now;
+    }
+}
+
+/**
+ * Verify an HMAC-signed request
+ *
+ * secretFor(keyId) returns the key's secret or null. Returns { keyId } or
+ * { error } (the reason, safe to show the client).
+ */
+function verifyHmacRequest(req, secretFor, { nonces, maxSkewSeconds }) {
+    const header = name => req.headers[HMAC_HEADERS[name]];
+    const keyId = header('keyId');
+    const timestamp = header('timestamp');
+    const nonce = header('nonce');
+    const signature = header('signature');
+
+    if (!keyId || !timestamp || !nonce || !signature) {
+        return { error: 'HMAC requests need X-Key-Id, X-Timestamp, X-Nonce and X-Signature' };
+    }
+    if (!/^[0-9]+$/.test(timestamp)) {
+        return { error: 'X-Timestamp must be unix seconds' };
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSeconds) {
+        return { error: `X-Timestamp is outside the allowed clock skew of ${maxSkewSeconds}s` };
+    }
+    if (!NONCE_PATTERN.test(nonce)) {
+        return { error: 'X-Nonce must be 16-128 characters of A-Z, a-z, 0-9, _ and -' };
+    }
+
+    const secret = secretFor(keyId);
+    const expected = crypto.createHmac('sha256', secret || 'unknown-key')
+        .update(canonicalRequest({ timestamp, nonce, method: req.method, path: req.originalUrl, body: req.rawBody }))
+        .digest('hex');
+
+    // Unknown key ids and bad signatures look the same to the caller
+    if (!safeEqual(signature.toLowerCase(), expected) || !secret) {
+        return { error: 'Invalid request signature' };
+    }
+
+    if (!nonces.claim(keyId, nonce, (Number(timestamp) + maxSkewSeconds) * 1000)) {
+        return { error: 'X-Nonce was already used (replayed request)' };
+    }
+    return { keyId };
+}
+
+/**
+ * Fixed one-minute windows of requests per key
+ */
+class RateLimiter {
+    constructor({ windowMs = 60000 } = {}) {
+        this.windowMs = windowMs;
+        this.windows = new Map();
+    }
+
+    /**
+     * Count one request for key; returns { allowed, limit, remaining, resetSeconds }
+     * A limit of 0 (or less) means unlimited.
+     */
+    take(key, limit) {
+        if (!(limit > 0)) return { allowed: true, limit: 0 };
+
+        const now = Date.now();
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count += 1;
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetSeconds: Math.ceil((window.resetAt - now) / 1000)
+        };
+    }
+}
+
+/**
+ * Locks a client (by IP) out for a while after repeated auth failures
+ */
+class FailureLockout {
+    constructor({ threshold, windowMs, lockoutMs }) {
+        Object.assign(this, { threshold, windowMs, lockoutMs });
+        this.clients = new Map();
+    }
+
+    /**
+     * Seconds the client is still locked out for (0 if it isn't)
+     */
+    lockedFor(client) {
+        const entry = this.clients.get(client);
+        if (!entry || !entry.lockedUntil) return 0;
+
+        const remaining = entry.lockedUntil - Date.now();
+        if (remaining <= 0) {
+            this.clients.delete(client);
+            return 0;
+        }
+        return Math.ceil(remaining / 1000);
+    }
+
+    /**
+     * Count a failure; true if the client is now locked out
+     */
+    recordFailure(client) {
+        if (!(this.threshold > 0)) return false;
+
+        const now = Date.now();
+        const entry = this.clients.get(client) || { failures: [] };
+        entry.failures = entry.failures.filter(at => at > now - this.windowMs);
+        entry.failures.push(now);
+
+        if (entry.failures.length >= this.threshold) {
+            entry.lockedUntil = now + this.lockoutMs;
+            entry.failures = [];
+        }
+        this.clients.set(client, entry);
+        return Boolean(entry.lockedUntil);
+    }
+
+    reset(client) {
+        this.clients.delete(client);
+    }
+}
+
+module.exports = {
+    AUTH_MODES,
+    HMAC_HEADERS,
+    safeEqual,
+    signRequest,
+    hasHmacHeaders,
+    verifyHmacRequest,
+    NonceStore,
+    RateLimiter,
+    FailureLockout
+};
@@ -0,0 +1,271 @@
+/**
+ * Batch processing
+ *
+ * A batch pays many merchants in one token on one chain: ONE commission
+ * transfer for all items, then the merchant transfers with consecutive
+ * nonces. Like payments, batches are recorded before anything is signed
+ * (see batches.js) and can be resumed without paying anything twice.
+ */
+
+const { BATCH_STATES, ITEM_STATES } = require('./batches');
+const { GasCapError } = require('./gas');
+
+/**
+ * Batch processing of one signing service (see createPaymentRunner())
+ */
+function createBatchRunner({ registry, commissionClient, transfers, activePayments }) {
+    const { connectWallet, batchLeg, sendLeg, waitForLeg } = transfers;
+
+    /**
+     * Advance a batch through its state machine until every payable item is paid
+     *
+     * 1. ONE commission transfer for all items (confirmed before any merchant is paid)
+     * 2. The merchant transfers, broadcast back to back with consecutive nonces
+     *    (no waiting in between) and then confirmed together
+     *
+     * An item whose transfer fails is marked failed without stopping the others;
+     * the batch then fails at merchants_sent and resuming it re-sends only those.
+     */
+    async function processBatch(tenant, batchId) {
+        const { batches } = tenant;
+        let batch = batches.get(batchId);
+
+        const { provider, wallet } = connectWallet(tenant, batch.chain);
+
+        console.log(`\n  📡 Blockchain: ${batch.chain}`);
+        console.log(`  From wallet: ${wallet.address}`);
+        console.log(`  Batch: ${batch.id} (${batch.status})`);
+
+        // 🔐 TRANSACTION 1: Combined commission (to AgentGatePay)
+        if (batch.status === BATCH_STATES.CREATED) {
+            console.log(`\n  🔐 TRANSACTION 1: Commission Transfer (all items)`);
+            // Moves the batch to commission_sent (see batchLeg() in transfers.js)
+            await sendLeg(batchLeg(tenant, batch.id, 'commission'), provider, wallet);
+            batch = batches.get(batch.id);
+        }
+
+        if (batch.status === BATCH_STATES.COMMISSION_SENT) {
+            const mined = await waitForLeg(tenant, batchLeg(tenant, batch.id, 'commission'), provider, wallet);
+
+            if (!mined) {
+                batches.transition(batch.id, BATCH_STATES.CREATED, {}, 'commission transaction dropped');
+                throw new Error('Commission transaction was dropped before confirmation. Resume the batch to re-send it.');
+            }
+            if (mined.attempt.kind === 'cancel') {
+                batches.transition(batch.id, BATCH_STATES.CREATED, {}, 'commission transaction cancelled');
+                throw new Error('Commission transaction was cancelled. Resume the batch to send it again.');
+            }
+
+            const { receipt } = mined;
+            console.log(`     Block: ${receipt.blockNumber}`);
+            console.log(`     Status: ${receipt.status === 1 ? 'Success ✅' : 'Failed ❌'}`);
+
+            if (receipt.status !== 1) {
+                batches.transition(batch.id, BATCH_STATES.CREATED, {}, 'commission transaction reverted');
+                throw new Error('Commission transaction failed on-chain');
+            }
+
+            batch = batches.transition(batch.id, BATCH_STATES.COMMISSION_CONFIRMED, {
+                commission_tx_hash: receipt.hash,
+                commission_block_number: receipt.blockNumber,
+                commission_gas_used: receipt.gasUsed.toString()
+            });
+        }
+
+        if (batch.status === BATCH_STATES.COMMISSION_CONFIRMED) {
+            batch = batches.transition(batch.id, BATCH_STATES.MERCHANTS_SENT);
+        }
+
+        if (batch.status !== BATCH_STATES.MERCHANTS_SENT) return batch;
+
+        // 🔐 TRANSACTIONS 2..n: Merchant transfers, one nonce after the other
+        const toSend = batch.items.filter(item => item.status === ITEM_STATES.PENDING);
+        if (toSend.length > 0) {
+            console.log(`\n  🔐 MERCHANT TRANSFERS: ${toSend.length} (pipelined nonces)`);
+        }
+
+        for (const item of toSend) {
+            console.log(`\n  Item ${item.index}: ${item.merchant_amount} → ${item.merchant_address}`);
+            try {
+                // Marks the item sent (see batchLeg() in transfers.js)
+                await sendLeg(batchLeg(tenant, batch.id, item.index), provider, wallet);
+            } catch (error) {
+                console.error(`     ❌ Item ${item.index} not sent: ${error.message}`);
+                // Still `sent` if it may have gone out - waiting for it rebroadcasts it
+                if (batches.get(batch.id).items[item.index].status !== ITEM_STATES.SENT) {
+                    batches.updateItem(batch.id, item.index, { status: ITEM_STATES.FAILED, error: error.message });
+                }
+            }
+        }
+
+        // Wait for all of them at once - an item that fails doesn't hold up the rest
+        const sent = batches.get(batch.id).items.filter(item => item.status === ITEM_STATES.SENT);
+        await Promise.all(sent.map(async item => {
+            const label = `Item ${item.index}`;
+            let mined;
+            try {
+                mined = await waitForLeg(tenant, batchLeg(tenant, batch.id, item.index), provider, wallet);
+            } catch (error) {
+                // Still pending - stays `sent`, resuming keeps waiting for it
+                console.warn(`  ⚠️  ${error.message}`);
+                return;
+            }
+
+            let failure = null;
+            if (!mined) failure = 'transaction dropped before confirmation';
+            else if (mined.attempt.kind === 'cancel') failure = 'transaction cancelled';
+            else if (mined.receipt.status !== 1) failure = 'transaction failed on-chain';
+
+            if (failure) {
+                console.error(`     ❌ ${label}: ${failure}`);
+                batches.updateItem(batch.id, item.index, { status: ITEM_STATES.FAILED, error: `Merchant ${failure}` });
+                return;
+            }
+
+            console.log(`     ${label}: block ${mined.receipt.blockNumber} ✅`);
+            batches.updateItem(batch.id, item.index, {
+                status: ITEM_STATES.CONFIRMED,
+                tx_hash: mined.receipt.hash,
+                block_number: mined.receipt.blockNumber,
+                gas_used: mined.receipt.gasUsed.toString()
+            });
+        }));
+
+        batch = batches.get(batch.id);
+        const unpaid = batch.items.filter(item => [ITEM_STATES.SENT, ITEM_STATES.FAILED].includes(item.status));
+        if (unpaid.length > 0) {
+            throw new Error(`${unpaid.length} merchant transfer(s) not confirmed (items ${unpaid.map(i => i.index).join(', ')}). Resume the batch to retry them.`);
+        }
+
+        return batches.transition(batch.id, BATCH_STATES.COMPLETED);
+    }
+
+    /**
+     * Response body for a batch in any state: per-item results and a summary
+     */
+    function batchResponse(batch) {
+        const { chain } = batch;
+        const count = status => batch.items.filter(item => item.status === status).length;
+        const paid = batch.items.filter(item => item.status === ITEM_STATES.CONFIRMED);
+        const gasUsed = paid.reduce((sum, item) => sum + BigInt(item.gas_used), BigInt(batch.commission_gas_used || 0));
+
+        return {
+            success: batch.status === BATCH_STATES.COMPLETED,
+            batch_id: batch.id,
+            status: batch.status,
+            failed_at_status: batch.failed_at_status,
+
+            items: batch.items.map(item => ({
+                index: item.index,
+                status: item.status,
+                merchant_address: item.merchant_address,
+                total_amount: item.total_amount,
+                merchant_amount: item.merchant_amount,
+                commission_amount: item.commission_amount,
+                tx_hash: item.tx_hash,
+                blockNumber: item.block_number,
+                explorerUrl: item.tx_hash ? registry.explorerTxUrl(chain, item.tx_hash) : undefined,
+                error: item.error,
+                rule: item.rule
+            })),
+
+            summary: {
+                items: batch.items.length,
+                paid: paid.length,
+                invalid: count(ITEM_STATES.INVALID),
+                rejected: count(ITEM_STATES.REJECTED),
+                failed: count(ITEM_STATES.FAILED),
+                pending: count(ITEM_STATES.PENDING) + count(ITEM_STATES.SENT),
+
+                // Amounts of the payable items (invalid/rejected items are not part of the batch)
+                total_amount: batch.total_amount,
+                merchant_amount: batch.merchant_amount,
+                commission_amount: batch.commission_amount,
+                commission_rate: batch.commission_rate,
+                paid_amount: paid.reduce((sum, item) => sum + BigInt(item.merchant_amount), 0n).toString(),
+
+                // Commission transaction (one for the whole batch)
+                tx_hash_commission: batch.commission_tx_hash,
+                blockNumberCommission: batch.commission_block_number,
+                explorerUrlCommission: batch.commission_tx_hash ? registry.explorerTxUrl(chain, batch.commission_tx_hash) : undefined,
+
+                gasUsed: gasUsed.toString()
+            },
+
+            from: batch.from,
+            commission_address: batch.commission_address,
+            token: batch.token,
+            token_address: batch.token_address,
+            chain,
+            mandate_id: batch.mandate ? batch.mandate.id : undefined,
+            mandate_remaining: batch.mandate_remaining,
+
+            // Security info
+            commission_controlled_by: 'agentgatepay',
+            config_fetched_from: commissionClient.url,
+
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Error response for a batch that failed after it was recorded (with the
+     * per-item results so far)
+     */
+    function batchFailure(batch, error) {
+        const details = {
+            ...batchResponse(batch),
+            resume: `POST /batches/${batch.id}/resume`
+        };
+
+        if (error instanceof GasCapError) {
+            return { status: 503, body: { error: 'Gas price above cap', message: error.message, ...error.details, ...details } };
+        }
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+            return {
+                status: 400,
+                body: { error: 'Insufficient funds', message: 'Gateway wallet does not have enough tokens or ETH for gas', ...details }
+            };
+        }
+        return { status: 500, body: { error: 'Batch failed', message: error.message, ...details } };
+    }
+
+    /**
+     * Run a batch to completion, recording failures on the batch itself
+     */
+    async function runBatch(tenant, batchId) {
+        const { batches, spendingPolicy, mandates } = tenant;
+
+        activePayments.add(batchId);
+        try {
+            const batch = await processBatch(tenant, batchId);
+            console.log(`\n  ✅ BATCH COMPLETED: ${batch.items.filter(i => i.status === ITEM_STATES.CONFIRMED).length} merchant(s) paid`);
+            return { status: 200, body: batchResponse(batch) };
+        } catch (error) {
+            console.error(`\n❌ ERROR:`, error.message);
+            let failed = batches.fail(batchId, error);
+            console.error(`   Batch ${failed.id} failed at: ${failed.failed_at_status}`);
+
+            // Nothing was broadcast - give the budget and mandate spend back (resume reserves them again)
+            if (!failed.commission_tx_hash) {
+                for (const item of failed.items.filter(i => i.budget_reservation_id)) {
+                    spendingPolicy.release(item.budget_reservation_id);
+                    failed = batches.updateItem(failed.id, item.index, { budget_reservation_id: undefined });
+                }
+                if (failed.mandate_reservation_id) {
+                    mandates.release(failed.mandate_reservation_id);
+                    failed = batches.update(failed.id, { mandate_reservation_id: undefined });
+                }
+            }
+            return batchFailure(failed, error);
+        } finally {
+            activePayments.delete(batchId);
+        }
+    }
+
+    return { runBatch, batchResponse };
+}
+
+module.exports = {
+    createBatchRunner
+};
@@ -0,0 +1,215 @@
+/**
+ * Batch payout records and state machine (POST /sign-payments-batch)
+ *
+ * A batch pays many merchants in one token on one chain. The commission for
+ * every item is combined into ONE transfer, and the merchant transfers are
+ * only sent once it is confirmed (same rule as single payments):
+ *
+ *   created → commission_sent → commission_confirmed → merchants_sent → completed
+ *
+ * The merchant transfers are broadcast back to back with consecutive nonces
+ * and confirmed together. Each item has its own status:
+ *
+ *   invalid / rejected        never part of the batch (bad input, spending policy)
+ *   pending → sent → confirmed
+ *   failed                    reverted, dropped, cancelled or never broadcast
+ *
+ * Any step can move the batch to `failed` (remembering `failed_at_status`).
+ * POST /batches/:id/resume continues from there and re-sends only failed
+ * items - the commission is never paid twice.
+ */
+
+const crypto = require('crypto');
+const { JsonStore } = require('./store');
+
+const BATCH_STATES = {
+    CREATED: 'created',
+    COMMISSION_SENT: 'commission_sent',
+    COMMISSION_CONFIRMED: 'commission_confirmed',
+    MERCHANTS_SENT: 'merchants_sent',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const ITEM_STATES = {
+    INVALID: 'invalid',
+    REJECTED: 'rejected',
+    PENDING: 'pending',
+    SENT: 'sent',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed'
+};
+
+const S = BATCH_STATES;
+
+// Allowed transitions (failed → * is handled by resume())
+const TRANSITIONS = {
+    [S.CREATED]: [S.COMMISSION_SENT, S.FAILED],
+    [S.COMMISSION_SENT]: [S.COMMISSION_CONFIRMED, S.CREATED, S.FAILED],
+    [S.COMMISSION_CONFIRMED]: [S.MERCHANTS_SENT, S.FAILED],
+    [S.MERCHANTS_SENT]: [S.COMPLETED, S.FAILED],
+    [S.COMPLETED]: [],
+    [S.FAILED]: []
+};
+
+class BatchStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BatchStateError';
+    }
+}
+
+class BatchStore {
+    constructor({ store } = {}) {
+        this.store = store || new JsonStore('batches');
+    }
+
+    create(fields) {
+        const now = new Date().toISOString();
+        const id = `bat_${crypto.randomBytes(12).toString('hex')}`;
+
+        return this.store.set(id, {
+            id,
+            ...fields,
+            status: S.CREATED,
+            history: [{ status: S.CREATED, at: now }],
+            created_at: now,
+            updated_at: now
+        });
+    }
+
+    get(id) {
+        return this.store.get(id);
+    }
+
+    all() {
+        return this.store.values();
+    }
+
+    update(id, updates) {
+        const batch = this.require(id);
+        return this.store.set(id, {
+            ...batch,
+            ...updates,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Update one item of a batch
+     */
+    updateItem(id, index, updates) {
+        const batch = this.require(id);
+        const items = batch.items.map(item => (item.index === index ? { ...item, ...updates } : item));
+        return this.update(id, { items });
+    }
+
+    /**
+     * Move a batch to a new state, recording the step in its history
+     */
+    transition(id, status, updates = {}, note) {
+        const batch = this.require(id);
+
+        if (!TRANSITIONS[batch.status].includes(status)) {
+            throw new BatchStateError(`Invalid batch transition: ${batch.status} → ${status}`);
+        }
+
+        const now = new Date().toISOString();
+        const entry = { status, at: now };
+        if (note) entry.note = note;
+
+        return this.store.set(id, {
+            ...batch,
+            ...updates,
+            status,
+            history: [...batch.history, entry],
+            updated_at: now
+        });
+    }
+
+    fail(id, error) {
+        const batch = this.require(id);
+        if ([S.FAILED, S.COMPLETED].includes(batch.status)) return batch;
+
+        return this.transition(id, S.FAILED, {
+            failed_at_status: batch.status,
+            error: error.message
+        }, error.message);
+    }
+
+    /**
+     * Put a failed batch back into the state it failed in; failed items are
+     * queued to be sent again
+     */
+    resume(id) {
+        const batch = this.require(id);
+        if (batch.status !== S.FAILED) return batch;
+
+        const now = new Date().toISOString();
+        return this.store.set(id, {
+            ...batch,
+            status: batch.failed_at_status,
+            failed_at_status: undefined,
+            error: undefined,
+            items: batch.items.map(item => (item.status === ITEM_STATES.FAILED
+                ? { ...item, status: ITEM_STATES.PENDING, error: undefined }
+                : item)),
+            history: [...batch.history, { status: batch.failed_at_status, at: now, note: 'resumed' }],
+            updated_at: now
+        });
+    }
+
+    /**
+     * Batch and leg ('commission' or an item index) a transaction hash was
+     * broadcast for - any attempt, including fee-bump replacements
+     */
+    findByTransaction(hash) {
+        const wanted = hash.toLowerCase();
+        const sentFor = attempts => (attempts || []).some(a => a.hash.toLowerCase() === wanted);
+
+        for (const batch of this.store.values()) {
+            if (sentFor(batch.commission_tx_attempts)) {
+                return { batch, leg: 'commission' };
+            }
+            const item = batch.items.find(i => sentFor(i.tx_attempts));
+            if (item) {
+                return { batch, leg: item.index };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Batches that still need attention (see PaymentStore.incomplete())
+     */
+    incomplete() {
+        return this.store.values().filter(b => {
+            if (b.status === S.COMPLETED) return false;
+            if (b.status === S.FAILED && !b.commission_tx_hash) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Whether a batch can still change (see PaymentStore.isUnfinished())
+     */
+    isUnfinished(id) {
+        const batch = this.store.get(id);
+        return Boolean(batch) && batch.status !== S.COMPLETED;
+    }
+
+    require(id) {
+        const batch = this.store.get(id);
+        if (!batch) {
+            throw new BatchStateError(`Batch not found: ${id}`);
+        }
+        return batch;
+    }
+}
+
+module.exports = {
+    BatchStore,
+    BatchStateError,
+    BATCH_STATES,
+    ITEM_STATES
+};
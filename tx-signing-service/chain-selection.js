@@ -0,0 +1,162 @@
+/**
+ * Automatic chain selection ("chain": "auto")
+ *
+ * Every chain the token can be paid on is a candidate. Chains the payment
+ * can't use (unavailable, outside the mandate, refused by the spending
+ * policy, ...) are left out; on the others the gateway wallet's balances and
+ * the current gas price are read. Of the chains whose balances cover the
+ * payment and its worst-case gas, the one with the lowest gas cost wins
+ * (registry order breaks ties).
+ *
+ * Gas costs are compared in USD with each native currency's usd_price from
+ * the registry - or directly in the native currency when all funded chains
+ * use the same one. A chain without a usd_price can't be compared with
+ * chains of another currency and is only picked if nothing else is funded.
+ *
+ * total_amount is in atomic units, so only chains where the token has the
+ * same decimals as on the first usable candidate are considered.
+ */
+
+const { ethers } = require('ethers');
+const { GasCapError } = require('./gas');
+
+const AUTO_CHAIN = 'auto';
+
+class ChainSelectionError extends Error {
+    constructor(message, { status, candidates }) {
+        super(message);
+        this.name = 'ChainSelectionError';
+        this.status = status;
+        this.candidates = candidates;
+    }
+}
+
+function describeFee(candidate) {
+    const usd = candidate.estimated_gas_fee_usd !== null ? ` (≈ $${candidate.estimated_gas_fee_usd})` : '';
+    return `${candidate.estimated_gas_fee} ${candidate.native_currency}${usd}`;
+}
+
+/**
+ * Pick the chain for a payment of `amount` (atomic units) of `token`
+ *
+ * - exclude(chain): why the payment can't use a chain, or null
+ * - readFunds(chain): the wallet's { balance, nativeBalance, feePerGas } there
+ *   (balance of the token; throws GasCapError above the chain's fee cap)
+ * - gasLimit: worst-case gas of all the payment's transfers
+ *
+ * Returns { chain, reason, candidates } - one candidate per chain with its
+ * status (selected, funded, insufficient_funds, excluded or unavailable) and
+ * estimated gas fee. Throws ChainSelectionError if no chain can be used.
+ */
+async function selectChain({ registry, token, amount, gasLimit, exclude, readFunds }) {
+    const candidates = registry.tokenChains(token).map(chain => ({
+        chain,
+        status: null,
+        native_currency: registry.getChain(chain).nativeCurrency.symbol,
+        estimated_gas_fee: null,
+        estimated_gas_fee_usd: null,
+        reason: undefined
+    }));
+
+    let decimals = null;
+    for (const candidate of candidates) {
+        const reason = exclude(candidate.chain);
+        const tokenDecimals = registry.getToken(token, candidate.chain).decimals;
+        if (!reason && decimals === null) decimals = tokenDecimals;
+
+        if (reason) {
+            Object.assign(candidate, { status: 'excluded', reason });
+        } else if (tokenDecimals !== decimals) {
+            Object.assign(candidate, { status: 'excluded', reason: `${token} has ${tokenDecimals} decimals on ${candidate.chain}, not ${decimals}` });
+        }
+    }
+
+    const fees = new Map();
+    await Promise.all(candidates.filter(c => !c.status).map(async (candidate) => {
+        const { nativeCurrency } = registry.getChain(candidate.chain);
+        let funds;
+        try {
+            funds = await readFunds(candidate.chain);
+        } catch (error) {
+            Object.assign(candidate, {
+                status: 'unavailable',
+                reason: error instanceof GasCapError ? error.message : `RPC error: ${error.shortMessage || error.message}`
+            });
+            return;
+        }
+
+        const fee = gasLimit * funds.feePerGas;
+        fees.set(candidate.chain, fee);
+        candidate.estimated_gas_fee = ethers.formatUnits(fee, nativeCurrency.decimals);
+        if (nativeCurrency.usdPrice !== null) {
+            const usd = Number(candidate.estimated_gas_fee) * nativeCurrency.usdPrice;
+            candidate.estimated_gas_fee_usd = Number(usd.toPrecision(3));
+        }
+
+        // A native payment pays its amount and its gas from the same balance
+        const native = registry.getToken(token, candidate.chain).native;
+        const covered = native
+            ? funds.nativeBalance >= BigInt(amount) + fee
+            : funds.balance >= BigInt(amount) && funds.nativeBalance >= fee;
+
+        if (covered) {
+            candidate.status = 'funded';
+        } else {
+            Object.assign(candidate, {
+                status: 'insufficient_funds',
+                reason: native
+                    ? `Wallet holds ${ethers.formatUnits(funds.nativeBalance, nativeCurrency.decimals)} ${nativeCurrency.symbol}, not enough for the payment plus gas`
+                    : funds.balance < BigInt(amount)
+                        ? `Wallet holds ${ethers.formatUnits(funds.balance, decimals)} ${token}`
+                        : `Wallet holds ${ethers.formatUnits(funds.nativeBalance, nativeCurrency.decimals)} ${nativeCurrency.symbol}, not enough for gas`
+            });
+        }
+    }));
+
+    const funded = candidates.filter(c => c.status === 'funded');
+    if (funded.length === 0) {
+        const retryable = candidates.some(c => c.status === 'unavailable')
+            && !candidates.some(c => c.status === 'insufficient_funds');
+        const payment = decimals === null
+            ? `${amount} atomic units of ${token}`
+            : `${ethers.formatUnits(amount, decimals)} ${token}`;
+        throw new ChainSelectionError(`No chain can be used for a payment of ${payment}`,
+            { status: retryable ? 503 : 400, candidates }
+        );
+    }
+
+    // Rank in the native currency if all share one, else in USD
+    const sameCurrency = new Set(funded.map(c => c.native_currency)).size === 1;
+    const cost = candidate => (sameCurrency ? fees.get(candidate.chain) : candidate.estimated_gas_fee_usd);
+    const comparable = funded.filter(c => cost(c) !== null);
+
+    // Nothing comparable (no usd_price anywhere): first funded chain in registry order
+    let best = comparable[0] || funded[0];
+    for (const candidate of comparable) {
+        if (cost(candidate) < cost(best)) best = candidate;
+    }
+    best.status = 'selected';
+
+    for (const candidate of funded) {
+        if (cost(candidate) === null) {
+            candidate.reason = `No usd_price for ${candidate.native_currency} - gas cost not compared`;
+        }
+    }
+
+    let reason;
+    if (funded.length === 1) {
+        reason = `Only chain that can fund the payment (estimated gas ${describeFee(best)})`;
+    } else if (cost(best) === null) {
+        reason = `First of the ${funded.length} chains that can fund the payment (gas costs can't be compared without usd_price)`;
+    } else {
+        reason = `Lowest estimated gas of the ${funded.length} chains that can fund the payment: ${describeFee(best)}`;
+    }
+
+    return { chain: best.chain, reason, candidates };
+}
+
+module.exports = {
+    AUTO_CHAIN,
+    ChainSelectionError,
+    selectChain
+};
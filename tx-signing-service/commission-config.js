@@ -0,0 +1,134 @@
+/**
+ * Signed commission config
+ *
+ * A `verified: true` field proves nothing if DNS or TLS to
+ * api.agentgatepay.com is intercepted, so the config must carry an EIP-712
+ * signature by AgentGatePay's config signer - an address hardcoded in this
+ * service (AGENTGATEPAY_CONFIG_SIGNER in agentgatepay-client.js), never taken
+ * from the response or the environment:
+ *
+ * {
+ *   "commission_address": "0x...",     // EIP-55 checksummed
+ *   "commission_rate": 0.005,
+ *   "chains": ["base", "polygon"],     // chains the config applies to
+ *   "expires_at": 1767225600,          // unix seconds
+ *   "signature": "0x..."               // EIP-712, see COMMISSION_CONFIG_TYPES
+ * }
+ *
+ * The signed `commissionRate` is the rate exactly as written in the JSON
+ * (String(commission_rate)). On top of the signature the service enforces
+ * its own bounds: rate between 0 and COMMISSION_MAX_RATE, a checksummed
+ * non-zero address, and an expiry in the future.
+ */
+
+const { ethers } = require('ethers');
+
+const COMMISSION_CONFIG_DOMAIN = {
+    name: 'AgentGatePay Commission Config',
+    version: '1'
+};
+
+const COMMISSION_CONFIG_TYPES = {
+    CommissionConfig: [
+        { name: 'commissionAddress', type: 'address' },
+        { name: 'commissionRate', type: 'string' },
+        { name: 'chains', type: 'string[]' },
+        { name: 'expiresAt', type: 'uint256' }
+    ]
+};
+
+class CommissionConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommissionConfigError';
+    }
+}
+
+/**
+ * The EIP-712 message a commission config response is signed as
+ */
+function commissionConfigMessage(config) {
+    return {
+        commissionAddress: config.commission_address,
+        commissionRate: String(config.commission_rate),
+        chains: config.chains,
+        expiresAt: String(config.expires_at)
+    };
+}
+
+/**
+ * Signature for a commission config (for AgentGatePay's tooling and tests)
+ */
+function signCommissionConfig(signer, config) {
+    return signer.signTypedData(COMMISSION_CONFIG_DOMAIN, COMMISSION_CONFIG_TYPES, commissionConfigMessage(config));
+}
+
+/**
+ * A config signer address, checksummed
+ * Throws if it is not an address.
+ */
+function parseConfigSigner(value) {
+    if (typeof value !== 'string' || !ethers.isAddress(value)) {
+        throw new CommissionConfigError('configSigner must be an Ethereum address (0x...)');
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Check a commission config response: bounds, expiry and signature
+ * Returns { address, rate, chains, expiresAt } or throws CommissionConfigError.
+ */
+function verifyCommissionConfig(config, { signer, maxRate, now = Date.now() }) {
+    if (!signer) {
+        throw new CommissionConfigError('No config signer - commission config cannot be verified');
+    }
+
+    const address = config.commission_address;
+    if (typeof address !== 'string' || !ethers.isAddress(address) || ethers.getAddress(address) !== address) {
+        throw new CommissionConfigError(`Commission address is not a checksummed address: ${address}`);
+    }
+    if (address === ethers.ZeroAddress) {
+        throw new CommissionConfigError('Commission address is the zero address');
+    }
+
+    const rate = config.commission_rate;
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > maxRate) {
+        throw new CommissionConfigError(`Commission rate ${rate} is outside the allowed range 0 - ${maxRate}`);
+    }
+
+    const chains = config.chains;
+    if (!Array.isArray(chains) || chains.length === 0 || !chains.every(c => typeof c === 'string' && c)) {
+        throw new CommissionConfigError('Commission config must list the chains it applies to');
+    }
+
+    if (!Number.isInteger(config.expires_at)) {
+        throw new CommissionConfigError('Commission config has no expires_at (unix seconds)');
+    }
+    if (config.expires_at * 1000 <= now) {
+        throw new CommissionConfigError(`Commission config expired at ${new Date(config.expires_at * 1000).toISOString()}`);
+    }
+
+    if (typeof config.signature !== 'string') {
+        throw new CommissionConfigError('Commission config is not signed');
+    }
+    let recovered;
+    try {
+        recovered = ethers.verifyTypedData(COMMISSION_CONFIG_DOMAIN, COMMISSION_CONFIG_TYPES, commissionConfigMessage(config), config.signature);
+    } catch (error) {
+        throw new CommissionConfigError(`Commission config signature is malformed: ${error.shortMessage || error.message}`);
+    }
+    if (recovered !== signer) {
+        throw new CommissionConfigError(`Commission config is signed by ${recovered}, not the pinned signer ${signer}`);
+    }
+
+    return { address, rate, chains, expiresAt: config.expires_at * 1000 };
+}
+
+module.exports = {
+    COMMISSION_CONFIG_DOMAIN,
+    COMMISSION_CONFIG_TYPES,
+    CommissionConfigError,
+    signCommissionConfig,
+    parseConfigSigner,
+    verifyCommissionConfig
+};
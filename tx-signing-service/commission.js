@@ -0,0 +1,104 @@
+/**
+ * Commission config and split
+ *
+ * The commission address and rate come from AgentGatePay (never from the
+ * client), are verified against the pinned config signer (see
+ * commission-config.js) and cached per API key (see upstream-cache.js).
+ * The split itself is always calculated here, server-side.
+ */
+
+const { UpstreamCache, UpstreamRejectedError, apiKeyCacheKey } = require('./upstream-cache');
+const { CommissionConfigError, verifyCommissionConfig } = require('./commission-config');
+
+/**
+ * 💰 Commission/merchant split (SERVER-SIDE with AgentGatePay config)
+ */
+function calculateSplit(totalAmount, rate) {
+    const totalAmountBN = BigInt(totalAmount);
+    const commissionAmountBN = totalAmountBN * BigInt(Math.floor(rate * 10000)) / BigInt(10000);
+    const merchantAmountBN = totalAmountBN - commissionAmountBN;
+
+    return {
+        commissionAmount: commissionAmountBN.toString(),
+        merchantAmount: merchantAmountBN.toString()
+    };
+}
+
+/**
+ * Commission config lookups of one signing service (options as for createSigningService())
+ * Returns { commissionConfigCache, fetchCommissionConfig }
+ */
+function createCommissionConfigFetcher({
+    commissionClient,
+    metrics,
+    configSigner: AGENTGATEPAY_CONFIG_SIGNER,
+    commissionMaxRate: COMMISSION_MAX_RATE,
+    commissionConfigTtlSeconds: COMMISSION_CONFIG_TTL_SECONDS,
+    upstreamMaxStaleSeconds: UPSTREAM_MAX_STALE_SECONDS
+}) {
+    const commissionConfigCache = new UpstreamCache({
+        name: 'Commission config',
+        ttlMs: COMMISSION_CONFIG_TTL_SECONDS * 1000,
+        maxStaleMs: UPSTREAM_MAX_STALE_SECONDS * 1000,
+        validUntil: config => config.expiresAt
+    });
+
+    /**
+     * 🔒 SECURE: Fetch commission config from AgentGatePay
+     * Commission address and rate are CONTROLLED BY AGENTGATEPAY, not client!
+     *
+     * This prevents clients from:
+     * - Setting their own commission address (stealing commission)
+     * - Setting low commission rate (avoiding fees)
+     * - Pointing to fake API (bypassing verification)
+     * - Intercepting DNS/TLS to serve their own config (it must be signed by the
+     *   pinned AGENTGATEPAY_CONFIG_SIGNER)
+     *
+     * Cached per API key (COMMISSION_CONFIG_TTL_SECONDS); only verified configs are
+     * cached, and never past their signed expiry. Throws if the config doesn't cover `chain`.
+     */
+    async function fetchCommissionConfig(apiKey, chain) {
+        const commissionConfig = await commissionConfigCache.get(apiKeyCacheKey(apiKey), async () => {
+            try {
+                console.log(`📡 Fetching commission config from AgentGatePay...`);
+
+                const config = await commissionClient.fetchCommissionConfig(apiKey);
+
+                console.log(`✅ Commission config fetched:`);
+                console.log(`   Address: ${config.commission_address}`);
+                console.log(`   Rate: ${config.commission_rate_percent}`);
+                console.log(`   Controlled by: ${config.controlled_by}`);
+
+                if (!config.verified) {
+                    throw new UpstreamRejectedError('Commission config not verified by AgentGatePay');
+                }
+
+                // 🔏 Signature by the pinned signer, sane rate and address, not expired
+                const verified = verifyCommissionConfig(config, {
+                    signer: AGENTGATEPAY_CONFIG_SIGNER,
+                    maxRate: COMMISSION_MAX_RATE
+                });
+                console.log(`🔏 Commission config signature verified (chains: ${verified.chains.join(', ')}, expires ${new Date(verified.expiresAt).toISOString()})`);
+
+                metrics.commissionConfigFetches.inc({ result: 'success' });
+                return verified;
+            } catch (error) {
+                metrics.commissionConfigFetches.inc({ result: 'failure' });
+                console.error(`❌ Failed to fetch commission config: ${error.message}`);
+                throw error;
+            }
+        });
+
+        if (!commissionConfig.chains.includes(chain)) {
+            throw new CommissionConfigError(`Commission config does not cover chain ${chain}`);
+        }
+        return commissionConfig;
+    }
+
+    return { commissionConfigCache, fetchCommissionConfig };
+}
+
+module.exports = {
+    calculateSplit,
+    createCommissionConfigFetcher
+};
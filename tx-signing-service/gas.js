@@ -0,0 +1,215 @@
+/**
+ * Gas strategy, fee caps and replacement fees
+ *
+ * Configured per chain in the registry (`gas`, all fee values in gwei):
+ *
+ *   gas:
+ *     strategy: eip1559          # eip1559 (default, falls back to legacy if the
+ *                                # chain/RPC has no base fee) or legacy (gasPrice)
+ *     max_fee_gwei: 300          # hard cap - above this the service refuses to sign
+ *     max_priority_fee_gwei: 5   # ceiling for the tip
+ *     base_fee_multiplier: 2     # maxFeePerGas = base fee × multiplier + tip
+ *     bump_after_seconds: 30     # pending this long → replace with higher fees
+ *     bump_percent: 15           # fee increase per replacement (nodes require ≥ 10)
+ *     max_bumps: 3               # automatic replacements per transaction
+ *
+ * Fees are passed around as { type: 2, maxFeePerGas, maxPriorityFeePerGas }
+ * or { type: 0, gasPrice } (BigInt wei).
+ */
+
+const { ethers } = require('ethers');
+
+const GAS_STRATEGIES = ['eip1559', 'legacy'];
+
+// Tip used when the RPC doesn't suggest one
+const DEFAULT_PRIORITY_FEE = ethers.parseUnits('1', 'gwei');
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_BUMP_PERCENT = 10;
+
+const DEFAULTS = {
+    base_fee_multiplier: 2,
+    bump_after_seconds: 30,
+    bump_percent: 15,
+    max_bumps: 3
+};
+
+class GasCapError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'GasCapError';
+        this.code = 'GAS_PRICE_ABOVE_CAP';
+        this.details = details;
+    }
+}
+
+function parseGwei(value, where) {
+    if (value === undefined || value === null) return null;
+    try {
+        const wei = ethers.parseUnits(String(value), 'gwei');
+        if (wei <= 0n) throw new Error('not positive');
+        return wei;
+    } catch (error) {
+        throw new Error(`${where} must be a positive amount in gwei (got ${value})`);
+    }
+}
+
+function positiveNumber(value, fallback, where) {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`${where} must be a positive number`);
+    }
+    return value;
+}
+
+/**
+ * Validate a chain's `gas` config (throws with the offending field)
+ */
+function compileGasConfig(raw = {}, { eip1559 = true, where = 'gas' } = {}) {
+    const strategy = raw.strategy || (eip1559 ? 'eip1559' : 'legacy');
+    if (!GAS_STRATEGIES.includes(strategy)) {
+        throw new Error(`${where}.strategy must be one of: ${GAS_STRATEGIES.join(', ')}`);
+    }
+
+    const config = {
+        strategy,
+        maxFeePerGas: parseGwei(raw.max_fee_gwei, `${where}.max_fee_gwei`),
+        maxPriorityFeePerGas: parseGwei(raw.max_priority_fee_gwei, `${where}.max_priority_fee_gwei`),
+        baseFeeMultiplier: positiveNumber(raw.base_fee_multiplier, DEFAULTS.base_fee_multiplier, `${where}.base_fee_multiplier`),
+        bumpAfterMs: positiveNumber(raw.bump_after_seconds, DEFAULTS.bump_after_seconds, `${where}.bump_after_seconds`) * 1000,
+        bumpPercent: positiveNumber(raw.bump_percent, DEFAULTS.bump_percent, `${where}.bump_percent`),
+        maxBumps: raw.max_bumps !== undefined ? raw.max_bumps : DEFAULTS.max_bumps
+    };
+
+    if (config.bumpPercent < MIN_BUMP_PERCENT) {
+        throw new Error(`${where}.bump_percent must be at least ${MIN_BUMP_PERCENT} (nodes reject smaller replacements)`);
+    }
+    if (!Number.isInteger(config.maxBumps) || config.maxBumps < 0) {
+        throw new Error(`${where}.max_bumps must be a non-negative integer`);
+    }
+    return config;
+}
+
+function gwei(wei) {
+    return ethers.formatUnits(wei, 'gwei');
+}
+
+function mulPercent(value, percent) {
+    // Round up so a bump is never below the node's minimum
+    const scaled = BigInt(Math.round(percent * 100));
+    return (value * scaled + 9999n) / 10000n;
+}
+
+/**
+ * Fees for a new transaction under the chain's strategy
+ * Throws GasCapError if the current price is above the cap
+ */
+async function quoteFees(provider, config) {
+    const [block, feeData] = await Promise.all([
+        config.strategy === 'eip1559' ? provider.getBlock('latest') : null,
+        provider.getFeeData()
+    ]);
+    const cap = config.maxFeePerGas;
+
+    // EIP-1559 (unless the chain/RPC has no base fee - then legacy)
+    if (block && block.baseFeePerGas !== null && block.baseFeePerGas !== undefined) {
+        let priority = feeData.maxPriorityFeePerGas !== null ? feeData.maxPriorityFeePerGas : DEFAULT_PRIORITY_FEE;
+        if (config.maxPriorityFeePerGas !== null && priority > config.maxPriorityFeePerGas) {
+            priority = config.maxPriorityFeePerGas;
+        }
+
+        const required = block.baseFeePerGas + priority;
+        if (cap !== null && required > cap) {
+            throw new GasCapError(`Gas price ${gwei(required)} gwei is above the cap of ${gwei(cap)} gwei`, {
+                required_gwei: gwei(required),
+                cap_gwei: gwei(cap)
+            });
+        }
+
+        // Headroom for rising base fees, but never above the cap
+        let maxFee = mulPercent(block.baseFeePerGas, config.baseFeeMultiplier * 100) + priority;
+        if (cap !== null && maxFee > cap) maxFee = cap;
+
+        return { type: 2, maxFeePerGas: maxFee, maxPriorityFeePerGas: priority };
+    }
+
+    if (feeData.gasPrice === null) {
+        throw new Error('RPC returned no gas price');
+    }
+    if (cap !== null && feeData.gasPrice > cap) {
+        throw new GasCapError(`Gas price ${gwei(feeData.gasPrice)} gwei is above the cap of ${gwei(cap)} gwei`, {
+            required_gwei: gwei(feeData.gasPrice),
+            cap_gwei: gwei(cap)
+        });
+    }
+    return { type: 0, gasPrice: feeData.gasPrice };
+}
+
+/**
+ * Fees for a replacement of a pending transaction (same nonce): at least
+ * bump_percent above the previous fees, and at least the current market price
+ * Throws GasCapError if the replacement would be above the cap
+ */
+async function bumpFees(provider, config, previous) {
+    let market = null;
+    try {
+        market = await quoteFees(provider, config);
+    } catch (error) {
+        if (!(error instanceof GasCapError)) throw error;
+    }
+
+    const factor = 100 + config.bumpPercent;
+    const cap = config.maxFeePerGas;
+    const max = (a, b) => (b !== null && b !== undefined && b > a ? b : a);
+
+    let fees;
+    if (previous.type === 2) {
+        const priority = max(mulPercent(previous.maxPriorityFeePerGas, factor), market && market.maxPriorityFeePerGas);
+        const maxFee = max(max(mulPercent(previous.maxFeePerGas, factor), market && market.maxFeePerGas), priority);
+        fees = { type: 2, maxFeePerGas: maxFee, maxPriorityFeePerGas: priority };
+    } else {
+        const marketPrice = market && (market.type === 0 ? market.gasPrice : market.maxFeePerGas);
+        fees = { type: 0, gasPrice: max(mulPercent(previous.gasPrice, factor), marketPrice) };
+    }
+
+    const highest = fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+    if (cap !== null && highest > cap) {
+        throw new GasCapError(`Replacement would need ${gwei(highest)} gwei, above the cap of ${gwei(cap)} gwei`, {
+            required_gwei: gwei(highest),
+            cap_gwei: gwei(cap)
+        });
+    }
+    return fees;
+}
+
+/**
+ * Fees as stored on a payment (decimal strings)
+ */
+function serializeFees(fees) {
+    return fees.type === 2
+        ? { type: 2, max_fee_per_gas: fees.maxFeePerGas.toString(), max_priority_fee_per_gas: fees.maxPriorityFeePerGas.toString() }
+        : { type: 0, gas_price: fees.gasPrice.toString() };
+}
+
+function parseFees(stored) {
+    return stored.type === 2
+        ? { type: 2, maxFeePerGas: BigInt(stored.max_fee_per_gas), maxPriorityFeePerGas: BigInt(stored.max_priority_fee_per_gas) }
+        : { type: 0, gasPrice: BigInt(stored.gas_price) };
+}
+
+function describeFees(fees) {
+    return fees.type === 2
+        ? `max ${gwei(fees.maxFeePerGas)} Gwei (tip ${gwei(fees.maxPriorityFeePerGas)} Gwei)`
+        : `${gwei(fees.gasPrice)} Gwei (legacy)`;
+}
+
+module.exports = {
+    GAS_STRATEGIES,
+    GasCapError,
+    compileGasConfig,
+    quoteFees,
+    bumpFees,
+    serializeFees,
+    parseFees,
+    describeFees
+};
@@ -0,0 +1,181 @@
+/**
+ * Idempotency keys for /sign-payment
+ *
+ * A retried request (e.g. an n8n HTTP node that timed out) must never sign
+ * a second pair of transactions. Each key is bound to a hash of the request
+ * body and stored durably together with the final response:
+ * - Same key + same body → original response (or current in-progress state)
+ * - Same key + different body → 409 Conflict
+ *
+ * Keys are remembered for the TTL after their final response. A key whose
+ * payment or batch is not finished yet (waiting for approval, or failed and
+ * waiting to be resumed) never expires, so a late retry can't sign it twice.
+ */
+
+const crypto = require('crypto');
+const { JsonStore } = require('./store');
+
+const MAX_KEY_LENGTH = 255;
+
+// How often expired keys are dropped from the store
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * JSON.stringify with sorted object keys, so field order doesn't change the hash
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash of the request body, excluding the idempotency key itself
+ */
+function hashRequestBody(body) {
+    const { idempotency_key, ...rest } = body || {};
+    return sha256(canonicalJson(rest));
+}
+
+/**
+ * Read the key from the Idempotency-Key header or the idempotency_key body field
+ * Returns { key } or { error } if the key is malformed or the two sources disagree
+ */
+function extractIdempotencyKey(req) {
+    const headerKey = req.headers['idempotency-key'];
+    const bodyKey = req.body ? req.body.idempotency_key : undefined;
+
+    if (headerKey !== undefined && bodyKey !== undefined && headerKey !== bodyKey) {
+        return { error: 'Idempotency-Key header and idempotency_key body field do not match' };
+    }
+
+    const key = headerKey !== undefined ? headerKey : bodyKey;
+    if (key === undefined) return { key: null };
+
+    if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        return { error: `Idempotency key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters` };
+    }
+    return { key };
+}
+
+class IdempotencyStore {
+    /**
+     * isUnfinished(record) tells whether the payment or batch a key is
+     * linked to (record.payment_id / record.batch_id) can still change
+     */
+    constructor({ ttlMs, store, isUnfinished = () => false, pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+        this.ttlMs = ttlMs;
+        this.store = store || new JsonStore('idempotency');
+        this.isUnfinished = isUnfinished;
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.prune();
+    }
+
+    // Keys are stored hashed together with the caller's API key,
+    // so neither the key nor the API key is written to disk
+    recordId(scope, key) {
+        return sha256(`${scope}:${key}`);
+    }
+
+    expiresAt(from = new Date()) {
+        return new Date(from.getTime() + this.ttlMs).toISOString();
+    }
+
+    isExpired(record, now = Date.now()) {
+        if (!record.expires_at || Date.parse(record.expires_at) >= now) return false;
+        return !this.isUnfinished(record);
+    }
+
+    // Drop expired keys in one write (at startup, then at most once per pruneIntervalMs)
+    prune() {
+        const now = Date.now();
+        this.store.deleteMany(this.store.values().filter(record => this.isExpired(record, now)).map(record => record.id));
+        this.prunedAt = now;
+    }
+
+    /**
+     * Claim a key for a new request
+     *
+     * Returns one of:
+     * - { outcome: 'new' }          → caller should process the request
+     * - { outcome: 'replay' }       → record.response holds the original result
+     * - { outcome: 'in_progress' }  → original request is still being processed
+     * - { outcome: 'conflict' }     → key was already used with a different body
+     */
+    begin(scope, key, requestHash) {
+        if (Date.now() - this.prunedAt >= this.pruneIntervalMs) {
+            this.prune();
+        }
+
+        const id = this.recordId(scope, key);
+        const existing = this.store.get(id);
+
+        if (existing && !this.isExpired(existing)) {
+            if (existing.request_hash !== requestHash) {
+                return { outcome: 'conflict', record: existing };
+            }
+            return { outcome: existing.status === 'completed' ? 'replay' : 'in_progress', record: existing };
+        }
+
+        const now = new Date();
+        const record = this.store.set(id, {
+            id,
+            request_hash: requestHash,
+            status: 'in_progress',
+            created_at: now.toISOString(),
+            // Only matters if nothing gets attached (e.g. a crash before the payment was created)
+            expires_at: this.expiresAt(now)
+        });
+        return { outcome: 'new', record };
+    }
+
+    /**
+     * Link the key to the payment it created, so retries can report its state
+     */
+    attach(id, fields) {
+        const record = this.store.get(id);
+        if (!record) return;
+        this.store.set(id, { ...record, ...fields });
+    }
+
+    /**
+     * Store the final response so retries get exactly the same answer
+     * The TTL starts again from here (an async payment completes a second time when it finishes)
+     */
+    complete(id, statusCode, body) {
+        const record = this.store.get(id);
+        if (!record) return;
+
+        const now = new Date();
+        this.store.set(id, {
+            ...record,
+            status: 'completed',
+            completed_at: now.toISOString(),
+            expires_at: this.expiresAt(now),
+            response: { status: statusCode, body }
+        });
+    }
+
+    /**
+     * Forget a key whose request failed before anything was signed,
+     * so the client can safely retry with the same key
+     */
+    release(id) {
+        this.store.delete(id);
+    }
+}
+
+module.exports = {
+    IdempotencyStore,
+    extractIdempotencyKey,
+    hashRequestBody,
+    canonicalJson
+};
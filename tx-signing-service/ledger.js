@@ -0,0 +1,240 @@
+/**
+ * Accounting ledger (GET /payments)
+ *
+ * One row per payment and per batch item, built from the stored records -
+ * every payment is persisted in DATA_DIR before anything is signed, so the
+ * ledger survives restarts (as long as DATA_DIR is on a persistent disk).
+ *
+ * A batch item's commission went out in the batch's combined commission
+ * transfer: its row carries its own commission_amount and the shared
+ * commission_tx_hash.
+ *
+ * Rows can be filtered by date (created_at), chain, token, merchant, status
+ * and type, and exported as JSON or CSV.
+ */
+
+const { ethers } = require('ethers');
+
+const LEDGER_COLUMNS = [
+    'id', 'type', 'batch_id', 'created_at', 'updated_at', 'status', 'mode',
+    'chain', 'token', 'token_address', 'token_decimals', 'from', 'merchant_address',
+    'total_amount', 'commission_amount', 'merchant_amount', 'total', 'commission', 'merchant',
+    'commission_rate', 'commission_address', 'commission_tx_hash', 'merchant_tx_hash',
+    'commission_block_number', 'merchant_block_number', 'mandate_id', 'reconciliation'
+];
+
+const LEDGER_TYPES = ['payment', 'batch_item'];
+
+class LedgerQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LedgerQueryError';
+    }
+}
+
+function formatAmount(amount, decimals) {
+    if (amount === undefined || amount === null || !Number.isInteger(decimals)) return null;
+    return ethers.formatUnits(amount, decimals);
+}
+
+/**
+ * matched (every sent leg found on-chain), issue (any mismatch or missing
+ * leg), pending (not reconciled yet) or null (nothing was sent)
+ */
+function reconciliationSummary(reconciliation, legs) {
+    const results = reconciliation || {};
+    if (results.commission_rate === 'mismatch' || legs.some(leg => results[leg] && results[leg] !== 'matched')) return 'issue';
+    if (legs.length === 0) return null;
+    return legs.every(leg => results[leg] === 'matched') ? 'matched' : 'pending';
+}
+
+function paymentRow(payment, decimalsFor) {
+    const decimals = decimalsFor(payment);
+    // x402 legs are settled by a facilitator - they count once reconciliation has seen them.
+    // Native-currency legs leave no Transfer log, so they are never reconciled.
+    const legs = !payment.token_address ? [] : ['commission', 'merchant']
+        .filter(leg => payment[`${leg}_block_number`] !== undefined || (payment.reconciliation || {})[leg]);
+
+    return {
+        id: payment.id,
+        type: 'payment',
+        batch_id: null,
+        created_at: payment.created_at,
+        updated_at: payment.updated_at,
+        status: payment.status,
+        mode: payment.mode || 'broadcast',
+        chain: payment.chain,
+        token: payment.token,
+        token_address: payment.token_address,
+        token_decimals: decimals,
+        from: payment.from,
+        merchant_address: payment.merchant_address,
+        total_amount: payment.total_amount,
+        commission_amount: payment.commission_amount,
+        merchant_amount: payment.merchant_amount,
+        total: formatAmount(payment.total_amount, decimals),
+        commission: formatAmount(payment.commission_amount, decimals),
+        merchant: formatAmount(payment.merchant_amount, decimals),
+        commission_rate: payment.commission_rate,
+        commission_address: payment.commission_address,
+        commission_tx_hash: payment.commission_tx_hash || null,
+        merchant_tx_hash: payment.merchant_tx_hash || null,
+        commission_block_number: payment.commission_block_number || null,
+        merchant_block_number: payment.merchant_block_number || null,
+        mandate_id: payment.mandate ? payment.mandate.id : null,
+        reconciliation: reconciliationSummary(payment.reconciliation, legs)
+    };
+}
+
+function batchItemRows(batch, decimalsFor) {
+    const decimals = decimalsFor(batch);
+
+    return batch.items
+        .filter(item => item.commission_amount !== undefined)
+        .map(item => {
+            const legs = {
+                commission: (batch.reconciliation || {}).commission,
+                merchant: (item.reconciliation || {}).merchant,
+                commission_rate: (item.reconciliation || {}).commission_rate
+            };
+            const broadcastLegs = !batch.token_address ? [] : [
+                ...(batch.commission_block_number !== undefined ? ['commission'] : []),
+                ...(item.block_number !== undefined ? ['merchant'] : [])
+            ];
+
+            return {
+                id: `${batch.id}:${item.index}`,
+                type: 'batch_item',
+                batch_id: batch.id,
+                created_at: batch.created_at,
+                updated_at: batch.updated_at,
+                status: item.status,
+                mode: 'broadcast',
+                chain: batch.chain,
+                token: batch.token,
+                token_address: batch.token_address,
+                token_decimals: decimals,
+                from: batch.from,
+                merchant_address: item.merchant_address,
+                total_amount: item.total_amount,
+                commission_amount: item.commission_amount,
+                merchant_amount: item.merchant_amount,
+                total: formatAmount(item.total_amount, decimals),
+                commission: formatAmount(item.commission_amount, decimals),
+                merchant: formatAmount(item.merchant_amount, decimals),
+                commission_rate: batch.commission_rate,
+                commission_address: batch.commission_address,
+                commission_tx_hash: batch.commission_tx_hash || null,
+                merchant_tx_hash: item.tx_hash || null,
+                commission_block_number: batch.commission_block_number || null,
+                merchant_block_number: item.block_number || null,
+                mandate_id: batch.mandate ? batch.mandate.id : null,
+                reconciliation: reconciliationSummary(legs, broadcastLegs)
+            };
+        });
+}
+
+/**
+ * Every ledger row of a tenant, oldest first
+ * `decimalsFor(record)` returns the token decimals of a payment or batch.
+ */
+function ledgerRows(tenant, decimalsFor) {
+    const rows = [
+        ...tenant.payments.all().map(p => paymentRow(p, decimalsFor)),
+        ...tenant.batches.all().flatMap(b => batchItemRows(b, decimalsFor))
+    ];
+    return rows.sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id));
+}
+
+function parseDate(value, name) {
+    if (value === undefined) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new LedgerQueryError(`${name} must be an ISO 8601 date or date-time`);
+    }
+    return time;
+}
+
+/**
+ * Parse GET /payments query parameters
+ * Throws LedgerQueryError for invalid values.
+ */
+function parseLedgerQuery(query) {
+    const filters = {
+        from: parseDate(query.from, 'from'),
+        to: parseDate(query.to, 'to'),
+        chain: query.chain || null,
+        token: query.token || null,
+        merchant: null,
+        status: query.status || null,
+        type: query.type || null,
+        format: query.format || 'json',
+        limit: query.limit !== undefined ? Number(query.limit) : null,
+        offset: query.offset !== undefined ? Number(query.offset) : 0
+    };
+
+    if (query.merchant !== undefined) {
+        if (!ethers.isAddress(query.merchant)) {
+            throw new LedgerQueryError('merchant must be an address');
+        }
+        filters.merchant = query.merchant.toLowerCase();
+    }
+    if (filters.type && !LEDGER_TYPES.includes(filters.type)) {
+        throw new LedgerQueryError(`type must be one of: ${LEDGER_TYPES.join(', ')}`);
+    }
+    if (!['json', 'csv'].includes(filters.format)) {
+        throw new LedgerQueryError('format must be json or csv');
+    }
+    if (filters.limit !== null && (!Number.isInteger(filters.limit) || filters.limit < 1)) {
+        throw new LedgerQueryError('limit must be a positive integer');
+    }
+    if (!Number.isInteger(filters.offset) || filters.offset < 0) {
+        throw new LedgerQueryError('offset must be a non-negative integer');
+    }
+    return filters;
+}
+
+/**
+ * Rows matching the filters (from inclusive, to exclusive)
+ */
+function filterLedger(rows, filters) {
+    return rows.filter(row => {
+        const created = Date.parse(row.created_at);
+        if (filters.from !== null && created < filters.from) return false;
+        if (filters.to !== null && created >= filters.to) return false;
+        if (filters.chain && row.chain !== filters.chain) return false;
+        if (filters.token && row.token !== filters.token) return false;
+        if (filters.merchant && String(row.merchant_address).toLowerCase() !== filters.merchant) return false;
+        if (filters.status && row.status !== filters.status) return false;
+        if (filters.type && row.type !== filters.type) return false;
+        return true;
+    });
+}
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    // Spreadsheets run cells starting with these as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV (header line + one line per row)
+ */
+function ledgerCsv(rows) {
+    const lines = [LEDGER_COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push(LEDGER_COLUMNS.map(column => csvField(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    LEDGER_COLUMNS,
+    LedgerQueryError,
+    ledgerRows,
+    parseLedgerQuery,
+    filterLedger,
+    ledgerCsv
+};
@@ -0,0 +1,189 @@
+/**
+ * Structured logging
+ *
+ * Once installed, every console line is written as one JSON object:
+ *
+ *   {"time":"...","level":"info","msg":"TX Hash: 0x...","request_id":"3f1c...","tenant":"default"}
+ *
+ * - request_id and tenant come from the context the line was written in
+ *   (withLogContext() - set for each request, see index.js), so every line of
+ *   a payment can be found by its request id
+ * - console.debug → debug, console.log / console.info → info, console.warn →
+ *   warn, console.error → error. Lines below LOG_LEVEL (default: info) are dropped
+ * - Secrets are redacted from every line before it is written: values
+ *   registered with addSecret() (API keys, passwords, tokens), private keys
+ *   registered with addPrivateKey(), anything that looks like an AgentGatePay
+ *   API key, and `name=value` / `"name": "value"` pairs whose name says key,
+ *   secret, password or token
+ *
+ * LOG_FORMAT=pretty keeps the human-readable lines for local development
+ * (still redacted, prefixed with the tenant and request id).
+ */
+
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'pretty'];
+
+const REDACTED = '[REDACTED]';
+
+// AgentGatePay API keys (pk_live_..., pk_test_...) wherever they appear
+const API_KEY_PATTERN = /\bpk_[A-Za-z0-9_-]{4,}/g;
+
+// Field names whose values are never logged
+const SECRET_NAME = '(?:api[_-]?key|private[_-]?key|approval[_-]?key|secret|password|passphrase|auth[_-]?token|authorization)';
+const SECRET_PAIR_PATTERN = new RegExp(`(${SECRET_NAME}["']?\\s*[:=]\\s*["']?(?:Bearer\\s+)?)([^\\s"',}]+)`, 'gi');
+const SECRET_KEY_PATTERN = new RegExp(SECRET_NAME, 'i');
+
+// Request/tenant fields of the code currently running
+const logContext = new AsyncLocalStorage();
+
+// Exact secret values to redact (registered as they are loaded)
+const secrets = new Set();
+
+// 64 hex digits, with or without 0x - a private key, or a hash
+const HEX_32_BYTES_PATTERN = /\b(?:0x)?[0-9a-fA-F]{64}\b/g;
+
+// SHA-256 of the private keys to redact - the keys themselves are never kept here
+const privateKeyFingerprints = new Set();
+
+/**
+ * Never log this value (e.g. an API key or password just loaded)
+ */
+function addSecret(value) {
+    if (typeof value !== 'string' || value.length < 8) return;
+    secrets.add(value);
+}
+
+function privateKeyFingerprint(hex) {
+    return crypto.createHash('sha256').update(hex.replace(/^0x/i, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Never log this private key, with or without 0x, in any case
+ * Only its fingerprint is kept: lines are checked by fingerprinting every
+ * 64-hex-digit string in them, so transaction hashes are still logged.
+ */
+function addPrivateKey(privateKey) {
+    if (typeof privateKey !== 'string' || !/^(?:0x)?[0-9a-fA-F]{64}$/.test(privateKey)) return;
+    privateKeyFingerprints.add(privateKeyFingerprint(privateKey));
+}
+
+/**
+ * A log line with every secret replaced by [REDACTED]
+ */
+function redact(text) {
+    let result = String(text);
+    for (const secret of secrets) {
+        if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+    }
+    if (privateKeyFingerprints.size > 0) {
+        result = result.replace(HEX_32_BYTES_PATTERN, hex => (privateKeyFingerprints.has(privateKeyFingerprint(hex)) ? REDACTED : hex));
+    }
+    return result
+        .replace(API_KEY_PATTERN, `pk_${REDACTED}`)
+        .replace(SECRET_PAIR_PATTERN, `$1${REDACTED}`);
+}
+
+function redactFields(value, depth = 0) {
+    if (typeof value === 'string') return redact(value);
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(v => redactFields(v, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) && v !== undefined ? REDACTED : redactFields(v, depth + 1)
+    ]));
+}
+
+/**
+ * Run fn with extra fields (e.g. { request_id }) on every line it logs
+ */
+function withLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function currentLogContext() {
+    return logContext.getStore() || {};
+}
+
+let settings = null;
+let original = null;
+
+function write(level, text, fields = {}) {
+    const { format, threshold } = settings || { format: 'pretty', threshold: LOG_LEVELS.debug };
+    if (LOG_LEVELS[level] < threshold) return;
+
+    const out = ['warn', 'error'].includes(level) ? (original || console).error : (original || console).log;
+    const context = currentLogContext();
+    const message = redact(text);
+
+    if (format === 'pretty') {
+        const prefix = [context.tenant, context.request_id].filter(Boolean).join(' ');
+        const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(redactFields(fields))}` : '';
+        if (!prefix) return out(message + extra);
+
+        // Keep leading blank lines (section breaks) in front of the prefix
+        const [, newlines, rest] = message.match(/^(\n*)([\s\S]*)$/);
+        return out(`${newlines}[${prefix}] ${rest}${extra}`);
+    }
+
+    // Blank spacer lines mean nothing in JSON
+    const msg = message.trim();
+    if (!msg && Object.keys(fields).length === 0) return;
+
+    out(JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...context,
+        ...redactFields(fields)
+    }));
+}
+
+/**
+ * Logger for lines with structured fields: logger.info('request', { status: 200 })
+ */
+const logger = Object.fromEntries(Object.keys(LOG_LEVELS).map(level => [
+    level,
+    (msg, fields) => write(level, msg, fields)
+]));
+
+/**
+ * Route console.* through the logger (call once, before anything is logged)
+ * Throws on an unknown LOG_FORMAT / LOG_LEVEL.
+ */
+function installLogger(env = process.env) {
+    const format = env.LOG_FORMAT || 'json';
+    const level = env.LOG_LEVEL || 'info';
+
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`LOG_FORMAT must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    if (!LOG_LEVELS[level]) {
+        throw new Error(`LOG_LEVEL must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+
+    settings = { format, threshold: LOG_LEVELS[level] };
+    if (original) return;
+
+    original = { log: console.log.bind(console), error: console.error.bind(console) };
+    const levels = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+    for (const [method, lineLevel] of Object.entries(levels)) {
+        console[method] = (...args) => write(lineLevel, util.format(...args));
+    }
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    logger,
+    installLogger,
+    withLogContext,
+    currentLogContext,
+    addSecret,
+    addPrivateKey,
+    redact
+};
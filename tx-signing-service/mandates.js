@@ -0,0 +1,430 @@
+/**
+ * AP2 payment mandates
+ *
+ * A mandate is a user's signed statement of what an agent may spend from the
+ * gateway wallet. Payments can carry one (`"mandate"` in the request body);
+ * with `"required": true` in the mandates file every payment must.
+ *
+ * {
+ *   "mandate_id": "mdt_2026_10_groceries",   // unique per signer
+ *   "wallet": "0x...",                       // gateway wallet the mandate is for
+ *   "merchants": ["0x...", "0x..."],         // merchants that may be paid
+ *   "max_amount": "250",                     // token units, over the mandate's lifetime
+ *   "token": "USDC",
+ *   "chains": ["base", "polygon"],
+ *   "expires_at": 1767225600,                // unix seconds
+ *   "signature": "0x..."                     // EIP-712, see PAYMENT_MANDATE_TYPES
+ * }
+ *
+ * or the same fields (without signature) as the payload of a compact JWS,
+ * whose `kid` header names the signer. Trusted user keys are loaded once at
+ * startup (see mandates.example.json):
+ *
+ * {
+ *   "required": false,
+ *   "signers": {
+ *     "alice-wallet": { "address": "0x..." },                            // EIP-712
+ *     "alice-phone": { "jwk": { "kty": "EC", "crv": "P-256", ... } }     // JWS (public key)
+ *   }
+ * }
+ *
+ * What a mandate has paid is kept in a durable ledger per tenant, so one
+ * mandate can never be spent beyond max_amount - across payments, chains
+ * and restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { JsonStore } = require('./store');
+
+const PAYMENT_MANDATE_DOMAIN = {
+    name: 'AgentGatePay Payment Mandate',
+    version: '1'
+};
+
+const PAYMENT_MANDATE_TYPES = {
+    PaymentMandate: [
+        { name: 'mandateId', type: 'string' },
+        { name: 'wallet', type: 'address' },
+        { name: 'merchants', type: 'address[]' },
+        { name: 'maxAmount', type: 'string' },
+        { name: 'token', type: 'string' },
+        { name: 'chains', type: 'string[]' },
+        { name: 'expiresAt', type: 'uint256' }
+    ]
+};
+
+// JWS algorithms and the key type each one needs (the key decides - never the header alone)
+const JWS_ALGORITHMS = {
+    ES256: { kty: 'EC', crv: 'P-256', hash: 'sha256' },
+    ES256K: { kty: 'EC', crv: 'secp256k1', hash: 'sha256' },
+    EdDSA: { kty: 'OKP', crv: 'Ed25519', hash: null },
+    RS256: { kty: 'RSA', hash: 'sha256' }
+};
+
+// Spend is compared across chains where the token's decimals differ (registry allows up to 36)
+const NORMALIZED_DECIMALS = 36;
+
+// How often the spend of expired mandates is dropped from the ledger
+const LEDGER_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class MandateError extends Error {
+    constructor(reason, message, mandateId) {
+        super(message);
+        this.name = 'MandateError';
+        this.reason = reason;
+        this.mandateId = mandateId;
+    }
+}
+
+/**
+ * Find the mandates file: MANDATES_FILE env → Secret File → local file (dev)
+ * Returns null if no mandate signers are configured.
+ */
+function loadMandatesFile() {
+    const candidates = [
+        process.env.MANDATES_FILE,
+        '/etc/secrets/mandates.json',
+        path.join(__dirname, 'mandates.json')
+    ].filter(Boolean);
+
+    for (const file of candidates) {
+        if (fs.existsSync(file)) {
+            return { file, config: JSON.parse(fs.readFileSync(file, 'utf8')) };
+        }
+    }
+
+    if (process.env.MANDATES_FILE) {
+        throw new MandateError('config', `Mandates file not found: ${process.env.MANDATES_FILE}`);
+    }
+    return null;
+}
+
+function jwsAlgorithmFor(jwk) {
+    return Object.keys(JWS_ALGORITHMS).find(alg => {
+        const { kty, crv } = JWS_ALGORITHMS[alg];
+        return jwk.kty === kty && (!crv || jwk.crv === crv);
+    });
+}
+
+/**
+ * Validate the mandates file: { required, signers: { name: { name, address } | { name, key, alg } } }
+ */
+function compileMandateConfig(raw) {
+    if (raw.required !== undefined && typeof raw.required !== 'boolean') {
+        throw new MandateError('config', 'required must be true or false');
+    }
+
+    const signers = {};
+    for (const [name, entry] of Object.entries(raw.signers || {})) {
+        const where = `signers.${name}`;
+        if (entry.address !== undefined) {
+            if (!ethers.isAddress(entry.address)) {
+                throw new MandateError('config', `${where}.address is not an address`);
+            }
+            signers[name] = { name, address: ethers.getAddress(entry.address) };
+        } else if (entry.jwk !== undefined) {
+            if (entry.jwk.d !== undefined) {
+                throw new MandateError('config', `${where}.jwk is a private key - only the public key belongs here`);
+            }
+            const alg = jwsAlgorithmFor(entry.jwk);
+            if (!alg) {
+                throw new MandateError('config', `${where}.jwk must be an EC P-256 / secp256k1, Ed25519 or RSA key`);
+            }
+            let key;
+            try {
+                key = crypto.createPublicKey({ key: entry.jwk, format: 'jwk' });
+            } catch (error) {
+                throw new MandateError('config', `${where}.jwk is not a valid key: ${error.message}`);
+            }
+            signers[name] = { name, key, alg };
+        } else {
+            throw new MandateError('config', `${where} needs an address (EIP-712) or a jwk (JWS)`);
+        }
+    }
+
+    if (Object.keys(signers).length === 0) {
+        throw new MandateError('config', 'At least one signer is required');
+    }
+    return { required: raw.required === true, signers };
+}
+
+/**
+ * The EIP-712 message a mandate is signed as
+ */
+function mandateMessage(mandate) {
+    return {
+        mandateId: mandate.mandate_id,
+        wallet: mandate.wallet,
+        merchants: mandate.merchants,
+        maxAmount: mandate.max_amount,
+        token: mandate.token,
+        chains: mandate.chains,
+        expiresAt: String(mandate.expires_at)
+    };
+}
+
+/**
+ * Signature for a mandate (for wallets, tooling and tests)
+ */
+function signPaymentMandate(signer, mandate) {
+    return signer.signTypedData(PAYMENT_MANDATE_DOMAIN, PAYMENT_MANDATE_TYPES, mandateMessage(mandate));
+}
+
+/**
+ * Check the mandate's fields; returns them normalized (checksummed addresses)
+ */
+function parseMandateFields(fields) {
+    const id = fields.mandate_id;
+    const reject = message => new MandateError('invalid', message, typeof id === 'string' ? id : undefined);
+
+    if (typeof id !== 'string' || id.length === 0 || id.length > 128) {
+        throw reject('mandate_id must be a string of 1 to 128 characters');
+    }
+    if (typeof fields.wallet !== 'string' || !ethers.isAddress(fields.wallet)) {
+        throw reject('wallet must be the gateway wallet address');
+    }
+    const merchants = fields.merchants;
+    if (!Array.isArray(merchants) || merchants.length === 0 || !merchants.every(m => typeof m === 'string' && ethers.isAddress(m))) {
+        throw reject('merchants must be a non-empty list of addresses');
+    }
+    if (typeof fields.max_amount !== 'string' || !/^\d+(\.\d+)?$/.test(fields.max_amount)) {
+        throw reject('max_amount must be a decimal string in token units (e.g. "250.00")');
+    }
+    if (typeof fields.token !== 'string' || !fields.token) {
+        throw reject('token is required');
+    }
+    const chains = fields.chains;
+    if (!Array.isArray(chains) || chains.length === 0 || !chains.every(c => typeof c === 'string' && c)) {
+        throw reject('chains must be a non-empty list of chain names');
+    }
+    if (!Number.isInteger(fields.expires_at)) {
+        throw reject('expires_at must be unix seconds');
+    }
+
+    return {
+        id,
+        wallet: ethers.getAddress(fields.wallet),
+        merchants: merchants.map(m => ethers.getAddress(m)),
+        max_amount: fields.max_amount,
+        token: fields.token,
+        chains,
+        expires_at: fields.expires_at
+    };
+}
+
+function verifyEip712(mandate, signers) {
+    if (typeof mandate.signature !== 'string') {
+        throw new MandateError('unsigned', 'Mandate is not signed (EIP-712 signature or compact JWS)', mandate.mandate_id);
+    }
+    const fields = parseMandateFields(mandate);
+
+    let recovered;
+    try {
+        recovered = ethers.verifyTypedData(PAYMENT_MANDATE_DOMAIN, PAYMENT_MANDATE_TYPES, mandateMessage(mandate), mandate.signature);
+    } catch (error) {
+        throw new MandateError('bad_signature', `Mandate signature is malformed: ${error.shortMessage || error.message}`, fields.id);
+    }
+
+    const signer = Object.values(signers).find(s => s.address === recovered);
+    if (!signer) {
+        throw new MandateError('untrusted_signer', `Mandate is signed by ${recovered}, which is not a trusted mandate signer`, fields.id);
+    }
+    return { ...fields, signer: signer.name, format: 'eip712' };
+}
+
+function decodeJwsPart(part, what) {
+    try {
+        return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new MandateError('invalid', `Mandate JWS ${what} is not base64url JSON`);
+    }
+}
+
+function verifyJws(token, signers) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new MandateError('invalid', 'Mandate JWS must be in compact form (header.payload.signature)');
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeJwsPart(encodedHeader, 'header');
+    const payload = decodeJwsPart(encodedPayload, 'payload');
+    const mandateId = typeof payload.mandate_id === 'string' ? payload.mandate_id : undefined;
+
+    if (header.crit !== undefined) {
+        throw new MandateError('invalid', 'Mandate JWS uses critical header parameters this service does not support', mandateId);
+    }
+    const signer = Object.prototype.hasOwnProperty.call(signers, header.kid) ? signers[header.kid] : null;
+    if (!signer || !signer.key) {
+        throw new MandateError('untrusted_signer', `Mandate JWS kid ${JSON.stringify(header.kid)} is not a trusted mandate signer`, mandateId);
+    }
+    if (header.alg !== signer.alg) {
+        throw new MandateError('bad_signature', `Mandate JWS alg must be ${signer.alg} for ${signer.name}`, mandateId);
+    }
+
+    const { hash } = JWS_ALGORITHMS[signer.alg];
+    const valid = crypto.verify(
+        hash,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        { key: signer.key, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!valid) {
+        throw new MandateError('bad_signature', `Mandate JWS signature does not verify with ${signer.name}'s key`, mandateId);
+    }
+    return { ...parseMandateFields(payload), signer: signer.name, format: 'jws' };
+}
+
+/**
+ * Verify a mandate from a request: EIP-712 signed object or compact JWS string
+ * Returns the mandate ({ id, signer, format, wallet, merchants, max_amount,
+ * token, chains, expires_at }) or throws MandateError.
+ */
+function verifyMandate(input, config, { now = Date.now() } = {}) {
+    if (!config) {
+        throw new MandateError('not_configured', 'No trusted mandate signers are configured (MANDATES_FILE)');
+    }
+
+    let mandate;
+    if (typeof input === 'string') {
+        mandate = verifyJws(input, config.signers);
+    } else if (input && typeof input === 'object' && !Array.isArray(input)) {
+        mandate = verifyEip712(input, config.signers);
+    } else {
+        throw new MandateError('invalid', 'mandate must be an EIP-712 signed object or a compact JWS string');
+    }
+
+    if (mandate.expires_at * 1000 <= now) {
+        throw new MandateError('expired', `Mandate ${mandate.id} expired at ${new Date(mandate.expires_at * 1000).toISOString()}`, mandate.id);
+    }
+    return mandate;
+}
+
+/**
+ * Check that a mandate covers this wallet, token and chain (and merchants, if given)
+ * Without a chain ("chain": "auto") any of the mandate's chains will do.
+ * Throws MandateError otherwise.
+ */
+function checkMandateScope(mandate, { wallet, token, chain, merchants = [] }) {
+    const reject = (reason, message) => new MandateError(reason, message, mandate.id);
+
+    if (mandate.wallet.toLowerCase() !== wallet.toLowerCase()) {
+        throw reject('wrong_wallet', `Mandate ${mandate.id} is for wallet ${mandate.wallet}, not this gateway wallet`);
+    }
+    if (mandate.token !== token) {
+        throw reject('token_not_allowed', `Mandate ${mandate.id} only covers ${mandate.token}`);
+    }
+    if (chain !== undefined && !mandate.chains.includes(chain)) {
+        throw reject('chain_not_allowed', `Mandate ${mandate.id} only covers ${mandate.chains.join(', ')}`);
+    }
+    for (const merchant of merchants) {
+        if (!mandateAllowsMerchant(mandate, merchant)) {
+            throw reject('merchant_not_allowed', `Merchant ${merchant} is not in mandate ${mandate.id}`);
+        }
+    }
+}
+
+function mandateAllowsMerchant(mandate, merchant) {
+    return mandate.merchants.some(m => m.toLowerCase() === String(merchant).toLowerCase());
+}
+
+/**
+ * What each mandate has spent (one entry per reservation)
+ *
+ * Entries of expired mandates are dropped at startup and then at most once
+ * per pruneIntervalMs, when a payment is reserved - in one write.
+ */
+class MandateLedger {
+    constructor({ store, pruneIntervalMs = LEDGER_PRUNE_INTERVAL_MS } = {}) {
+        this.store = store || new JsonStore('mandate-spend');
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.prune();
+    }
+
+    // An expired mandate can't be used any more - its spend no longer matters
+    prune() {
+        const now = Date.now();
+        this.store.deleteMany(this.store.values().filter(entry => entry.expires_at * 1000 <= now).map(entry => entry.id));
+        this.prunedAt = now;
+    }
+
+    static key(mandate) {
+        return `${mandate.signer}:${mandate.id}`;
+    }
+
+    spent(mandate) {
+        const key = MandateLedger.key(mandate);
+        return this.store.values()
+            .filter(e => e.mandate === key)
+            .reduce((sum, e) => sum + BigInt(e.amount), 0n);
+    }
+
+    /**
+     * Reserve a payment's amount (atomic units of a token with `decimals`)
+     * against the mandate - in one step, so concurrent payments can't both fit
+     * Returns { allowed: true, reservation_id, spent, remaining } or
+     * { allowed: false, reason, message, ... } (amounts in token units)
+     */
+    reserve(mandate, { amount, decimals }) {
+        const format = value => ethers.formatUnits(value, NORMALIZED_DECIMALS);
+        if (mandate.expires_at * 1000 <= Date.now()) {
+            return {
+                allowed: false,
+                reason: 'expired',
+                message: `Mandate ${mandate.id} expired at ${new Date(mandate.expires_at * 1000).toISOString()}`,
+                mandate_id: mandate.id
+            };
+        }
+
+        const max = ethers.parseUnits(mandate.max_amount, NORMALIZED_DECIMALS);
+        const requested = BigInt(amount) * 10n ** BigInt(NORMALIZED_DECIMALS - decimals);
+        const spent = this.spent(mandate);
+        if (spent + requested > max) {
+            return {
+                allowed: false,
+                reason: 'budget_exceeded',
+                message: `Payment would exceed mandate ${mandate.id}'s budget of ${mandate.max_amount} ${mandate.token}`,
+                mandate_id: mandate.id,
+                max_amount: mandate.max_amount,
+                spent: format(spent),
+                requested: format(requested)
+            };
+        }
+
+        if (Date.now() - this.prunedAt >= this.pruneIntervalMs) {
+            this.prune();
+        }
+
+        const id = `mrs_${crypto.randomBytes(8).toString('hex')}`;
+        this.store.set(id, {
+            id,
+            mandate: MandateLedger.key(mandate),
+            amount: requested.toString(),
+            expires_at: mandate.expires_at,
+            at: new Date().toISOString()
+        });
+        return { allowed: true, reservation_id: id, spent: format(spent + requested), remaining: format(max - spent - requested) };
+    }
+
+    /**
+     * Give back a payment's spend when it never broadcast anything
+     */
+    release(reservationId) {
+        if (reservationId) this.store.delete(reservationId);
+    }
+}
+
+module.exports = {
+    PAYMENT_MANDATE_DOMAIN,
+    PAYMENT_MANDATE_TYPES,
+    MandateError,
+    MandateLedger,
+    loadMandatesFile,
+    compileMandateConfig,
+    signPaymentMandate,
+    verifyMandate,
+    checkMandateScope,
+    mandateAllowsMerchant
+};
@@ -0,0 +1,227 @@
+/**
+ * Prometheus metrics (GET /metrics)
+ *
+ * A small implementation of the Prometheus text format (0.0.4): counters,
+ * histograms and gauges computed at scrape time. Enough for the handful of
+ * metrics below without another dependency.
+ *
+ *   agentgatepay_payments{tenant,status,chain,token}                 payments by current state
+ *   agentgatepay_payment_duration_seconds{chain,token,mode}          created → completed / authorized
+ *   agentgatepay_confirmation_duration_seconds{chain,leg}            broadcast → confirmation depth reached
+ *   agentgatepay_gas_used_total{chain}                               gas units of mined transactions
+ *   agentgatepay_gas_fees_total{chain,currency}                      fees paid, in the native currency
+ *   agentgatepay_commission_config_fetches_total{result}             AgentGatePay config fetches (success / failure)
+ *   agentgatepay_http_requests_total{method,route,status}            handled requests
+ */
+
+const DURATION_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+const CONFIRMATION_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return String(value);
+}
+
+/**
+ * Key of one label combination (labels in declared order)
+ */
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+class Counter {
+    constructor({ name, help, labelNames = [] }) {
+        Object.assign(this, { name, help, labelNames, type: 'counter' });
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = seriesKey(this.labelNames, labels);
+        const current = this.series.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+        current.value += value;
+        this.series.set(key, current);
+    }
+
+    lines() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Histogram {
+    constructor({ name, help, labelNames = [], buckets }) {
+        Object.assign(this, { name, help, labelNames, buckets: [...buckets].sort((a, b) => a - b), type: 'histogram' });
+        this.series = new Map();
+    }
+
+    observe(labels = {}, value) {
+        const key = seriesKey(this.labelNames, labels);
+        let current = this.series.get(key);
+        if (!current) {
+            current = { labels: pickLabels(this.labelNames, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, current);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) current.counts[i] += 1;
+        });
+        current.sum += value;
+        current.count += 1;
+    }
+
+    lines() {
+        const lines = [];
+        for (const s of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Gauge whose values are computed at scrape time: collect() returns
+ * [{ labels, value }]
+ */
+class Gauge {
+    constructor({ name, help, collect }) {
+        Object.assign(this, { name, help, collect, type: 'gauge' });
+    }
+
+    lines() {
+        return this.collect().map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        if (this.metrics.some(m => m.name === metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    /**
+     * Everything in the Prometheus text format
+     */
+    render() {
+        const blocks = this.metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines()
+        ].join('\n'));
+        return `${blocks.join('\n')}\n`;
+    }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * The metrics of one signing service, on a registry of its own (two services
+ * in one process never report each other's numbers)
+ *
+ * `tenants()` returns the service's tenants - their payments are counted at scrape time.
+ */
+function createMetrics({ tenants }) {
+    const registry = new MetricsRegistry();
+
+    registry.gauge({
+        name: 'agentgatepay_payments',
+        help: 'Payments by current status, chain and token',
+        collect: () => {
+            const counts = new Map();
+            for (const tenant of tenants()) {
+                for (const payment of tenant.payments.all()) {
+                    const labels = { tenant: tenant.id, status: payment.status, chain: payment.chain, token: payment.token };
+                    const key = JSON.stringify(labels);
+                    counts.set(key, { labels, value: (counts.has(key) ? counts.get(key).value : 0) + 1 });
+                }
+            }
+            return [...counts.values()];
+        }
+    });
+
+    return {
+        registry,
+        paymentDuration: registry.histogram({
+            name: 'agentgatepay_payment_duration_seconds',
+            help: 'Time from a payment being created (or approved) until it completed',
+            labelNames: ['chain', 'token', 'mode'],
+            buckets: DURATION_BUCKETS
+        }),
+
+        confirmationDuration: registry.histogram({
+            name: 'agentgatepay_confirmation_duration_seconds',
+            help: 'Time from the first broadcast of a transfer until it reached the confirmation depth',
+            labelNames: ['chain', 'leg'],
+            buckets: CONFIRMATION_BUCKETS
+        }),
+
+        gasUsed: registry.counter({
+            name: 'agentgatepay_gas_used_total',
+            help: 'Gas used by mined transactions',
+            labelNames: ['chain']
+        }),
+
+        gasFees: registry.counter({
+            name: 'agentgatepay_gas_fees_total',
+            help: 'Transaction fees paid, in the chain\'s native currency',
+            labelNames: ['chain', 'currency']
+        }),
+
+        commissionConfigFetches: registry.counter({
+            name: 'agentgatepay_commission_config_fetches_total',
+            help: 'Commission config fetches from AgentGatePay by result',
+            labelNames: ['result']
+        }),
+
+        httpRequests: registry.counter({
+            name: 'agentgatepay_http_requests_total',
+            help: 'HTTP requests handled',
+            labelNames: ['method', 'route', 'status']
+        })
+    };
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Histogram,
+    Gauge,
+    CONTENT_TYPE,
+    createMetrics
+};
@@ -0,0 +1,168 @@
+/**
+ * Nonce allocation shared by all requests
+ *
+ * Concurrent /sign-payment calls used to read the same `wallet.getNonce()`
+ * and replace each other's transactions. A NonceManager per (chain, wallet)
+ * hands out nonces in order across all requests of a signing service (each
+ * service has its own - see createTransfers() in transfers.js):
+ *
+ *   const lease = await manager.acquire();
+ *   try {
+ *       const tx = await contract.transfer(to, amount, { nonce: lease.nonce });
+ *       lease.commit();       // broadcast - nonce is used
+ *   } catch (error) {
+ *       lease.release(error); // never broadcast - nonce is handed out again
+ *       throw error;
+ *   }
+ *
+ * - Released nonces below the highest one handed out are gaps; they are
+ *   filled first so later transactions don't get stuck behind them.
+ * - After any failure the manager resyncs from the chain's pending count
+ *   before the next allocation.
+ * - Broadcast nonces are remembered (with the leg that used them) until they
+ *   are mined: a dropped transaction's nonce may be reused by another leg, and
+ *   then the dropped leg must not get it back. Each allocation forgets the
+ *   ones mined by then, so only pending nonces are kept.
+ */
+
+class NonceManager {
+    constructor(provider, address) {
+        this.provider = provider;
+        this.address = address;
+        this.next = null;           // next fresh nonce (null = not synced yet)
+        this.released = [];         // gaps to fill, sorted ascending
+        this.outstanding = new Set(); // handed out, not yet committed or released
+        this.committed = new Map();   // broadcast, not known to be mined: nonce → owner
+        this.needsResync = true;
+        this.lock = Promise.resolve();
+    }
+
+    /**
+     * Serialize allocations so two requests never see the same state
+     */
+    withLock(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Reset from the chain's pending transaction count. Any nonce between the
+     * pending count and our highest allocation that nobody holds is a gap.
+     * Returns the mined transaction count.
+     */
+    async resync() {
+        const [pendingCount, minedCount] = await Promise.all([
+            this.provider.getTransactionCount(this.address, 'pending'),
+            this.provider.getTransactionCount(this.address, 'latest')
+        ]);
+        this.forgetMined(minedCount);
+        const highestOutstanding = Math.max(-1, ...this.outstanding);
+
+        this.next = Math.max(pendingCount, highestOutstanding + 1);
+        this.released = [];
+        for (let n = pendingCount; n < this.next; n++) {
+            if (!this.outstanding.has(n)) this.released.push(n);
+        }
+        this.needsResync = false;
+        return minedCount;
+    }
+
+    /**
+     * Committed nonces below the mined count can't be reused anyway
+     */
+    forgetMined(minedCount) {
+        for (const nonce of this.committed.keys()) {
+            if (nonce < minedCount) this.committed.delete(nonce);
+        }
+    }
+
+    /**
+     * Hand out a nonce to `owner` (the leg sending with it)
+     *
+     * `preferred` lets a leg re-send a dropped transaction at its original
+     * nonce, as long as that nonce is still unused on-chain - so at most one
+     * of the two attempts can ever be mined. It is only honored if no other
+     * leg has broadcast at that nonce since; otherwise a fresh nonce is used.
+     */
+    acquire(preferred, owner) {
+        return this.withLock(async () => {
+            const hasPreferred = preferred !== undefined && preferred !== null;
+            let minedCount;
+            if (this.needsResync || this.next === null) {
+                minedCount = await this.resync();
+            } else if (hasPreferred || this.committed.size > 0) {
+                minedCount = await this.provider.getTransactionCount(this.address, 'latest');
+                this.forgetMined(minedCount);
+            }
+
+            let nonce;
+            const takenByOther = this.committed.has(preferred) && this.committed.get(preferred) !== owner;
+            if (hasPreferred && !this.outstanding.has(preferred) && !takenByOther) {
+                if (preferred >= minedCount) {
+                    nonce = preferred;
+                    this.released = this.released.filter(n => n !== nonce);
+                    for (let n = this.next; n < nonce; n++) this.released.push(n);
+                    this.next = Math.max(this.next, nonce + 1);
+                }
+            }
+
+            if (nonce === undefined) {
+                nonce = this.released.length > 0 ? this.released.shift() : this.next++;
+            }
+
+            this.outstanding.add(nonce);
+            return this.createLease(nonce, owner);
+        });
+    }
+
+    createLease(nonce, owner) {
+        let settled = false;
+
+        return {
+            nonce,
+
+            // Transaction was broadcast - nonce is consumed
+            commit: () => {
+                if (settled) return;
+                settled = true;
+                this.outstanding.delete(nonce);
+                this.committed.set(nonce, owner);
+            },
+
+            // Transaction was never broadcast - hand the nonce out again
+            release: (error) => {
+                if (settled) return;
+                settled = true;
+                this.outstanding.delete(nonce);
+
+                if (nonce === this.next - 1) {
+                    this.next--;
+                    // Collapse trailing gaps
+                    while (this.released.length > 0 && this.released[this.released.length - 1] === this.next - 1) {
+                        this.released.pop();
+                        this.next--;
+                    }
+                } else {
+                    this.released.push(nonce);
+                    this.released.sort((a, b) => a - b);
+                }
+
+                if (error) {
+                    this.needsResync = true;
+                }
+            }
+        };
+    }
+
+    stats() {
+        return {
+            next: this.next,
+            gaps: [...this.released],
+            outstanding: [...this.outstanding].sort((a, b) => a - b),
+            committed: [...this.committed.keys()].sort((a, b) => a - b)
+        };
+    }
+}
+
+module.exports = { NonceManager };
@@ -0,0 +1,260 @@
+/**
+ * Owner authentication for the signing service's routes
+ *
+ * requireOwner: the request must carry a tenant's API key - as x-api-key, or
+ * as the secret of an HMAC signature (see auth.js), as AUTH_MODE allows - that
+ * AgentGatePay still accepts (cached, see upstream-cache.js). The tenant's
+ * rate limit is then applied.
+ *
+ * requireApprover: manual approvals need the approval key of the tenant the
+ * payment belongs to.
+ *
+ * Repeated failures lock the client out (see auth.js - FailureLockout).
+ */
+
+const { hasHmacHeaders, verifyHmacRequest, safeEqual, NonceStore, RateLimiter, FailureLockout } = require('./auth');
+const { UpstreamCache, UpstreamRejectedError, apiKeyCacheKey } = require('./upstream-cache');
+const { JsonStore } = require('./store');
+
+/**
+ * Auth middleware of one signing service (options as for createSigningService())
+ * Returns { openAccess, ownerCache, requireOwner, requireApprover }
+ */
+function createOwnerAuth({
+    tenants,
+    commissionClient,
+    dataDir,
+    authMode: AUTH_MODE,
+    authMaxClockSkewSeconds: AUTH_MAX_CLOCK_SKEW_SECONDS,
+    authLockoutThreshold: AUTH_LOCKOUT_THRESHOLD,
+    authLockoutMinutes: AUTH_LOCKOUT_MINUTES,
+    ownerVerificationTtlSeconds: OWNER_VERIFICATION_TTL_SECONDS,
+    upstreamMaxStaleSeconds: UPSTREAM_MAX_STALE_SECONDS
+}) {
+    // Single owner without an API key: anyone can use the service (not recommended)
+    const openAccess = !tenants.multiTenant && !tenants.all()[0].apiKey;
+
+    const ownerCache = new UpstreamCache({
+        name: 'Owner verification',
+        ttlMs: OWNER_VERIFICATION_TTL_SECONDS * 1000,
+        maxStaleMs: UPSTREAM_MAX_STALE_SECONDS * 1000
+    });
+
+    const authNonces = new NonceStore({ store: new JsonStore('auth-nonces', dataDir) });
+    const rateLimiter = new RateLimiter();
+
+    // Failures within AUTH_LOCKOUT_MINUTES count; reaching the threshold locks the client out as long
+    const authLockout = new FailureLockout({
+        threshold: AUTH_LOCKOUT_THRESHOLD,
+        windowMs: AUTH_LOCKOUT_MINUTES * 60 * 1000,
+        lockoutMs: AUTH_LOCKOUT_MINUTES * 60 * 1000
+    });
+
+    /**
+     * 🔒 SECURE: Verify API key belongs to an OWNER (a tenant)
+     * Only owners' API keys can use this signing service
+     * Returns the tenant the key belongs to, or null
+     *
+     * The AgentGatePay check is cached (OWNER_VERIFICATION_TTL_SECONDS). Throws if
+     * AgentGatePay can't be reached and there is no recent verification to fall back on.
+     */
+    async function verifyOwnerApiKey(apiKey) {
+        // Check if AGENTGATEPAY_API_KEY is configured
+        if (openAccess) {
+            console.error('⚠️  AGENTGATEPAY_API_KEY not configured! Anyone can use this service!');
+            return tenants.all()[0];  // Fallback to open access (not recommended)
+        }
+
+        // Check if provided API key matches an owner's key
+        const tenant = tenants.forApiKey(apiKey);
+        if (!tenant) {
+            console.error(`❌ Unauthorized API key attempted access`);
+            return null;
+        }
+
+        // Verify the key is still valid with AgentGatePay
+        try {
+            await ownerCache.get(apiKeyCacheKey(apiKey), async () => {
+                const user = await commissionClient.fetchUser(apiKey);
+                console.log(`✅ Owner authenticated: ${user.email || user.user_id}${tenants.multiTenant ? ` (tenant ${tenant.id})` : ''}`);
+                return { user_id: user.user_id, email: user.email };
+            });
+            return tenant;
+        } catch (error) {
+            if (error instanceof UpstreamRejectedError) {
+                console.error('❌ API key invalid with AgentGatePay');
+                return null;
+            }
+            console.error(`❌ API key verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * 429 for a client locked out after repeated auth failures
+     */
+    function lockedOut(res, seconds) {
+        res.set('Retry-After', String(seconds));
+        return res.status(429).json({
+            error: 'Too many failed attempts',
+            message: `Too many failed authentication attempts. Try again in ${seconds}s.`,
+            retry_after_seconds: seconds
+        });
+    }
+
+    /**
+     * Count an auth failure for the client (logged when it gets locked out)
+     */
+    function recordAuthFailure(req) {
+        if (authLockout.recordFailure(req.ip)) {
+            console.error(`🔒 Client ${req.ip} locked out for ${AUTH_LOCKOUT_MINUTES} min after ${AUTH_LOCKOUT_THRESHOLD} failed authentication attempts`);
+        }
+    }
+
+    /**
+     * 🔒 SECURE: Middleware - only an OWNER's API key may use signing endpoints
+     * Sets req.tenant to the tenant the key belongs to
+     *
+     * The key is either sent as x-api-key or used to sign the request (HMAC -
+     * see auth.js), depending on AUTH_MODE. Requests are then counted against
+     * the tenant's rate limit.
+     */
+    async function requireOwner(req, res, next) {
+        try {
+            const lockedFor = authLockout.lockedFor(req.ip);
+            if (lockedFor) {
+                return lockedOut(res, lockedFor);
+            }
+
+            let apiKey;
+            if (hasHmacHeaders(req.headers)) {
+                if (AUTH_MODE === 'api_key') {
+                    return res.status(401).json({
+                        error: 'Unauthorized',
+                        message: 'HMAC-signed requests are disabled (AUTH_MODE=api_key) - send x-api-key'
+                    });
+                }
+
+                const verified = verifyHmacRequest(req, keyId => {
+                    const tenant = tenants.forKeyId(keyId);
+                    return tenant ? tenant.apiKey : null;
+                }, { nonces: authNonces, maxSkewSeconds: AUTH_MAX_CLOCK_SKEW_SECONDS });
+
+                if (verified.error) {
+                    console.error(`❌ Rejected HMAC request: ${verified.error}`);
+                    recordAuthFailure(req);
+                    return res.status(401).json({
+                        error: 'Unauthorized',
+                        message: verified.error
+                    });
+                }
+                apiKey = tenants.forKeyId(verified.keyId).apiKey;
+            } else {
+                apiKey = req.headers['x-api-key'];
+                if (AUTH_MODE === 'hmac') {
+                    return res.status(401).json({
+                        error: 'Unauthorized',
+                        message: 'This service only accepts HMAC-signed requests (X-Key-Id, X-Timestamp, X-Nonce, X-Signature)'
+                    });
+                }
+                if (!apiKey) {
+                    return res.status(401).json({
+                        error: 'Unauthorized',
+                        message: 'x-api-key header required (owner API key only)'
+                    });
+                }
+            }
+
+            let tenant;
+            try {
+                tenant = await verifyOwnerApiKey(apiKey);
+            } catch (error) {
+                // AgentGatePay is unreachable and no recent verification is cached - fail closed,
+                // without counting it against the client
+                return res.status(503).json({
+                    error: 'Owner verification unavailable',
+                    message: 'AgentGatePay could not be reached to verify the API key. Try again shortly.'
+                });
+            }
+            if (!tenant) {
+                recordAuthFailure(req);
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'This signing service only accepts requests from the owner. Your API key is not authorized.'
+                });
+            }
+            authLockout.reset(req.ip);
+
+            // ⏱️ Per-key rate limit
+            const rate = rateLimiter.take(tenant.id, tenant.rateLimitPerMinute);
+            if (rate.limit) {
+                res.set('X-RateLimit-Limit', String(rate.limit));
+                res.set('X-RateLimit-Remaining', String(rate.remaining));
+                res.set('X-RateLimit-Reset', String(rate.resetSeconds));
+            }
+            if (!rate.allowed) {
+                console.warn(`⏱️  Rate limit of ${rate.limit}/min reached${tenants.multiTenant ? ` (tenant ${tenant.id})` : ''}`);
+                res.set('Retry-After', String(rate.resetSeconds));
+                return res.status(429).json({
+                    error: 'Rate limit exceeded',
+                    message: `At most ${rate.limit} requests per minute. Try again in ${rate.resetSeconds}s.`,
+                    retry_after_seconds: rate.resetSeconds
+                });
+            }
+
+            // Everything after this runs as the tenant (its wallet, state and log prefix)
+            req.apiKey = apiKey;
+            req.tenant = tenant;
+            tenant.run(next);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * ✋ Middleware - manual approvals need the approver's key (not the agent's API key)
+     *
+     * The key must be the approval key of the tenant the payment belongs to
+     * (its own approval_key, or POLICY_APPROVAL_KEY). Sets req.tenant.
+     */
+    function requireApprover(req, res, next) {
+        const lockedFor = authLockout.lockedFor(req.ip);
+        if (lockedFor) {
+            return lockedOut(res, lockedFor);
+        }
+
+        const tenant = tenants.forPayment(req.params.id);
+        if (!tenant) {
+            return res.status(404).json({
+                error: 'Payment not found',
+                payment_id: req.params.id
+            });
+        }
+
+        if (!tenant.approvalKey) {
+            return res.status(503).json({
+                error: 'Manual approval not configured',
+                message: 'Set POLICY_APPROVAL_KEY (multi-tenant: the tenant\'s approval_key) to enable manual approvals'
+            });
+        }
+
+        if (!safeEqual(req.headers['x-approval-key'], tenant.approvalKey)) {
+            console.error(`❌ Invalid approval key attempted access`);
+            recordAuthFailure(req);
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'Valid x-approval-key header required'
+            });
+        }
+        authLockout.reset(req.ip);
+
+        req.tenant = tenant;
+        tenant.run(next);
+    }
+
+    return { openAccess, ownerCache, requireOwner, requireApprover };
+}
+
+module.exports = {
+    createOwnerAuth
+};
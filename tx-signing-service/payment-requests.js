@@ -0,0 +1,197 @@
+/**
+ * Payment request checks shared by /sign-payment, /quote-payment and batches
+ *
+ * Validation of the request body against the registry, the mandate the
+ * request carries (see mandates.js), and the 403 bodies for a payment the
+ * spending policy or a mandate refuses.
+ */
+
+const { ethers } = require('ethers');
+const { AUTO_CHAIN } = require('./chain-selection');
+const { MandateError, verifyMandate, checkMandateScope } = require('./mandates');
+
+/**
+ * 403 body for a payment the spending policy refused, naming the broken rule
+ */
+function policyViolation(decision) {
+    const { allowed, requires_approval, reservation_id, ...details } = decision;
+    return {
+        error: 'Policy violation',
+        ...details
+    };
+}
+
+/**
+ * 403 body for a refused mandate (a MandateError or a refused budget reservation)
+ */
+function mandateRejection(refusal) {
+    if (refusal instanceof MandateError) {
+        return {
+            error: 'Mandate rejected',
+            reason: refusal.reason,
+            message: refusal.message,
+            mandate_id: refusal.mandateId
+        };
+    }
+    const { allowed, ...details } = refusal;
+    return { error: 'Mandate rejected', ...details };
+}
+
+/**
+ * Request checks of one signing service
+ * `mandates` is the compiled mandates config (see mandates.js), or null
+ * Returns { validatePaymentRequest, validateTokenChain, resolveMandate }
+ */
+function createRequestChecks({ registry, mandates: MANDATES }) {
+    /**
+     * Validate a payment request body (shared by /sign-payment and /quote-payment)
+     * Returns { params } or { error } with the 400 response body
+     */
+    function validatePaymentRequest(body) {
+        const { merchant_address, total_amount, token, chain } = body || {};
+
+        if (!merchant_address || !total_amount || !token || !chain) {
+            return {
+                error: {
+                    error: 'Invalid request',
+                    message: 'Required fields: merchant_address, total_amount, token, chain'
+                }
+            };
+        }
+
+        if (!ethers.isAddress(merchant_address)) {
+            return {
+                error: {
+                    error: 'Invalid request',
+                    message: `Invalid merchant_address: ${merchant_address}`
+                }
+            };
+        }
+
+        if (!/^[0-9]+$/.test(String(total_amount)) || BigInt(total_amount) === 0n) {
+            return {
+                error: {
+                    error: 'Invalid request',
+                    message: 'total_amount must be a positive integer in atomic units'
+                }
+            };
+        }
+
+        // "auto": the chain is picked later (see selectPaymentChain), the token must exist somewhere
+        if (chain === AUTO_CHAIN) {
+            if (registry.tokenChains(token).length === 0) {
+                return {
+                    error: {
+                        error: `Unsupported token: ${token}`,
+                        supported: registry.tokenSymbols()
+                    }
+                };
+            }
+            return { params: { merchant_address, total_amount: BigInt(total_amount).toString(), token, chain } };
+        }
+
+        const target = validateTokenChain(token, chain);
+        if (target.error) return target;
+
+        return {
+            params: {
+                merchant_address,
+                total_amount: BigInt(total_amount).toString(),
+                token,
+                chain,
+                ...target.params
+            }
+        };
+    }
+
+    /**
+     * Validate a token/chain pair (shared by payments and batches)
+     * Returns { params: { tokenAddress, tokenDecimals } } or { error, status }
+     * (tokenAddress is null for the chain's native currency)
+     */
+    function validateTokenChain(token, chain) {
+        if (!registry.getChain(chain)) {
+            return {
+                error: {
+                    error: `Unsupported chain: ${chain}`,
+                    supported: registry.chainNames()
+                }
+            };
+        }
+
+        if (registry.tokenChains(token).length === 0) {
+            return {
+                error: {
+                    error: `Unsupported token: ${token}`,
+                    supported: registry.tokenSymbols()
+                }
+            };
+        }
+
+        const tokenConfig = registry.getToken(token, chain);
+        if (!tokenConfig) {
+            return {
+                error: {
+                    error: `${token} not supported on ${chain}`
+                }
+            };
+        }
+
+        const unavailable = registry.unavailableReason(chain, token);
+        if (unavailable) {
+            return {
+                status: 503,
+                error: {
+                    error: 'Chain or token unavailable',
+                    message: unavailable
+                }
+            };
+        }
+
+        return {
+            params: {
+                tokenAddress: tokenConfig.address,
+                tokenDecimals: tokenConfig.decimals
+            }
+        };
+    }
+
+    /**
+     * 📜 Verify the request's mandate and check it covers this wallet, token and chain
+     * (and merchants, if given). Returns { mandate } - null if the request has none
+     * and none is required - or { refused: { status, body } }
+     */
+    function resolveMandate(tenant, body, { token, chain, merchants }) {
+        if (body.mandate === undefined) {
+            if (MANDATES && MANDATES.required) {
+                return {
+                    refused: {
+                        status: 403,
+                        body: {
+                            error: 'Mandate required',
+                            message: 'Payments need a mandate signed by a trusted user key ("mandate" in the request body)'
+                        }
+                    }
+                };
+            }
+            return { mandate: null };
+        }
+
+        try {
+            const mandate = verifyMandate(body.mandate, MANDATES);
+            checkMandateScope(mandate, { wallet: tenant.address, token, chain, merchants });
+            return { mandate };
+        } catch (error) {
+            if (!(error instanceof MandateError)) throw error;
+            return { refused: { status: 403, body: mandateRejection(error) } };
+        }
+    }
+
+    return { validatePaymentRequest, validateTokenChain, resolveMandate };
+}
+
+module.exports = {
+    policyViolation,
+    mandateRejection,
+    createRequestChecks
+};
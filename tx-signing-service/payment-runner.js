@@ -0,0 +1,512 @@
+/**
+ * Payment processing
+ *
+ * A payment is recorded before anything is signed (see payments.js) and is
+ * then advanced one step at a time - commission sent, commission confirmed,
+ * merchant sent, completed - so a failed or interrupted payment can be
+ * resumed without paying anything twice. In x402 mode both legs are signed
+ * as EIP-3009 authorizations instead (see x402.js). Async payments answer
+ * once the commission is broadcast and finish in the background.
+ */
+
+const { ethers } = require('ethers');
+const { PAYMENT_STATES } = require('./payments');
+const { GasCapError } = require('./gas');
+const { eip3009Domain, signTransferAuthorization, encodeXPayment } = require('./x402');
+
+/**
+ * Payment processing of one signing service
+ * `transfers` sends the legs (see transfers.js); `activePayments` holds the ids of
+ * the payments and batches being processed right now
+ */
+function createPaymentRunner({ registry, metrics, commissionClient, transfers, activePayments }) {
+    const { connectWallet, paymentLeg, sendLeg, waitForLeg } = transfers;
+
+    /**
+     * Advance a payment through its state machine until it is completed
+     *
+     * Safe to call on a payment in any state: steps that already happened
+     * (e.g. a confirmed commission) are never repeated. `onBroadcast(payment)`
+     * is called once the first transaction is on its way (async mode).
+     */
+    async function processPayment(tenant, paymentId, { onBroadcast } = {}) {
+        const { payments } = tenant;
+        let payment = payments.get(paymentId);
+
+        const { provider, wallet } = connectWallet(tenant, payment.chain);
+
+        console.log(`\n  📡 Blockchain: ${payment.chain}`);
+        console.log(`  From wallet: ${wallet.address}`);
+        console.log(`  Payment: ${payment.id} (${payment.status})`);
+
+        // 🔐 TRANSACTION 1: Commission (to AgentGatePay)
+        if (payment.status === PAYMENT_STATES.CREATED) {
+            console.log(`\n  🔐 TRANSACTION 1: Commission Transfer`);
+            // Moves the payment to commission_sent (see paymentLeg() in transfers.js)
+            await sendLeg(paymentLeg(tenant, payment.id, 'commission'), provider, wallet);
+            payment = payments.get(payment.id);
+        }
+
+        if (onBroadcast) onBroadcast(payment);
+
+        if (payment.status === PAYMENT_STATES.COMMISSION_SENT) {
+            const mined = await waitForLeg(tenant, paymentLeg(tenant, payment.id, 'commission'), provider, wallet);
+
+            if (!mined) {
+                payments.transition(payment.id, PAYMENT_STATES.CREATED, {}, 'commission transaction dropped');
+                throw new Error('Commission transaction was dropped before confirmation. Resume the payment to re-send it.');
+            }
+
+            const receipt1 = mined.receipt;
+            if (mined.attempt.kind === 'cancel') {
+                payments.transition(payment.id, PAYMENT_STATES.CREATED, {}, 'commission transaction cancelled');
+                throw new Error('Commission transaction was cancelled. Resume the payment to send it again.');
+            }
+
+            console.log(`     Block: ${receipt1.blockNumber}`);
+            console.log(`     Status: ${receipt1.status === 1 ? 'Success ✅' : 'Failed ❌'}`);
+
+            if (receipt1.status !== 1) {
+                payments.transition(payment.id, PAYMENT_STATES.CREATED, {}, 'commission transaction reverted');
+                throw new Error('Commission transaction failed on-chain');
+            }
+
+            payment = payments.transition(payment.id, PAYMENT_STATES.COMMISSION_CONFIRMED, {
+                commission_tx_hash: receipt1.hash,
+                commission_block_number: receipt1.blockNumber,
+                commission_gas_used: receipt1.gasUsed.toString()
+            });
+        }
+
+        // 🔐 TRANSACTION 2: Merchant Payment (only after commission is confirmed)
+        if (payment.status === PAYMENT_STATES.COMMISSION_CONFIRMED) {
+            console.log(`\n  🔐 TRANSACTION 2: Merchant Transfer`);
+            // Moves the payment to merchant_sent (see paymentLeg() in transfers.js)
+            await sendLeg(paymentLeg(tenant, payment.id, 'merchant'), provider, wallet);
+            payment = payments.get(payment.id);
+        }
+
+        if (payment.status === PAYMENT_STATES.MERCHANT_SENT) {
+            const mined = await waitForLeg(tenant, paymentLeg(tenant, payment.id, 'merchant'), provider, wallet);
+
+            if (!mined) {
+                payments.transition(payment.id, PAYMENT_STATES.COMMISSION_CONFIRMED, {}, 'merchant transaction dropped');
+                throw new Error('Merchant transaction was dropped before confirmation. Resume the payment to re-send it.');
+            }
+
+            const receipt2 = mined.receipt;
+            if (mined.attempt.kind === 'cancel') {
+                payments.transition(payment.id, PAYMENT_STATES.COMMISSION_CONFIRMED, {}, 'merchant transaction cancelled');
+                throw new Error('Merchant transaction was cancelled. Resume the payment to send it again.');
+            }
+
+            console.log(`     Block: ${receipt2.blockNumber}`);
+            console.log(`     Status: ${receipt2.status === 1 ? 'Success ✅' : 'Failed ❌'}`);
+
+            if (receipt2.status !== 1) {
+                payments.transition(payment.id, PAYMENT_STATES.COMMISSION_CONFIRMED, {}, 'merchant transaction reverted');
+                throw new Error('Merchant transaction failed on-chain');
+            }
+
+            payment = payments.transition(payment.id, PAYMENT_STATES.COMPLETED, {
+                merchant_tx_hash: receipt2.hash,
+                merchant_block_number: receipt2.blockNumber,
+                merchant_gas_used: receipt2.gasUsed.toString()
+            });
+        }
+
+        return payment;
+    }
+
+    /**
+     * 🔏 x402 MODE: Sign EIP-3009 authorizations for both legs (nothing is broadcast)
+     *
+     * The validity window starts when the authorizations are signed (which may be
+     * after a manual approval), not when the payment was requested.
+     */
+    async function authorizePayment(tenant, paymentId) {
+        const { payments } = tenant;
+        let payment = payments.get(paymentId);
+
+        const { wallet } = connectWallet(tenant, payment.chain);
+        const domain = eip3009Domain({
+            ...registry.getToken(payment.token, payment.chain).eip3009,
+            chainId: registry.getChain(payment.chain).chainId,
+            verifyingContract: payment.token_address
+        });
+
+        // validAfter is a minute in the past to tolerate clock drift between us and the chain
+        const now = Math.floor(Date.now() / 1000);
+        const validAfter = now - 60;
+        const validBefore = now + payment.valid_for_seconds;
+
+        console.log(`\n  🔏 x402 AUTHORIZATIONS (EIP-3009 transferWithAuthorization)`);
+        console.log(`  From wallet: ${wallet.address}`);
+        console.log(`  Valid until: ${new Date(validBefore * 1000).toISOString()}`);
+
+        const commission = await signTransferAuthorization(wallet, domain, {
+            from: wallet.address,
+            to: payment.commission_address,
+            value: payment.commission_amount,
+            validAfter,
+            validBefore
+        });
+        console.log(`     Commission nonce: ${commission.authorization.nonce}`);
+
+        const merchant = await signTransferAuthorization(wallet, domain, {
+            from: wallet.address,
+            to: payment.merchant_address,
+            value: payment.merchant_amount,
+            validAfter,
+            validBefore
+        });
+        console.log(`     Merchant nonce: ${merchant.authorization.nonce}`);
+
+        payment = payments.transition(payment.id, PAYMENT_STATES.AUTHORIZED, {
+            valid_after: validAfter,
+            valid_before: validBefore,
+            commission_authorization: commission,
+            merchant_authorization: merchant
+        });
+
+        console.log(`\n  ✅ BOTH AUTHORIZATIONS SIGNED!`);
+        return payment;
+    }
+
+    /**
+     * Success response for an x402 payment: one X-PAYMENT payload per leg
+     */
+    function authorizationResponse(payment) {
+        const { chain } = payment;
+
+        return {
+            success: true,
+            payment_id: payment.id,
+            status: payment.status,
+            mode: payment.mode,
+
+            // x402 X-PAYMENT header values (base64) - settle BOTH with a facilitator
+            x_payment: encodeXPayment(chain, payment.merchant_authorization),
+            x_payment_commission: encodeXPayment(chain, payment.commission_authorization),
+
+            authorizations: {
+                merchant: payment.merchant_authorization,
+                commission: payment.commission_authorization
+            },
+            valid_after: payment.valid_after,
+            valid_before: payment.valid_before,
+
+            // Payment details
+            from: payment.from,
+            merchant: payment.merchant_address,
+            commission_address: payment.commission_address,
+            total_amount: payment.total_amount,
+            merchant_amount: payment.merchant_amount,
+            commission_amount: payment.commission_amount,
+            commission_rate: payment.commission_rate,
+            token: payment.token,
+            token_address: payment.token_address,
+            chain: chain,
+            chain_id: registry.getChain(chain).chainId,
+            quote_id: payment.quote_id,
+            mandate_id: payment.mandate ? payment.mandate.id : undefined,
+            mandate_remaining: payment.mandate_remaining,
+
+            // Security info
+            commission_controlled_by: 'agentgatepay',
+            config_fetched_from: commissionClient.url,
+
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Success response for a finished payment in either mode
+     */
+    function paymentResult(payment) {
+        return payment.mode === 'x402' ? authorizationResponse(payment) : paymentResponse(payment);
+    }
+
+    /**
+     * Decimals of a payment's token (recorded at creation; older payments fall back to the registry)
+     */
+    function tokenDecimals(payment) {
+        if (payment.token_decimals !== undefined) return payment.token_decimals;
+        return registry.getToken(payment.token, payment.chain).decimals;
+    }
+
+    /**
+     * Success response for a completed payment (same shape as always returned by /sign-payment)
+     */
+    function paymentResponse(payment) {
+        const { chain, token } = payment;
+        const decimals = tokenDecimals(payment);
+        // Token amounts are read as USD (stablecoins) - a native currency has no USD value here
+        const usd = amount => (payment.token_address ? Number(amount) / (10 ** decimals) : null);
+
+        return {
+            success: true,
+            payment_id: payment.id,
+            status: payment.status,
+
+            // Merchant transaction (main payment)
+            txHash: payment.merchant_tx_hash,
+            tx_hash: payment.merchant_tx_hash,
+            blockNumber: payment.merchant_block_number,
+            explorerUrl: registry.explorerTxUrl(chain, payment.merchant_tx_hash),
+
+            // Commission transaction
+            txHashCommission: payment.commission_tx_hash,
+            tx_hash_commission: payment.commission_tx_hash,
+            blockNumberCommission: payment.commission_block_number,
+            explorerUrlCommission: registry.explorerTxUrl(chain, payment.commission_tx_hash),
+
+            // Payment details
+            from: payment.from,
+            merchant: payment.merchant_address,
+            commission_address: payment.commission_address,
+            total_amount: payment.total_amount,
+            merchant_amount: payment.merchant_amount,
+            commission_amount: payment.commission_amount,
+            commission_rate: payment.commission_rate,
+            token: token,
+            chain: chain,
+            chain_selection: payment.chain_selection,
+            quote_id: payment.quote_id,
+            mandate_id: payment.mandate ? payment.mandate.id : undefined,
+            mandate_remaining: payment.mandate_remaining,
+
+            // USD values
+            total_usd: usd(payment.total_amount),
+            merchant_usd: usd(payment.merchant_amount),
+            commission_usd: usd(payment.commission_amount),
+
+            // Security info
+            commission_controlled_by: 'agentgatepay',
+            config_fetched_from: commissionClient.url,
+
+            gasUsed: (BigInt(payment.commission_gas_used) + BigInt(payment.merchant_gas_used)).toString(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Error response for a payment that failed after it was recorded
+     */
+    function paymentFailure(payment, error) {
+        const details = {
+            payment_id: payment.id,
+            status: payment.status,
+            failed_at_status: payment.failed_at_status,
+            commission_tx_hash: payment.commission_tx_hash,
+            merchant_tx_hash: payment.merchant_tx_hash,
+            resume: `POST /payments/${payment.id}/resume`
+        };
+
+        if (error instanceof GasCapError) {
+            return {
+                status: 503,
+                body: {
+                    error: 'Gas price above cap',
+                    message: error.message,
+                    ...error.details,
+                    ...details
+                }
+            };
+        }
+
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+            return {
+                status: 400,
+                body: {
+                    error: 'Insufficient funds',
+                    message: 'Gateway wallet does not have enough tokens or ETH for gas',
+                    ...details
+                }
+            };
+        }
+
+        return {
+            status: 500,
+            body: {
+                error: 'Payment failed',
+                message: error.message,
+                ...details
+            }
+        };
+    }
+
+    /**
+     * 📊 End-to-end latency of a finished payment, from when it could start
+     * (created, or approved) until now
+     */
+    function observePaymentDuration(payment) {
+        const started = payment.history.find(entry => entry.status === PAYMENT_STATES.CREATED);
+        metrics.paymentDuration.observe(
+            { chain: payment.chain, token: payment.token, mode: payment.mode || 'broadcast' },
+            (Date.now() - Date.parse(started.at)) / 1000
+        );
+    }
+
+    /**
+     * Run a payment to completion, recording failures on the payment itself
+     */
+    async function runPayment(tenant, paymentId, { onBroadcast } = {}) {
+        const { payments, spendingPolicy, mandates } = tenant;
+
+        activePayments.add(paymentId);
+        try {
+            if (payments.get(paymentId).mode === 'x402') {
+                const payment = await authorizePayment(tenant, paymentId);
+                observePaymentDuration(payment);
+                return { status: 200, body: authorizationResponse(payment) };
+            }
+
+            const payment = await processPayment(tenant, paymentId, { onBroadcast });
+            logPaymentSummary(payment);
+            observePaymentDuration(payment);
+            return { status: 200, body: paymentResponse(payment) };
+        } catch (error) {
+            console.error(`\n❌ ERROR:`, error.message);
+            let failed = payments.fail(paymentId, error);
+            console.error(`   Payment ${failed.id} failed at: ${failed.failed_at_status}`);
+
+            // Nothing was broadcast - give the budget and mandate spend back (resume reserves them again)
+            if (!failed.commission_tx_hash && (failed.budget_reservation_id || failed.mandate_reservation_id)) {
+                spendingPolicy.release(failed.budget_reservation_id);
+                mandates.release(failed.mandate_reservation_id);
+                failed = payments.update(failed.id, { budget_reservation_id: undefined, mandate_reservation_id: undefined });
+            }
+            return paymentFailure(failed, error);
+        } finally {
+            activePayments.delete(paymentId);
+        }
+    }
+
+    /**
+     * 202 response for an async payment whose commission transaction is broadcast
+     */
+    function acceptedResponse(payment) {
+        return {
+            success: true,
+            payment_id: payment.id,
+            status: payment.status,
+            async: true,
+            txHashCommission: payment.commission_tx_hash,
+            tx_hash_commission: payment.commission_tx_hash,
+            explorerUrlCommission: registry.explorerTxUrl(payment.chain, payment.commission_tx_hash),
+            confirmations: registry.getChain(payment.chain).confirmations,
+            chain: payment.chain,
+            chain_selection: payment.chain_selection,
+            webhook_url: payment.webhook_url || null,
+            mandate_id: payment.mandate ? payment.mandate.id : undefined,
+            status_url: `GET /payments/${payment.id}`,
+            message: payment.webhook_url
+                ? 'Payment broadcast. The final result will be POSTed to the webhook once both transfers are confirmed.'
+                : 'Payment broadcast. Poll the status URL for the final result.'
+        };
+    }
+
+    /**
+     * Record the final result of an async payment: answer its idempotency key
+     * and queue the webhook callback
+     */
+    function finishAsyncPayment(tenant, paymentId, result) {
+        const { payments, idempotency, webhooks } = tenant;
+        const payment = payments.get(paymentId);
+
+        if (payment.idempotency_id) {
+            idempotency.complete(payment.idempotency_id, result.status, result.body);
+        }
+        if (payment.webhook_url) {
+            webhooks.enqueue({
+                url: payment.webhook_url,
+                event: result.status === 200 ? 'payment.completed' : 'payment.failed',
+                paymentId,
+                data: result.body
+            });
+        }
+    }
+
+    /**
+     * An async payment's background run threw (e.g. a state file couldn't be
+     * written): log it and record the payment as failed instead of leaving an
+     * unhandled rejection to take the process down
+     */
+    function asyncPaymentCrashed(tenant, paymentId, error) {
+        console.error(`❌ Async payment ${paymentId} crashed: ${error.message}`);
+        try {
+            tenant.payments.fail(paymentId, error);
+        } catch (failError) {
+            console.error(`❌ Payment ${paymentId} could not be recorded as failed: ${failError.message}`);
+        }
+    }
+
+    /**
+     * ⏩ ASYNC MODE: Run a payment in the background
+     *
+     * Resolves with { status: 202, accepted: true } as soon as the commission
+     * transaction is broadcast; the payment then keeps running and its final
+     * result goes to finishAsyncPayment(). If the payment ends before anything
+     * was broadcast (e.g. gas above the cap), resolves with that result instead -
+     * the caller answers the request with it like a sync payment.
+     */
+    function runPaymentAsync(tenant, paymentId) {
+        return new Promise(resolve => {
+            let accepted = false;
+            const onBroadcast = payment => {
+                accepted = true;
+                resolve({ status: 202, accepted: true, body: acceptedResponse(payment) });
+            };
+
+            runPayment(tenant, paymentId, { onBroadcast }).then(result => {
+                if (accepted) {
+                    finishAsyncPayment(tenant, paymentId, result);
+                } else {
+                    resolve(result);
+                }
+            }).catch(error => {
+                asyncPaymentCrashed(tenant, paymentId, error);
+                if (!accepted) {
+                    resolve(paymentFailure(tenant.payments.get(paymentId), error));
+                }
+            });
+        });
+    }
+
+    /**
+     * Run a payment in its mode: sync payments resolve with the final result,
+     * async ones with the 202 once broadcast (see runPaymentAsync)
+     */
+    function startPayment(tenant, paymentId) {
+        return tenant.payments.get(paymentId).async
+            ? runPaymentAsync(tenant, paymentId)
+            : runPayment(tenant, paymentId);
+    }
+
+    function logPaymentSummary(payment) {
+        const decimals = tokenDecimals(payment);
+        const rate = payment.commission_rate;
+        const format = amount => (payment.token_address
+            ? `$${(Number(amount) / (10 ** decimals)).toFixed(6)}`
+            : `${ethers.formatUnits(amount, decimals)} ${payment.token}`);
+
+        console.log(`\n  ✅ BOTH TRANSACTIONS CONFIRMED!`);
+        console.log(`     Total: ${format(payment.total_amount)}`);
+        console.log(`     Commission: ${format(payment.commission_amount)} (${rate * 100}%)`);
+        console.log(`     Merchant: ${format(payment.merchant_amount)} (${(1 - rate) * 100}%)`);
+    }
+
+    return {
+        runPayment,
+        startPayment,
+        finishAsyncPayment,
+        asyncPaymentCrashed,
+        paymentResult,
+        tokenDecimals
+    };
+}
+
+module.exports = {
+    createPaymentRunner
+};
@@ -0,0 +1,212 @@
+/**
+ * Payment records and state machine
+ *
+ * Every /sign-payment call becomes a persisted record that moves through:
+ *
+ *   created → commission_sent → commission_confirmed → merchant_sent → completed
+ *
+ * x402 payments (EIP-3009 authorizations) are never broadcast by the service:
+ *
+ *   created → authorized
+ *
+ * Payments above the spending policy's approval threshold start in
+ * `pending_approval` and only move to `created` once approved (or to
+ * `rejected`).
+ *
+ * Any step can move to `failed`. A failed payment remembers the state it
+ * failed in (`failed_at_status`) so POST /payments/:id/resume can pick up
+ * exactly where it stopped, without paying the commission a second time.
+ *
+ * A transaction that reverted or was dropped moves the payment back to the
+ * state before it was sent (e.g. commission_sent → created), so resuming
+ * re-sends only that leg. The same happens when a leg was cancelled
+ * (POST /transactions/:hash/cancel).
+ *
+ * Each broadcast leg keeps every transaction sent at its nonce in
+ * `<leg>_tx_attempts` (the original plus fee-bump replacements);
+ * `<leg>_tx_hash` is the latest attempt until one confirms. A leg moves to
+ * `<leg>_sent` when its transaction is signed, before it is broadcast, with
+ * the raw transaction in the attempt - a restart in between rebroadcasts it
+ * instead of paying again.
+ */
+
+const crypto = require('crypto');
+const { JsonStore } = require('./store');
+
+const PAYMENT_STATES = {
+    PENDING_APPROVAL: 'pending_approval',
+    REJECTED: 'rejected',
+    CREATED: 'created',
+    COMMISSION_SENT: 'commission_sent',
+    COMMISSION_CONFIRMED: 'commission_confirmed',
+    MERCHANT_SENT: 'merchant_sent',
+    COMPLETED: 'completed',
+    AUTHORIZED: 'authorized',
+    FAILED: 'failed'
+};
+
+const S = PAYMENT_STATES;
+
+// Allowed transitions (failed → * is handled by resume())
+const TRANSITIONS = {
+    [S.PENDING_APPROVAL]: [S.CREATED, S.REJECTED],
+    [S.REJECTED]: [],
+    [S.CREATED]: [S.COMMISSION_SENT, S.AUTHORIZED, S.FAILED],
+    [S.COMMISSION_SENT]: [S.COMMISSION_CONFIRMED, S.CREATED, S.FAILED],
+    [S.COMMISSION_CONFIRMED]: [S.MERCHANT_SENT, S.FAILED],
+    [S.MERCHANT_SENT]: [S.COMPLETED, S.COMMISSION_CONFIRMED, S.FAILED],
+    [S.COMPLETED]: [],
+    [S.AUTHORIZED]: [],
+    [S.FAILED]: []
+};
+
+class PaymentStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentStateError';
+    }
+}
+
+class PaymentStore {
+    constructor({ store } = {}) {
+        this.store = store || new JsonStore('payments');
+    }
+
+    create(fields, status = S.CREATED) {
+        const now = new Date().toISOString();
+        const id = `pay_${crypto.randomBytes(12).toString('hex')}`;
+
+        return this.store.set(id, {
+            id,
+            ...fields,
+            status,
+            history: [{ status, at: now }],
+            created_at: now,
+            updated_at: now
+        });
+    }
+
+    get(id) {
+        return this.store.get(id);
+    }
+
+    update(id, updates) {
+        const payment = this.require(id);
+        return this.store.set(id, {
+            ...payment,
+            ...updates,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Move a payment to a new state, recording the step in its history
+     */
+    transition(id, status, updates = {}, note) {
+        const payment = this.require(id);
+
+        if (!TRANSITIONS[payment.status].includes(status)) {
+            throw new PaymentStateError(`Invalid payment transition: ${payment.status} → ${status}`);
+        }
+
+        const now = new Date().toISOString();
+        const entry = { status, at: now };
+        if (note) entry.note = note;
+
+        return this.store.set(id, {
+            ...payment,
+            ...updates,
+            status,
+            history: [...payment.history, entry],
+            updated_at: now
+        });
+    }
+
+    fail(id, error) {
+        const payment = this.require(id);
+        if ([S.FAILED, S.COMPLETED, S.AUTHORIZED, S.REJECTED].includes(payment.status)) return payment;
+
+        return this.transition(id, S.FAILED, {
+            failed_at_status: payment.status,
+            error: error.message
+        }, error.message);
+    }
+
+    /**
+     * Put a failed payment back into the state it failed in, so it can be continued
+     */
+    resume(id) {
+        const payment = this.require(id);
+        if (payment.status !== S.FAILED) return payment;
+
+        const now = new Date().toISOString();
+        return this.store.set(id, {
+            ...payment,
+            status: payment.failed_at_status,
+            failed_at_status: undefined,
+            error: undefined,
+            history: [...payment.history, { status: payment.failed_at_status, at: now, note: 'resumed' }],
+            updated_at: now
+        });
+    }
+
+    /**
+     * Payments that still need attention: anything not completed, except
+     * failures where nothing was ever broadcast and payments that are
+     * waiting for (or were refused) approval
+     */
+    incomplete() {
+        return this.store.values().filter(p => {
+            if ([S.COMPLETED, S.AUTHORIZED, S.PENDING_APPROVAL, S.REJECTED].includes(p.status)) return false;
+            if (p.status === S.FAILED && !p.commission_tx_hash && !p.merchant_tx_hash) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Whether a payment can still change: waiting for approval, in flight,
+     * or failed and waiting to be resumed (unknown ids count as finished)
+     */
+    isUnfinished(id) {
+        const payment = this.store.get(id);
+        return Boolean(payment) && ![S.COMPLETED, S.AUTHORIZED, S.REJECTED].includes(payment.status);
+    }
+
+    /**
+     * Every payment (metrics)
+     */
+    all() {
+        return this.store.values();
+    }
+
+    /**
+     * Payment and leg ('commission' or 'merchant') a transaction hash was
+     * broadcast for - any attempt, including fee-bump replacements
+     */
+    findByTransaction(hash) {
+        const wanted = hash.toLowerCase();
+        for (const payment of this.store.values()) {
+            for (const leg of ['commission', 'merchant']) {
+                const attempts = payment[`${leg}_tx_attempts`] || [];
+                if (attempts.some(a => a.hash.toLowerCase() === wanted)) {
+                    return { payment, leg };
+                }
+            }
+        }
+        return null;
+    }
+
+    require(id) {
+        const payment = this.store.get(id);
+        if (!payment) {
+            throw new PaymentStateError(`Payment not found: ${id}`);
+        }
+        return payment;
+    }
+}
+
+module.exports = {
+    PaymentStore,
+    PaymentStateError,
+    PAYMENT_STATES
+};
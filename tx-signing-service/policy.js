@@ -0,0 +1,299 @@
+/**
+ * Spending policy engine
+ *
+ * Checked before any transaction is built. Loaded once at startup from a
+ * JSON policy file (see spending-policy.example.json):
+ *
+ * {
+ *   "merchants": { "allow": ["0x..."], "deny": ["0x..."] },
+ *   "tokens": {
+ *     "USDC": {
+ *       "max_per_transaction": "100",       // token units, not atomic units
+ *       "approval_threshold": "50",         // above this a human must approve
+ *       "daily_budget": "500",              // rolling 24h, per chain
+ *       "monthly_budget": "5000",           // rolling 30 days, per chain
+ *       "chains": { "ethereum": { "daily_budget": "100" } }  // per-chain overrides
+ *     }
+ *   }
+ * }
+ *
+ * Once a policy has a "tokens" section, tokens missing from it can't be paid
+ * at all (fail closed - e.g. native ETH isn't unlimited just because it isn't
+ * listed). A policy without one only checks the merchant lists.
+ *
+ * Budget usage is kept in a durable ledger so it survives restarts. Entries
+ * older than the longest window are dropped at startup and then at most once
+ * an hour, when a payment is reserved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { JsonStore } = require('./store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = {
+    daily_budget: DAY_MS,
+    monthly_budget: 30 * DAY_MS
+};
+
+const LIMIT_FIELDS = ['max_per_transaction', 'approval_threshold', 'daily_budget', 'monthly_budget'];
+
+// How often ledger entries older than the longest window are dropped
+const LEDGER_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class PolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PolicyError';
+    }
+}
+
+/**
+ * Find the policy file: POLICY_FILE env → Secret File → local file (dev)
+ * Returns null if no policy is configured.
+ */
+function loadPolicyFile() {
+    const candidates = [
+        process.env.POLICY_FILE,
+        '/etc/secrets/spending-policy.json',
+        path.join(__dirname, 'spending-policy.json')
+    ].filter(Boolean);
+
+    for (const file of candidates) {
+        if (fs.existsSync(file)) {
+            return { file, policy: JSON.parse(fs.readFileSync(file, 'utf8')) };
+        }
+    }
+
+    if (process.env.POLICY_FILE) {
+        throw new PolicyError(`Policy file not found: ${process.env.POLICY_FILE}`);
+    }
+    return null;
+}
+
+/**
+ * Validate the raw policy and convert token-unit limits to atomic units (BigInt)
+ *
+ * Limits are compiled per chain, since a token can have different decimals on
+ * different chains.
+ */
+function compilePolicy(raw, registry) {
+    const merchants = raw.merchants || {};
+    const compiled = {
+        allow: (merchants.allow || []).map(a => normalizeAddress(a, 'merchants.allow')),
+        deny: (merchants.deny || []).map(a => normalizeAddress(a, 'merchants.deny')),
+        // Without a "tokens" section no token is limited
+        limitsTokens: raw.tokens !== undefined,
+        tokens: {}
+    };
+
+    for (const [symbol, rules] of Object.entries(raw.tokens || {})) {
+        // ERC-20 tokens and native currencies (ETH, POL, ...) alike
+        const tokenChains = registry.tokenChains(symbol);
+        if (tokenChains.length === 0) {
+            throw new PolicyError(`Unknown token in policy: ${symbol}`);
+        }
+
+        for (const chain of Object.keys(rules.chains || {})) {
+            if (!tokenChains.includes(chain)) {
+                throw new PolicyError(`${symbol} is not supported on ${chain} (tokens.${symbol}.chains.${chain})`);
+            }
+        }
+
+        const chains = {};
+        for (const chain of tokenChains) {
+            const { decimals } = registry.getToken(symbol, chain);
+            const chainRules = (rules.chains || {})[chain] || {};
+            chains[chain] = {
+                ...compileLimits(rules, decimals, `tokens.${symbol}`),
+                ...compileLimits(chainRules, decimals, `tokens.${symbol}.chains.${chain}`)
+            };
+        }
+
+        compiled.tokens[symbol] = chains;
+    }
+
+    return compiled;
+}
+
+function compileLimits(rules, decimals, where) {
+    const limits = {};
+    for (const field of LIMIT_FIELDS) {
+        if (rules[field] === undefined || rules[field] === null) continue;
+        try {
+            limits[field] = ethers.parseUnits(String(rules[field]), decimals);
+        } catch (error) {
+            throw new PolicyError(`Invalid amount for ${where}.${field}: ${rules[field]}`);
+        }
+    }
+    return limits;
+}
+
+function normalizeAddress(address, where) {
+    if (!ethers.isAddress(address)) {
+        throw new PolicyError(`Invalid address in ${where}: ${address}`);
+    }
+    return address.toLowerCase();
+}
+
+class SpendingPolicy {
+    constructor({ policy, registry, ledger, pruneIntervalMs = LEDGER_PRUNE_INTERVAL_MS } = {}) {
+        this.enabled = Boolean(policy);
+        this.registry = registry;
+        this.rules = policy ? compilePolicy(policy, registry) : null;
+        this.ledger = ledger || new JsonStore('policy-spend');
+        this.pruneIntervalMs = pruneIntervalMs;
+        this.prune();
+    }
+
+    // null for tokens the policy doesn't list (if it lists any)
+    limitsFor(token, chain) {
+        const rules = this.rules.tokens[token];
+        if (!rules) return this.rules.limitsTokens ? null : {};
+        return rules[chain] || {};
+    }
+
+    // Drop ledger entries older than the longest window, in one write
+    prune() {
+        const now = Date.now();
+        const cutoff = now - WINDOWS.monthly_budget;
+        this.ledger.deleteMany(this.ledger.values().filter(entry => Date.parse(entry.at) < cutoff).map(entry => entry.id));
+        this.prunedAt = now;
+    }
+
+    usage(token, chain, windowMs) {
+        const since = Date.now() - windowMs;
+        return this.ledger.values()
+            .filter(e => e.token === token && e.chain === chain && Date.parse(e.at) >= since)
+            .reduce((sum, e) => sum + BigInt(e.amount), 0n);
+    }
+
+    /**
+     * Check a payment against the policy. Returns:
+     * - { allowed: true, requires_approval }
+     * - { allowed: false, rule, message, ... } naming the rule that was broken
+     */
+    evaluate({ merchant_address, total_amount, token, chain }) {
+        if (!this.enabled) return { allowed: true, requires_approval: false };
+
+        const merchant = merchant_address.toLowerCase();
+        const amount = BigInt(total_amount);
+
+        if (this.rules.deny.includes(merchant)) {
+            return violation('merchant_deny_list', `Merchant ${merchant_address} is on the deny list`, { merchant: merchant_address });
+        }
+
+        if (this.rules.allow.length > 0 && !this.rules.allow.includes(merchant)) {
+            return violation('merchant_allow_list', `Merchant ${merchant_address} is not on the allow list`, { merchant: merchant_address });
+        }
+
+        const limits = this.limitsFor(token, chain);
+
+        if (!limits) {
+            return violation('token_not_in_policy', `${token} is not listed in the spending policy`, { token, chain });
+        }
+
+        if (limits.max_per_transaction !== undefined && amount > limits.max_per_transaction) {
+            return violation('max_per_transaction', `Amount exceeds the maximum of ${this.format(limits.max_per_transaction, token, chain)} ${token} per transaction`, {
+                token, chain,
+                limit: limits.max_per_transaction.toString(),
+                requested: amount.toString()
+            });
+        }
+
+        for (const [rule, windowMs] of Object.entries(WINDOWS)) {
+            if (limits[rule] === undefined) continue;
+            const used = this.usage(token, chain, windowMs);
+            if (used + amount > limits[rule]) {
+                const period = rule === 'daily_budget' ? '24 hours' : '30 days';
+                return violation(rule, `Payment would exceed the ${token} budget on ${chain} of ${this.format(limits[rule], token, chain)} per ${period}`, {
+                    token, chain,
+                    limit: limits[rule].toString(),
+                    used: used.toString(),
+                    requested: amount.toString()
+                });
+            }
+        }
+
+        const requiresApproval = limits.approval_threshold !== undefined && amount > limits.approval_threshold;
+        return {
+            allowed: true,
+            requires_approval: requiresApproval,
+            approval_threshold: requiresApproval ? limits.approval_threshold.toString() : undefined
+        };
+    }
+
+    /**
+     * Evaluate and, if allowed, reserve the amount against the budgets in one step
+     * (no await in between, so concurrent requests can't both squeeze under a budget)
+     */
+    reserve(request) {
+        const decision = this.evaluate(request);
+        if (!decision.allowed || !this.enabled) return decision;
+
+        if (Date.now() - this.prunedAt >= this.pruneIntervalMs) {
+            this.prune();
+        }
+
+        const id = `rsv_${crypto.randomBytes(8).toString('hex')}`;
+        this.ledger.set(id, {
+            id,
+            token: request.token,
+            chain: request.chain,
+            amount: BigInt(request.total_amount).toString(),
+            at: new Date().toISOString()
+        });
+        return { ...decision, reservation_id: id };
+    }
+
+    /**
+     * Give back budget for a payment that never broadcast anything
+     */
+    release(reservationId) {
+        if (reservationId) this.ledger.delete(reservationId);
+    }
+
+    format(amount, token, chain) {
+        return ethers.formatUnits(amount, this.registry.getToken(token, chain).decimals);
+    }
+
+    /**
+     * Current limits and rolling usage, for GET /policy
+     */
+    summary() {
+        if (!this.enabled) return { enabled: false };
+
+        const tokens = {};
+        for (const token of Object.keys(this.rules.tokens)) {
+            tokens[token] = {};
+            for (const chain of this.registry.tokenChains(token)) {
+                const limits = this.limitsFor(token, chain);
+                const entry = {};
+                for (const [field, value] of Object.entries(limits)) {
+                    entry[field] = this.format(value, token, chain);
+                }
+                entry.used_24h = this.format(this.usage(token, chain, WINDOWS.daily_budget), token, chain);
+                entry.used_30d = this.format(this.usage(token, chain, WINDOWS.monthly_budget), token, chain);
+                tokens[token][chain] = entry;
+            }
+        }
+
+        return {
+            enabled: true,
+            merchants: { allow: this.rules.allow, deny: this.rules.deny },
+            tokens
+        };
+    }
+}
+
+function violation(rule, message, details = {}) {
+    return { allowed: false, rule, message, ...details };
+}
+
+module.exports = {
+    SpendingPolicy,
+    PolicyError,
+    loadPolicyFile
+};
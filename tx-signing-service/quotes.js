@@ -0,0 +1,74 @@
+/**
+ * Short-lived payment quotes
+ *
+ * POST /quote-payment returns a quote_id. Passing it to /sign-payment (with
+ * the same merchant, amount, token and chain - or "chain": "auto" for the
+ * quoted chain) signs with the commission split that was quoted instead of
+ * fetching the config again.
+ *
+ * Quotes live in memory only - they expire within seconds anyway.
+ */
+
+const crypto = require('crypto');
+const { AUTO_CHAIN } = require('./chain-selection');
+
+const QUOTED_FIELDS = ['merchant_address', 'total_amount', 'token', 'chain'];
+
+class QuoteStore {
+    constructor({ ttlMs }) {
+        this.ttlMs = ttlMs;
+        this.quotes = new Map();
+    }
+
+    create(scope, fields) {
+        this.prune();
+
+        const now = Date.now();
+        const quote = {
+            id: `qt_${crypto.randomBytes(12).toString('hex')}`,
+            ...fields,
+            created_at: new Date(now).toISOString(),
+            expires_at: new Date(now + this.ttlMs).toISOString()
+        };
+
+        this.quotes.set(quote.id, { scope, quote });
+        return quote;
+    }
+
+    /**
+     * Look up a quote for a /sign-payment request
+     * Returns { quote } or { error } if it is unknown, expired or for a different payment
+     */
+    resolve(scope, quoteId, request) {
+        const entry = this.quotes.get(quoteId);
+
+        // Quotes from another API key look exactly like unknown ones
+        if (!entry || entry.scope !== scope) {
+            return { error: `Unknown quote: ${quoteId}` };
+        }
+
+        if (Date.parse(entry.quote.expires_at) < Date.now()) {
+            this.quotes.delete(quoteId);
+            return { error: `Quote ${quoteId} has expired - request a new quote` };
+        }
+
+        for (const field of QUOTED_FIELDS) {
+            // "chain": "auto" pays on the chain the quote picked
+            if (field === 'chain' && request.chain === AUTO_CHAIN) continue;
+            if (String(request[field]).toLowerCase() !== String(entry.quote[field]).toLowerCase()) {
+                return { error: `Quote ${quoteId} was issued for a different ${field}` };
+            }
+        }
+
+        return { quote: entry.quote };
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [id, entry] of this.quotes) {
+            if (Date.parse(entry.quote.expires_at) < now) this.quotes.delete(id);
+        }
+    }
+}
+
+module.exports = { QuoteStore };
@@ -0,0 +1,459 @@
+/**
+ * On-chain reconciliation of recorded payments
+ *
+ * Scans the ERC-20 `Transfer` logs sent FROM the gateway wallet on every
+ * chain (for every registry token on that chain) and matches them to the
+ * stored payments and batches by transaction hash - any attempt counts,
+ * including fee-bump replacements. x402 payments are settled by a
+ * facilitator in a transaction we never see, so their transfers are matched
+ * by the EIP-3009 `AuthorizationUsed` nonce logged in the same transaction.
+ * Issues found:
+ *
+ *   unknown_transfer          an outgoing transfer no payment or batch sent
+ *   transfer_mismatch         a recorded transaction moved a different token,
+ *                             amount or recipient than the record says
+ *   missing_transaction       a leg recorded as mined in a scanned block has
+ *                             no transfer log (e.g. record edited, chain reorg)
+ *   commission_rate_mismatch  a recorded commission isn't what the recorded
+ *                             rate gives for the total
+ *
+ * Native-currency payments (ETH, POL, ...) move value without any log, so
+ * only their commission rate is checked.
+ *
+ * Each chain's scan position is kept (reconciliation.json), so every block
+ * is scanned once: the first run starts at the oldest recorded payment block
+ * (at most lookbackBlocks back), later runs continue where the last one
+ * stopped. Only blocks at the chain's confirmation depth are scanned.
+ *
+ * Every leg's result is written onto its record (`reconciliation` on the
+ * payment / batch / batch item). Issues are kept (the newest MAX_ISSUES) and
+ * the same issue found again is not added twice.
+ */
+
+const { ethers } = require('ethers');
+const { JsonStore } = require('./store');
+
+const tokenInterface = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce)'
+]);
+const TRANSFER_TOPIC = tokenInterface.getEvent('Transfer').topicHash;
+const AUTHORIZATION_USED_TOPIC = tokenInterface.getEvent('AuthorizationUsed').topicHash;
+
+const ISSUE_TYPES = ['unknown_transfer', 'transfer_mismatch', 'missing_transaction', 'commission_rate_mismatch'];
+
+// Issues kept (oldest dropped first)
+const MAX_ISSUES = 1000;
+
+/**
+ * Scan positions, issues and the last run of one tenant
+ */
+class ReconciliationStore {
+    constructor({ store } = {}) {
+        this.store = store || new JsonStore('reconciliation');
+    }
+
+    lastBlock(chain) {
+        const cursor = this.store.get(`cursor:${chain}`);
+        return cursor ? cursor.last_block : null;
+    }
+
+    setLastBlock(chain, block) {
+        this.store.set(`cursor:${chain}`, { id: `cursor:${chain}`, kind: 'cursor', chain, last_block: block, updated_at: new Date().toISOString() });
+    }
+
+    cursors() {
+        return Object.fromEntries(this.store.values()
+            .filter(r => r.kind === 'cursor')
+            .map(r => [r.chain, { last_block: r.last_block, updated_at: r.updated_at }]));
+    }
+
+    /**
+     * Record an issue; false if it was already known
+     */
+    addIssue(issue) {
+        const id = `issue:${issue.key}`;
+        if (this.store.has(id)) return false;
+
+        const { key, ...fields } = issue;
+        this.store.set(id, { id, kind: 'issue', ...fields, found_at: new Date().toISOString() });
+
+        const issues = this.issues();
+        for (const old of issues.slice(0, Math.max(0, issues.length - MAX_ISSUES))) {
+            this.store.delete(old.id);
+        }
+        return true;
+    }
+
+    /**
+     * Issues, oldest first
+     */
+    issues() {
+        return this.store.values()
+            .filter(r => r.kind === 'issue')
+            .sort((a, b) => a.found_at.localeCompare(b.found_at));
+    }
+
+    lastRun() {
+        const run = this.store.get('run:last');
+        if (!run) return null;
+        const { id, kind, ...fields } = run;
+        return fields;
+    }
+
+    setLastRun(run) {
+        this.store.set('run:last', { id: 'run:last', kind: 'run', ...run });
+    }
+}
+
+/**
+ * Every transfer the tenant's records say were sent, by transaction hash
+ * (lowercase) - or `auth:<nonce>` for x402 authorizations. Each entry:
+ * { chain, token_address, to, amount, tx_hash, block_number, ref: { payment_id | batch_id, item, leg } }
+ */
+function expectedTransfers(tenant) {
+    const expected = new Map();
+    const add = (attempts, entry) => {
+        // Native-currency transfers leave no Transfer log to match
+        if (!entry.token_address) return;
+        for (const attempt of attempts || []) {
+            // A cancel is a 0-value self-transfer of the native currency - no Transfer log
+            if (attempt.kind === 'cancel') continue;
+            expected.set(attempt.hash.toLowerCase(), entry);
+        }
+    };
+
+    for (const payment of tenant.payments.all()) {
+        for (const leg of ['commission', 'merchant']) {
+            const authorization = payment[`${leg}_authorization`];
+            if (authorization) {
+                expected.set(`auth:${authorization.authorization.nonce.toLowerCase()}`, {
+                    chain: payment.chain,
+                    token_address: payment.token_address,
+                    to: authorization.authorization.to,
+                    amount: authorization.authorization.value,
+                    ref: { payment_id: payment.id, leg }
+                });
+                continue;
+            }
+            add(payment[`${leg}_tx_attempts`], {
+                chain: payment.chain,
+                token_address: payment.token_address,
+                to: leg === 'commission' ? payment.commission_address : payment.merchant_address,
+                amount: payment[`${leg}_amount`],
+                tx_hash: payment[`${leg}_tx_hash`],
+                block_number: payment[`${leg}_block_number`],
+                ref: { payment_id: payment.id, leg }
+            });
+        }
+    }
+
+    for (const batch of tenant.batches.all()) {
+        add(batch.commission_tx_attempts, {
+            chain: batch.chain,
+            token_address: batch.token_address,
+            to: batch.commission_address,
+            amount: batch.commission_amount,
+            tx_hash: batch.commission_tx_hash,
+            block_number: batch.commission_block_number,
+            ref: { batch_id: batch.id, leg: 'commission' }
+        });
+        for (const item of batch.items) {
+            add(item.tx_attempts, {
+                chain: batch.chain,
+                token_address: batch.token_address,
+                to: item.merchant_address,
+                amount: item.merchant_amount,
+                tx_hash: item.tx_hash,
+                block_number: item.block_number,
+                ref: { batch_id: batch.id, item: item.index, leg: 'merchant' }
+            });
+        }
+    }
+
+    return expected;
+}
+
+function refKey(ref) {
+    return [ref.payment_id || ref.batch_id, ref.item, ref.leg].filter(v => v !== undefined).join(':');
+}
+
+function sameAddress(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Reconciles one tenant's records against the chains
+ *
+ * expectedCommission(totalAmount, rate) is the commission the service
+ * charges (the same split /sign-payment uses).
+ */
+class Reconciler {
+    constructor({ tenant, registry, providerFor, expectedCommission, blockChunk = 2000, lookbackBlocks = 50000, maxChunksPerRun = 50 }) {
+        Object.assign(this, { tenant, registry, providerFor, expectedCommission, blockChunk, lookbackBlocks, maxChunksPerRun });
+        this.running = null;
+    }
+
+    /**
+     * Run once (concurrent calls share the run in progress)
+     */
+    run() {
+        if (!this.running) {
+            this.running = this.tenant.run(() => this.runOnce()).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runOnce() {
+        const started = new Date().toISOString();
+        const { reconciliation } = this.tenant;
+        const expected = expectedTransfers(this.tenant);
+        const found = [];
+
+        const chains = {};
+        for (const chain of this.registry.chainNames()) {
+            try {
+                chains[chain] = await this.scanChain(chain, expected, found);
+            } catch (error) {
+                console.error(`❌ Reconciliation of ${chain} failed: ${error.shortMessage || error.message}`);
+                chains[chain] = { error: error.shortMessage || error.message };
+            }
+        }
+
+        found.push(...this.checkCommissionRates());
+
+        const added = found.filter(issue => reconciliation.addIssue(issue));
+        for (const issue of added) {
+            console.warn(`🧮 Reconciliation: ${issue.type} - ${issue.message}`);
+        }
+
+        const run = {
+            started_at: started,
+            finished_at: new Date().toISOString(),
+            chains,
+            new_issues: added.length,
+            open_issues: reconciliation.issues().length
+        };
+        reconciliation.setLastRun(run);
+        console.log(`🧮 Reconciliation finished: ${added.length} new issue(s), ${run.open_issues} total`);
+        return run;
+    }
+
+    /**
+     * Scan one chain from its cursor up to the confirmed head
+     */
+    async scanChain(chain, expected, found) {
+        const { reconciliation, address } = this.tenant;
+        const tokens = Object.values(this.registry.tokens)
+            .filter(t => t.contracts[chain])
+            .map(t => ({ symbol: t.symbol, ...t.contracts[chain] }));
+        if (tokens.length === 0) return { skipped: 'no tokens on this chain' };
+        const unavailable = this.registry.unavailableReason(chain);
+        if (unavailable) throw new Error(unavailable);
+
+        const provider = this.providerFor(chain);
+        const { confirmations } = this.registry.getChain(chain);
+        const head = await provider.getBlockNumber() - (confirmations - 1);
+
+        let from = reconciliation.lastBlock(chain);
+        if (from === null) {
+            // First run: from the oldest recorded block on this chain, at most lookbackBlocks back
+            const recorded = [...expected.values()]
+                .filter(e => e.chain === chain && e.block_number !== undefined)
+                .map(e => e.block_number);
+            const floor = Math.max(0, head - this.lookbackBlocks);
+            from = Math.max(floor, Math.min(head, ...recorded)) - 1;
+        }
+
+        const start = from + 1;
+        let chunks = 0;
+        let transfers = 0;
+
+        while (from < head && chunks < this.maxChunksPerRun) {
+            const to = Math.min(head, from + this.blockChunk);
+            // Both events have the wallet as their first indexed argument
+            const entries = await provider.getLogs({
+                address: tokens.map(t => t.address),
+                topics: [[TRANSFER_TOPIC, AUTHORIZATION_USED_TOPIC], ethers.zeroPadValue(address, 32)],
+                fromBlock: from + 1,
+                toBlock: to
+            });
+
+            // x402 nonces used per transaction
+            const nonces = new Map();
+            for (const log of entries.filter(l => l.topics[0] === AUTHORIZATION_USED_TOPIC)) {
+                const hash = log.transactionHash.toLowerCase();
+                nonces.set(hash, [...(nonces.get(hash) || []), log.topics[2].toLowerCase()]);
+            }
+
+            const matched = new Set();
+            for (const log of entries.filter(l => l.topics[0] === TRANSFER_TOPIC)) {
+                transfers += 1;
+                this.matchLog(chain, tokens, log, expected, nonces.get(log.transactionHash.toLowerCase()) || [], matched, found);
+            }
+            this.findMissing(chain, from + 1, to, expected, matched, found);
+
+            reconciliation.setLastBlock(chain, to);
+            from = to;
+            chunks += 1;
+        }
+
+        return { from_block: start, to_block: from, head, transfer_logs: transfers, caught_up: from >= head };
+    }
+
+    /**
+     * Match one Transfer log to the leg that sent it (by hash, or by an x402
+     * nonce used in the same transaction); matched collects the legs' keys
+     */
+    matchLog(chain, tokens, log, expected, nonces, matched, found) {
+        const { args } = tokenInterface.parseLog(log);
+        const hash = log.transactionHash.toLowerCase();
+        const token = tokens.find(t => sameAddress(t.address, log.address));
+        const transfer = {
+            chain,
+            tx_hash: log.transactionHash,
+            log_index: log.index,
+            block_number: log.blockNumber,
+            token: token.symbol,
+            to: args.to,
+            amount: args.value.toString()
+        };
+
+        const byNonce = nonces.map(nonce => expected.get(`auth:${nonce}`)).filter(Boolean);
+        const entry = expected.get(hash)
+            || byNonce.find(e => sameAddress(e.to, args.to) && String(e.amount) === transfer.amount)
+            || byNonce.find(e => !matched.has(refKey(e.ref)));
+        if (!entry || entry.chain !== chain) {
+            found.push({
+                key: `unknown_transfer:${chain}:${hash}:${log.index}`,
+                type: 'unknown_transfer',
+                ...transfer,
+                message: `${ethers.formatUnits(args.value, token.decimals)} ${token.symbol} to ${args.to} on ${chain} (${log.transactionHash}) matches no recorded payment`
+            });
+            return;
+        }
+
+        matched.add(refKey(entry.ref));
+        const ok = sameAddress(entry.token_address, log.address)
+            && sameAddress(entry.to, args.to)
+            && String(entry.amount) === transfer.amount;
+
+        this.recordLeg(entry.ref, ok ? 'matched' : 'mismatch');
+        if (!ok) {
+            found.push({
+                key: `transfer_mismatch:${refKey(entry.ref)}:${hash}`,
+                type: 'transfer_mismatch',
+                ...entry.ref,
+                ...transfer,
+                expected: { token_address: entry.token_address, to: entry.to, amount: String(entry.amount) },
+                message: `${refKey(entry.ref)}: ${log.transactionHash} sent ${transfer.amount} to ${args.to}, the record says ${entry.amount} to ${entry.to}`
+            });
+        }
+    }
+
+    /**
+     * Legs recorded as mined in [from, to] whose transfer log never showed up
+     */
+    findMissing(chain, from, to, expected, matched, found) {
+        for (const entry of expected.values()) {
+            if (entry.chain !== chain || entry.block_number === undefined) continue;
+            if (entry.block_number < from || entry.block_number > to) continue;
+
+            // Replacements share the leg's key - the leg is fine if any attempt was seen
+            const key = refKey(entry.ref);
+            if (matched.has(key)) continue;
+            matched.add(key);
+
+            this.recordLeg(entry.ref, 'missing');
+            found.push({
+                key: `missing_transaction:${key}`,
+                type: 'missing_transaction',
+                ...entry.ref,
+                chain,
+                tx_hash: entry.tx_hash,
+                block_number: entry.block_number,
+                message: `${key}: recorded as mined in block ${entry.block_number} on ${chain}, but no transfer from the wallet was found`
+            });
+        }
+    }
+
+    /**
+     * Recorded commissions that don't match the recorded rate
+     */
+    checkCommissionRates() {
+        const issues = [];
+        const check = (ref, total, rate, recorded, update) => {
+            if (total === undefined || recorded === undefined || rate === undefined) return;
+            const expected = this.expectedCommission(total, rate);
+            const ok = String(recorded) === String(expected);
+            update(ok ? 'matched' : 'mismatch');
+            if (!ok) {
+                issues.push({
+                    key: `commission_rate_mismatch:${refKey(ref)}`,
+                    type: 'commission_rate_mismatch',
+                    ...ref,
+                    total_amount: String(total),
+                    commission_rate: rate,
+                    commission_amount: String(recorded),
+                    expected_commission: String(expected),
+                    message: `${refKey(ref)}: commission ${recorded} on ${total} is not ${rate * 100}% (expected ${expected})`
+                });
+            }
+        };
+
+        const { payments, batches } = this.tenant;
+        for (const payment of payments.all()) {
+            check({ payment_id: payment.id }, payment.total_amount, payment.commission_rate, payment.commission_amount,
+                result => this.recordLeg({ payment_id: payment.id, leg: 'commission_rate' }, result));
+        }
+        for (const batch of batches.all()) {
+            let sum = 0n;
+            for (const item of batch.items.filter(i => i.commission_amount !== undefined)) {
+                sum += BigInt(item.commission_amount);
+                check({ batch_id: batch.id, item: item.index }, item.total_amount, batch.commission_rate, item.commission_amount,
+                    result => this.recordLeg({ batch_id: batch.id, item: item.index, leg: 'commission_rate' }, result));
+            }
+            if (batch.commission_amount !== undefined && BigInt(batch.commission_amount) !== sum) {
+                issues.push({
+                    key: `commission_rate_mismatch:${batch.id}:total`,
+                    type: 'commission_rate_mismatch',
+                    batch_id: batch.id,
+                    commission_amount: String(batch.commission_amount),
+                    expected_commission: sum.toString(),
+                    message: `${batch.id}: combined commission ${batch.commission_amount} is not the sum of its items' commissions (${sum})`
+                });
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Write a leg's result onto its payment, batch or batch item
+     */
+    recordLeg(ref, result) {
+        const { payments, batches } = this.tenant;
+        const checkedAt = new Date().toISOString();
+
+        if (ref.payment_id) {
+            const payment = payments.get(ref.payment_id);
+            if ((payment.reconciliation || {})[ref.leg] === result) return;
+            payments.update(ref.payment_id, { reconciliation: { ...payment.reconciliation, [ref.leg]: result, checked_at: checkedAt } });
+        } else if (ref.item === undefined) {
+            const batch = batches.get(ref.batch_id);
+            if ((batch.reconciliation || {})[ref.leg] === result) return;
+            batches.update(ref.batch_id, { reconciliation: { ...batch.reconciliation, [ref.leg]: result, checked_at: checkedAt } });
+        } else {
+            const item = batches.get(ref.batch_id).items.find(i => i.index === ref.item);
+            if ((item.reconciliation || {})[ref.leg] === result) return;
+            batches.updateItem(ref.batch_id, ref.item, { reconciliation: { ...item.reconciliation, [ref.leg]: result, checked_at: checkedAt } });
+        }
+    }
+}
+
+module.exports = {
+    ISSUE_TYPES,
+    ReconciliationStore,
+    Reconciler
+};
@@ -0,0 +1,570 @@
+/**
+ * Chain & token registry
+ *
+ * Chains and tokens used to be hard-coded for four mainnets. The registry is
+ * now loaded from configuration (first match wins):
+ *
+ *   1. REGISTRY_FILE  - path to a JSON or YAML file
+ *   2. REGISTRY_JSON  - inline JSON
+ *   3. Built-in defaults (Base, Ethereum, Polygon, Arbitrum mainnet)
+ *
+ * Format (see registry.example.yaml):
+ *
+ *   include_defaults: true          # merge on top of the built-in mainnets
+ *   chains:
+ *     base-sepolia:
+ *       chain_id: 84532
+ *       rpc_urls: [https://sepolia.base.org]   # tried in order (fallbacks)
+ *       explorer: https://sepolia.basescan.org
+ *       eip1559: true
+ *       native_currency: { symbol: ETH, decimals: 18, usd_price: 3000 }
+ *       testnet: true
+ *       gas: { max_fee_gwei: 50, bump_after_seconds: 30 }   # see gas.js
+ *       confirmations: 1                # blocks before a transfer counts as final
+ *   tokens:
+ *     USDC:
+ *       decimals: 6
+ *       eip3009: { name: USD Coin, version: "2" }
+ *       contracts:
+ *         base-sepolia: { address: "0x036C...", eip3009: { name: USDC, version: "2" } }
+ *
+ * A chain's native currency is payable like a token, under its symbol (ETH,
+ * POL, ...) - a plain value transfer instead of an ERC-20 transfer. Its
+ * usd_price is a rough reference price, only used by "chain": "auto" to
+ * compare gas costs between chains with different native currencies.
+ *
+ * `<CHAIN>_RPC` env vars (e.g. BASE_RPC, BASE_SEPOLIA_RPC, comma-separated for
+ * fallbacks) override a chain's rpc_urls.
+ *
+ * The registry is validated at startup. verify() then checks every RPC's
+ * chainId and every token's on-chain decimals() against the config; RPCs and
+ * tokens that don't match are taken out of service.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const YAML = require('yaml');
+const { compileGasConfig } = require('./gas');
+
+const DEFAULT_REGISTRY = {
+    chains: {
+        base: {
+            chain_id: 8453,
+            rpc_urls: ['https://mainnet.base.org'],
+            explorer: 'https://basescan.org',
+            eip1559: true,
+            native_currency: { symbol: 'ETH', decimals: 18, usd_price: 3000 },
+            gas: { max_fee_gwei: 50 }
+        },
+        ethereum: {
+            chain_id: 1,
+            rpc_urls: ['https://cloudflare-eth.com'],
+            explorer: 'https://etherscan.io',
+            eip1559: true,
+            native_currency: { symbol: 'ETH', decimals: 18, usd_price: 3000 },
+            gas: { max_fee_gwei: 300 }
+        },
+        polygon: {
+            chain_id: 137,
+            rpc_urls: ['https://polygon-rpc.com'],
+            explorer: 'https://polygonscan.com',
+            eip1559: true,
+            native_currency: { symbol: 'POL', decimals: 18, usd_price: 0.25 },
+            gas: { max_fee_gwei: 2000 }
+        },
+        arbitrum: {
+            chain_id: 42161,
+            rpc_urls: ['https://arb1.arbitrum.io/rpc'],
+            explorer: 'https://arbiscan.io',
+            eip1559: true,
+            native_currency: { symbol: 'ETH', decimals: 18, usd_price: 3000 },
+            gas: { max_fee_gwei: 50 }
+        }
+    },
+    tokens: {
+        USDC: {
+            decimals: 6,
+            // EIP-712 domain for EIP-3009 transferWithAuthorization (x402 mode)
+            eip3009: { name: 'USD Coin', version: '2' },
+            contracts: {
+                base: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+                ethereum: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+                polygon: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
+                arbitrum: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831'
+            }
+        },
+        USDT: {
+            decimals: 6,
+            contracts: {
+                ethereum: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+                polygon: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F',
+                arbitrum: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9'
+            }
+        },
+        DAI: {
+            decimals: 18,
+            contracts: {
+                base: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
+                ethereum: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+                polygon: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063',
+                arbitrum: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1'
+            }
+        }
+    }
+};
+
+const DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+// How long one RPC may take to answer during verification
+const VERIFY_TIMEOUT_MS = 10000;
+
+class RegistryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RegistryError';
+    }
+}
+
+/**
+ * Read the raw registry from REGISTRY_FILE / REGISTRY_JSON, or the defaults
+ */
+function loadRegistryConfig(env = process.env) {
+    let raw = null;
+    let source = 'default';
+
+    if (env.REGISTRY_FILE) {
+        if (!fs.existsSync(env.REGISTRY_FILE)) {
+            throw new RegistryError(`Registry file not found: ${env.REGISTRY_FILE}`);
+        }
+        const text = fs.readFileSync(env.REGISTRY_FILE, 'utf8');
+        raw = /\.ya?ml$/i.test(env.REGISTRY_FILE) ? YAML.parse(text) : JSON.parse(text);
+        source = env.REGISTRY_FILE;
+    } else if (env.REGISTRY_JSON) {
+        raw = JSON.parse(env.REGISTRY_JSON);
+        source = 'REGISTRY_JSON';
+    }
+
+    if (!raw) {
+        return { config: DEFAULT_REGISTRY, source };
+    }
+
+    if (typeof raw !== 'object') {
+        throw new RegistryError('Registry must be an object with "chains" and "tokens"');
+    }
+
+    if (!raw.include_defaults) {
+        return { config: raw, source };
+    }
+
+    // Merge on top of the defaults (a token's contracts are merged per chain)
+    const tokens = { ...DEFAULT_REGISTRY.tokens };
+    for (const [symbol, token] of Object.entries(raw.tokens || {})) {
+        const base = tokens[symbol] || {};
+        tokens[symbol] = {
+            ...base,
+            ...token,
+            contracts: { ...(base.contracts || {}), ...(token.contracts || {}) }
+        };
+    }
+
+    return {
+        config: {
+            chains: { ...DEFAULT_REGISTRY.chains, ...(raw.chains || {}) },
+            tokens
+        },
+        source: `${source} (+ defaults)`
+    };
+}
+
+/**
+ * <CHAIN>_RPC env var name for a chain (base-sepolia → BASE_SEPOLIA_RPC)
+ */
+function rpcEnvName(chain) {
+    return `${chain.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_RPC`;
+}
+
+class Registry {
+    constructor(config, { source = 'default', env = process.env } = {}) {
+        this.source = source;
+        this.chains = {};
+        this.tokens = {};
+        this.verification = null;
+
+        this.compileChains(config.chains, env);
+        this.compileTokens(config.tokens);
+    }
+
+    compileChains(chains, env) {
+        if (!chains || typeof chains !== 'object' || Object.keys(chains).length === 0) {
+            throw new RegistryError('Registry must define at least one chain');
+        }
+
+        const seenIds = new Map();
+        for (const [name, chain] of Object.entries(chains)) {
+            const where = `chains.${name}`;
+
+            if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+                throw new RegistryError(`Invalid chain name "${name}" (use lowercase letters, digits and dashes)`);
+            }
+            if (!Number.isInteger(chain.chain_id) || chain.chain_id <= 0) {
+                throw new RegistryError(`${where}.chain_id must be a positive integer`);
+            }
+            if (seenIds.has(chain.chain_id)) {
+                throw new RegistryError(`${where}.chain_id ${chain.chain_id} is already used by ${seenIds.get(chain.chain_id)}`);
+            }
+            seenIds.set(chain.chain_id, name);
+
+            const envRpc = env[rpcEnvName(name)];
+            const rpcUrls = envRpc
+                ? envRpc.split(',').map(u => u.trim()).filter(Boolean)
+                : chain.rpc_urls;
+
+            if (!Array.isArray(rpcUrls) || rpcUrls.length === 0) {
+                throw new RegistryError(`${where}.rpc_urls must be a non-empty list`);
+            }
+            for (const url of rpcUrls) {
+                if (typeof url !== 'string' || !/^(https?|wss?):\/\//.test(url)) {
+                    throw new RegistryError(`${where}.rpc_urls contains an invalid URL: ${url}`);
+                }
+            }
+
+            const native = chain.native_currency || { symbol: 'ETH', decimals: 18 };
+            if (!native.symbol || !Number.isInteger(native.decimals)) {
+                throw new RegistryError(`${where}.native_currency needs a symbol and integer decimals`);
+            }
+            if (native.usd_price !== undefined && !(typeof native.usd_price === 'number' && native.usd_price > 0)) {
+                throw new RegistryError(`${where}.native_currency.usd_price must be a positive number`);
+            }
+
+            const confirmations = chain.confirmations !== undefined ? chain.confirmations : 1;
+            if (!Number.isInteger(confirmations) || confirmations < 1) {
+                throw new RegistryError(`${where}.confirmations must be a positive integer`);
+            }
+
+            let gas;
+            try {
+                gas = compileGasConfig(chain.gas || {}, { eip1559: chain.eip1559 !== false, where: `${where}.gas` });
+            } catch (error) {
+                throw new RegistryError(error.message);
+            }
+
+            this.chains[name] = {
+                name,
+                chainId: chain.chain_id,
+                rpcUrls,
+                explorer: chain.explorer ? chain.explorer.replace(/\/+$/, '') : null,
+                eip1559: chain.eip1559 !== false,
+                nativeCurrency: {
+                    symbol: native.symbol,
+                    decimals: native.decimals,
+                    usdPrice: native.usd_price !== undefined ? native.usd_price : null
+                },
+                testnet: Boolean(chain.testnet),
+                confirmations,
+                gas,
+                // Chain-specific settings other modules read (e.g. gas strategy)
+                options: chain
+            };
+        }
+    }
+
+    compileTokens(tokens) {
+        if (!tokens || typeof tokens !== 'object') {
+            throw new RegistryError('Registry must define "tokens"');
+        }
+
+        for (const [symbol, token] of Object.entries(tokens)) {
+            const where = `tokens.${symbol}`;
+            const contracts = {};
+
+            for (const [chain, entry] of Object.entries(token.contracts || {})) {
+                if (!this.chains[chain]) {
+                    throw new RegistryError(`${where}.contracts.${chain}: unknown chain "${chain}"`);
+                }
+                if (this.chains[chain].nativeCurrency.symbol === symbol) {
+                    throw new RegistryError(`${where}.contracts.${chain}: ${symbol} is the native currency of ${chain}`);
+                }
+
+                const contract = typeof entry === 'string' ? { address: entry } : (entry || {});
+                if (!ethers.isAddress(contract.address)) {
+                    throw new RegistryError(`${where}.contracts.${chain}: invalid address ${contract.address}`);
+                }
+
+                const decimals = contract.decimals !== undefined ? contract.decimals : token.decimals;
+                if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+                    throw new RegistryError(`${where}.contracts.${chain}: decimals must be an integer between 0 and 36`);
+                }
+
+                const eip3009 = contract.eip3009 !== undefined ? contract.eip3009 : token.eip3009;
+                if (eip3009 && (!eip3009.name || !eip3009.version)) {
+                    throw new RegistryError(`${where}.contracts.${chain}: eip3009 needs a name and version`);
+                }
+
+                contracts[chain] = {
+                    address: ethers.getAddress(contract.address),
+                    decimals,
+                    eip3009: eip3009 || null
+                };
+            }
+
+            if (Object.keys(contracts).length === 0) {
+                throw new RegistryError(`${where} has no contracts`);
+            }
+
+            this.tokens[symbol] = {
+                symbol,
+                decimals: Number.isInteger(token.decimals) ? token.decimals : Object.values(contracts)[0].decimals,
+                contracts
+            };
+        }
+    }
+
+    chainNames() {
+        return Object.keys(this.chains);
+    }
+
+    /**
+     * ERC-20 symbols, then native currency symbols
+     */
+    tokenSymbols() {
+        const natives = Object.values(this.chains).map(c => c.nativeCurrency.symbol);
+        return [...new Set([...Object.keys(this.tokens), ...natives])];
+    }
+
+    /**
+     * Chains a token (or native currency) can be paid in, in registry order
+     */
+    tokenChains(symbol) {
+        return this.chainNames().filter(chain => this.getToken(symbol, chain));
+    }
+
+    getChain(name) {
+        return this.chains[name] || null;
+    }
+
+    /**
+     * Resolved token entry on one chain: { symbol, chain, native, address, decimals, eip3009 }
+     * The chain's native currency has native: true and no address.
+     */
+    getToken(symbol, chain) {
+        const token = this.tokens[symbol];
+        if (token && token.contracts[chain]) {
+            return { symbol, chain, native: false, ...token.contracts[chain] };
+        }
+
+        const native = this.chains[chain] && this.chains[chain].nativeCurrency;
+        if (native && native.symbol === symbol) {
+            return { symbol, chain, native: true, address: null, decimals: native.decimals, eip3009: null };
+        }
+        return null;
+    }
+
+    /**
+     * Why a chain or token can't be used right now (failed verification), or null
+     */
+    unavailableReason(chain, symbol) {
+        if (!this.verification) return null;
+
+        const chainStatus = this.verification.chains[chain];
+        if (chainStatus && chainStatus.usable_rpc_urls.length === 0) {
+            return `No RPC for ${chain} passed verification`;
+        }
+
+        if (symbol) {
+            const tokenStatus = (this.verification.tokens[symbol] || {})[chain];
+            if (tokenStatus && tokenStatus.status === 'decimals_mismatch') {
+                return `${symbol} on ${chain} failed verification: on-chain decimals() is ${tokenStatus.on_chain}, config says ${tokenStatus.expected}`;
+            }
+        }
+        return null;
+    }
+
+    explorerTxUrl(chain, txHash) {
+        const explorer = this.chains[chain] && this.chains[chain].explorer;
+        return explorer ? `${explorer}/tx/${txHash}` : null;
+    }
+
+    /**
+     * RPC URLs that may be used (everything except those with the wrong chainId)
+     */
+    usableRpcUrls(chain) {
+        const { rpcUrls } = this.chains[chain];
+        if (!this.verification || !this.verification.chains[chain]) return rpcUrls;
+        return this.verification.chains[chain].usable_rpc_urls;
+    }
+
+    /**
+     * Provider for a chain, with fallbacks if several RPC URLs are configured
+     */
+    createProvider(chain) {
+        const { chainId } = this.chains[chain];
+        const network = ethers.Network.from(chainId);
+        const urls = this.usableRpcUrls(chain);
+
+        if (urls.length === 0) {
+            throw new RegistryError(this.unavailableReason(chain));
+        }
+
+        if (urls.length === 1) {
+            return new ethers.JsonRpcProvider(urls[0], network, { staticNetwork: network });
+        }
+
+        return new ethers.FallbackProvider(
+            urls.map((url, i) => ({
+                provider: new ethers.JsonRpcProvider(url, network, { staticNetwork: network }),
+                priority: i + 1,
+                weight: 1,
+                stallTimeout: 2000
+            })),
+            network,
+            { quorum: 1 }
+        );
+    }
+
+    /**
+     * Check every RPC's chainId and every token's decimals() against the config
+     *
+     * - RPC with the wrong chainId → never used
+     * - RPC unreachable → still used (may be a transient outage)
+     * - Token with the wrong decimals → payments in it are refused on that chain
+     */
+    async verify() {
+        const report = { verified_at: new Date().toISOString(), chains: {}, tokens: {} };
+
+        await Promise.all(Object.values(this.chains).map(async (chain) => {
+            const rpcs = await Promise.all(chain.rpcUrls.map(async (url) => {
+                const host = safeHost(url);
+                try {
+                    const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true, batchMaxCount: 1 });
+                    const chainIdHex = await withTimeout(provider.send('eth_chainId', []), VERIFY_TIMEOUT_MS);
+                    provider.destroy();
+
+                    const onChain = Number(BigInt(chainIdHex));
+                    return onChain === chain.chainId
+                        ? { url, host, status: 'ok' }
+                        : { url, host, status: 'chain_id_mismatch', on_chain: onChain, expected: chain.chainId };
+                } catch (error) {
+                    return { url, host, status: 'unreachable', error: error.shortMessage || error.message };
+                }
+            }));
+
+            report.chains[chain.name] = {
+                rpcs,
+                usable_rpc_urls: rpcs.filter(r => r.status !== 'chain_id_mismatch').map(r => r.url)
+            };
+        }));
+
+        // Token checks go through the verified RPCs only
+        this.verification = report;
+
+        await Promise.all(Object.values(this.tokens).map(async (token) => {
+            report.tokens[token.symbol] = {};
+
+            await Promise.all(Object.entries(token.contracts).map(async ([chain, contract]) => {
+                const chainReport = report.chains[chain];
+                const reachable = chainReport.rpcs.find(r => r.status === 'ok');
+                if (!reachable) {
+                    report.tokens[token.symbol][chain] = { status: 'unverified', expected: contract.decimals };
+                    return;
+                }
+
+                try {
+                    const network = ethers.Network.from(this.chains[chain].chainId);
+                    const provider = new ethers.JsonRpcProvider(reachable.url, network, { staticNetwork: network });
+                    const erc20 = new ethers.Contract(contract.address, DECIMALS_ABI, provider);
+                    const onChain = Number(await withTimeout(erc20.decimals(), VERIFY_TIMEOUT_MS));
+                    provider.destroy();
+
+                    report.tokens[token.symbol][chain] = onChain === contract.decimals
+                        ? { status: 'ok', decimals: onChain }
+                        : { status: 'decimals_mismatch', on_chain: onChain, expected: contract.decimals };
+                } catch (error) {
+                    report.tokens[token.symbol][chain] = {
+                        status: 'unverified',
+                        expected: contract.decimals,
+                        error: error.shortMessage || error.message
+                    };
+                }
+            }));
+        }));
+
+        return report;
+    }
+
+    /**
+     * Registry as reported by /health (RPC URLs may embed API keys - only hosts are shown)
+     */
+    summary() {
+        const chains = {};
+        for (const chain of Object.values(this.chains)) {
+            const verification = this.verification && this.verification.chains[chain.name];
+            chains[chain.name] = {
+                chain_id: chain.chainId,
+                testnet: chain.testnet,
+                eip1559: chain.eip1559,
+                native_currency: chain.nativeCurrency.symbol,
+                explorer: chain.explorer,
+                confirmations: chain.confirmations,
+                gas: {
+                    strategy: chain.gas.strategy,
+                    max_fee_gwei: chain.gas.maxFeePerGas !== null ? ethers.formatUnits(chain.gas.maxFeePerGas, 'gwei') : null
+                },
+                rpcs: verification
+                    ? verification.rpcs.map(({ host, status, on_chain }) => ({ host, status, on_chain }))
+                    : chain.rpcUrls.map(url => ({ host: safeHost(url), status: 'pending' }))
+            };
+        }
+
+        const tokens = {};
+        for (const token of Object.values(this.tokens)) {
+            tokens[token.symbol] = {};
+            for (const [chain, contract] of Object.entries(token.contracts)) {
+                const verification = this.verification && (this.verification.tokens[token.symbol] || {})[chain];
+                tokens[token.symbol][chain] = {
+                    address: contract.address,
+                    decimals: contract.decimals,
+                    eip3009: Boolean(contract.eip3009),
+                    status: verification ? verification.status : 'pending'
+                };
+            }
+        }
+
+        return {
+            source: this.source,
+            verified_at: this.verification ? this.verification.verified_at : null,
+            chains,
+            tokens
+        };
+    }
+}
+
+function safeHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'invalid-url';
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load and validate the registry (throws RegistryError on invalid config)
+ */
+function loadRegistry(env = process.env) {
+    const { config, source } = loadRegistryConfig(env);
+    return new Registry(config, { source, env });
+}
+
+module.exports = {
+    Registry,
+    RegistryError,
+    DEFAULT_REGISTRY,
+    loadRegistry
+};
@@ -0,0 +1,440 @@
+/**
+ * Batch routes: /sign-payments-batch and /batches (status, resume)
+ */
+
+const { extractIdempotencyKey, hashRequestBody } = require('../idempotency');
+const { BATCH_STATES, ITEM_STATES } = require('../batches');
+const { mandateAllowsMerchant } = require('../mandates');
+const { calculateSplit } = require('../commission');
+const { policyViolation, mandateRejection } = require('../payment-requests');
+
+/**
+ * Register the batch routes on the service's router
+ * (`context` is what createSigningService() shares with its routes)
+ */
+function mountBatchRoutes(router, context) {
+    const {
+        activePayments,
+        requireOwner,
+        validatePaymentRequest,
+        validateTokenChain,
+        resolveMandate,
+        fetchCommissionConfig,
+        checkWalletCovers,
+        runBatch,
+        batchResponse,
+        tokenDecimals,
+        batchMaxItems: BATCH_MAX_ITEMS
+    } = context;
+
+    /**
+     * 📦 BATCH ENDPOINT: /sign-payments-batch
+     *
+     * Pays many merchants in one token on one chain. Every item is split with
+     * the commission rate fetched from AgentGatePay (same as /sign-payment), but
+     * the commission for all items is sent as ONE transfer. The merchant
+     * transfers follow once it is confirmed, broadcast back to back with
+     * consecutive nonces.
+     *
+     * Invalid items (bad address or amount) and items the spending policy
+     * refuses are reported in the results and left out - the rest of the batch
+     * is still paid. If an item's transfer fails, the others are unaffected and
+     * POST /batches/:id/resume re-sends only the failed ones.
+     *
+     * Request:
+     * {
+     *   "token": "USDC",
+     *   "chain": "base",
+     *   "items": [
+     *     { "merchant_address": "0x...", "total_amount": "15000000" },
+     *     { "merchant_address": "0x...", "total_amount": "2500000" }
+     *   ],
+     *   "mandate": { ... }   // Optional: AP2 mandate, as for /sign-payment - covers the whole batch
+     * }
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "batch_id": "bat_...",
+     *   "status": "completed",
+     *   "items": [{ "index": 0, "status": "confirmed", "tx_hash": "0x...", ... }, ...],
+     *   "summary": { "paid": 2, "invalid": 0, "commission_amount": "87500", "tx_hash_commission": "0x...", ... }
+     * }
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     *   Idempotency-Key: Unique key per batch (optional, same rules as /sign-payment)
+     */
+    router.post('/sign-payments-batch', requireOwner, async (req, res) => {
+        const { tenant, apiKey } = req;
+        const { batches, idempotency, spendingPolicy, mandates } = tenant;
+        let idempotencyId = null;
+        let signingStarted = false;
+        const reservations = [];
+        let mandateReservationId = null;
+
+        // Same idempotency handling as /sign-payment
+        const respond = (statusCode, body) => {
+            if (idempotencyId) {
+                if (statusCode >= 400 && !signingStarted) {
+                    idempotency.release(idempotencyId);
+                } else {
+                    idempotency.complete(idempotencyId, statusCode, body);
+                }
+            }
+            return res.status(statusCode).json(body);
+        };
+
+        // Give back the budget reserved for items (and the mandate spend) when nothing will be sent
+        const releaseReservations = () => {
+            reservations.forEach(id => spendingPolicy.release(id));
+            mandates.release(mandateReservationId);
+        };
+
+        try {
+            console.log(`\n[${new Date().toISOString()}] ===== NEW BATCH REQUEST =====`);
+
+            // 1. Validate the batch (token/chain for all items) and then every item
+            const { token, chain, items } = req.body || {};
+            if (!token || !chain || !Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'Required fields: token, chain, items (non-empty array of { merchant_address, total_amount })'
+                });
+            }
+            if (items.length > BATCH_MAX_ITEMS) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: `A batch can have at most ${BATCH_MAX_ITEMS} items (got ${items.length})`
+                });
+            }
+
+            const target = validateTokenChain(token, chain);
+            if (target.error) {
+                return res.status(target.status || 400).json(target.error);
+            }
+            const { tokenAddress, tokenDecimals: decimals } = target.params;
+
+            const validated = items.map((item, index) => {
+                const { merchant_address, total_amount } = item || {};
+                const validation = validatePaymentRequest({ merchant_address, total_amount, token, chain });
+                if (validation.error) {
+                    return {
+                        index,
+                        merchant_address,
+                        total_amount: total_amount !== undefined ? String(total_amount) : undefined,
+                        status: ITEM_STATES.INVALID,
+                        error: validation.error.message || validation.error.error
+                    };
+                }
+                return { index, merchant_address, total_amount: validation.params.total_amount, status: ITEM_STATES.PENDING };
+            });
+
+            console.log(`  Items: ${items.length} (${validated.filter(i => i.status === ITEM_STATES.INVALID).length} invalid)`);
+            console.log(`  Token: ${token}`);
+            console.log(`  Chain: ${chain}`);
+
+            // 2. 🔁 IDEMPOTENCY: A retry with the same key never signs again
+            const extracted = extractIdempotencyKey(req);
+            if (extracted.error) {
+                return res.status(400).json({
+                    error: 'Invalid idempotency key',
+                    message: extracted.error
+                });
+            }
+
+            if (extracted.key) {
+                const claim = idempotency.begin(apiKey, extracted.key, hashRequestBody(req.body));
+
+                if (claim.outcome === 'conflict') {
+                    console.log(`  ⚠️  Idempotency key reused with a different request body`);
+                    return res.status(409).json({
+                        error: 'Idempotency key conflict',
+                        message: 'This idempotency key was already used with a different request body'
+                    });
+                }
+
+                if (claim.outcome === 'replay') {
+                    console.log(`  🔁 Idempotent replay - returning original result`);
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(claim.record.response.status).json(claim.record.response.body);
+                }
+
+                if (claim.outcome === 'in_progress') {
+                    console.log(`  🔁 Idempotent retry - original request still in progress`);
+                    const batch = claim.record.batch_id ? batches.get(claim.record.batch_id) : null;
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(202).json({
+                        status: 'in_progress',
+                        message: 'A request with this idempotency key is still being processed. Retry later for the result.',
+                        started_at: claim.record.created_at,
+                        batch_id: batch ? batch.id : undefined,
+                        batch_status: batch ? batch.status : undefined
+                    });
+                }
+
+                idempotencyId = claim.record.id;
+            }
+
+            // 3. 📜 MANDATE: A signed mandate must allow the token and chain - items
+            //    paying a merchant it doesn't list are refused
+            const { mandate, refused } = resolveMandate(tenant, req.body, { token, chain });
+            if (refused) {
+                console.log(`  📜 Rejected: ${refused.body.message}`);
+                return respond(refused.status, refused.body);
+            }
+            if (mandate) {
+                console.log(`  Mandate: ${mandate.id} (signed by ${mandate.signer}, ${mandate.format})`);
+                for (const item of validated.filter(i => i.status === ITEM_STATES.PENDING && !mandateAllowsMerchant(mandate, i.merchant_address))) {
+                    Object.assign(item, {
+                        status: ITEM_STATES.REJECTED,
+                        rule: 'mandate',
+                        error: `Merchant ${item.merchant_address} is not in mandate ${mandate.id}`
+                    });
+                    console.log(`  📜 Item ${item.index} rejected: merchant not in the mandate`);
+                }
+            }
+
+            // 4. 🛡️ SPENDING POLICY: Each item is checked (and reserved) on its own
+            for (const item of validated.filter(i => i.status === ITEM_STATES.PENDING)) {
+                const decision = spendingPolicy.reserve({ merchant_address: item.merchant_address, total_amount: item.total_amount, token, chain });
+
+                if (decision.allowed && decision.requires_approval) {
+                    // Approval is per payment - such items have to go through /sign-payment
+                    spendingPolicy.release(decision.reservation_id);
+                    Object.assign(item, {
+                        status: ITEM_STATES.REJECTED,
+                        rule: 'approval_threshold',
+                        error: 'Item is above the approval threshold - send it with POST /sign-payment'
+                    });
+                } else if (!decision.allowed) {
+                    Object.assign(item, { status: ITEM_STATES.REJECTED, rule: decision.rule, error: decision.message });
+                } else {
+                    item.budget_reservation_id = decision.reservation_id;
+                    reservations.push(decision.reservation_id);
+                }
+
+                if (item.status === ITEM_STATES.REJECTED) {
+                    console.log(`  🛡️  Item ${item.index} rejected by spending policy: ${item.rule}`);
+                }
+            }
+
+            const payable = validated.filter(i => i.status === ITEM_STATES.PENDING);
+            if (payable.length === 0) {
+                return respond(400, {
+                    error: 'No payable items',
+                    message: 'Every item in the batch is invalid or was refused by the mandate or spending policy',
+                    items: validated.map(({ budget_reservation_id, ...item }) => item)
+                });
+            }
+
+            // 5. 🔒 SECURITY: Fetch commission config from AgentGatePay (once for the batch)
+            let commissionConfig;
+            try {
+                commissionConfig = await fetchCommissionConfig(apiKey, chain);
+            } catch (error) {
+                releaseReservations();
+                return respond(500, {
+                    error: 'Failed to fetch commission config',
+                    message: error.message,
+                    note: 'Commission config is controlled by AgentGatePay and must be fetched from the server'
+                });
+            }
+
+            // 6. 💰 CALCULATE EACH SPLIT - the commissions are summed into one transfer
+            let totalAmount = 0n;
+            let commissionTotal = 0n;
+            for (const item of payable) {
+                const { commissionAmount, merchantAmount } = calculateSplit(item.total_amount, commissionConfig.rate);
+                Object.assign(item, { commission_amount: commissionAmount, merchant_amount: merchantAmount });
+                totalAmount += BigInt(item.total_amount);
+                commissionTotal += BigInt(commissionAmount);
+            }
+
+            console.log(`\n  💰 BATCH SPLIT (AgentGatePay-controlled):`);
+            console.log(`     Commission (${commissionConfig.rate * 100}%): ${commissionTotal} → ${commissionConfig.address} (one transfer)`);
+            console.log(`     Merchants: ${totalAmount - commissionTotal} to ${payable.length} merchant(s)`);
+
+            // 7. 💵 The wallet must cover the whole batch - never pay the commission
+            //    for merchants that can't be paid
+            const shortfall = await checkWalletCovers(tenant, chain, {
+                tokenAddress,
+                token,
+                decimals,
+                amount: totalAmount,
+                transfers: payable.length + 1,
+                what: 'batch'
+            });
+            if (shortfall) {
+                console.log(`  💸 ${shortfall.message}`);
+                releaseReservations();
+                return respond(400, shortfall);
+            }
+
+            // 8. 📜 Count the whole batch against the mandate's budget
+            let mandateReservation = null;
+            if (mandate) {
+                mandateReservation = mandates.reserve(mandate, { amount: totalAmount, decimals });
+                if (!mandateReservation.allowed) {
+                    console.log(`  📜 Rejected by mandate ${mandate.id}: ${mandateReservation.reason}`);
+                    releaseReservations();
+                    return respond(403, mandateRejection(mandateReservation));
+                }
+                mandateReservationId = mandateReservation.reservation_id;
+                console.log(`  Mandate budget: ${mandateReservation.remaining} ${token} left after this batch`);
+            }
+
+            // 9. 📝 Record the batch before anything is signed
+            const batch = batches.create({
+                chain,
+                token,
+                token_address: tokenAddress,
+                token_decimals: decimals,
+                from: tenant.address,
+                commission_address: commissionConfig.address,
+                commission_rate: commissionConfig.rate,
+                total_amount: totalAmount.toString(),
+                commission_amount: commissionTotal.toString(),
+                merchant_amount: (totalAmount - commissionTotal).toString(),
+                items: validated,
+                mandate: mandate || undefined,
+                mandate_reservation_id: mandateReservationId || undefined,
+                mandate_remaining: mandateReservation ? mandateReservation.remaining : undefined,
+                idempotency_id: idempotencyId || undefined
+            });
+
+            if (idempotencyId) {
+                idempotency.attach(idempotencyId, { batch_id: batch.id });
+            }
+
+            // 10. 🔐 Commission first, then every merchant transfer
+            signingStarted = true;
+            const result = await runBatch(tenant, batch.id);
+            return respond(result.status, result.body);
+
+        } catch (error) {
+            console.error(`\n❌ ERROR:`, error.message);
+            if (!signingStarted) releaseReservations();
+
+            return respond(500, {
+                error: 'Batch failed',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /batches/:id
+     * Current state of a batch and each of its items
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.get('/batches/:id', requireOwner, (req, res) => {
+        // Only the tenant's own batches - another tenant's batch ids are "not found"
+        const batch = req.tenant.batches.get(req.params.id);
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Batch not found',
+                batch_id: req.params.id
+            });
+        }
+
+        const { idempotency_id, ...record } = batch;
+        return res.json({
+            ...record,
+            in_progress: activePayments.has(batch.id)
+        });
+    });
+
+    /**
+     * POST /batches/:id/resume
+     * Finish a half-done batch: re-sends the commission if it never confirmed,
+     * otherwise only the merchant transfers that failed (or waits for pending ones)
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.post('/batches/:id/resume', requireOwner, async (req, res) => {
+        const { tenant } = req;
+        const { batches, idempotency, spendingPolicy, mandates } = tenant;
+        const batch = batches.get(req.params.id);
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Batch not found',
+                batch_id: req.params.id
+            });
+        }
+
+        if (activePayments.has(batch.id)) {
+            return res.status(409).json({
+                error: 'Batch in progress',
+                message: 'This batch is currently being processed. Check GET /batches/:id for its state.',
+                batch_id: batch.id,
+                status: batch.status
+            });
+        }
+
+        if (batch.status === BATCH_STATES.COMPLETED) {
+            return res.json(batchResponse(batch));
+        }
+
+        // A batch that never broadcast anything gave its mandate spend and budget back -
+        // the mandate must still be valid, and the policy is checked again
+        if (!batch.commission_tx_hash) {
+            let mandateReservation = null;
+            if (batch.mandate && !batch.mandate_reservation_id) {
+                mandateReservation = mandates.reserve(batch.mandate, { amount: batch.total_amount, decimals: tokenDecimals(batch) });
+                if (!mandateReservation.allowed) {
+                    console.log(`  📜 Resume rejected by mandate ${batch.mandate.id}: ${mandateReservation.reason}`);
+                    return res.status(403).json({ ...mandateRejection(mandateReservation), batch_id: batch.id });
+                }
+            }
+
+            const reserved = [];
+            for (const item of batch.items.filter(i => i.status === ITEM_STATES.PENDING && !i.budget_reservation_id)) {
+                const decision = spendingPolicy.reserve({ ...item, token: batch.token, chain: batch.chain });
+                if (!decision.allowed || decision.requires_approval) {
+                    reserved.forEach(({ reservationId }) => spendingPolicy.release(reservationId));
+                    if (decision.allowed) spendingPolicy.release(decision.reservation_id);
+                    if (mandateReservation) mandates.release(mandateReservation.reservation_id);
+                    console.log(`  🛡️  Resume rejected by spending policy: ${decision.rule || 'approval_threshold'} (item ${item.index})`);
+                    return res.status(403).json({
+                        ...policyViolation(decision.allowed
+                            ? { rule: 'approval_threshold', message: 'Item is above the approval threshold' }
+                            : decision),
+                        batch_id: batch.id,
+                        item: item.index
+                    });
+                }
+                reserved.push({ index: item.index, reservationId: decision.reservation_id });
+            }
+            for (const { index, reservationId } of reserved) {
+                batches.updateItem(batch.id, index, { budget_reservation_id: reservationId });
+            }
+            if (mandateReservation) {
+                batches.update(batch.id, {
+                    mandate_reservation_id: mandateReservation.reservation_id,
+                    mandate_remaining: mandateReservation.remaining
+                });
+            }
+        }
+
+        console.log(`\n[${new Date().toISOString()}] ===== RESUMING BATCH ${batch.id} =====`);
+        console.log(`  State: ${batch.status}${batch.failed_at_status ? ` (failed at ${batch.failed_at_status})` : ''}`);
+
+        batches.resume(batch.id);
+        const result = await runBatch(tenant, batch.id);
+
+        // The original idempotent request now has a final answer
+        if (result.status === 200 && batch.idempotency_id) {
+            idempotency.complete(batch.idempotency_id, result.status, result.body);
+        }
+
+        return res.status(result.status).json(result.body);
+    });
+}
+
+module.exports = {
+    mountBatchRoutes
+};
@@ -0,0 +1,907 @@
+/**
+ * Payment routes: /sign-payment, /quote-payment, /payments (ledger, status,
+ * resume, manual approval) and the legacy /sign
+ */
+
+const { ethers } = require('ethers');
+const { extractIdempotencyKey, hashRequestBody } = require('../idempotency');
+const { PAYMENT_STATES } = require('../payments');
+const { GasCapError, quoteFees } = require('../gas');
+const { LedgerQueryError, ledgerRows, parseLedgerQuery, filterLedger, ledgerCsv } = require('../ledger');
+const { AUTO_CHAIN } = require('../chain-selection');
+const { isValidWebhookUrl } = require('../webhooks');
+const { calculateSplit } = require('../commission');
+const { policyViolation, mandateRejection } = require('../payment-requests');
+const { ERC20_ABI, simulateTransfer } = require('../transfers');
+
+// Payment modes for /sign-payment:
+// - broadcast: the gateway wallet sends both transfers (ERC-20 or native) and pays gas (default)
+// - x402: the gateway wallet signs EIP-3009 authorizations for a facilitator to settle
+const PAYMENT_MODES = ['broadcast', 'x402'];
+
+// Longest validity window of x402 authorizations (x402ValiditySeconds is the default)
+const X402_MAX_VALIDITY_SECONDS = 3600;
+
+/**
+ * Register the payment routes on the service's router
+ * (`context` is what createSigningService() shares with its routes)
+ */
+function mountPaymentRoutes(router, context) {
+    const {
+        registry,
+        activePayments,
+        requireOwner,
+        requireApprover,
+        validatePaymentRequest,
+        validateTokenChain,
+        resolveMandate,
+        fetchCommissionConfig,
+        connectWallet,
+        checkWalletCovers,
+        selectPaymentChain,
+        startPayment,
+        paymentResult,
+        tokenDecimals,
+        x402ValiditySeconds: X402_DEFAULT_VALIDITY_SECONDS
+    } = context;
+
+    /**
+     * 🚀 SECURE ENDPOINT: /sign-payment
+     *
+     * Automatically signs TWO transactions:
+     * 1. Commission transaction (fetched from AgentGatePay) → AgentGatePay wallet
+     * 2. Merchant transaction (calculated) → merchant wallet
+     *
+     * Client CANNOT bypass commission because:
+     * - Commission config fetched from AgentGatePay (not client env vars)
+     * - Server calculates the split (not client)
+     * - Server signs both transactions atomically
+     * - Merchant transaction is only sent after the commission is confirmed
+     *
+     * Every payment is persisted and moves through:
+     *   created → commission_sent → commission_confirmed → merchant_sent → completed
+     * If a step fails, the payment is marked failed and can be finished with
+     * POST /payments/:id/resume (the commission is never paid twice).
+     *
+     * Request:
+     * {
+     *   "merchant_address": "0x...recipient",
+     *   "total_amount": "15000000",  // Total in atomic units
+     *   "token": "USDC",              // Or the chain's native currency (ETH, POL): plain value transfers
+     *   "chain": "base",              // Or "auto": the cheapest chain the wallet can fund it on
+     *   "quote_id": "qt_...",         // Optional: honor the split from /quote-payment
+     *   "mode": "x402",               // Optional: sign EIP-3009 authorizations instead of broadcasting
+     *   "valid_for_seconds": 300,     // Optional (x402 mode): authorization validity window
+     *   "mandate": { ... }            // Optional (required if the mandates file says so): AP2 mandate,
+     *                                 // EIP-712 signed object or compact JWS (see mandates.js)
+     * }
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "payment_id": "pay_...",
+     *   "mandate_id": "mdt_...",      // With a mandate: its id and what is left of its budget
+     *   "mandate_remaining": "185.0",
+     *   "chain_selection": { ... },   // With "chain": "auto": the chain picked and why
+     *   "tx_hash": "0x...merchant",
+     *   "tx_hash_commission": "0x...commission",
+     *   "commission_amount": "75000",  // From AgentGatePay config
+     *   "merchant_amount": "14925000",
+     *   ...
+     * }
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     *   Idempotency-Key: Unique key per payment (optional, or "idempotency_key" in body)
+     *
+     * Idempotency:
+     * - Same key + same body → original response (never signs again)
+     * - Same key while the first request is still running → 202 { status: "in_progress" }
+     * - Same key + different body → 409 Conflict
+     */
+    /**
+     * Send a payment's response and remember it for retries with the same
+     * idempotency key (if the request had one)
+     *
+     * Failures before anything was signed release the key, so the client can
+     * retry. An accepted async payment (202) keeps it in progress until its
+     * final result (see finishAsyncPayment()). Anything else completes it.
+     */
+    function respondIdempotent(res, idempotency, idempotencyId, { status, body, accepted = false, signingStarted = true }) {
+        if (idempotencyId && !accepted) {
+            if (status >= 400 && !signingStarted) {
+                idempotency.release(idempotencyId);
+            } else {
+                idempotency.complete(idempotencyId, status, body);
+            }
+        }
+        return res.status(status).json(body);
+    }
+
+    router.post('/sign-payment', requireOwner, async (req, res) => {
+        const { tenant, apiKey } = req;
+        const { payments, idempotency, quotes, spendingPolicy, mandates } = tenant;
+        let idempotencyId = null;
+        let signingStarted = false;
+
+        const respond = (statusCode, body) => respondIdempotent(res, idempotency, idempotencyId, {
+            status: statusCode,
+            body,
+            signingStarted
+        });
+
+        try {
+            console.log(`\n[${new Date().toISOString()}] ===== NEW PAYMENT REQUEST =====`);
+
+            // 1. Extract and validate parameters
+            const validation = validatePaymentRequest(req.body);
+            if (validation.error) {
+                return res.status(validation.status || 400).json(validation.error);
+            }
+            const { merchant_address, total_amount, token } = validation.params;
+            let { chain, tokenAddress, tokenDecimals: decimals } = validation.params;
+            let chainSelection;
+
+            console.log(`  Merchant: ${merchant_address}`);
+            console.log(`  Total Amount: ${total_amount} ${token} atomic units`);
+            console.log(`  Chain: ${chain}`);
+
+            // 2. 🧾 QUOTE: A quote_id from /quote-payment pins the quoted commission split
+            //    (and, with "chain": "auto", the quoted chain)
+            let quote = null;
+            if (req.body.quote_id) {
+                const resolved = quotes.resolve(apiKey, req.body.quote_id, validation.params);
+                if (resolved.error) {
+                    return res.status(400).json({
+                        error: 'Invalid quote',
+                        message: resolved.error
+                    });
+                }
+                quote = resolved.quote;
+                console.log(`  Quote: ${quote.id} (expires ${quote.expires_at})`);
+
+                if (chain === AUTO_CHAIN) {
+                    const target = validateTokenChain(token, quote.chain);
+                    if (target.error) {
+                        return res.status(target.status || 400).json(target.error);
+                    }
+                    chain = quote.chain;
+                    ({ tokenAddress, tokenDecimals: decimals } = target.params);
+                    chainSelection = quote.chain_selection || { chain, reason: `Chain of quote ${quote.id}` };
+                }
+            }
+
+            // 3. 🔏 MODE: broadcast transfers (default) or sign x402 authorizations
+            const mode = req.body.mode || 'broadcast';
+            if (!PAYMENT_MODES.includes(mode)) {
+                return res.status(400).json({
+                    error: `Unsupported mode: ${mode}`,
+                    supported: PAYMENT_MODES
+                });
+            }
+
+            let validForSeconds;
+            if (mode === 'x402') {
+                if (chain === AUTO_CHAIN) {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: '"chain": "auto" is only supported in broadcast mode (it compares the gas the gateway wallet would pay)'
+                    });
+                }
+                if (!registry.getToken(token, chain).eip3009) {
+                    return res.status(400).json({
+                        error: `${token} does not support EIP-3009 transferWithAuthorization (x402 mode) on ${chain}`,
+                        supported: registry.tokenSymbols().filter(t => (registry.getToken(t, chain) || {}).eip3009)
+                    });
+                }
+
+                validForSeconds = req.body.valid_for_seconds !== undefined
+                    ? Number(req.body.valid_for_seconds)
+                    : X402_DEFAULT_VALIDITY_SECONDS;
+                if (!Number.isInteger(validForSeconds) || validForSeconds <= 0 || validForSeconds > X402_MAX_VALIDITY_SECONDS) {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: `valid_for_seconds must be an integer between 1 and ${X402_MAX_VALIDITY_SECONDS}`
+                    });
+                }
+                console.log(`  Mode: x402 (authorizations valid for ${validForSeconds}s)`);
+            }
+
+            // ⏩ ASYNC: answer 202 once broadcast, deliver the final result to a webhook
+            const isAsync = req.body.async === true;
+            const webhookUrl = isAsync ? (req.body.webhook_url || tenant.webhookUrl) : undefined;
+
+            if (req.body.async !== undefined && typeof req.body.async !== 'boolean') {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'async must be true or false'
+                });
+            }
+            if (isAsync && mode !== 'broadcast') {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: 'async is only supported in broadcast mode (x402 authorizations are signed immediately)'
+                });
+            }
+            if (req.body.webhook_url !== undefined && (!isAsync || !isValidWebhookUrl(req.body.webhook_url))) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: isAsync ? 'webhook_url must be an http(s) URL' : 'webhook_url requires "async": true'
+                });
+            }
+            if (webhookUrl && !tenant.webhookSecret) {
+                return res.status(400).json({
+                    error: 'Webhooks not configured',
+                    message: 'Set WEBHOOK_SECRET (multi-tenant: the tenant\'s webhook_secret) so webhook callbacks can be signed'
+                });
+            }
+            if (isAsync) {
+                console.log(`  Async: yes${webhookUrl ? ` (webhook: ${new URL(webhookUrl).host})` : ' (no webhook - poll GET /payments/:id)'}`);
+            }
+
+            // 4. 🔁 IDEMPOTENCY: A retry with the same key never signs again
+            const extracted = extractIdempotencyKey(req);
+            if (extracted.error) {
+                return res.status(400).json({
+                    error: 'Invalid idempotency key',
+                    message: extracted.error
+                });
+            }
+
+            if (extracted.key) {
+                const claim = idempotency.begin(apiKey, extracted.key, hashRequestBody(req.body));
+
+                if (claim.outcome === 'conflict') {
+                    console.log(`  ⚠️  Idempotency key reused with a different request body`);
+                    return res.status(409).json({
+                        error: 'Idempotency key conflict',
+                        message: 'This idempotency key was already used with a different request body'
+                    });
+                }
+
+                if (claim.outcome === 'replay') {
+                    console.log(`  🔁 Idempotent replay - returning original result`);
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(claim.record.response.status).json(claim.record.response.body);
+                }
+
+                if (claim.outcome === 'in_progress') {
+                    console.log(`  🔁 Idempotent retry - original request still in progress`);
+                    const payment = claim.record.payment_id ? payments.get(claim.record.payment_id) : null;
+                    res.set('Idempotent-Replayed', 'true');
+                    return res.status(202).json({
+                        status: 'in_progress',
+                        message: 'A request with this idempotency key is still being processed. Retry later for the result.',
+                        started_at: claim.record.created_at,
+                        payment_id: payment ? payment.id : undefined,
+                        payment_status: payment ? payment.status : undefined
+                    });
+                }
+
+                idempotencyId = claim.record.id;
+            }
+
+            // 5. 📜 MANDATE: A signed mandate must allow this merchant, token and chain
+            //    ("auto": any of its chains - the selection below stays within them)
+            const { mandate, refused } = resolveMandate(tenant, req.body, {
+                token,
+                chain: chain === AUTO_CHAIN ? undefined : chain,
+                merchants: [merchant_address]
+            });
+            if (refused) {
+                console.log(`  📜 Rejected: ${refused.body.message}`);
+                return respond(refused.status, refused.body);
+            }
+            if (mandate) {
+                console.log(`  Mandate: ${mandate.id} (signed by ${mandate.signer}, ${mandate.format})`);
+            }
+
+            // 6. 🧭 CHAIN: "auto" picks the cheapest chain the wallet can fund the payment on
+            if (chain === AUTO_CHAIN) {
+                const { selection, refused: noChain } = await selectPaymentChain(tenant, {
+                    token,
+                    amount: total_amount,
+                    transfers: 2,
+                    exclude: candidate => {
+                        if (mandate && !mandate.chains.includes(candidate)) {
+                            return `Not covered by mandate ${mandate.id}`;
+                        }
+                        const check = spendingPolicy.evaluate({ merchant_address, total_amount, token, chain: candidate });
+                        return check.allowed ? null : `Spending policy: ${check.message}`;
+                    }
+                });
+                if (noChain) {
+                    console.log(`  🧭 ${noChain.body.message}`);
+                    return respond(noChain.status, noChain.body);
+                }
+
+                chain = selection.chain;
+                ({ tokenAddress, tokenDecimals: decimals } = validateTokenChain(token, chain).params);
+                chainSelection = selection;
+                console.log(`  🧭 Chain: ${chain} - ${selection.reason}`);
+            }
+
+            // 7. 🛡️ SPENDING POLICY: Check (and reserve budget) before anything is built
+            const decision = spendingPolicy.reserve({ merchant_address, total_amount, token, chain });
+            if (!decision.allowed) {
+                console.log(`  🛡️  Rejected by spending policy: ${decision.rule}`);
+                return respond(403, policyViolation(decision));
+            }
+
+            if (decision.requires_approval && !tenant.approvalKey) {
+                spendingPolicy.release(decision.reservation_id);
+                console.log(`  🛡️  Rejected by spending policy: approval_threshold (no approver configured)`);
+                return respond(403, policyViolation({
+                    rule: 'approval_threshold',
+                    message: 'Payment is above the approval threshold and no approver is configured (POLICY_APPROVAL_KEY, or the tenant\'s approval_key)',
+                    token,
+                    chain,
+                    limit: decision.approval_threshold,
+                    requested: BigInt(total_amount).toString()
+                }));
+            }
+
+            // 8. 🔒 SECURITY: Fetch commission config from AgentGatePay
+            //    This ensures commission address and rate are CONTROLLED BY AGENTGATEPAY
+            //    (a quote carries the config it fetched a few seconds ago)
+            let commissionConfig;
+            try {
+                commissionConfig = quote
+                    ? { address: quote.commission_address, rate: quote.commission_rate }
+                    : await fetchCommissionConfig(apiKey, chain);
+            } catch (error) {
+                spendingPolicy.release(decision.reservation_id);
+                return respond(500, {
+                    error: 'Failed to fetch commission config',
+                    message: error.message,
+                    note: 'Commission config is controlled by AgentGatePay and must be fetched from the server'
+                });
+            }
+
+            // 9. 💰 CALCULATE COMMISSION SPLIT (SERVER-SIDE with AgentGatePay config)
+            //    Client CANNOT modify these values!
+            const { commissionAmount, merchantAmount } = calculateSplit(total_amount, commissionConfig.rate);
+
+            console.log(`\n  💰 PAYMENT SPLIT (AgentGatePay-controlled):`);
+            console.log(`     Commission (${commissionConfig.rate * 100}%): ${commissionAmount} → ${commissionConfig.address}`);
+            console.log(`     Merchant (${(1 - commissionConfig.rate) * 100}%): ${merchantAmount} → ${merchant_address}`);
+
+            // 10. 💵 Refuse up front if the wallet can't cover it (x402: a facilitator pays the gas)
+            const shortfall = await checkWalletCovers(tenant, chain, {
+                tokenAddress,
+                token,
+                decimals,
+                amount: total_amount,
+                transfers: mode === 'broadcast' ? 2 : 0,
+                what: 'payment'
+            });
+            if (shortfall) {
+                console.log(`  💸 ${shortfall.message}`);
+                spendingPolicy.release(decision.reservation_id);
+                return respond(400, shortfall);
+            }
+
+            // 11. 📜 Count the payment against the mandate's budget (given back if nothing is sent)
+            let mandateReservation = null;
+            if (mandate) {
+                mandateReservation = mandates.reserve(mandate, { amount: total_amount, decimals });
+                if (!mandateReservation.allowed) {
+                    console.log(`  📜 Rejected by mandate ${mandate.id}: ${mandateReservation.reason}`);
+                    spendingPolicy.release(decision.reservation_id);
+                    return respond(403, mandateRejection(mandateReservation));
+                }
+                console.log(`  Mandate budget: ${mandateReservation.remaining} ${token} left after this payment`);
+            }
+
+            // 12. 📝 Record the payment before anything is signed
+            const payment = payments.create({
+                chain,
+                token,
+                token_address: tokenAddress,
+                token_decimals: decimals,
+                from: tenant.address,
+                merchant_address,
+                commission_address: commissionConfig.address,
+                commission_rate: commissionConfig.rate,
+                total_amount,
+                commission_amount: commissionAmount,
+                merchant_amount: merchantAmount,
+                quote_id: quote ? quote.id : undefined,
+                chain_selection: chainSelection,
+                mode,
+                valid_for_seconds: validForSeconds,
+                async: isAsync || undefined,
+                webhook_url: webhookUrl,
+                budget_reservation_id: decision.reservation_id,
+                mandate: mandate || undefined,
+                mandate_reservation_id: mandateReservation ? mandateReservation.reservation_id : undefined,
+                mandate_remaining: mandateReservation ? mandateReservation.remaining : undefined,
+                idempotency_id: idempotencyId || undefined
+            }, decision.requires_approval ? PAYMENT_STATES.PENDING_APPROVAL : PAYMENT_STATES.CREATED);
+
+            if (idempotencyId) {
+                idempotency.attach(idempotencyId, { payment_id: payment.id });
+            }
+
+            // 13. ✋ Above the approval threshold: wait for a human (the idempotency
+            //    key stays in progress until the payment is approved or rejected)
+            if (decision.requires_approval) {
+                console.log(`  ✋ Payment ${payment.id} requires manual approval`);
+                return res.status(202).json({
+                    status: PAYMENT_STATES.PENDING_APPROVAL,
+                    payment_id: payment.id,
+                    rule: 'approval_threshold',
+                    approval_threshold: decision.approval_threshold,
+                    chain,
+                    chain_selection: chainSelection,
+                    mandate_id: mandate ? mandate.id : undefined,
+                    message: 'Payment is above the approval threshold and is waiting for manual approval',
+                    approve: `POST /payments/${payment.id}/approve`,
+                    reject: `POST /payments/${payment.id}/reject`
+                });
+            }
+
+            // 14. 🔐 Sign and confirm both transactions (or sign both x402 authorizations)
+            //     Async: the idempotency key stays in progress until the final result
+            signingStarted = true;
+            const result = await startPayment(tenant, payment.id);
+            return respondIdempotent(res, idempotency, idempotencyId, { ...result, signingStarted });
+
+        } catch (error) {
+            console.error(`\n❌ ERROR:`, error.message);
+
+            if (error.code === 'INSUFFICIENT_FUNDS') {
+                return respond(400, {
+                    error: 'Insufficient funds',
+                    message: 'Gateway wallet does not have enough tokens or ETH for gas'
+                });
+            }
+
+            return respond(500, {
+                error: 'Payment failed',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * 🧾 DRY-RUN ENDPOINT: /quote-payment
+     *
+     * Same body as /sign-payment. Nothing is signed or broadcast. Returns:
+     * - With "chain": "auto", the chain that would be picked and why
+     * - The commission/merchant split from the AgentGatePay commission config
+     * - eth_call + gas estimate for both transfers (with revert reason if any)
+     * - Estimated total fee in the chain's native token, priced by the chain's gas
+     *   strategy (above_cap: true if gas is above the chain's fee cap right now)
+     * - Whether the wallet's token and gas balances cover the payment
+     * - Whether the spending policy would allow it
+     * - A quote_id that /sign-payment honors for QUOTE_TTL_SECONDS
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.post('/quote-payment', requireOwner, async (req, res) => {
+        const { tenant } = req;
+        const { quotes, spendingPolicy } = tenant;
+
+        try {
+            console.log(`\n[${new Date().toISOString()}] ===== QUOTE REQUEST =====`);
+
+            const validation = validatePaymentRequest(req.body);
+            if (validation.error) {
+                return res.status(validation.status || 400).json(validation.error);
+            }
+            const { merchant_address, total_amount, token } = validation.params;
+            let { chain, tokenAddress } = validation.params;
+
+            // 🧭 "auto": quote on the chain /sign-payment would pick (and pin it to the quote)
+            let chainSelection;
+            if (chain === AUTO_CHAIN) {
+                const { selection, refused } = await selectPaymentChain(tenant, {
+                    token,
+                    amount: total_amount,
+                    transfers: 2,
+                    exclude: candidate => {
+                        const check = spendingPolicy.evaluate({ merchant_address, total_amount, token, chain: candidate });
+                        return check.allowed ? null : `Spending policy: ${check.message}`;
+                    }
+                });
+                if (refused) {
+                    return res.status(refused.status).json(refused.body);
+                }
+                chain = selection.chain;
+                tokenAddress = registry.getToken(token, chain).address;
+                chainSelection = selection;
+            }
+
+            let commissionConfig;
+            try {
+                commissionConfig = await fetchCommissionConfig(req.apiKey, chain);
+            } catch (error) {
+                return res.status(500).json({
+                    error: 'Failed to fetch commission config',
+                    message: error.message,
+                    note: 'Commission config is controlled by AgentGatePay and must be fetched from the server'
+                });
+            }
+
+            const { commissionAmount, merchantAmount } = calculateSplit(total_amount, commissionConfig.rate);
+
+            const { provider, wallet } = connectWallet(tenant, chain);
+            const { gas } = registry.getChain(chain);
+
+            // Above the chain's fee cap the payment would be refused - report it instead of failing the quote
+            const quoteGas = quoteFees(provider, gas).then(
+                fees => ({ fees, capError: null }),
+                error => {
+                    if (!(error instanceof GasCapError)) throw error;
+                    return { fees: null, capError: error };
+                }
+            );
+
+            const [commissionTx, merchantTx, { fees, capError }, erc20Balance, nativeBalance] = await Promise.all([
+                simulateTransfer(provider, wallet.address, { tokenAddress, to: commissionConfig.address, amount: commissionAmount }),
+                simulateTransfer(provider, wallet.address, { tokenAddress, to: merchant_address, amount: merchantAmount }),
+                quoteGas,
+                tokenAddress ? new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(wallet.address) : null,
+                provider.getBalance(wallet.address)
+            ]);
+
+            // Worst-case fee: gas estimate × max fee per gas (or legacy gas price), capped
+            const feePerGas = fees
+                ? (fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice)
+                : gas.maxFeePerGas;
+            const totalGas = [commissionTx, merchantTx]
+                .filter(tx => tx.gas_estimate !== null)
+                .reduce((sum, tx) => sum + BigInt(tx.gas_estimate), 0n);
+            const estimatedFee = totalGas * feePerGas;
+
+            const decision = spendingPolicy.evaluate({ merchant_address, total_amount, token, chain });
+            const { allowed, requires_approval, ...policyDetails } = decision;
+
+            // A native payment's amount and gas come out of the same balance
+            const tokenBalance = tokenAddress ? erc20Balance : nativeBalance;
+            const nativeRequired = tokenAddress ? estimatedFee : BigInt(total_amount) + estimatedFee;
+            const tokenSufficient = tokenBalance >= BigInt(total_amount);
+            const nativeSufficient = nativeBalance >= nativeRequired;
+
+            const quote = quotes.create(req.apiKey, {
+                merchant_address,
+                total_amount,
+                token,
+                chain,
+                commission_address: commissionConfig.address,
+                commission_rate: commissionConfig.rate,
+                commission_amount: commissionAmount,
+                merchant_amount: merchantAmount,
+                chain_selection: chainSelection
+            });
+
+            console.log(`  Quote: ${quote.id} - ${total_amount} ${token} on ${chain} → ${merchant_address}`);
+            console.log(`  Simulation: commission ${commissionTx.success ? '✅' : '❌'}, merchant ${merchantTx.success ? '✅' : '❌'}`);
+
+            return res.json({
+                quote_id: quote.id,
+                expires_at: quote.expires_at,
+                can_execute: commissionTx.success && merchantTx.success && tokenSufficient && nativeSufficient && allowed && !capError,
+
+                // Payment split (AgentGatePay-controlled)
+                from: wallet.address,
+                merchant: merchant_address,
+                commission_address: commissionConfig.address,
+                total_amount,
+                merchant_amount: merchantAmount,
+                commission_amount: commissionAmount,
+                commission_rate: commissionConfig.rate,
+                token,
+                chain,
+                chain_selection: chainSelection,
+
+                // Simulated transfers
+                transactions: {
+                    commission: commissionTx,
+                    merchant: merchantTx
+                },
+
+                // Gas cost in the native token
+                fees: {
+                    native_currency: registry.getChain(chain).nativeCurrency.symbol,
+                    strategy: gas.strategy,
+                    eip1559: fees ? fees.type === 2 : null,
+                    gas_price: fees && fees.type === 0 ? fees.gasPrice.toString() : null,
+                    max_fee_per_gas: fees && fees.type === 2 ? fees.maxFeePerGas.toString() : null,
+                    max_priority_fee_per_gas: fees && fees.type === 2 ? fees.maxPriorityFeePerGas.toString() : null,
+                    fee_cap: gas.maxFeePerGas !== null ? gas.maxFeePerGas.toString() : null,
+                    above_cap: Boolean(capError),
+                    above_cap_reason: capError ? capError.message : undefined,
+                    total_gas: totalGas.toString(),
+                    estimated_fee: estimatedFee.toString(),
+                    estimated_fee_formatted: ethers.formatUnits(estimatedFee, registry.getChain(chain).nativeCurrency.decimals)
+                },
+
+                // Wallet balances
+                balances: {
+                    token: {
+                        balance: tokenBalance.toString(),
+                        required: total_amount,
+                        sufficient: tokenSufficient
+                    },
+                    native: {
+                        balance: nativeBalance.toString(),
+                        required: nativeRequired.toString(),
+                        sufficient: nativeSufficient
+                    }
+                },
+
+                // Spending policy
+                policy: {
+                    allowed,
+                    requires_approval,
+                    ...policyDetails
+                }
+            });
+
+        } catch (error) {
+            console.error(`\n❌ QUOTE ERROR:`, error.message);
+            return res.status(500).json({
+                error: 'Quote failed',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /payments
+     * Accounting export: every payment and batch item, oldest first
+     *
+     * Query (all optional):
+     *   from, to: ISO 8601 dates - created at or after `from`, before `to`
+     *   chain, token, merchant, status: exact match
+     *   type: payment | batch_item
+     *   format: json (default) | csv
+     *   limit, offset: paging
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.get('/payments', requireOwner, (req, res) => {
+        let filters;
+        try {
+            filters = parseLedgerQuery(req.query);
+        } catch (error) {
+            if (!(error instanceof LedgerQueryError)) throw error;
+            return res.status(400).json({
+                error: 'Invalid query',
+                message: error.message
+            });
+        }
+
+        const rows = filterLedger(ledgerRows(req.tenant, tokenDecimals), filters);
+        const page = rows.slice(filters.offset, filters.limit !== null ? filters.offset + filters.limit : undefined);
+
+        if (filters.format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="payments-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(ledgerCsv(page));
+        }
+        return res.json({
+            payments: page,
+            total: rows.length,
+            offset: filters.offset,
+            limit: filters.limit
+        });
+    });
+
+    /**
+     * GET /payments/:id
+     * Inspect a payment record and its state history
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.get('/payments/:id', requireOwner, (req, res) => {
+        // Only the tenant's own payments - another tenant's payment ids are "not found"
+        const payment = req.tenant.payments.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({
+                error: 'Payment not found',
+                payment_id: req.params.id
+            });
+        }
+
+        const { idempotency_id, ...record } = payment;
+        return res.json({
+            ...record,
+            in_progress: activePayments.has(payment.id)
+        });
+    });
+
+    /**
+     * POST /payments/:id/resume
+     * Finish a half-done payment (e.g. commission confirmed but merchant transfer failed)
+     *
+     * Steps that already happened are never repeated. Resuming a completed
+     * payment simply returns its result.
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.post('/payments/:id/resume', requireOwner, async (req, res, next) => {
+        const { tenant } = req;
+        const { payments, idempotency, spendingPolicy, mandates } = tenant;
+        const payment = payments.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({
+                error: 'Payment not found',
+                payment_id: req.params.id
+            });
+        }
+
+        if (activePayments.has(payment.id)) {
+            return res.status(409).json({
+                error: 'Payment in progress',
+                message: 'This payment is currently being processed. Check GET /payments/:id for its state.',
+                payment_id: payment.id,
+                status: payment.status
+            });
+        }
+
+        if (payment.status === PAYMENT_STATES.COMPLETED || payment.status === PAYMENT_STATES.AUTHORIZED) {
+            return res.json(paymentResult(payment));
+        }
+
+        if (payment.status === PAYMENT_STATES.PENDING_APPROVAL || payment.status === PAYMENT_STATES.REJECTED) {
+            return res.status(409).json({
+                error: 'Payment cannot be resumed',
+                message: payment.status === PAYMENT_STATES.REJECTED
+                    ? 'This payment was rejected'
+                    : 'This payment is waiting for manual approval (POST /payments/:id/approve)',
+                payment_id: payment.id,
+                status: payment.status
+            });
+        }
+
+        // A payment that never broadcast anything gave its mandate spend back - the
+        // mandate must still be valid and have budget left
+        let mandateReservation = null;
+        if (payment.mandate && !payment.commission_tx_hash && !payment.mandate_reservation_id) {
+            mandateReservation = mandates.reserve(payment.mandate, { amount: payment.total_amount, decimals: tokenDecimals(payment) });
+            if (!mandateReservation.allowed) {
+                console.log(`  📜 Resume rejected by mandate ${payment.mandate.id}: ${mandateReservation.reason}`);
+                return res.status(403).json(mandateRejection(mandateReservation));
+            }
+            payments.update(payment.id, {
+                mandate_reservation_id: mandateReservation.reservation_id,
+                mandate_remaining: mandateReservation.remaining
+            });
+        }
+
+        // ... and its budget - check the policy again
+        if (!payment.commission_tx_hash && !payment.budget_reservation_id) {
+            const decision = spendingPolicy.reserve(payment);
+            if (!decision.allowed) {
+                console.log(`  🛡️  Resume rejected by spending policy: ${decision.rule}`);
+                if (mandateReservation) {
+                    mandates.release(mandateReservation.reservation_id);
+                    payments.update(payment.id, { mandate_reservation_id: undefined });
+                }
+                return res.status(403).json(policyViolation(decision));
+            }
+            payments.update(payment.id, { budget_reservation_id: decision.reservation_id });
+        }
+
+        console.log(`\n[${new Date().toISOString()}] ===== RESUMING PAYMENT ${payment.id} =====`);
+        console.log(`  State: ${payment.status}${payment.failed_at_status ? ` (failed at ${payment.failed_at_status})` : ''}`);
+
+        try {
+            payments.resume(payment.id);
+            const result = await startPayment(tenant, payment.id);
+
+            // The original idempotent request now has this answer (async: once the payment finishes)
+            return respondIdempotent(res, idempotency, payment.idempotency_id, result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    /**
+     * The payment to approve or reject - or null, after answering 409 if it
+     * isn't waiting for approval
+     */
+    function pendingApproval(req, res) {
+        const payment = req.tenant.payments.get(req.params.id);
+        if (payment.status !== PAYMENT_STATES.PENDING_APPROVAL) {
+            res.status(409).json({
+                error: 'Payment is not waiting for approval',
+                payment_id: payment.id,
+                status: payment.status
+            });
+            return null;
+        }
+        return payment;
+    }
+
+    /**
+     * POST /payments/:id/approve
+     * Approve a payment above the spending policy's approval threshold and sign it
+     *
+     * Headers:
+     *   x-approval-key: Approver key (the tenant's approval_key or POLICY_APPROVAL_KEY) (REQUIRED)
+     */
+    router.post('/payments/:id/approve', requireApprover, async (req, res, next) => {
+        const { tenant } = req;
+        const { payments, idempotency } = tenant;
+        const payment = pendingApproval(req, res);
+        if (!payment) return;
+
+        console.log(`\n[${new Date().toISOString()}] ===== PAYMENT ${payment.id} APPROVED =====`);
+
+        try {
+            payments.transition(payment.id, PAYMENT_STATES.CREATED, { approved_at: new Date().toISOString() }, 'approved');
+            const result = await startPayment(tenant, payment.id);
+
+            // The original idempotent request now has this answer (async: once the payment finishes)
+            return respondIdempotent(res, idempotency, payment.idempotency_id, result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    /**
+     * POST /payments/:id/reject
+     * Refuse a payment that is waiting for manual approval (nothing is signed)
+     *
+     * Headers:
+     *   x-approval-key: Approver key (the tenant's approval_key or POLICY_APPROVAL_KEY) (REQUIRED)
+     */
+    router.post('/payments/:id/reject', requireApprover, (req, res) => {
+        const { payments, idempotency, spendingPolicy, mandates } = req.tenant;
+        const payment = pendingApproval(req, res);
+        if (!payment) return;
+
+        console.log(`\n[${new Date().toISOString()}] ===== PAYMENT ${payment.id} REJECTED =====`);
+        const rejected = payments.transition(payment.id, PAYMENT_STATES.REJECTED, {
+            rejected_at: new Date().toISOString(),
+            budget_reservation_id: undefined,
+            mandate_reservation_id: undefined
+        }, 'rejected');
+        spendingPolicy.release(payment.budget_reservation_id);
+        mandates.release(payment.mandate_reservation_id);
+
+        if (payment.idempotency_id) {
+            idempotency.complete(payment.idempotency_id, 403, {
+                error: 'Policy violation',
+                rule: 'approval_threshold',
+                message: 'Payment was rejected by the approver',
+                payment_id: payment.id,
+                status: rejected.status
+            });
+        }
+
+        return res.json({
+            payment_id: rejected.id,
+            status: rejected.status
+        });
+    });
+
+    /**
+     * LEGACY ENDPOINT: /sign
+     * Single transaction signing (NO commission enforcement)
+     * DEPRECATED - Use /sign-payment instead
+     */
+    router.post('/sign', async (req, res) => {
+        return res.status(410).json({
+            error: 'Endpoint deprecated',
+            message: 'Please use POST /sign-payment instead for automatic commission enforcement',
+            migration: {
+                old: 'POST /sign with {to, amount, token, chain}',
+                new: 'POST /sign-payment with {merchant_address, total_amount, token, chain}',
+                benefit: 'Automatic commission enforcement with server-fetched config'
+            }
+        });
+    });
+}
+
+module.exports = {
+    mountPaymentRoutes
+};
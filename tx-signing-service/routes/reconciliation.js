@@ -0,0 +1,79 @@
+/**
+ * Reconciliation routes: issues found on-chain, and running it on demand
+ */
+
+const { ISSUE_TYPES } = require('../reconcile');
+
+/**
+ * Register the reconciliation routes on the service's router
+ * (`context` is what createSigningService() shares with its routes)
+ */
+function mountReconciliationRoutes(router, context) {
+    const {
+        requireOwner,
+        reconcilerFor,
+        reconcileIntervalMinutes: RECONCILE_INTERVAL_MINUTES
+    } = context;
+
+    /**
+     * GET /reconciliation
+     * Issues found by on-chain reconciliation, each chain's scan position and the last run
+     *
+     * Query (optional):
+     *   type: unknown_transfer | transfer_mismatch | missing_transaction | commission_rate_mismatch
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.get('/reconciliation', requireOwner, (req, res) => {
+        const { type } = req.query;
+        if (type !== undefined && !ISSUE_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid query',
+                message: `type must be one of: ${ISSUE_TYPES.join(', ')}`
+            });
+        }
+
+        const { reconciliation } = req.tenant;
+        const issues = reconciliation.issues().filter(issue => !type || issue.type === type);
+        return res.json({
+            interval_minutes: RECONCILE_INTERVAL_MINUTES,
+            running: reconcilerFor(req.tenant).running !== null,
+            last_run: reconciliation.lastRun(),
+            cursors: reconciliation.cursors(),
+            issues
+        });
+    });
+
+    /**
+     * POST /reconciliation/run
+     * Reconcile now (scans the blocks since the last run) and return the run's summary
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.post('/reconciliation/run', requireOwner, async (req, res) => {
+        const reconciler = reconcilerFor(req.tenant);
+        if (reconciler.running) {
+            return res.status(409).json({
+                error: 'Reconciliation in progress',
+                message: 'A reconciliation run is already in progress - check GET /reconciliation'
+            });
+        }
+
+        try {
+            const run = await reconciler.run();
+            return res.json(run);
+        } catch (error) {
+            console.error(`❌ Reconciliation failed: ${error.message}`);
+            return res.status(500).json({
+                error: 'Reconciliation failed',
+                message: error.message
+            });
+        }
+    });
+}
+
+module.exports = {
+    mountReconciliationRoutes
+};
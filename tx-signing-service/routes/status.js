@@ -0,0 +1,134 @@
+/**
+ * Status routes: /health, /metrics, /wallet and /policy
+ */
+
+const crypto = require('crypto');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('../metrics');
+const { readWalletStatus } = require('../wallet');
+
+/**
+ * Register the status routes on the service's router
+ * (`context` is what createSigningService() shares with its routes)
+ */
+function mountStatusRoutes(router, context) {
+    const {
+        registry,
+        tenants,
+        metrics,
+        openAccess,
+        ownerCache,
+        commissionConfigCache,
+        requireOwner,
+        providerFor,
+        balanceMonitor: currentBalanceMonitor,
+        configSigner: AGENTGATEPAY_CONFIG_SIGNER,
+        mandates: MANDATES,
+        balanceAlerts: BALANCE_ALERTS,
+        reconcileIntervalMinutes: RECONCILE_INTERVAL_MINUTES,
+        metricsToken: METRICS_TOKEN
+    } = context;
+
+    // Health check endpoint
+    router.get('/health', (req, res) => {
+        const balanceMonitor = currentBalanceMonitor();
+        res.json({
+            status: 'healthy',
+            service: 'AgentGatePay Signing Service',
+            version: '4.0.0',
+            mode: 'secure_server_fetched_config',
+            supported_chains: registry.chainNames(),
+            supported_tokens: registry.tokenSymbols(),
+            owner_protection: openAccess ? 'disabled' : 'enabled',
+            commission_config_signer: AGENTGATEPAY_CONFIG_SIGNER,
+            // Multi-tenant: only the number of tenants (never their keys or wallets)
+            ...(tenants.multiTenant
+                ? { tenants: tenants.size }
+                : { signer: { backend: tenants.all()[0].signerBackend, address: tenants.all()[0].address } }),
+            spending_policy: tenants.all().some(t => t.spendingPolicy.enabled) ? 'enabled' : 'disabled',
+            mandates: MANDATES ? (MANDATES.required ? 'required' : 'optional') : 'disabled',
+            incomplete_payments: tenants.all().reduce((sum, t) => sum + t.payments.incomplete().length, 0),
+            incomplete_batches: tenants.all().reduce((sum, t) => sum + t.batches.incomplete().length, 0),
+            pending_webhooks: tenants.all().reduce((sum, t) => sum + t.webhooks.pending(), 0),
+            balance_alerts: balanceMonitor
+                ? { status: 'enabled', low_balances: balanceMonitor.lowCount(), last_check_at: balanceMonitor.lastCheckAt }
+                : { status: 'disabled' },
+            reconciliation: {
+                status: RECONCILE_INTERVAL_MINUTES > 0 ? 'enabled' : 'manual',
+                issues: tenants.all().reduce((sum, t) => sum + t.reconciliation.issues().length, 0)
+            },
+            upstream_cache: {
+                owner_verification: ownerCache.stats(),
+                commission_config: commissionConfigCache.stats()
+            },
+            registry: registry.summary()
+        });
+    });
+
+    /**
+     * GET /metrics
+     * Prometheus metrics (see metrics.js for the list)
+     *
+     * Headers:
+     *   Authorization: Bearer <METRICS_TOKEN> (only if METRICS_TOKEN is set)
+     */
+    router.get('/metrics', (req, res) => {
+        if (METRICS_TOKEN) {
+            const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+            const actual = Buffer.from(req.headers.authorization || '');
+            if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Authorization: Bearer <METRICS_TOKEN> required'
+                });
+            }
+        }
+
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        return res.send(metrics.registry.render());
+    });
+
+    /**
+     * GET /wallet
+     * The gateway wallet's address and, for every chain in the registry, its
+     * native and token balances (with alert thresholds) and nonces
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.get('/wallet', requireOwner, async (req, res) => {
+        try {
+            const status = await readWalletStatus({
+                registry,
+                address: req.tenant.address,
+                providerFor,
+                thresholds: BALANCE_ALERTS
+            });
+            return res.json({
+                ...status,
+                signer: req.tenant.signerBackend,
+                balance_alerts: BALANCE_ALERTS ? 'enabled' : 'disabled'
+            });
+        } catch (error) {
+            console.error(`❌ Wallet status failed: ${error.message}`);
+            return res.status(500).json({
+                error: 'Wallet status failed',
+                message: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /policy
+     * Current spending policy limits and rolling budget usage
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.get('/policy', requireOwner, (req, res) => {
+        res.json(req.tenant.spendingPolicy.summary());
+    });
+}
+
+module.exports = {
+    mountStatusRoutes
+};
@@ -0,0 +1,174 @@
+/**
+ * Transaction routes: speed up or cancel a pending payment or batch transfer
+ */
+
+const { ethers } = require('ethers');
+const { PAYMENT_STATES } = require('../payments');
+const { BATCH_STATES, ITEM_STATES } = require('../batches');
+const { GasCapError } = require('../gas');
+
+// State a payment is in while each leg's transaction is pending
+const LEG_SENT_STATES = {
+    commission: PAYMENT_STATES.COMMISSION_SENT,
+    merchant: PAYMENT_STATES.MERCHANT_SENT
+};
+
+/**
+ * Register the transaction routes on the service's router
+ * (`context` is what createSigningService() shares with its routes)
+ */
+function mountTransactionRoutes(router, context) {
+    const {
+        registry,
+        requireOwner,
+        connectWallet,
+        paymentLeg,
+        batchLeg,
+        replaceLeg,
+        findLegReceipt
+    } = context;
+
+    /**
+     * The tenant's payment or batch leg a transaction was broadcast for, or null
+     * Returns { leg, pending, owner, status, chain } - owner identifies it in responses
+     */
+    function findTransactionLeg(tenant, hash) {
+        const forPayment = tenant.payments.findByTransaction(hash);
+        if (forPayment) {
+            const { payment, leg } = forPayment;
+            const sentState = LEG_SENT_STATES[leg];
+            return {
+                leg: paymentLeg(tenant, payment.id, leg),
+                pending: payment.status === sentState || payment.failed_at_status === sentState,
+                owner: { payment_id: payment.id, leg },
+                status: payment.status,
+                chain: payment.chain
+            };
+        }
+
+        const forBatch = tenant.batches.findByTransaction(hash);
+        if (forBatch) {
+            const { batch, leg } = forBatch;
+            const sentState = BATCH_STATES.COMMISSION_SENT;
+            return {
+                leg: batchLeg(tenant, batch.id, leg),
+                pending: leg === 'commission'
+                    ? batch.status === sentState || batch.failed_at_status === sentState
+                    : batch.items[leg].status === ITEM_STATES.SENT,
+                owner: leg === 'commission'
+                    ? { batch_id: batch.id, leg }
+                    : { batch_id: batch.id, leg: 'merchant', item: leg },
+                status: leg === 'commission' ? batch.status : batch.items[leg].status,
+                chain: batch.chain
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Handler replacing a pending transaction at the same nonce
+     * kind: 'speed_up' (same transfer, higher fees) or 'cancel' (0-value self-transfer)
+     */
+    function replaceTransaction(kind) {
+        return async (req, res) => {
+            const { tenant } = req;
+            const { hash } = req.params;
+
+            // Only the tenant's own transactions - anything else is "not found"
+            const found = ethers.isHexString(hash, 32) ? findTransactionLeg(tenant, hash) : null;
+            if (!found) {
+                return res.status(404).json({
+                    error: 'Transaction not found',
+                    message: 'No payment or batch transfer was broadcast with this transaction hash',
+                    tx_hash: hash
+                });
+            }
+
+            const { leg, pending, owner, status, chain } = found;
+            if (!pending) {
+                return res.status(409).json({
+                    error: 'Transaction not pending',
+                    message: `This ${leg.label.toLowerCase()} transaction is no longer pending`,
+                    ...owner,
+                    status
+                });
+            }
+
+            try {
+                const { provider } = connectWallet(tenant, chain);
+                const mined = await findLegReceipt(provider, leg.read().attempts);
+                if (mined) {
+                    return res.status(409).json({
+                        error: 'Transaction already mined',
+                        message: `${mined.receipt.hash} was mined in block ${mined.receipt.blockNumber}. Resume to record it.`,
+                        ...owner,
+                        tx_hash: mined.receipt.hash
+                    });
+                }
+
+                console.log(`\n[${new Date().toISOString()}] ===== ${kind === 'cancel' ? 'CANCEL' : 'SPEED-UP'} ${owner.payment_id || owner.batch_id} (${leg.label.toLowerCase()}) =====`);
+                const { attempt, replaced, nonce } = await replaceLeg(tenant, leg, kind);
+
+                return res.json({
+                    success: true,
+                    ...owner,
+                    action: kind,
+                    nonce,
+                    replaced_tx_hash: replaced,
+                    tx_hash: attempt.hash,
+                    explorerUrl: registry.explorerTxUrl(chain, attempt.hash),
+                    fees: attempt.fees,
+                    note: kind === 'cancel'
+                        ? 'Once the cancellation is mined the transfer is rolled back; resume to send it again.'
+                        : 'Whichever transaction at this nonce is mined first completes the transfer.'
+                });
+            } catch (error) {
+                console.error(`\n❌ ${kind === 'cancel' ? 'CANCEL' : 'SPEED-UP'} ERROR:`, error.message);
+                if (error instanceof GasCapError) {
+                    return res.status(503).json({
+                        error: 'Gas price above cap',
+                        message: error.message,
+                        ...error.details,
+                        ...owner
+                    });
+                }
+                return res.status(500).json({
+                    error: kind === 'cancel' ? 'Cancel failed' : 'Speed-up failed',
+                    message: error.message,
+                    ...owner
+                });
+            }
+        };
+    }
+
+    /**
+     * POST /transactions/:hash/speed-up
+     * Re-send a pending payment or batch transaction at the same nonce with higher fees
+     *
+     * :hash is any transaction broadcast for the leg (original or a replacement).
+     * Fees rise by the chain's bump_percent (at least the current market price)
+     * and never above its fee cap.
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.post('/transactions/:hash/speed-up', requireOwner, replaceTransaction('speed_up'));
+
+    /**
+     * POST /transactions/:hash/cancel
+     * Replace a pending payment or batch transaction with a 0-value transfer to the
+     * gateway wallet itself at the same nonce, so the token transfer never happens
+     *
+     * If the cancellation is mined, the leg is rolled back (like a dropped
+     * transaction) and the payment fails; resuming it sends the leg again. For a
+     * batch's merchant transfer only that item fails.
+     *
+     * Headers:
+     *   x-api-key: Owner's AgentGatePay API key (REQUIRED)
+     */
+    router.post('/transactions/:hash/cancel', requireOwner, replaceTransaction('cancel'));
+}
+
+module.exports = {
+    mountTransactionRoutes
+};
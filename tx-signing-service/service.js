@@ -0,0 +1,435 @@
+/**
+ * Embeddable signing service
+ *
+ * createSigningService() returns an Express router with every endpoint of the
+ * service (/sign-payment, /quote-payment, /payments, ...). index.js is the
+ * standalone server around it: it reads the configuration from the env vars
+ * and Secret Files, unlocks the tenants and mounts the router. A gateway can
+ * mount the same router itself:
+ *
+ *   const { createSigningService } = require('./service');
+ *
+ *   const signer = createSigningService({
+ *       registry: loadRegistry(),
+ *       signer: new ethers.Wallet(privateKey),
+ *       apiKey: 'pk_live_...'
+ *   });
+ *   app.use('/signer', signer);
+ *   signer.start();
+ *
+ * Everything the service talks to can be injected - `providers` (chain name →
+ * ethers provider, e.g. a local Anvil node) and `commissionClient` (the
+ * AgentGatePay API, see agentgatepay-client.js) - so it can be tested without
+ * real RPCs or the real API. The default client is pinned to the real API
+ * URL, and commission configs are always verified against AgentGatePay's
+ * pinned config signer (`configSigner` replaces it for tests only).
+ *
+ * The endpoints are in routes/, one module per area (payments, batches,
+ * transactions, reconciliation, status). They share what this factory builds
+ * - the auth middleware (owner-auth.js), the commission config
+ * (commission.js), the transfers (transfers.js) and the payment and batch
+ * processing (payment-runner.js, batch-runner.js) - through one context.
+ *
+ * The router parses JSON itself (HMAC signatures need the raw body): mount it
+ * before any body parser of your own. start() runs the background work
+ * (async payments left by a restart, webhooks, balance alerts,
+ * reconciliation); stop() ends it.
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const path = require('path');
+const { logger, withLogContext, addSecret } = require('./logger');
+const { AUTH_MODES } = require('./auth');
+const { createMetrics } = require('./metrics');
+const { createAgentGatePayClient, AGENTGATEPAY_CONFIG_SIGNER: PINNED_CONFIG_SIGNER } = require('./agentgatepay-client');
+const { parseConfigSigner } = require('./commission-config');
+const { PAYMENT_STATES } = require('./payments');
+const { BATCH_STATES, ITEM_STATES } = require('./batches');
+const { Reconciler } = require('./reconcile');
+const { DATA_DIR } = require('./store');
+const { singleTenant } = require('./tenants');
+const { BalanceMonitor } = require('./wallet');
+const { createOwnerAuth } = require('./owner-auth');
+const { calculateSplit, createCommissionConfigFetcher } = require('./commission');
+const { createRequestChecks } = require('./payment-requests');
+const { createTransfers } = require('./transfers');
+const { createPaymentRunner } = require('./payment-runner');
+const { createBatchRunner } = require('./batch-runner');
+const { mountStatusRoutes } = require('./routes/status');
+const { mountPaymentRoutes } = require('./routes/payments');
+const { mountBatchRoutes } = require('./routes/batches');
+const { mountTransactionRoutes } = require('./routes/transactions');
+const { mountReconciliationRoutes } = require('./routes/reconciliation');
+
+// Request ids from callers: printable, no spaces, at most 128 characters
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Routes polled by monitoring - logged at debug level only
+const QUIET_ROUTES = ['/health', '/metrics'];
+
+class ServiceConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ServiceConfigError';
+    }
+}
+
+// Data directories of the services running in this process - stores keep an in-memory
+// copy and rewrite whole files, so two services must never share one
+const dataDirsInUse = new Set();
+
+/**
+ * Create the signing service
+ *
+ * Required:
+ * - registry: the chain & token registry (see registry.js - loadRegistry())
+ * - tenants: unlocked tenants (see tenants.js - loadTenants()), or for a single owner
+ *   signer: an ethers signer with an address (e.g. an ethers.Wallet), plus
+ *   apiKey, policy, approvalKey, webhookUrl, webhookSecret, rateLimitPerMinute,
+ *   idempotencyTtlHours and quoteTtlSeconds (all optional)
+ *
+ * Optional:
+ * - dataDir: where state is kept (default: the tenants' directory, else DATA_DIR);
+ *   one service per directory - stop() frees it
+ * - providers: { [chain]: provider } used instead of the registry's RPCs
+ * - commissionClient: { url, fetchUser, fetchCommissionConfig } (default: the real API)
+ * - configSigner: address the commission config must be signed by (default:
+ *   AgentGatePay's, see agentgatepay-client.js - for tests with a stub API only),
+ *   commissionMaxRate (default 0.01)
+ * - ownerVerificationTtlSeconds, commissionConfigTtlSeconds, upstreamMaxStaleSeconds
+ * - mandates, balanceAlerts: compiled configs (see mandates.js, wallet.js)
+ * - reconcileIntervalMinutes, reconcileLookbackBlocks, reconcileBlockChunk
+ * - authMode, authMaxClockSkewSeconds, authLockoutThreshold, authLockoutMinutes
+ * - metricsToken, x402ValiditySeconds, batchMaxItems
+ *
+ * Defaults match the env var defaults documented in the README. Returns the
+ * router, with start(), stop(), tenants, commissionClient and metrics on it.
+ * Throws ServiceConfigError for an invalid configuration.
+ */
+function createSigningService(options = {}) {
+    const {
+        registry,
+        signer,
+        providers: injectedProviders = {},
+        commissionClient = createAgentGatePayClient(),
+        configSigner = PINNED_CONFIG_SIGNER,
+        commissionMaxRate: COMMISSION_MAX_RATE = 0.01,
+        ownerVerificationTtlSeconds: OWNER_VERIFICATION_TTL_SECONDS = 300,
+        commissionConfigTtlSeconds: COMMISSION_CONFIG_TTL_SECONDS = 300,
+        upstreamMaxStaleSeconds: UPSTREAM_MAX_STALE_SECONDS = 3600,
+        mandates: MANDATES = null,
+        balanceAlerts: BALANCE_ALERTS = null,
+        reconcileIntervalMinutes: RECONCILE_INTERVAL_MINUTES = 60,
+        reconcileLookbackBlocks: RECONCILE_LOOKBACK_BLOCKS = 5000,
+        reconcileBlockChunk: RECONCILE_BLOCK_CHUNK = 2000,
+        authMode: AUTH_MODE = 'either',
+        authMaxClockSkewSeconds: AUTH_MAX_CLOCK_SKEW_SECONDS = 300,
+        authLockoutThreshold: AUTH_LOCKOUT_THRESHOLD = 10,
+        authLockoutMinutes: AUTH_LOCKOUT_MINUTES = 15,
+        metricsToken: METRICS_TOKEN,
+        x402ValiditySeconds: X402_DEFAULT_VALIDITY_SECONDS = 300,
+        batchMaxItems: BATCH_MAX_ITEMS = 100
+    } = options;
+
+    if (!registry) {
+        throw new ServiceConfigError('registry is required (see registry.js)');
+    }
+    if (!options.tenants && !(signer && ethers.isAddress(signer.address))) {
+        throw new ServiceConfigError('tenants, or a signer with an address (e.g. an ethers.Wallet), is required');
+    }
+    if (!AUTH_MODES.includes(AUTH_MODE)) {
+        throw new ServiceConfigError(`authMode must be one of: ${AUTH_MODES.join(', ')}`);
+    }
+    let AGENTGATEPAY_CONFIG_SIGNER;
+    try {
+        AGENTGATEPAY_CONFIG_SIGNER = parseConfigSigner(configSigner);
+    } catch (error) {
+        throw new ServiceConfigError(error.message);
+    }
+    if (!(COMMISSION_MAX_RATE > 0 && COMMISSION_MAX_RATE < 1)) {
+        throw new ServiceConfigError('commissionMaxRate must be a fraction between 0 and 1 (e.g. 0.01 = 1%)');
+    }
+    for (const method of ['fetchUser', 'fetchCommissionConfig']) {
+        if (typeof commissionClient[method] !== 'function') {
+            throw new ServiceConfigError(`commissionClient.${method} must be a function`);
+        }
+    }
+
+    const dataDir = path.resolve(options.dataDir || (options.tenants && options.tenants.dataDir) || DATA_DIR);
+    if (dataDirsInUse.has(dataDir)) {
+        throw new ServiceConfigError(`dataDir ${dataDir} is already used by another signing service in this process`);
+    }
+
+    // Every tenant ("default" for a single signer), with its signer and isolated state
+    const tenants = options.tenants || singleTenant({
+        single: {
+            apiKey: options.apiKey,
+            policy: options.policy || null,
+            approvalKey: options.approvalKey,
+            webhookUrl: options.webhookUrl,
+            webhookSecret: options.webhookSecret,
+            rateLimitPerMinute: options.rateLimitPerMinute !== undefined ? options.rateLimitPerMinute : 120
+        },
+        signer: { signer, address: signer.address, backend: 'injected', source: 'createSigningService()' },
+        source: 'createSigningService()',
+        registry,
+        idempotencyTtlMs: (options.idempotencyTtlHours || 24) * 60 * 60 * 1000,
+        quoteTtlMs: (options.quoteTtlSeconds || 60) * 1000,
+        dataDir
+    });
+    dataDirsInUse.add(dataDir);
+
+    // 📊 This service's own metrics (GET /metrics)
+    const metrics = createMetrics({ tenants: () => tenants.all() });
+
+    addSecret(METRICS_TOKEN);
+
+    // Payments and batches being processed right now (a resume must not race the original request)
+    const activePayments = new Set();
+
+    const auth = createOwnerAuth({
+        tenants,
+        commissionClient,
+        dataDir,
+        authMode: AUTH_MODE,
+        authMaxClockSkewSeconds: AUTH_MAX_CLOCK_SKEW_SECONDS,
+        authLockoutThreshold: AUTH_LOCKOUT_THRESHOLD,
+        authLockoutMinutes: AUTH_LOCKOUT_MINUTES,
+        ownerVerificationTtlSeconds: OWNER_VERIFICATION_TTL_SECONDS,
+        upstreamMaxStaleSeconds: UPSTREAM_MAX_STALE_SECONDS
+    });
+    const commission = createCommissionConfigFetcher({
+        commissionClient,
+        metrics,
+        configSigner: AGENTGATEPAY_CONFIG_SIGNER,
+        commissionMaxRate: COMMISSION_MAX_RATE,
+        commissionConfigTtlSeconds: COMMISSION_CONFIG_TTL_SECONDS,
+        upstreamMaxStaleSeconds: UPSTREAM_MAX_STALE_SECONDS
+    });
+    const transfers = createTransfers({ registry, metrics, providers: injectedProviders });
+    const paymentRunner = createPaymentRunner({ registry, metrics, commissionClient, transfers, activePayments });
+    const batchRunner = createBatchRunner({ registry, commissionClient, transfers, activePayments });
+
+    const { providerFor } = transfers;
+    const { runPayment, finishAsyncPayment, asyncPaymentCrashed } = paymentRunner;
+
+    // One reconciler per tenant (created on first use)
+    const reconcilers = new Map();
+
+    // Background work (see start/stop)
+    let balanceMonitor = null;
+    let reconcileTimer = null;
+
+    const router = express.Router();
+
+    // 🪪 REQUEST IDS: Every request gets an id (the caller's X-Request-Id, or a new one),
+    // echoed back in X-Request-Id and attached to every log line written while handling it
+    router.use((req, res, next) => {
+        const incoming = req.headers['x-request-id'];
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+
+        const started = Date.now();
+        res.on('finish', () => {
+            const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+            metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+
+            const level = req.route && QUIET_ROUTES.includes(req.route.path) ? 'debug' : 'info';
+            withLogContext({ request_id: req.id }, () => logger[level]('request', {
+                method: req.method,
+                route,
+                status: res.statusCode,
+                duration_ms: Date.now() - started
+            }));
+        });
+
+        withLogContext({ request_id: req.id }, next);
+    });
+
+    // Body parsing (the raw body is kept for HMAC request signatures)
+    router.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+    // Everything the routes use (see routes/)
+    const context = {
+        registry,
+        tenants,
+        metrics,
+        commissionClient,
+        activePayments,
+        ...auth,
+        ...commission,
+        ...createRequestChecks({ registry, mandates: MANDATES }),
+        ...transfers,
+        ...paymentRunner,
+        ...batchRunner,
+        reconcilerFor,
+        balanceMonitor: () => balanceMonitor,
+        configSigner: AGENTGATEPAY_CONFIG_SIGNER,
+        mandates: MANDATES,
+        balanceAlerts: BALANCE_ALERTS,
+        reconcileIntervalMinutes: RECONCILE_INTERVAL_MINUTES,
+        metricsToken: METRICS_TOKEN,
+        x402ValiditySeconds: X402_DEFAULT_VALIDITY_SECONDS,
+        batchMaxItems: BATCH_MAX_ITEMS
+    };
+
+    mountStatusRoutes(router, context);
+    mountPaymentRoutes(router, context);
+    mountBatchRoutes(router, context);
+    mountTransactionRoutes(router, context);
+    mountReconciliationRoutes(router, context);
+
+    // A route that failed unexpectedly (e.g. a state file couldn't be written) answers in JSON.
+    // Errors with their own status (e.g. malformed JSON bodies) keep Express' handling.
+    router.use((error, req, res, next) => {
+        if (error.status || res.headersSent) return next(error);
+        console.error(`❌ ${req.method} ${req.path} failed: ${error.message}`);
+        res.status(500).json({ error: 'Internal error', message: error.message });
+    });
+
+    /**
+     * Report payments left incomplete by a crash, restart or failure
+     */
+    function reportIncompletePayments(tenant) {
+        const incomplete = tenant.payments.incomplete();
+        if (incomplete.length === 0) {
+            console.log(`✅ No incomplete payments`);
+            return;
+        }
+
+        console.log(`⚠️  ${incomplete.length} incomplete payment(s) found - finish with POST /payments/:id/resume`);
+        for (const payment of incomplete) {
+            const state = payment.status === PAYMENT_STATES.FAILED
+                ? `failed at ${payment.failed_at_status}`
+                : `interrupted at ${payment.status}`;
+            console.log(`   ${payment.id}: ${state} (${payment.total_amount} ${payment.token} on ${payment.chain} → ${payment.merchant_address})`);
+        }
+    }
+
+    /**
+     * Report batches left incomplete by a crash, restart or failure
+     */
+    function reportIncompleteBatches(tenant) {
+        const incomplete = tenant.batches.incomplete();
+        if (incomplete.length === 0) return;
+
+        console.log(`⚠️  ${incomplete.length} incomplete batch(es) found - finish with POST /batches/:id/resume`);
+        for (const batch of incomplete) {
+            const state = batch.status === BATCH_STATES.FAILED
+                ? `failed at ${batch.failed_at_status}`
+                : `interrupted at ${batch.status}`;
+            const unpaid = batch.items.filter(i => [ITEM_STATES.PENDING, ITEM_STATES.SENT, ITEM_STATES.FAILED].includes(i.status));
+            console.log(`   ${batch.id}: ${state} (${unpaid.length} of ${batch.items.length} item(s) unpaid, ${batch.token} on ${batch.chain})`);
+        }
+    }
+
+    /**
+     * 🪫 Send a wallet alert through the tenant's signed webhook queue - to the
+     * alerts file's webhook_url (single tenant), or only ever to the tenant's
+     * own webhook URL (multi-tenant)
+     */
+    function sendBalanceAlert(tenant, event, data) {
+        const url = tenants.multiTenant ? tenant.webhookUrl : (BALANCE_ALERTS.webhookUrl || tenant.webhookUrl);
+        if (!url) return;
+        if (!tenant.webhookSecret) {
+            console.warn(`⚠️  ${event} not sent - set WEBHOOK_SECRET (multi-tenant: the tenant's webhook_secret) so alerts can be signed`);
+            return;
+        }
+        tenant.webhooks.enqueue({ url, event, data });
+    }
+
+    /**
+     * 🧮 The tenant's reconciler
+     */
+    function reconcilerFor(tenant) {
+        if (!reconcilers.has(tenant.id)) {
+            reconcilers.set(tenant.id, new Reconciler({
+                tenant,
+                registry,
+                providerFor,
+                expectedCommission: (totalAmount, rate) => calculateSplit(totalAmount, rate).commissionAmount,
+                lookbackBlocks: RECONCILE_LOOKBACK_BLOCKS,
+                blockChunk: RECONCILE_BLOCK_CHUNK
+            }));
+        }
+        return reconcilers.get(tenant.id);
+    }
+
+    /**
+     * Reconcile every tenant, one after the other
+     */
+    async function reconcileAll() {
+        for (const tenant of tenants.all()) {
+            await reconcilerFor(tenant).run().catch(error => console.error(`❌ Reconciliation failed: ${error.message}`));
+        }
+    }
+
+    /**
+     * Async payments interrupted by a restart keep running in the background -
+     * their clients were already told to wait for the webhook
+     */
+    function continueAsyncPayments(tenant) {
+        const interrupted = tenant.payments.incomplete().filter(p => p.async && p.status !== PAYMENT_STATES.FAILED);
+
+        for (const payment of interrupted) {
+            console.log(`⏩ Continuing async payment ${payment.id} (${payment.status})`);
+            runPayment(tenant, payment.id)
+                .then(result => finishAsyncPayment(tenant, payment.id, result))
+                .catch(error => asyncPaymentCrashed(tenant, payment.id, error));
+        }
+    }
+
+    /**
+     * Start the background work: finish async payments left by a restart,
+     * deliver webhooks, watch balances and reconcile
+     */
+    function start() {
+        for (const tenant of tenants.all()) {
+            tenant.run(() => {
+                reportIncompletePayments(tenant);
+                reportIncompleteBatches(tenant);
+                continueAsyncPayments(tenant);
+                tenant.webhooks.start();
+            });
+        }
+
+        if (BALANCE_ALERTS) {
+            balanceMonitor = new BalanceMonitor({
+                registry,
+                thresholds: BALANCE_ALERTS,
+                tenants: () => tenants.all(),
+                providerFor,
+                onAlert: sendBalanceAlert
+            });
+            balanceMonitor.start();
+        }
+
+        if (RECONCILE_INTERVAL_MINUTES > 0) {
+            reconcileAll();
+            reconcileTimer = setInterval(reconcileAll, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+            reconcileTimer.unref();
+        }
+    }
+
+    /**
+     * Stop the background work (payments being signed right now still finish)
+     * and free dataDir for another service
+     */
+    function stop() {
+        for (const tenant of tenants.all()) {
+            tenant.webhooks.stop();
+        }
+        if (balanceMonitor) balanceMonitor.stop();
+        clearInterval(reconcileTimer);
+        dataDirsInUse.delete(dataDir);
+    }
+
+    return Object.assign(router, { tenants, commissionClient, metrics, start, stop });
+}
+
+module.exports = {
+    ServiceConfigError,
+    createSigningService
+};
\ No newline at end of file
@@ -0,0 +1,359 @@
+/**
+ * Signer backends
+ *
+ * Everything that signs (broadcast transfers, x402 authorizations) goes
+ * through an ethers Signer created here, so the private key never has to
+ * live in an env var in production. Selected with SIGNER_BACKEND:
+ *
+ *   private_key  (default) Raw key from WALLET_PRIVATE_KEY, the Secret File
+ *                /etc/secrets/wallet-private-key or ./wallet-private-key (dev)
+ *
+ *   keystore     Encrypted JSON keystore (geth / ethers format), unlocked at
+ *                startup with a passphrase
+ *                  SIGNER_KEYSTORE_FILE           (default: Secret File /etc/secrets/wallet-keystore.json,
+ *                                                  then ./wallet-keystore.json)
+ *                  SIGNER_KEYSTORE_PASSWORD_FILE  (default: /etc/secrets/wallet-keystore-password)
+ *                  SIGNER_KEYSTORE_PASSWORD       (env alternative to the password file)
+ *
+ *   remote       Remote signer (Web3Signer-style JSON-RPC: eth_accounts,
+ *                eth_signTransaction, eth_signTypedData_v4). The key never
+ *                enters this process.
+ *                  SIGNER_REMOTE_URL         e.g. https://web3signer.internal:9000
+ *                  SIGNER_REMOTE_ADDRESS     account to sign with (default: first of eth_accounts)
+ *                  SIGNER_REMOTE_AUTH_TOKEN  sent as "Authorization: Bearer ..." (optional)
+ *                  SIGNER_REMOTE_TIMEOUT_MS  per request (default: 10000)
+ *
+ * Every signature a remote signer returns is checked locally (recovered
+ * signer, nonce, chain) before it is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { addSecret, addPrivateKey } = require('./logger');
+
+const SIGNER_BACKENDS = ['private_key', 'keystore', 'remote'];
+
+const DEFAULT_REMOTE_TIMEOUT_MS = 10000;
+
+class SignerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SignerError';
+    }
+}
+
+/**
+ * Signer configuration from env vars (see the header for the variables)
+ */
+function signerConfigFromEnv(env = process.env) {
+    return {
+        backend: env.SIGNER_BACKEND || 'private_key',
+        private_key: env.WALLET_PRIVATE_KEY,
+        keystore_file: env.SIGNER_KEYSTORE_FILE,
+        keystore_password: env.SIGNER_KEYSTORE_PASSWORD,
+        keystore_password_file: env.SIGNER_KEYSTORE_PASSWORD_FILE,
+        remote_url: env.SIGNER_REMOTE_URL,
+        remote_address: env.SIGNER_REMOTE_ADDRESS,
+        remote_auth_token: env.SIGNER_REMOTE_AUTH_TOKEN,
+        remote_timeout_ms: env.SIGNER_REMOTE_TIMEOUT_MS ? Number(env.SIGNER_REMOTE_TIMEOUT_MS) : undefined
+    };
+}
+
+/**
+ * First file in the list that exists, or null
+ */
+function firstExisting(files) {
+    return files.filter(Boolean).find(file => fs.existsSync(file)) || null;
+}
+
+function readSecret(file) {
+    return fs.readFileSync(file, 'utf8').trim();
+}
+
+// --- private_key ---------------------------------------------------------
+
+function loadPrivateKey(config) {
+    let privateKey = config.private_key;
+    let source = 'environment variable';
+
+    if (config.private_key_file) {
+        if (!fs.existsSync(config.private_key_file)) {
+            throw new SignerError(`Private key file not found: ${config.private_key_file}`);
+        }
+        privateKey = readSecret(config.private_key_file);
+        source = config.private_key_file;
+    } else if (!privateKey) {
+        const file = firstExisting([
+            '/etc/secrets/wallet-private-key',
+            path.join(__dirname, 'wallet-private-key')
+        ]);
+        if (!file) {
+            throw new SignerError('Wallet private key not found (set WALLET_PRIVATE_KEY or add Secret File /etc/secrets/wallet-private-key)');
+        }
+        privateKey = readSecret(file);
+        source = file.startsWith('/etc/secrets/') ? 'Secret File' : 'local file (dev mode)';
+    }
+
+    addPrivateKey(privateKey);
+    if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+        throw new SignerError(`Invalid wallet private key format (expected 0x followed by 64 hexadecimal characters, got ${privateKey.substring(0, 10)}...)`);
+    }
+
+    return { signer: new ethers.Wallet(privateKey), source };
+}
+
+// --- keystore ------------------------------------------------------------
+
+async function loadKeystore(config) {
+    const file = config.keystore_file || firstExisting([
+        '/etc/secrets/wallet-keystore.json',
+        path.join(__dirname, 'wallet-keystore.json')
+    ]);
+    if (!file || !fs.existsSync(file)) {
+        throw new SignerError(`Keystore not found: ${file || '/etc/secrets/wallet-keystore.json'}`);
+    }
+
+    let password = config.keystore_password;
+    if (password === undefined) {
+        const passwordFile = firstExisting([config.keystore_password_file, '/etc/secrets/wallet-keystore-password']);
+        if (!passwordFile) {
+            throw new SignerError('Keystore password not found (set SIGNER_KEYSTORE_PASSWORD_FILE or add Secret File /etc/secrets/wallet-keystore-password)');
+        }
+        password = readSecret(passwordFile);
+    }
+    addSecret(password);
+
+    const json = fs.readFileSync(file, 'utf8');
+    if (!ethers.isKeystoreJson(json)) {
+        throw new SignerError(`${file} is not an encrypted JSON keystore`);
+    }
+
+    try {
+        const signer = await ethers.Wallet.fromEncryptedJson(json, password);
+        addPrivateKey(signer.privateKey);
+        return { signer, source: file };
+    } catch (error) {
+        throw new SignerError(`Could not unlock keystore ${file}: ${error.shortMessage || error.message}`);
+    }
+}
+
+// --- remote --------------------------------------------------------------
+
+/**
+ * Minimal JSON-RPC client for the remote signer
+ */
+class RemoteSignerClient {
+    constructor({ url, authToken, timeoutMs = DEFAULT_REMOTE_TIMEOUT_MS }) {
+        this.url = url;
+        this.authToken = authToken;
+        this.timeoutMs = timeoutMs;
+        this.nextId = 1;
+    }
+
+    async call(method, params) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.authToken) headers['Authorization'] = `Bearer ${this.authToken}`;
+
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method, params }),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            throw new SignerError(`Remote signer unreachable (${method}): ${error.message}`);
+        }
+
+        if (!response.ok) {
+            throw new SignerError(`Remote signer returned HTTP ${response.status} for ${method}`);
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            throw new SignerError(`Remote signer refused ${method}: ${body.error.message || JSON.stringify(body.error)}`);
+        }
+        return body.result;
+    }
+}
+
+function toQuantity(value) {
+    return value === null || value === undefined ? undefined : ethers.toQuantity(value);
+}
+
+/**
+ * ethers Signer whose signatures come from a remote signer
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+    constructor(client, address, provider = null) {
+        super(provider);
+        this.client = client;
+        this.address = ethers.getAddress(address);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.client, this.address, provider);
+    }
+
+    async signTransaction(transaction) {
+        // (fields are read one by one - ethers passes a Transaction, whose fields are getters)
+        const tx = await ethers.resolveProperties({
+            type: transaction.type,
+            to: transaction.to,
+            data: transaction.data,
+            value: transaction.value,
+            gasLimit: transaction.gasLimit,
+            nonce: transaction.nonce,
+            gasPrice: transaction.gasPrice,
+            maxFeePerGas: transaction.maxFeePerGas,
+            maxPriorityFeePerGas: transaction.maxPriorityFeePerGas,
+            chainId: transaction.chainId
+        });
+
+        const isEip1559 = tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined;
+        let chainId = tx.chainId;
+        if ((chainId === null || chainId === undefined) && this.provider) {
+            chainId = (await this.provider.getNetwork()).chainId;
+        }
+        if (chainId === null || chainId === undefined) {
+            throw new SignerError('Cannot sign remotely without a chain id');
+        }
+
+        const request = {
+            from: this.address,
+            type: toQuantity(isEip1559 ? 2 : (tx.type ?? 0)),
+            chainId: toQuantity(chainId),
+            to: tx.to ? await ethers.resolveAddress(tx.to, this.provider) : undefined,
+            data: tx.data || '0x',
+            value: toQuantity(tx.value || 0),
+            gas: toQuantity(tx.gasLimit),
+            nonce: toQuantity(tx.nonce)
+        };
+        if (isEip1559) {
+            request.maxFeePerGas = toQuantity(tx.maxFeePerGas);
+            request.maxPriorityFeePerGas = toQuantity(tx.maxPriorityFeePerGas);
+        } else {
+            request.gasPrice = toQuantity(tx.gasPrice);
+        }
+
+        const signed = await this.client.call('eth_signTransaction', [request]);
+
+        // Never broadcast something other than what we asked for
+        const parsed = ethers.Transaction.from(signed);
+        if (parsed.from !== this.address) {
+            throw new SignerError(`Remote signer signed with ${parsed.from}, expected ${this.address}`);
+        }
+
+        const expected = {
+            type: Number(request.type),
+            chainId: BigInt(request.chainId),
+            to: request.to ? ethers.getAddress(request.to) : null,
+            data: ethers.hexlify(request.data),
+            value: BigInt(request.value),
+            nonce: request.nonce === undefined ? undefined : Number(request.nonce),
+            gasLimit: request.gas === undefined ? undefined : BigInt(request.gas),
+            gasPrice: request.gasPrice === undefined ? undefined : BigInt(request.gasPrice),
+            maxFeePerGas: request.maxFeePerGas === undefined ? undefined : BigInt(request.maxFeePerGas),
+            maxPriorityFeePerGas: request.maxPriorityFeePerGas === undefined ? undefined : BigInt(request.maxPriorityFeePerGas)
+        };
+        const changed = Object.keys(expected).filter(field => expected[field] !== undefined
+            && (parsed[field] ?? null) !== expected[field]);
+        if (changed.length > 0) {
+            throw new SignerError(`Remote signer returned a transaction with a different ${changed.join(', ')}`);
+        }
+
+        return signed;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+        const signature = await this.client.call('eth_sign', [this.address, data]);
+
+        if (ethers.verifyMessage(message, signature) !== this.address) {
+            throw new SignerError('Remote signer returned a message signature from a different account');
+        }
+        return signature;
+    }
+
+    async signTypedData(domain, types, value) {
+        const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+        const signature = await this.client.call('eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+
+        if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+            throw new SignerError('Remote signer returned a typed-data signature from a different account');
+        }
+        return signature;
+    }
+}
+
+async function loadRemote(config) {
+    if (!config.remote_url) {
+        throw new SignerError('SIGNER_REMOTE_URL is required for the remote signer backend');
+    }
+
+    addSecret(config.remote_auth_token);
+    const client = new RemoteSignerClient({
+        url: config.remote_url,
+        authToken: config.remote_auth_token,
+        timeoutMs: config.remote_timeout_ms
+    });
+
+    // The account must exist on the signer (also checks that it is reachable)
+    const accounts = (await client.call('eth_accounts', [])).map(a => ethers.getAddress(a));
+    let address = accounts[0];
+
+    if (config.remote_address) {
+        if (!ethers.isAddress(config.remote_address)) {
+            throw new SignerError(`Invalid SIGNER_REMOTE_ADDRESS: ${config.remote_address}`);
+        }
+        address = ethers.getAddress(config.remote_address);
+        if (!accounts.includes(address)) {
+            throw new SignerError(`Remote signer has no key for ${address}`);
+        }
+    }
+
+    if (!address) {
+        throw new SignerError('Remote signer has no accounts');
+    }
+
+    return { signer: new RemoteSigner(client, address), source: new URL(config.remote_url).host };
+}
+
+/**
+ * Create the signer for a configuration
+ * Returns { signer, address, backend, source } - call signer.connect(provider) per chain
+ */
+async function createSigner(config) {
+    const loaders = {
+        private_key: loadPrivateKey,
+        keystore: loadKeystore,
+        remote: loadRemote
+    };
+
+    const loader = loaders[config.backend];
+    if (!loader) {
+        throw new SignerError(`Unknown signer backend: ${config.backend} (supported: ${SIGNER_BACKENDS.join(', ')})`);
+    }
+
+    const { signer, source } = await loader(config);
+    return {
+        signer,
+        address: await signer.getAddress(),
+        backend: config.backend,
+        source
+    };
+}
+
+module.exports = {
+    SIGNER_BACKENDS,
+    SignerError,
+    RemoteSigner,
+    createSigner,
+    signerConfigFromEnv
+};
@@ -0,0 +1,75 @@
+/**
+ * Durable JSON file store
+ *
+ * Records are kept in memory and flushed to disk on every write.
+ * Writes go to a temp file that is fsync'd and then renamed over the
+ * original, so a crash mid-write never leaves a half-written file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Where durable state lives (mount a persistent disk here in production)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+class JsonStore {
+    constructor(name, dir = DATA_DIR) {
+        this.file = path.join(dir, `${name}.json`);
+        this.records = {};
+
+        fs.mkdirSync(dir, { recursive: true });
+        if (fs.existsSync(this.file)) {
+            this.records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        }
+    }
+
+    get(id) {
+        return this.records[id];
+    }
+
+    has(id) {
+        return Object.prototype.hasOwnProperty.call(this.records, id);
+    }
+
+    set(id, record) {
+        this.records[id] = record;
+        this.flush();
+        return record;
+    }
+
+    delete(id) {
+        if (!this.has(id)) return false;
+        delete this.records[id];
+        this.flush();
+        return true;
+    }
+
+    /**
+     * Delete several records with a single write
+     */
+    deleteMany(ids) {
+        const existing = ids.filter(id => this.has(id));
+        if (existing.length === 0) return 0;
+        for (const id of existing) delete this.records[id];
+        this.flush();
+        return existing.length;
+    }
+
+    values() {
+        return Object.values(this.records);
+    }
+
+    flush() {
+        const tmpFile = `${this.file}.tmp`;
+        const fd = fs.openSync(tmpFile, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(this.records, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpFile, this.file);
+    }
+}
+
+module.exports = { JsonStore, DATA_DIR };
@@ -0,0 +1,338 @@
+/**
+ * Tenants (multi-tenant mode)
+ *
+ * One deployment can serve several owners. Each tenant has its own
+ * AgentGatePay API key, signing wallet and commission config fetch, and its
+ * own payment and batch history, idempotency keys, quotes, spending-policy
+ * budget, mandate spend, webhook queue and reconciliation state (stored under DATA_DIR/tenants/<id>). A request is only ever handled with
+ * the wallet of the tenant whose API key it carries.
+ *
+ * Tenants are loaded from TENANTS_FILE → Secret File /etc/secrets/tenants.json
+ * → ./tenants.json (see tenants.example.json):
+ *
+ * {
+ *   "tenants": {
+ *     "research-agents": {
+ *       "api_key_file": "/etc/secrets/research-agents-api-key",   // or "api_key"
+ *       "signer": { "backend": "keystore", "keystore_file": "...", "keystore_password_file": "..." },
+ *       "policy_file": "/etc/secrets/research-agents-policy.json",  // optional
+ *       "approval_key_file": "/etc/secrets/research-agents-approval-key",  // optional
+ *       "webhook_url": "https://agents.example.com/payments/callback",    // optional
+ *       "webhook_secret_file": "/etc/secrets/research-agents-webhook-secret",  // optional
+ *       "rate_limit_per_minute": 30                                        // optional
+ *     }
+ *   }
+ * }
+ *
+ * Without a tenants file the service runs single-tenant: one "default" tenant
+ * from AGENTGATEPAY_API_KEY and the SIGNER_* env vars, with its state
+ * directly in DATA_DIR (as before multi-tenant mode existed).
+ *
+ * A tenant's approval key and webhook URL/secret are never shared: a tenant
+ * without its own has manual approvals (or webhooks) turned off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JsonStore, DATA_DIR } = require('./store');
+const { IdempotencyStore } = require('./idempotency');
+const { PaymentStore } = require('./payments');
+const { BatchStore } = require('./batches');
+const { QuoteStore } = require('./quotes');
+const { SpendingPolicy } = require('./policy');
+const { ReconciliationStore } = require('./reconcile');
+const { MandateLedger } = require('./mandates');
+const { createSigner, SIGNER_BACKENDS } = require('./signers');
+const { WebhookQueue, isValidWebhookUrl } = require('./webhooks');
+const { withLogContext, addSecret } = require('./logger');
+const { safeEqual } = require('./auth');
+
+// Fields each signer backend must set explicitly in a tenants file
+// (tenants never fall back to the single-tenant env vars or Secret Files)
+const REQUIRED_SIGNER_FIELDS = {
+    private_key: [['private_key', 'private_key_file']],
+    keystore: [['keystore_file'], ['keystore_password', 'keystore_password_file']],
+    remote: [['remote_url'], ['remote_address']]
+};
+
+class TenantError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TenantError';
+    }
+}
+
+/**
+ * Find the tenants file: TENANTS_FILE env → Secret File → local file (dev)
+ * Returns null in single-tenant mode.
+ */
+function findTenantsFile(env = process.env) {
+    const candidates = [
+        env.TENANTS_FILE,
+        '/etc/secrets/tenants.json',
+        path.join(__dirname, 'tenants.json')
+    ].filter(Boolean);
+
+    const file = candidates.find(f => fs.existsSync(f));
+    if (!file && env.TENANTS_FILE) {
+        throw new TenantError(`Tenants file not found: ${env.TENANTS_FILE}`);
+    }
+    return file || null;
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function readSecretField(config, field, where) {
+    if (config[`${field}_file`]) {
+        const file = config[`${field}_file`];
+        if (!fs.existsSync(file)) {
+            throw new TenantError(`${where}.${field}_file not found: ${file}`);
+        }
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+    return config[field];
+}
+
+function validateSignerConfig(signer, where) {
+    if (!signer || !SIGNER_BACKENDS.includes(signer.backend)) {
+        throw new TenantError(`${where}.signer.backend must be one of: ${SIGNER_BACKENDS.join(', ')}`);
+    }
+    for (const alternatives of REQUIRED_SIGNER_FIELDS[signer.backend]) {
+        if (!alternatives.some(field => signer[field])) {
+            throw new TenantError(`${where}.signer needs ${alternatives.join(' or ')} for the ${signer.backend} backend`);
+        }
+    }
+}
+
+/**
+ * One tenant: API key, signer and isolated state
+ */
+class Tenant {
+    constructor({ id, apiKey, signer, dir, policy, approvalKey, webhookUrl, webhookSecret, rateLimitPerMinute, registry, idempotencyTtlMs, quoteTtlMs }) {
+        this.id = id;
+        this.apiKey = apiKey;
+        this.signer = signer.signer;
+        this.signerBackend = signer.backend;
+        this.signerSource = signer.source;
+        this.address = signer.address;
+        this.approvalKey = approvalKey;
+        this.webhookUrl = webhookUrl;
+        this.webhookSecret = webhookSecret;
+        this.rateLimitPerMinute = rateLimitPerMinute;
+        [apiKey, approvalKey, webhookSecret].forEach(addSecret);
+
+        this.payments = new PaymentStore({ store: new JsonStore('payments', dir) });
+        this.batches = new BatchStore({ store: new JsonStore('batches', dir) });
+        this.idempotency = new IdempotencyStore({
+            ttlMs: idempotencyTtlMs,
+            store: new JsonStore('idempotency', dir),
+            // Keys of payments and batches that can still change are kept past the TTL
+            isUnfinished: record => (record.payment_id ? this.payments.isUnfinished(record.payment_id) : false)
+                || (record.batch_id ? this.batches.isUnfinished(record.batch_id) : false)
+        });
+        this.quotes = new QuoteStore({ ttlMs: quoteTtlMs });
+        this.spendingPolicy = new SpendingPolicy({ policy, registry, ledger: new JsonStore('policy-spend', dir) });
+        this.mandates = new MandateLedger({ store: new JsonStore('mandate-spend', dir) });
+        this.reconciliation = new ReconciliationStore({ store: new JsonStore('reconciliation', dir) });
+
+        // Each delivery attempt is mirrored onto the payment (GET /payments/:id shows it)
+        this.webhooks = new WebhookQueue({
+            store: new JsonStore('webhooks', dir),
+            secret: webhookSecret,
+            onUpdate: delivery => delivery.payment_id && this.payments.update(delivery.payment_id, {
+                webhook: {
+                    delivery_id: delivery.id,
+                    event: delivery.event,
+                    status: delivery.status,
+                    attempts: delivery.attempts,
+                    last_error: delivery.last_error,
+                    next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : undefined,
+                    delivered_at: delivery.delivered_at
+                }
+            })
+        });
+    }
+
+    /**
+     * Run fn with this tenant as the current tenant (log lines carry its id)
+     */
+    run(fn) {
+        return withLogContext({ tenant: this.id }, fn);
+    }
+}
+
+class TenantDirectory {
+    constructor(tenants, { multiTenant, source, dataDir }) {
+        this.tenants = tenants;
+        this.multiTenant = multiTenant;
+        this.source = source;
+        this.dataDir = dataDir;
+    }
+
+    /**
+     * Tenant owning an API key, or null
+     * Every tenant's key is compared in constant time (no early exit on a match)
+     */
+    forApiKey(apiKey) {
+        let found = null;
+        for (const tenant of this.tenants) {
+            if (tenant.apiKey && safeEqual(apiKey, tenant.apiKey)) found = tenant;
+        }
+        return found;
+    }
+
+    /**
+     * Tenant by id (the X-Key-Id of HMAC-signed requests), or null
+     */
+    forKeyId(keyId) {
+        return this.tenants.find(t => t.id === keyId) || null;
+    }
+
+    /**
+     * Tenant a payment belongs to, or null
+     */
+    forPayment(paymentId) {
+        return this.tenants.find(t => t.payments.get(paymentId)) || null;
+    }
+
+    all() {
+        return this.tenants;
+    }
+
+    get size() {
+        return this.tenants.length;
+    }
+}
+
+/**
+ * The "default" tenant of single-tenant mode, around an unlocked signer
+ * ({ signer, address, backend, source } - see createSigner), with its state in dataDir
+ */
+function singleTenant({ single, signer, source, registry, idempotencyTtlMs, quoteTtlMs, dataDir = DATA_DIR }) {
+    const tenant = new Tenant({
+        registry,
+        idempotencyTtlMs,
+        quoteTtlMs,
+        id: 'default',
+        apiKey: single.apiKey,
+        signer,
+        dir: dataDir,
+        policy: single.policy,
+        approvalKey: single.approvalKey,
+        webhookUrl: single.webhookUrl,
+        webhookSecret: single.webhookSecret,
+        rateLimitPerMinute: single.rateLimitPerMinute
+    });
+    return new TenantDirectory([tenant], { multiTenant: false, source, dataDir });
+}
+
+/**
+ * Load and unlock every tenant
+ *
+ * `single` ({ apiKey, signerConfig, policy, approvalKey, webhookUrl, webhookSecret,
+ * rateLimitPerMinute }) is the tenant used without a tenants file; its policy
+ * and rate limit are also the defaults for tenants that don't set their own.
+ * State goes to dataDir (default: DATA_DIR).
+ */
+async function loadTenants({ tenantsFile, single, registry, idempotencyTtlMs, quoteTtlMs, dataDir = DATA_DIR }) {
+    const common = { registry, idempotencyTtlMs, quoteTtlMs };
+
+    if (!tenantsFile) {
+        const signer = await createSigner(single.signerConfig);
+        return singleTenant({ ...common, single, signer, source: 'environment', dataDir });
+    }
+
+    const raw = JSON.parse(fs.readFileSync(tenantsFile, 'utf8'));
+    const entries = Object.entries(raw.tenants || {});
+    if (entries.length === 0) {
+        throw new TenantError(`${tenantsFile} defines no tenants`);
+    }
+
+    const tenants = [];
+    const seenKeys = new Map();
+    const seenAddresses = new Map();
+
+    for (const [id, config] of entries) {
+        const where = `tenants.${id}`;
+
+        if (!/^[a-z0-9][a-z0-9_-]{0,63}$/.test(id)) {
+            throw new TenantError(`Invalid tenant id "${id}" (lowercase letters, digits, - and _)`);
+        }
+
+        const apiKey = readSecretField(config, 'api_key', where);
+        if (!apiKey || !apiKey.startsWith('pk_')) {
+            throw new TenantError(`${where} needs an AgentGatePay api_key (or api_key_file) starting with pk_`);
+        }
+        const keyHash = hashApiKey(apiKey);
+        if (seenKeys.has(keyHash)) {
+            throw new TenantError(`${where} uses the same API key as tenants.${seenKeys.get(keyHash)}`);
+        }
+        seenKeys.set(keyHash, id);
+
+        validateSignerConfig(config.signer, where);
+        let signer;
+        try {
+            signer = await createSigner(config.signer);
+        } catch (error) {
+            throw new TenantError(`${where}: ${error.message}`);
+        }
+
+        // No two tenants may ever sign with the same wallet (or share its nonces)
+        if (seenAddresses.has(signer.address)) {
+            throw new TenantError(`${where} uses the same wallet (${signer.address}) as tenants.${seenAddresses.get(signer.address)}`);
+        }
+        seenAddresses.set(signer.address, id);
+
+        let policy = single.policy;
+        if (config.policy_file) {
+            if (!fs.existsSync(config.policy_file)) {
+                throw new TenantError(`${where}.policy_file not found: ${config.policy_file}`);
+            }
+            policy = JSON.parse(fs.readFileSync(config.policy_file, 'utf8'));
+        }
+
+        const webhookUrl = config.webhook_url;
+        if (webhookUrl && !isValidWebhookUrl(webhookUrl)) {
+            throw new TenantError(`${where}.webhook_url must be an http(s) URL`);
+        }
+        const webhookSecret = readSecretField(config, 'webhook_secret', where);
+        if (webhookUrl && !webhookSecret) {
+            throw new TenantError(`${where}.webhook_url needs a webhook_secret (or webhook_secret_file) to sign callbacks with`);
+        }
+
+        const rateLimit = config.rate_limit_per_minute;
+        if (rateLimit !== undefined && (!Number.isInteger(rateLimit) || rateLimit < 0)) {
+            throw new TenantError(`${where}.rate_limit_per_minute must be a non-negative integer (0 = unlimited)`);
+        }
+
+        try {
+            tenants.push(new Tenant({
+                ...common,
+                id,
+                apiKey,
+                signer,
+                dir: path.join(dataDir, 'tenants', id),
+                policy,
+                approvalKey: readSecretField(config, 'approval_key', where),
+                webhookUrl,
+                webhookSecret,
+                rateLimitPerMinute: rateLimit !== undefined ? rateLimit : single.rateLimitPerMinute
+            }));
+        } catch (error) {
+            throw new TenantError(`${where}: ${error.message}`);
+        }
+    }
+
+    return new TenantDirectory(tenants, { multiTenant: true, source: tenantsFile, dataDir });
+}
+
+module.exports = {
+    Tenant,
+    TenantError,
+    findTenantsFile,
+    loadTenants,
+    singleTenant
+};
@@ -0,0 +1,117 @@
+/**
+ * HMAC request signatures, replay protection, rate limits and lockouts
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../store');
+const { signRequest, verifyHmacRequest, NonceStore, RateLimiter, FailureLockout } = require('../auth');
+
+const SECRET = 'pk_test_owner';
+const MAX_SKEW_SECONDS = 300;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+let storeCount = 0;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function nonceStore(options = {}) {
+    return new NonceStore({ store: new JsonStore(`auth-nonces-${storeCount++}`, dir), ...options });
+}
+
+/**
+ * A signed request as Express would hand it to verifyHmacRequest (lowercase headers)
+ */
+function signedRequest({ method = 'POST', path: route = '/sign-payment', body = '{"total_amount":"1"}', ...signOptions } = {}) {
+    const headers = signRequest({ keyId: 'default', secret: SECRET, method, path: route, body, ...signOptions });
+    return {
+        method,
+        originalUrl: route,
+        rawBody: Buffer.from(body),
+        headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+    };
+}
+
+function verify(req, nonces = nonceStore()) {
+    return verifyHmacRequest(req, keyId => (keyId === 'default' ? SECRET : null), { nonces, maxSkewSeconds: MAX_SKEW_SECONDS });
+}
+
+test('accepts a correctly signed request', () => {
+    assert.deepEqual(verify(signedRequest()), { keyId: 'default' });
+});
+
+test('rejects a request whose body, path or method was changed', () => {
+    const tamperedBody = signedRequest();
+    tamperedBody.rawBody = Buffer.from('{"total_amount":"1000"}');
+    assert.equal(verify(tamperedBody).error, 'Invalid request signature');
+
+    const tamperedPath = signedRequest();
+    tamperedPath.originalUrl = '/sign-payments-batch';
+    assert.equal(verify(tamperedPath).error, 'Invalid request signature');
+
+    const tamperedMethod = signedRequest();
+    tamperedMethod.method = 'PUT';
+    assert.equal(verify(tamperedMethod).error, 'Invalid request signature');
+});
+
+test('an unknown key id looks like a bad signature', () => {
+    const req = signedRequest();
+    req.headers['x-key-id'] = 'someone-else';
+    assert.equal(verify(req).error, 'Invalid request signature');
+});
+
+test('rejects a replayed nonce', () => {
+    const nonces = nonceStore();
+    const req = signedRequest();
+    assert.deepEqual(verify(req, nonces), { keyId: 'default' });
+    assert.equal(verify(req, nonces).error, 'X-Nonce was already used (replayed request)');
+});
+
+test('rejects timestamps outside the clock skew window and malformed headers', () => {
+    const stale = signedRequest({ timestamp: Math.floor(Date.now() / 1000) - MAX_SKEW_SECONDS - 10 });
+    assert.match(verify(stale).error, /outside the allowed clock skew/);
+
+    const shortNonce = signedRequest({ nonce: 'short' });
+    assert.match(verify(shortNonce).error, /X-Nonce must be/);
+
+    const unsigned = signedRequest();
+    delete unsigned.headers['x-signature'];
+    assert.match(verify(unsigned).error, /need X-Key-Id, X-Timestamp, X-Nonce and X-Signature/);
+});
+
+test('nonces are remembered across restarts and dropped once expired', () => {
+    const name = `auth-nonces-${storeCount++}`;
+    const nonces = new NonceStore({ store: new JsonStore(name, dir) });
+    assert.equal(nonces.claim('default', 'a'.repeat(16), Date.now() + 60000), true);
+    assert.equal(nonces.claim('default', 'b'.repeat(16), Date.now() - 1), true);
+
+    const restarted = new NonceStore({ store: new JsonStore(name, dir) });
+    assert.equal(restarted.claim('default', 'a'.repeat(16), Date.now() + 60000), false);
+    // Pruned at startup: it could no longer be replayed anyway
+    assert.equal(restarted.store.has(`default:${'b'.repeat(16)}`), false);
+});
+
+test('rate limits count requests per key in fixed windows', () => {
+    const limiter = new RateLimiter({ windowMs: 60000 });
+    assert.equal(limiter.take('a', 2).allowed, true);
+    assert.equal(limiter.take('a', 2).allowed, true);
+    assert.equal(limiter.take('a', 2).allowed, false);
+    assert.equal(limiter.take('b', 2).allowed, true);
+    assert.equal(limiter.take('a', 0).allowed, true);
+});
+
+test('locks a client out after repeated failures', () => {
+    const lockout = new FailureLockout({ threshold: 3, windowMs: 60000, lockoutMs: 60000 });
+    assert.equal(lockout.recordFailure('1.2.3.4'), false);
+    assert.equal(lockout.recordFailure('1.2.3.4'), false);
+    assert.equal(lockout.lockedFor('1.2.3.4'), 0);
+    assert.equal(lockout.recordFailure('1.2.3.4'), true);
+    assert.ok(lockout.lockedFor('1.2.3.4') > 0);
+    assert.equal(lockout.lockedFor('5.6.7.8'), 0);
+
+    lockout.reset('1.2.3.4');
+    assert.equal(lockout.lockedFor('1.2.3.4'), 0);
+});
@@ -0,0 +1,106 @@
+/**
+ * "chain": "auto": which chains are candidates and how the cheapest funded one is picked
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { Registry } = require('../registry');
+const { GasCapError } = require('../gas');
+const { ChainSelectionError, selectChain } = require('../chain-selection');
+
+const GAS_LIMIT = 130000n;
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+function chain(chainId, symbol, usdPrice) {
+    return {
+        chain_id: chainId,
+        rpc_urls: ['http://127.0.0.1:1'],
+        native_currency: { symbol, decimals: 18, ...(usdPrice !== undefined ? { usd_price: usdPrice } : {}) }
+    };
+}
+
+// USDC has 6 decimals everywhere except on widechain
+const registry = new Registry({
+    chains: {
+        mainnet: chain(1, 'ETH', 3000),
+        rollup: chain(10, 'ETH', 3000),
+        sidechain: chain(137, 'POL', 0.25),
+        widechain: chain(56, 'BNB', 600)
+    },
+    tokens: {
+        USDC: {
+            decimals: 6,
+            contracts: {
+                mainnet: '0x' + '01'.repeat(20),
+                rollup: '0x' + '02'.repeat(20),
+                sidechain: '0x' + '03'.repeat(20),
+                widechain: { address: '0x' + '04'.repeat(20), decimals: 18 }
+            }
+        }
+    }
+}, { source: 'test', env: {} });
+
+// Plenty of everything, at 1 gwei
+function funds(overrides = {}) {
+    return { balance: 1000_000000n, nativeBalance: ethers.parseEther('10'), feePerGas: gwei(1), ...overrides };
+}
+
+function select({ exclude = () => null, readFunds, amount = '10000000' } = {}) {
+    return selectChain({ registry, token: 'USDC', amount, gasLimit: GAS_LIMIT, exclude, readFunds });
+}
+
+function statuses(candidates) {
+    return Object.fromEntries(candidates.map(c => [c.chain, c.status]));
+}
+
+test('picks the funded chain with the lowest gas cost in USD', async () => {
+    // 30 gwei of ETH vs 1000 gwei of POL: POL is far cheaper in USD
+    const perChain = { mainnet: funds({ feePerGas: gwei(30) }), rollup: funds({ feePerGas: gwei(40) }), sidechain: funds({ feePerGas: gwei(1000) }) };
+    const { chain: selected, reason, candidates } = await select({ readFunds: async name => perChain[name] });
+
+    assert.equal(selected, 'sidechain');
+    assert.match(reason, /^Lowest estimated gas of the 3 chains/);
+    assert.deepEqual(statuses(candidates), { mainnet: 'funded', rollup: 'funded', sidechain: 'selected', widechain: 'excluded' });
+    assert.match(candidates.find(c => c.chain === 'widechain').reason, /18 decimals on widechain, not 6/);
+});
+
+test('leaves out excluded, underfunded and unavailable chains', async () => {
+    const readFunds = async name => {
+        if (name === 'rollup') throw new GasCapError('Gas price 500 gwei is above the cap of 300 gwei');
+        if (name === 'sidechain') return funds({ balance: 1n });
+        return funds();
+    };
+    const { chain: selected, reason, candidates } = await select({
+        exclude: name => (name === 'widechain' ? 'Not in the mandate' : null),
+        readFunds
+    });
+
+    assert.equal(selected, 'mainnet');
+    assert.match(reason, /^Only chain that can fund the payment/);
+    assert.deepEqual(statuses(candidates), { mainnet: 'selected', rollup: 'unavailable', sidechain: 'insufficient_funds', widechain: 'excluded' });
+    assert.equal(candidates.find(c => c.chain === 'rollup').reason, 'Gas price 500 gwei is above the cap of 300 gwei');
+    assert.equal(candidates.find(c => c.chain === 'sidechain').reason, 'Wallet holds 0.000001 USDC');
+});
+
+test('a wallet without gas money on a chain is not funded there', async () => {
+    const { chain: selected } = await select({
+        readFunds: async name => (name === 'sidechain' ? funds({ nativeBalance: 0n }) : funds({ feePerGas: gwei(100) }))
+    });
+    assert.notEqual(selected, 'sidechain');
+});
+
+test('answers 400 when no chain has the funds and 503 when the RPCs are down', async () => {
+    await assert.rejects(select({ readFunds: async () => funds({ balance: 0n }) }), error => {
+        assert.ok(error instanceof ChainSelectionError);
+        assert.equal(error.status, 400);
+        assert.equal(error.message, 'No chain can be used for a payment of 10.0 USDC');
+        return true;
+    });
+
+    await assert.rejects(select({ readFunds: async () => { throw new Error('connection refused'); } }), error => {
+        assert.equal(error.status, 503);
+        assert.ok(error.candidates.filter(c => c.status === 'unavailable').every(c => c.reason === 'RPC error: connection refused'));
+        return true;
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Signed commission configs: the pinned signer, the service's own bounds and expiry
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    CommissionConfigError,
+    signCommissionConfig,
+    parseConfigSigner,
+    verifyCommissionConfig
+} = require('../commission-config');
+
+const configSigner = new ethers.Wallet('0x' + '22'.repeat(32));
+const COMMISSION = ethers.getAddress('0x' + 'c1'.repeat(20));
+const MAX_RATE = 0.05;
+const NOW = Date.UTC(2026, 0, 1);
+
+async function signed(overrides = {}, signer = configSigner) {
+    const config = {
+        commission_address: COMMISSION,
+        commission_rate: 0.005,
+        chains: ['base', 'polygon'],
+        expires_at: NOW / 1000 + 3600,
+        ...overrides
+    };
+    return { ...config, signature: await signCommissionConfig(signer, config) };
+}
+
+function verify(config) {
+    return verifyCommissionConfig(config, { signer: configSigner.address, maxRate: MAX_RATE, now: NOW });
+}
+
+function refused(config, message) {
+    assert.throws(() => verify(config), error => {
+        assert.ok(error instanceof CommissionConfigError);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('accepts a config signed by the pinned signer', async () => {
+    assert.deepEqual(verify(await signed()), {
+        address: COMMISSION,
+        rate: 0.005,
+        chains: ['base', 'polygon'],
+        expiresAt: NOW + 3600000
+    });
+});
+
+test('refuses a config signed by anyone else or changed after signing', async () => {
+    const impostor = ethers.Wallet.createRandom();
+    refused(await signed({}, impostor), new RegExp(`signed by ${impostor.address}, not the pinned signer`));
+    refused({ ...await signed(), commission_rate: 0.05 }, /not the pinned signer/);
+    refused({ ...await signed(), chains: ['base', 'polygon', 'ethereum'] }, /not the pinned signer/);
+    refused({ ...await signed(), signature: '0x1234' }, /signature is malformed/);
+    refused({ ...await signed(), signature: undefined }, /is not signed/);
+
+    const config = await signed();
+    assert.throws(() => verifyCommissionConfig(config, { signer: null, maxRate: MAX_RATE, now: NOW }), /No config signer/);
+});
+
+test('enforces the service\'s own bounds even on a correctly signed config', async () => {
+    refused(await signed({ commission_rate: 0.06 }), /Commission rate 0.06 is outside the allowed range 0 - 0.05/);
+    refused(await signed({ commission_rate: -0.01 }), /outside the allowed range/);
+    refused(await signed({ commission_address: COMMISSION.toLowerCase() }), /not a checksummed address/);
+    refused(await signed({ commission_address: ethers.ZeroAddress }), /the zero address/);
+    refused(await signed({ chains: [] }), /must list the chains/);
+});
+
+test('refuses an expired config', async () => {
+    refused(await signed({ expires_at: NOW / 1000 }), /expired at 2026-01-01T00:00:00.000Z/);
+    refused({ ...await signed(), expires_at: undefined }, /has no expires_at/);
+});
+
+test('config signers must be addresses and are checksummed', () => {
+    assert.equal(parseConfigSigner(configSigner.address.toLowerCase()), configSigner.address);
+    assert.throws(() => parseConfigSigner('0x1234'), CommissionConfigError);
+    assert.throws(() => parseConfigSigner(undefined), /must be an Ethereum address/);
+});
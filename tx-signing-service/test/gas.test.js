@@ -0,0 +1,80 @@
+/**
+ * Fee quotes under each strategy, the gas price cap and replacement fees
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { GasCapError, compileGasConfig, quoteFees, bumpFees, serializeFees, parseFees } = require('../gas');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+/**
+ * Provider answering only what quoteFees asks for (baseFee null = no EIP-1559)
+ */
+function market({ baseFee = gwei(10), tip = gwei(2), gasPrice = gwei(12) } = {}) {
+    return {
+        getBlock: async () => ({ baseFeePerGas: baseFee }),
+        getFeeData: async () => ({ maxPriorityFeePerGas: baseFee === null ? null : tip, gasPrice })
+    };
+}
+
+test('compiles gas configs with defaults and refuses invalid values', () => {
+    const config = compileGasConfig({ max_fee_gwei: 300 });
+    assert.equal(config.strategy, 'eip1559');
+    assert.equal(config.maxFeePerGas, gwei(300));
+    assert.equal(config.maxPriorityFeePerGas, null);
+    assert.equal(config.bumpAfterMs, 30000);
+    assert.equal(compileGasConfig({}, { eip1559: false }).strategy, 'legacy');
+
+    assert.throws(() => compileGasConfig({ strategy: 'fastest' }), /gas.strategy must be one of/);
+    assert.throws(() => compileGasConfig({ max_fee_gwei: 0 }), /gas.max_fee_gwei must be a positive amount/);
+    assert.throws(() => compileGasConfig({ bump_percent: 5 }), /at least 10/);
+    assert.throws(() => compileGasConfig({ max_bumps: 1.5 }), /max_bumps must be a non-negative integer/);
+});
+
+test('EIP-1559 fees leave headroom over the base fee and cap the tip', async () => {
+    const fees = await quoteFees(market(), compileGasConfig({ max_priority_fee_gwei: 1 }));
+    assert.deepEqual(fees, { type: 2, maxFeePerGas: gwei(21), maxPriorityFeePerGas: gwei(1) });
+});
+
+test('the max fee is clamped to the cap, and a base fee above it is refused', async () => {
+    const clamped = await quoteFees(market(), compileGasConfig({ max_fee_gwei: 15 }));
+    assert.equal(clamped.maxFeePerGas, gwei(15));
+
+    await assert.rejects(quoteFees(market({ baseFee: gwei(20) }), compileGasConfig({ max_fee_gwei: 15 })), error => {
+        assert.ok(error instanceof GasCapError);
+        assert.equal(error.code, 'GAS_PRICE_ABOVE_CAP');
+        assert.deepEqual(error.details, { required_gwei: '22.0', cap_gwei: '15.0' });
+        return true;
+    });
+});
+
+test('falls back to legacy gas prices on chains without a base fee', async () => {
+    assert.deepEqual(await quoteFees(market({ baseFee: null }), compileGasConfig({})), { type: 0, gasPrice: gwei(12) });
+    assert.deepEqual(await quoteFees(market(), compileGasConfig({ strategy: 'legacy' })), { type: 0, gasPrice: gwei(12) });
+    await assert.rejects(quoteFees(market({ gasPrice: gwei(50) }), compileGasConfig({ strategy: 'legacy', max_fee_gwei: 40 })), GasCapError);
+});
+
+test('replacements raise fees by bump_percent, or to the market if that is higher', async () => {
+    const config = compileGasConfig({ bump_percent: 20 });
+    const previous = { type: 2, maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) };
+
+    // Market: tip 2, max fee 22 - the tip follows the market, the max fee the bump
+    assert.deepEqual(await bumpFees(market(), config, previous), { type: 2, maxFeePerGas: gwei(36), maxPriorityFeePerGas: gwei(2) });
+
+    const legacy = await bumpFees(market({ baseFee: null }), compileGasConfig({ strategy: 'legacy' }), { type: 0, gasPrice: gwei(20) });
+    assert.deepEqual(legacy, { type: 0, gasPrice: gwei(23) });
+});
+
+test('a replacement above the cap is refused', async () => {
+    const config = compileGasConfig({ max_fee_gwei: 32 });
+    const previous = { type: 2, maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) };
+    await assert.rejects(bumpFees(market(), config, previous), /Replacement would need 34.5 gwei, above the cap of 32.0 gwei/);
+});
+
+test('fees survive being stored on a payment', () => {
+    for (const fees of [{ type: 2, maxFeePerGas: gwei(21), maxPriorityFeePerGas: gwei(1) }, { type: 0, gasPrice: gwei(12) }]) {
+        assert.deepEqual(parseFees(JSON.parse(JSON.stringify(serializeFees(fees)))), fees);
+    }
+});
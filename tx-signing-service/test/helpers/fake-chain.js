@@ -0,0 +1,303 @@
+/**
+ * In-process chain for tests
+ *
+ * An ethers provider that answers the JSON-RPC calls the service makes from
+ * memory: native balances, ERC-20 balances (balanceOf / transfer, also
+ * simulated), nonces and Transfer logs. Every broadcast transaction is mined into its own block right away.
+ *
+ *   const chain = new FakeChain({ chainId: 31337 });
+ *   chain.fund(wallet.address, { native: ethers.parseEther('1') });
+ *   chain.fund(wallet.address, { token: USDC_ADDRESS, amount: 100_000000n });
+ *   createSigningService({ providers: { testchain: chain }, ... });
+ */
+
+const { ethers } = require('ethers');
+
+const GWEI = 1_000_000_000n;
+const BASE_FEE = 1n * GWEI;
+const PRIORITY_FEE = 1n * GWEI;
+const NATIVE_TRANSFER_GAS = 21000n;
+const TOKEN_TRANSFER_GAS = 50000n;
+
+const ERC20 = new ethers.Interface([
+    'function balanceOf(address) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+const EMPTY_BLOOM = `0x${'00'.repeat(256)}`;
+
+class RpcError extends Error {
+    constructor(message, code = -32000) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+    }
+}
+
+class FakeChain extends ethers.JsonRpcApiProvider {
+    constructor({ chainId = 31337 } = {}) {
+        const network = ethers.Network.from(chainId);
+        super(network, { staticNetwork: network, batchMaxCount: 1, pollingInterval: 50, cacheTimeout: -1 });
+
+        this.chainId = BigInt(chainId);
+        this.native = new Map();        // address → wei
+        this.tokens = new Map();        // token address → (holder → amount)
+        this.nonces = new Map();        // address → mined transaction count
+        this.transactions = new Map();  // hash → { tx, receipt }
+        this.blocks = [this.block(0, [])];
+    }
+
+    /**
+     * Give an address native currency and/or tokens
+     */
+    fund(address, { native, token, amount } = {}) {
+        const holder = address.toLowerCase();
+        if (native !== undefined) {
+            this.native.set(holder, this.balanceOf(holder) + BigInt(native));
+        }
+        if (token) {
+            const balances = this.tokenBalances(token);
+            balances.set(holder, (balances.get(holder) || 0n) + BigInt(amount));
+        }
+    }
+
+    balanceOf(address, token) {
+        const holder = address.toLowerCase();
+        if (token) return this.tokenBalances(token).get(holder) || 0n;
+        return this.native.get(holder) || 0n;
+    }
+
+    /**
+     * Every mined transaction, oldest first (parsed ethers Transactions)
+     */
+    sent() {
+        return [...this.transactions.values()].map(entry => entry.tx);
+    }
+
+    tokenBalances(token) {
+        const key = token.toLowerCase();
+        if (!this.tokens.has(key)) this.tokens.set(key, new Map());
+        return this.tokens.get(key);
+    }
+
+    block(number, transactions) {
+        return {
+            number: ethers.toQuantity(number),
+            hash: ethers.id(`block:${number}`),
+            parentHash: number === 0 ? ethers.ZeroHash : ethers.id(`block:${number - 1}`),
+            timestamp: ethers.toQuantity(Math.floor(Date.now() / 1000)),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: ethers.toQuantity(30_000_000),
+            gasUsed: '0x0',
+            miner: ethers.ZeroAddress,
+            extraData: '0x',
+            baseFeePerGas: ethers.toQuantity(BASE_FEE),
+            transactions
+        };
+    }
+
+    latestBlock() {
+        return this.blocks[this.blocks.length - 1];
+    }
+
+    async _send(payload) {
+        const requests = Array.isArray(payload) ? payload : [payload];
+        return requests.map(({ id, method, params }) => {
+            try {
+                return { id, result: this.handle(method, params) };
+            } catch (error) {
+                if (!(error instanceof RpcError)) throw error;
+                return { id, error: { code: error.code, message: error.message } };
+            }
+        });
+    }
+
+    handle(method, params) {
+        switch (method) {
+        case 'eth_chainId':
+            return ethers.toQuantity(this.chainId);
+        case 'eth_blockNumber':
+            return this.latestBlock().number;
+        case 'eth_gasPrice':
+            return ethers.toQuantity(BASE_FEE + PRIORITY_FEE);
+        case 'eth_maxPriorityFeePerGas':
+            return ethers.toQuantity(PRIORITY_FEE);
+        case 'eth_getBalance':
+            return ethers.toQuantity(this.balanceOf(params[0]));
+        case 'eth_getTransactionCount':
+            return ethers.toQuantity(this.nonces.get(params[0].toLowerCase()) || 0);
+        case 'eth_getBlockByNumber': {
+            const block = params[0] === 'latest' || params[0] === 'pending'
+                ? this.latestBlock()
+                : this.blocks[Number(params[0])];
+            return block || null;
+        }
+        case 'eth_call':
+            return this.call(params[0]);
+        case 'eth_estimateGas':
+            return ethers.toQuantity(params[0].data && params[0].data !== '0x' ? TOKEN_TRANSFER_GAS : NATIVE_TRANSFER_GAS);
+        case 'eth_sendRawTransaction':
+            return this.mine(ethers.Transaction.from(params[0]));
+        case 'eth_getTransactionByHash': {
+            const entry = this.transactions.get(params[0]);
+            return entry ? this.formatTransaction(entry) : null;
+        }
+        case 'eth_getTransactionReceipt': {
+            const entry = this.transactions.get(params[0]);
+            return entry ? entry.receipt : null;
+        }
+        case 'eth_getLogs':
+            return this.logs(params[0]);
+        default:
+            throw new RpcError(`Method ${method} is not supported by FakeChain`, -32601);
+        }
+    }
+
+    call({ from, to, data }) {
+        const balances = this.tokens.get(String(to).toLowerCase());
+        if (!balances) return '0x';
+
+        const call = ERC20.parseTransaction({ data });
+        if (call.name === 'balanceOf') {
+            return ERC20.encodeFunctionResult('balanceOf', [balances.get(call.args[0].toLowerCase()) || 0n]);
+        }
+        // A simulated transfer (eth_call) - the same check mine() makes
+        if (call.name === 'transfer') {
+            if ((balances.get(String(from).toLowerCase()) || 0n) < call.args[1]) {
+                throw new RpcError('execution reverted: transfer amount exceeds balance', 3);
+            }
+            return ERC20.encodeFunctionResult('transfer', [true]);
+        }
+        if (call.name === 'decimals') {
+            return ERC20.encodeFunctionResult('decimals', [6]);
+        }
+        throw new RpcError(`eth_call of ${call.name} is not supported by FakeChain`);
+    }
+
+    /**
+     * Logs matching an eth_getLogs filter (addresses and topics may be lists)
+     */
+    logs({ address, topics = [], fromBlock, toBlock }) {
+        const matches = (wanted, value) => wanted === null || wanted === undefined
+            || [].concat(wanted).some(w => w.toLowerCase() === String(value).toLowerCase());
+        const from = Number(fromBlock || 0);
+        const to = toBlock === undefined || toBlock === 'latest' ? Infinity : Number(toBlock);
+
+        return [...this.transactions.values()]
+            .flatMap(entry => entry.receipt.logs)
+            .filter(log => Number(log.blockNumber) >= from && Number(log.blockNumber) <= to)
+            .filter(log => matches(address, log.address))
+            .filter(log => topics.every((wanted, i) => matches(wanted, log.topics[i])));
+    }
+
+    /**
+     * Apply a signed transaction and mine it into a new block
+     */
+    mine(tx) {
+        const from = tx.from.toLowerCase();
+        const expectedNonce = this.nonces.get(from) || 0;
+
+        if (tx.chainId !== this.chainId) {
+            throw new RpcError(`invalid chain id ${tx.chainId}`);
+        }
+        if (tx.nonce < expectedNonce) throw new RpcError('nonce too low');
+        if (tx.nonce > expectedNonce) throw new RpcError('nonce too high');
+
+        const gasPrice = tx.type === 2
+            ? BASE_FEE + (tx.maxFeePerGas - BASE_FEE < tx.maxPriorityFeePerGas ? tx.maxFeePerGas - BASE_FEE : tx.maxPriorityFeePerGas)
+            : tx.gasPrice;
+        const gasUsed = tx.data === '0x' ? NATIVE_TRANSFER_GAS : TOKEN_TRANSFER_GAS;
+        const cost = gasUsed * gasPrice + tx.value;
+
+        if (this.balanceOf(from) < cost) {
+            throw new RpcError('insufficient funds for gas * price + value');
+        }
+
+        this.native.set(from, this.balanceOf(from) - cost);
+        this.nonces.set(from, expectedNonce + 1);
+
+        const number = this.blocks.length;
+        const blockHash = ethers.id(`block:${number}`);
+        const logs = [];
+        let status = 1;
+
+        if (tx.data === '0x') {
+            this.fund(tx.to, { native: tx.value });
+        } else {
+            const balances = this.tokens.get(tx.to.toLowerCase());
+            const call = balances ? ERC20.parseTransaction({ data: tx.data }) : null;
+            const amount = call && call.name === 'transfer' ? call.args[1] : null;
+
+            if (amount === null || (balances.get(from) || 0n) < amount) {
+                status = 0;
+            } else {
+                const to = call.args[0].toLowerCase();
+                balances.set(from, balances.get(from) - amount);
+                balances.set(to, (balances.get(to) || 0n) + amount);
+
+                const event = ERC20.encodeEventLog('Transfer', [tx.from, call.args[0], amount]);
+                logs.push({
+                    address: tx.to,
+                    topics: event.topics,
+                    data: event.data,
+                    blockNumber: ethers.toQuantity(number),
+                    blockHash,
+                    transactionHash: tx.hash,
+                    transactionIndex: '0x0',
+                    logIndex: '0x0',
+                    removed: false
+                });
+            }
+        }
+
+        const receipt = {
+            transactionHash: tx.hash,
+            transactionIndex: '0x0',
+            blockHash,
+            blockNumber: ethers.toQuantity(number),
+            from: tx.from,
+            to: tx.to,
+            contractAddress: null,
+            gasUsed: ethers.toQuantity(gasUsed),
+            cumulativeGasUsed: ethers.toQuantity(gasUsed),
+            effectiveGasPrice: ethers.toQuantity(gasPrice),
+            logsBloom: EMPTY_BLOOM,
+            logs,
+            status: ethers.toQuantity(status),
+            type: ethers.toQuantity(tx.type)
+        };
+
+        this.blocks.push({ ...this.block(number, [tx.hash]), gasUsed: ethers.toQuantity(gasUsed) });
+        this.transactions.set(tx.hash, { tx, receipt });
+        return tx.hash;
+    }
+
+    formatTransaction({ tx, receipt }) {
+        const optional = value => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+        return {
+            hash: tx.hash,
+            type: ethers.toQuantity(tx.type),
+            chainId: ethers.toQuantity(tx.chainId),
+            from: tx.from,
+            to: tx.to,
+            nonce: ethers.toQuantity(tx.nonce),
+            value: ethers.toQuantity(tx.value),
+            gas: ethers.toQuantity(tx.gasLimit),
+            gasPrice: optional(tx.gasPrice) || receipt.effectiveGasPrice,
+            maxFeePerGas: optional(tx.maxFeePerGas),
+            maxPriorityFeePerGas: optional(tx.maxPriorityFeePerGas),
+            input: tx.data,
+            r: tx.signature.r,
+            s: tx.signature.s,
+            v: ethers.toQuantity(tx.signature.v),
+            blockHash: receipt.blockHash,
+            blockNumber: receipt.blockNumber,
+            transactionIndex: receipt.transactionIndex
+        };
+    }
+}
+
+module.exports = { FakeChain };
@@ -0,0 +1,94 @@
+/**
+ * IdempotencyStore: replays, conflicts and when keys expire
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../store');
+const { IdempotencyStore, hashRequestBody } = require('../idempotency');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-test-'));
+let storeCount = 0;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ttlMs below zero: every key is past its TTL as soon as it is written
+function idempotencyStore({ ttlMs = 60000, isUnfinished, pruneIntervalMs } = {}) {
+    return new IdempotencyStore({ ttlMs, isUnfinished, pruneIntervalMs, store: new JsonStore(`idempotency-${storeCount++}`, dir) });
+}
+
+test('same key and body replays, a different body conflicts', () => {
+    const store = idempotencyStore();
+    const hash = hashRequestBody({ total_amount: '1', idempotency_key: 'a' });
+
+    const claim = store.begin('owner', 'a', hash);
+    assert.equal(claim.outcome, 'new');
+    assert.equal(store.begin('owner', 'a', hash).outcome, 'in_progress');
+
+    store.complete(claim.record.id, 200, { ok: true });
+    assert.equal(store.begin('owner', 'a', hash).outcome, 'replay');
+    assert.equal(store.begin('owner', 'a', hashRequestBody({ total_amount: '2' })).outcome, 'conflict');
+    assert.equal(store.begin('someone-else', 'a', hash).outcome, 'new');
+});
+
+test('the body hash ignores field order and the key itself', () => {
+    assert.equal(
+        hashRequestBody({ a: 1, b: { c: 2, d: 3 }, idempotency_key: 'x' }),
+        hashRequestBody({ b: { d: 3, c: 2 }, a: 1 })
+    );
+});
+
+test('a key expires after its TTL once its payment is finished', () => {
+    const store = idempotencyStore({ ttlMs: -1, isUnfinished: () => false });
+    const claim = store.begin('owner', 'a', 'h');
+    store.attach(claim.record.id, { payment_id: 'pay_1' });
+    store.complete(claim.record.id, 200, {});
+
+    assert.equal(store.begin('owner', 'a', 'h').outcome, 'new');
+});
+
+test('a key never expires while its payment is unfinished', () => {
+    const unfinished = new Set(['pay_1']);
+    const store = idempotencyStore({ ttlMs: -1, isUnfinished: record => unfinished.has(record.payment_id) });
+
+    const claim = store.begin('owner', 'a', 'h');
+    store.attach(claim.record.id, { payment_id: 'pay_1' });
+    assert.equal(store.begin('owner', 'a', 'h').outcome, 'in_progress');
+
+    store.complete(claim.record.id, 500, { status: 'failed' });
+    store.prune();
+    assert.equal(store.begin('owner', 'a', 'h').outcome, 'replay');
+
+    unfinished.delete('pay_1');
+    assert.equal(store.begin('owner', 'a', 'h').outcome, 'new');
+});
+
+test('the TTL counts from completion, not from the first request', () => {
+    const store = idempotencyStore({ ttlMs: 60000 });
+    const claim = store.begin('owner', 'a', 'h');
+    store.complete(claim.record.id, 200, {});
+
+    const record = store.store.get(claim.record.id);
+    assert.equal(Date.parse(record.expires_at), Date.parse(record.completed_at) + 60000);
+});
+
+test('expired keys are dropped in one write when a new key is claimed', () => {
+    const store = idempotencyStore({ ttlMs: -1, pruneIntervalMs: 0 });
+    for (const key of ['a', 'b', 'c']) {
+        store.complete(store.begin('owner', key, 'h').record.id, 200, {});
+    }
+
+    let writes = 0;
+    const flush = store.store.flush.bind(store.store);
+    store.store.flush = () => {
+        writes++;
+        flush();
+    };
+
+    store.begin('owner', 'd', 'h');
+    assert.equal(store.store.values().length, 1);
+    assert.equal(writes, 2);
+});
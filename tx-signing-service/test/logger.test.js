@@ -0,0 +1,34 @@
+/**
+ * Log redaction: registered secrets, private keys in any form, API keys and secret fields
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { addSecret, addPrivateKey, redact } = require('../logger');
+
+test('a registered private key is redacted with or without 0x and in any case', () => {
+    const key = ethers.Wallet.createRandom().privateKey;
+    addPrivateKey(key);
+
+    assert.equal(redact(`key ${key}`), 'key [REDACTED]');
+    assert.equal(redact(`key ${key.slice(2)}`), 'key [REDACTED]');
+    assert.equal(redact(`key ${key.slice(2).toUpperCase()}.`), 'key [REDACTED].');
+});
+
+test('transaction hashes and other private keys are still logged', () => {
+    addPrivateKey(ethers.Wallet.createRandom().privateKey);
+    const hash = ethers.id('transaction');
+    const otherKey = ethers.Wallet.createRandom().privateKey;
+
+    assert.equal(redact(`TX Hash: ${hash}`), `TX Hash: ${hash}`);
+    assert.equal(redact(otherKey), otherKey);
+});
+
+test('registered secrets, API keys and secret fields are redacted', () => {
+    addSecret('metrics-token-1234');
+
+    assert.equal(redact('Bearer metrics-token-1234'), 'Bearer [REDACTED]');
+    assert.equal(redact('x-api-key pk_live_abcdef123'), 'x-api-key pk_[REDACTED]');
+    assert.equal(redact('{"password": "hunter22"}'), '{"password": "[REDACTED]"}');
+});
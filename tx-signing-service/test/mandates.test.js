@@ -0,0 +1,169 @@
+/**
+ * Payment mandates: EIP-712 and JWS signatures, scope checks and the spend ledger
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { JsonStore } = require('../store');
+const {
+    MandateError,
+    MandateLedger,
+    compileMandateConfig,
+    signPaymentMandate,
+    verifyMandate,
+    checkMandateScope
+} = require('../mandates');
+
+const GATEWAY = ethers.getAddress('0x' + '12'.repeat(20));
+const MERCHANT = ethers.getAddress('0x' + 'a1'.repeat(20));
+const OTHER = ethers.getAddress('0x' + 'b2'.repeat(20));
+
+const user = new ethers.Wallet('0x' + '33'.repeat(32));
+const stranger = new ethers.Wallet('0x' + '44'.repeat(32));
+const phone = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const laptop = crypto.generateKeyPairSync('ed25519');
+
+const config = compileMandateConfig({
+    signers: {
+        'user-wallet': { address: user.address },
+        'user-phone': { jwk: phone.publicKey.export({ format: 'jwk' }) },
+        'user-laptop': { jwk: laptop.publicKey.export({ format: 'jwk' }) }
+    }
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mandates-test-'));
+let storeCount = 0;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function fields(overrides = {}) {
+    return {
+        mandate_id: 'mdt_test',
+        wallet: GATEWAY,
+        merchants: [MERCHANT],
+        max_amount: '10',
+        token: 'USDC',
+        chains: ['base', 'polygon'],
+        expires_at: Math.floor(Date.now() / 1000) + 3600,
+        ...overrides
+    };
+}
+
+async function eip712Mandate(overrides = {}, signer = user) {
+    const mandate = fields(overrides);
+    return { ...mandate, signature: await signPaymentMandate(signer, mandate) };
+}
+
+function jwsMandate(payload, { kid = 'user-phone', alg = 'ES256', key = phone.privateKey } = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg, kid })}.${encode(payload)}`;
+    const hash = alg === 'EdDSA' ? null : 'sha256';
+    const signature = crypto.sign(hash, Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function reason(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof MandateError, error.message);
+        return error.reason;
+    }
+    assert.fail('expected a MandateError');
+}
+
+test('verifies an EIP-712 mandate signed by a trusted wallet', async () => {
+    const mandate = verifyMandate(await eip712Mandate(), config);
+    assert.equal(mandate.id, 'mdt_test');
+    assert.equal(mandate.signer, 'user-wallet');
+    assert.equal(mandate.format, 'eip712');
+});
+
+test('rejects EIP-712 mandates that were changed, are signed by someone else, unsigned or expired', async () => {
+    // A changed field recovers a different (untrusted) address
+    const changed = { ...(await eip712Mandate()), max_amount: '1000' };
+    assert.equal(reason(() => verifyMandate(changed, config)), 'untrusted_signer');
+    const foreign = await eip712Mandate({}, stranger);
+    assert.equal(reason(() => verifyMandate(foreign, config)), 'untrusted_signer');
+    assert.equal(reason(() => verifyMandate(fields(), config)), 'unsigned');
+
+    const expired = await eip712Mandate({ expires_at: Math.floor(Date.now() / 1000) - 1 });
+    assert.equal(reason(() => verifyMandate(expired, config)), 'expired');
+});
+
+test('verifies JWS mandates against the kid\'s public key', () => {
+    const es256 = verifyMandate(jwsMandate(fields()), config);
+    assert.equal(es256.signer, 'user-phone');
+    assert.equal(es256.format, 'jws');
+
+    const eddsa = verifyMandate(jwsMandate(fields(), { kid: 'user-laptop', alg: 'EdDSA', key: laptop.privateKey }), config);
+    assert.equal(eddsa.signer, 'user-laptop');
+});
+
+test('rejects JWS mandates with a wrong key, algorithm or kid', () => {
+    // Signed with the laptop key but claiming to be the phone
+    assert.equal(reason(() => verifyMandate(jwsMandate(fields(), { alg: 'EdDSA', key: laptop.privateKey }), config)), 'bad_signature');
+    assert.equal(reason(() => verifyMandate(jwsMandate(fields(), { kid: 'user-tablet' }), config)), 'untrusted_signer');
+    // An EIP-712 signer has no key to verify a JWS with
+    assert.equal(reason(() => verifyMandate(jwsMandate(fields(), { kid: 'user-wallet' }), config)), 'untrusted_signer');
+
+    const [header, , signature] = jwsMandate(fields()).split('.');
+    const inflated = Buffer.from(JSON.stringify(fields({ max_amount: '1000' }))).toString('base64url');
+    assert.equal(reason(() => verifyMandate(`${header}.${inflated}.${signature}`, config)), 'bad_signature');
+    assert.equal(reason(() => verifyMandate('not-a-jws', config)), 'invalid');
+});
+
+test('the mandates file must hold public keys only', () => {
+    assert.throws(() => compileMandateConfig({ signers: {} }), /At least one signer is required/);
+    assert.throws(
+        () => compileMandateConfig({ signers: { leaked: { jwk: phone.privateKey.export({ format: 'jwk' }) } } }),
+        /is a private key/
+    );
+    assert.throws(() => compileMandateConfig({ signers: { bad: { address: '0x1234' } } }), /is not an address/);
+});
+
+test('checks the wallet, token, chain and merchants a mandate covers', async () => {
+    const mandate = verifyMandate(await eip712Mandate(), config);
+    const scope = { wallet: GATEWAY, token: 'USDC', chain: 'base', merchants: [MERCHANT.toLowerCase()] };
+
+    checkMandateScope(mandate, scope);
+    checkMandateScope(mandate, { ...scope, chain: undefined });
+    assert.equal(reason(() => checkMandateScope(mandate, { ...scope, wallet: OTHER })), 'wrong_wallet');
+    assert.equal(reason(() => checkMandateScope(mandate, { ...scope, token: 'DAI' })), 'token_not_allowed');
+    assert.equal(reason(() => checkMandateScope(mandate, { ...scope, chain: 'ethereum' })), 'chain_not_allowed');
+    assert.equal(reason(() => checkMandateScope(mandate, { ...scope, merchants: [MERCHANT, OTHER] })), 'merchant_not_allowed');
+});
+
+test('the ledger keeps a mandate within max_amount across chains and restarts', async () => {
+    const mandate = verifyMandate(await eip712Mandate(), config);
+    const name = `mandate-spend-${storeCount++}`;
+    const ledger = new MandateLedger({ store: new JsonStore(name, dir) });
+
+    // 6 USDC with 6 decimals, then 3 USDC where the token has 18
+    const first = ledger.reserve(mandate, { amount: '6000000', decimals: 6 });
+    assert.equal(first.allowed, true);
+    assert.equal(ledger.reserve(mandate, { amount: ethers.parseUnits('3', 18).toString(), decimals: 18 }).allowed, true);
+
+    const restarted = new MandateLedger({ store: new JsonStore(name, dir) });
+    const refused = restarted.reserve(mandate, { amount: '2000000', decimals: 6 });
+    assert.equal(refused.reason, 'budget_exceeded');
+    assert.equal(refused.spent, '9.0');
+
+    restarted.release(first.reservation_id);
+    assert.equal(restarted.reserve(mandate, { amount: '2000000', decimals: 6 }).allowed, true);
+});
+
+test('spend of expired mandates is dropped from the ledger', () => {
+    const name = `mandate-spend-${storeCount++}`;
+    const store = new JsonStore(name, dir);
+    store.set('mrs_old', { id: 'mrs_old', mandate: 'user-wallet:mdt_old', amount: '1', expires_at: Math.floor(Date.now() / 1000) - 1 });
+    store.set('mrs_live', { id: 'mrs_live', mandate: 'user-wallet:mdt_live', amount: '1', expires_at: Math.floor(Date.now() / 1000) + 3600 });
+
+    const ledger = new MandateLedger({ store });
+    assert.deepEqual(ledger.store.values().map(entry => entry.id), ['mrs_live']);
+});
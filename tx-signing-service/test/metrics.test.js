@@ -0,0 +1,55 @@
+/**
+ * Prometheus text format: counters, histograms, scrape-time gauges and label escaping
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../metrics');
+
+test('renders counters with HELP and TYPE lines, one series per label set', () => {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['method'] });
+    requests.inc({ method: 'GET' });
+    requests.inc({ method: 'GET' }, 2);
+    requests.inc({ method: 'POST' });
+
+    assert.equal(registry.render(), [
+        '# HELP requests_total Requests',
+        '# TYPE requests_total counter',
+        'requests_total{method="GET"} 3',
+        'requests_total{method="POST"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('histograms count cumulative buckets, +Inf, sum and count', () => {
+    const registry = new MetricsRegistry();
+    const duration = registry.histogram({ name: 'duration_seconds', help: 'Duration', buckets: [5, 1] });
+    duration.observe({}, 0.5);
+    duration.observe({}, 3);
+    duration.observe({}, 30);
+
+    assert.deepEqual(duration.lines(), [
+        'duration_seconds_bucket{le="1"} 1',
+        'duration_seconds_bucket{le="5"} 2',
+        'duration_seconds_bucket{le="+Inf"} 3',
+        'duration_seconds_sum 33.5',
+        'duration_seconds_count 3'
+    ]);
+});
+
+test('gauges are collected at scrape time and label values are escaped', () => {
+    const registry = new MetricsRegistry();
+    let value = 1;
+    registry.gauge({ name: 'queue', help: 'Queue', collect: () => [{ labels: { name: 'a "b"\\c\nd' }, value }] });
+
+    assert.match(registry.render(), /^queue\{name="a \\"b\\"\\\\c\\nd"\} 1$/m);
+    value = 2;
+    assert.match(registry.render(), /^queue\{name=".*"\} 2$/m);
+});
+
+test('a metric name can only be registered once', () => {
+    const registry = new MetricsRegistry();
+    registry.counter({ name: 'requests_total', help: 'Requests' });
+    assert.throws(() => registry.counter({ name: 'requests_total', help: 'Again' }), /already registered: requests_total/);
+});
@@ -0,0 +1,89 @@
+/**
+ * NonceManager: ordered allocation, gaps, and re-sending at a preferred nonce
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { NonceManager } = require('../nonce-manager');
+
+/**
+ * Provider stub whose pending/latest transaction counts the test sets
+ */
+function counts(pending, latest = pending) {
+    const provider = {
+        pending,
+        latest,
+        getTransactionCount: async (address, tag) => (tag === 'pending' ? provider.pending : provider.latest)
+    };
+    return provider;
+}
+
+test('hands out consecutive nonces from the pending count', async () => {
+    const manager = new NonceManager(counts(3), '0x1');
+    const first = await manager.acquire();
+    const second = await manager.acquire();
+
+    assert.deepEqual([first.nonce, second.nonce], [3, 4]);
+});
+
+test('a released nonce is handed out again before a fresh one', async () => {
+    const manager = new NonceManager(counts(0), '0x1');
+    const a = await manager.acquire();
+    const b = await manager.acquire();
+    a.release();
+    b.commit();
+
+    assert.equal((await manager.acquire()).nonce, 0);
+    assert.equal((await manager.acquire()).nonce, 2);
+});
+
+test('a leg re-sending a dropped transaction gets its original nonce back', async () => {
+    const provider = counts(5);
+    const manager = new NonceManager(provider, '0x1');
+
+    const sent = await manager.acquire(undefined, 'pay_1:commission');
+    sent.commit();
+
+    const resent = await manager.acquire(sent.nonce, 'pay_1:commission');
+    assert.equal(resent.nonce, 5);
+});
+
+test('a preferred nonce another leg has broadcast at is not reused', async () => {
+    const provider = counts(5);
+    const manager = new NonceManager(provider, '0x1');
+
+    const dropped = await manager.acquire(undefined, 'pay_1:commission');
+    dropped.commit();
+
+    // Dropped from the mempool: the next leg is given the same nonce after a resync
+    provider.pending = 5;
+    manager.needsResync = true;
+    const other = await manager.acquire(undefined, 'pay_2:commission');
+    other.commit();
+    assert.equal(other.nonce, 5);
+
+    const resumed = await manager.acquire(dropped.nonce, 'pay_1:commission');
+    assert.equal(resumed.nonce, 6);
+});
+
+test('a preferred nonce below the mined count is not reused', async () => {
+    const provider = counts(5);
+    const manager = new NonceManager(provider, '0x1');
+    await manager.acquire();
+
+    provider.latest = 8;
+    provider.pending = 8;
+    manager.needsResync = true;
+    assert.equal((await manager.acquire(4, 'pay_1:merchant')).nonce, 8);
+});
+
+test('committed nonces are forgotten once they are mined', async () => {
+    const provider = counts(0);
+    const manager = new NonceManager(provider, '0x1');
+    for (let i = 0; i < 3; i++) (await manager.acquire()).commit();
+    assert.deepEqual(manager.stats().committed, [0, 1, 2]);
+
+    provider.latest = 2;
+    (await manager.acquire()).commit();
+    assert.deepEqual(manager.stats().committed, [2, 3]);
+});
@@ -0,0 +1,120 @@
+/**
+ * SpendingPolicy: merchant lists, unlisted tokens, per-transaction limits and budgets
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../store');
+const { Registry } = require('../registry');
+const { SpendingPolicy } = require('../policy');
+
+const USDC = '0x' + '5'.repeat(40);
+const MERCHANT = '0x' + 'a1'.repeat(20);
+const OTHER = '0x' + 'b2'.repeat(20);
+
+const registry = new Registry({
+    chains: {
+        testchain: {
+            chain_id: 31337,
+            rpc_urls: ['http://127.0.0.1:1'],
+            native_currency: { symbol: 'ETH', decimals: 18 }
+        }
+    },
+    tokens: {
+        USDC: { decimals: 6, contracts: { testchain: USDC } }
+    }
+}, { source: 'test', env: {} });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+let storeCount = 0;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function policyOf(policy, { ledger, pruneIntervalMs } = {}) {
+    return new SpendingPolicy({ policy, registry, pruneIntervalMs, ledger: ledger || new JsonStore(`policy-spend-${storeCount++}`, dir) });
+}
+
+function payment(overrides = {}) {
+    return { merchant_address: MERCHANT, total_amount: '1000000', token: 'USDC', chain: 'testchain', ...overrides };
+}
+
+test('a policy with only merchant lists allows any token to an allowed merchant', () => {
+    const policy = policyOf({ merchants: { allow: [MERCHANT] } });
+
+    assert.equal(policy.evaluate(payment()).allowed, true);
+    assert.equal(policy.evaluate(payment({ token: 'ETH', total_amount: '1000' })).allowed, true);
+    assert.equal(policy.evaluate(payment({ merchant_address: OTHER })).rule, 'merchant_allow_list');
+});
+
+test('tokens missing from the tokens section are refused', () => {
+    const policy = policyOf({ tokens: { USDC: {} } });
+
+    assert.equal(policy.evaluate(payment()).allowed, true);
+    assert.equal(policy.evaluate(payment({ token: 'ETH', total_amount: '1000' })).rule, 'token_not_in_policy');
+});
+
+test('ledger entries older than 30 days are dropped when a payment is reserved', () => {
+    const policy = policyOf({ tokens: { USDC: { monthly_budget: '5' } } }, { pruneIntervalMs: 0 });
+    const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    for (const id of ['old_1', 'old_2']) {
+        policy.ledger.set(id, { id, token: 'USDC', chain: 'testchain', amount: '4000000', at: longAgo });
+    }
+
+    assert.equal(policy.reserve(payment()).allowed, true);
+    assert.deepEqual(policy.ledger.values().map(entry => entry.amount), ['1000000']);
+});
+
+test('the deny list wins over the allow list, whatever the address case', () => {
+    const policy = policyOf({ merchants: { allow: [MERCHANT], deny: ['0x' + MERCHANT.slice(2).toUpperCase()] } });
+    assert.equal(policy.evaluate(payment()).rule, 'merchant_deny_list');
+});
+
+test('enforces the per-transaction maximum and asks for approval above the threshold', () => {
+    const policy = policyOf({ tokens: { USDC: { max_per_transaction: '10', approval_threshold: '5' } } });
+
+    assert.deepEqual(policy.evaluate(payment({ total_amount: '5000000' })), { allowed: true, requires_approval: false, approval_threshold: undefined });
+    assert.deepEqual(policy.evaluate(payment({ total_amount: '5000001' })), { allowed: true, requires_approval: true, approval_threshold: '5000000' });
+
+    const tooLarge = policy.evaluate(payment({ total_amount: '10000001' }));
+    assert.equal(tooLarge.rule, 'max_per_transaction');
+    assert.equal(tooLarge.limit, '10000000');
+});
+
+test('reservations count against the budgets until released', () => {
+    const policy = policyOf({ tokens: { USDC: { daily_budget: '3', monthly_budget: '100' } } });
+
+    const first = policy.reserve(payment({ total_amount: '2000000' }));
+    assert.equal(first.allowed, true);
+    assert.ok(first.reservation_id);
+
+    const second = policy.reserve(payment({ total_amount: '2000000' }));
+    assert.equal(second.rule, 'daily_budget');
+    assert.equal(second.used, '2000000');
+
+    policy.release(first.reservation_id);
+    assert.equal(policy.reserve(payment({ total_amount: '2000000' })).allowed, true);
+});
+
+test('spending from more than 24 hours ago only counts against the monthly budget', () => {
+    const policy = policyOf({ tokens: { USDC: { daily_budget: '3', monthly_budget: '5' } } });
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    policy.ledger.set('old', { id: 'old', token: 'USDC', chain: 'testchain', amount: '3000000', at: twoDaysAgo });
+
+    assert.equal(policy.evaluate(payment({ total_amount: '2000000' })).allowed, true);
+    assert.equal(policy.evaluate(payment({ total_amount: '3000000' })).rule, 'monthly_budget');
+});
+
+test('per-chain overrides replace the token-wide limits', () => {
+    const policy = policyOf({ tokens: { USDC: { max_per_transaction: '100', chains: { testchain: { max_per_transaction: '1' } } } } });
+    assert.equal(policy.evaluate(payment({ total_amount: '2000000' })).rule, 'max_per_transaction');
+});
+
+test('invalid policies are refused when loaded', () => {
+    assert.throws(() => policyOf({ tokens: { DAI: {} } }), /Unknown token in policy: DAI/);
+    assert.throws(() => policyOf({ tokens: { USDC: { chains: { ethereum: {} } } } }), /not supported on ethereum/);
+    assert.throws(() => policyOf({ tokens: { USDC: { daily_budget: 'lots' } } }), /Invalid amount for tokens.USDC.daily_budget/);
+    assert.throws(() => policyOf({ merchants: { deny: ['not-an-address'] } }), /Invalid address in merchants.deny/);
+});
@@ -0,0 +1,38 @@
+/**
+ * QuoteStore: quotes are bound to their API key, payment and TTL
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuoteStore } = require('../quotes');
+
+const MERCHANT = '0x' + 'a1'.repeat(20);
+
+function payment(overrides = {}) {
+    return { merchant_address: MERCHANT, total_amount: '10000000', token: 'USDC', chain: 'base', ...overrides };
+}
+
+test('resolves a quote for the same payment, whatever the address case', () => {
+    const quotes = new QuoteStore({ ttlMs: 60000 });
+    const quote = quotes.create('owner', { ...payment(), commission_amount: '50000' });
+
+    assert.equal(quotes.resolve('owner', quote.id, payment({ merchant_address: MERCHANT.toUpperCase().replace('0X', '0x') })).quote, quote);
+    assert.equal(quotes.resolve('owner', quote.id, payment({ chain: 'auto' })).quote, quote);
+    assert.equal(quotes.resolve('owner', quote.id, payment({ token: 'USDT' })).error, `Quote ${quote.id} was issued for a different token`);
+});
+
+test('a quote of another API key looks like an unknown one', () => {
+    const quotes = new QuoteStore({ ttlMs: 60000 });
+    const quote = quotes.create('owner', payment());
+
+    assert.equal(quotes.resolve('someone-else', quote.id, payment()).error, `Unknown quote: ${quote.id}`);
+    assert.equal(quotes.resolve('owner', 'qt_missing', payment()).error, 'Unknown quote: qt_missing');
+});
+
+test('expired quotes are refused and dropped', () => {
+    const quotes = new QuoteStore({ ttlMs: -1 });
+    const quote = quotes.create('owner', payment());
+
+    assert.match(quotes.resolve('owner', quote.id, payment()).error, /has expired/);
+    assert.equal(quotes.quotes.has(quote.id), false);
+});
@@ -0,0 +1,153 @@
+/**
+ * Registry: loading and merging configs, validation, native currencies and RPC verification
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+const { Registry, RegistryError, loadRegistry } = require('../registry');
+
+const SEPOLIA_USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-test-'));
+
+// JSON-RPC node on /<chainId>/<decimals>: answers eth_chainId and decimals()
+let server;
+let rpcBase;
+
+before(async () => {
+    const decimals = new ethers.Interface(['function decimals() view returns (uint8)']);
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const [, chainId, tokenDecimals] = req.url.split('/');
+            const answer = ({ id, method }) => ({
+                jsonrpc: '2.0',
+                id,
+                result: method === 'eth_chainId'
+                    ? ethers.toQuantity(Number(chainId))
+                    : decimals.encodeFunctionResult('decimals', [Number(tokenDecimals)])
+            });
+            const payload = JSON.parse(body);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    rpcBase = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function sepolia(overrides = {}) {
+    return {
+        chain_id: 84532,
+        rpc_urls: ['https://sepolia.base.org'],
+        native_currency: { symbol: 'ETH', decimals: 18 },
+        testnet: true,
+        ...overrides
+    };
+}
+
+test('without configuration the built-in mainnets are used', () => {
+    const registry = loadRegistry({});
+    assert.equal(registry.source, 'default');
+    assert.deepEqual(registry.chainNames(), ['base', 'ethereum', 'polygon', 'arbitrum']);
+    assert.equal(registry.getToken('USDC', 'base').decimals, 6);
+});
+
+test('a registry file can add a testnet on top of the defaults', () => {
+    const file = path.join(dir, 'registry.yaml');
+    fs.writeFileSync(file, [
+        'include_defaults: true',
+        'chains:',
+        '  base-sepolia:',
+        '    chain_id: 84532',
+        '    rpc_urls: [https://sepolia.base.org]',
+        '    testnet: true',
+        'tokens:',
+        '  USDC:',
+        '    contracts:',
+        `      base-sepolia: { address: "${SEPOLIA_USDC}", eip3009: { name: USDC, version: "2" } }`
+    ].join('\n'));
+
+    const registry = loadRegistry({ REGISTRY_FILE: file });
+    assert.equal(registry.source, `${file} (+ defaults)`);
+    assert.equal(registry.getChain('base').chainId, 8453);
+    assert.equal(registry.getChain('base-sepolia').testnet, true);
+    assert.deepEqual(registry.getToken('USDC', 'base-sepolia').eip3009, { name: 'USDC', version: '2' });
+    // Merged per chain: the mainnet contracts are still there
+    assert.equal(registry.getToken('USDC', 'base').address, '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+});
+
+test('<CHAIN>_RPC overrides a chain\'s RPC URLs', () => {
+    const registry = loadRegistry({
+        REGISTRY_JSON: JSON.stringify({ chains: { 'base-sepolia': sepolia() }, tokens: {} }),
+        BASE_SEPOLIA_RPC: 'https://a.example.com, https://b.example.com'
+    });
+    assert.deepEqual(registry.getChain('base-sepolia').rpcUrls, ['https://a.example.com', 'https://b.example.com']);
+});
+
+test('native currencies are payable under their symbol', () => {
+    const registry = loadRegistry({});
+    assert.deepEqual(registry.getToken('POL', 'polygon'), { symbol: 'POL', chain: 'polygon', native: true, address: null, decimals: 18, eip3009: null });
+    assert.equal(registry.getToken('POL', 'base'), null);
+    assert.deepEqual(registry.tokenChains('ETH'), ['base', 'ethereum', 'arbitrum']);
+    assert.ok(registry.tokenSymbols().includes('POL'));
+});
+
+test('invalid registries are refused with the offending field', () => {
+    const invalid = (config, message) => assert.throws(() => new Registry(config, { env: {} }), error => {
+        assert.ok(error instanceof RegistryError);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    invalid({ chains: {}, tokens: {} }, /at least one chain/);
+    invalid({ chains: { Base: sepolia() }, tokens: {} }, /Invalid chain name "Base"/);
+    invalid({ chains: { a: sepolia(), b: sepolia() }, tokens: {} }, /chains.b.chain_id 84532 is already used by a/);
+    invalid({ chains: { a: sepolia({ rpc_urls: ['ftp://x'] }) }, tokens: {} }, /invalid URL: ftp:\/\/x/);
+    invalid({ chains: { a: sepolia({ confirmations: 0 }) }, tokens: {} }, /confirmations must be a positive integer/);
+    invalid({ chains: { a: sepolia({ gas: { bump_percent: 1 } }) }, tokens: {} }, /chains.a.gas.bump_percent/);
+    invalid({ chains: { a: sepolia() }, tokens: { USDC: { decimals: 6, contracts: { b: SEPOLIA_USDC } } } }, /unknown chain "b"/);
+    invalid({ chains: { a: sepolia() }, tokens: { ETH: { decimals: 18, contracts: { a: SEPOLIA_USDC } } } }, /ETH is the native currency of a/);
+    invalid({ chains: { a: sepolia() }, tokens: { USDC: { decimals: 6, contracts: { a: '0x1234' } } } }, /invalid address 0x1234/);
+});
+
+test('verification takes RPCs on the wrong chain and tokens with the wrong decimals out of service', async () => {
+    const registry = new Registry({
+        chains: {
+            'base-sepolia': sepolia({ rpc_urls: [`${rpcBase}/1/6`, `${rpcBase}/84532/18`] })
+        },
+        tokens: { USDC: { decimals: 6, contracts: { 'base-sepolia': SEPOLIA_USDC } } }
+    }, { env: {} });
+
+    const report = await registry.verify();
+    assert.deepEqual(report.chains['base-sepolia'].rpcs.map(r => r.status), ['chain_id_mismatch', 'ok']);
+    assert.deepEqual(registry.usableRpcUrls('base-sepolia'), [`${rpcBase}/84532/18`]);
+    assert.equal(report.tokens.USDC['base-sepolia'].status, 'decimals_mismatch');
+    assert.match(registry.unavailableReason('base-sepolia', 'USDC'), /on-chain decimals\(\) is 18, config says 6/);
+
+    // /health shows hosts only (RPC URLs may carry API keys)
+    const { rpcs } = registry.summary().chains['base-sepolia'];
+    assert.ok(rpcs.every(rpc => rpc.url === undefined && rpc.host === new URL(rpcBase).host));
+});
+
+test('a chain whose RPCs are all on the wrong chain is unavailable', async () => {
+    const registry = new Registry({
+        chains: { 'base-sepolia': sepolia({ rpc_urls: [`${rpcBase}/1/6`] }) },
+        tokens: {}
+    }, { env: {} });
+
+    await registry.verify();
+    assert.equal(registry.unavailableReason('base-sepolia'), 'No RPC for base-sepolia passed verification');
+    assert.throws(() => registry.createProvider('base-sepolia'), RegistryError);
+});
@@ -0,0 +1,649 @@
+/**
+ * createSigningService() end to end: an injected signer, commission client and
+ * provider (an in-process chain), mounted in an Express app like an embedder would
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { ethers } = require('ethers');
+const { installLogger } = require('../logger');
+const { Registry } = require('../registry');
+const { signCommissionConfig } = require('../commission-config');
+const { AGENTGATEPAY_CONFIG_SIGNER } = require('../agentgatepay-client');
+const { createSigningService, ServiceConfigError } = require('../service');
+const { loadTenants } = require('../tenants');
+const { compileBalanceAlerts } = require('../wallet');
+const { TRANSFER_WITH_AUTHORIZATION_TYPES, eip3009Domain } = require('../x402');
+const { FakeChain } = require('./helpers/fake-chain');
+
+const API_KEY = 'pk_test_owner';
+const USDC = '0x' + '5'.repeat(40);
+const MERCHANT = ethers.getAddress('0x' + 'a1'.repeat(20));
+const COMMISSION = ethers.getAddress('0x' + 'c0'.repeat(20));
+
+const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+const configSigner = new ethers.Wallet('0x' + '22'.repeat(32));
+const chain = new FakeChain({ chainId: 31337 });
+
+const registry = new Registry({
+    chains: {
+        testchain: {
+            chain_id: 31337,
+            rpc_urls: ['http://127.0.0.1:1'],
+            native_currency: { symbol: 'ETH', decimals: 18 }
+        }
+    },
+    tokens: {
+        USDC: { decimals: 6, contracts: { testchain: USDC } }
+    }
+}, { source: 'test', env: {} });
+
+let dataRoot;
+
+/**
+ * Fake AgentGatePay API: knows API_KEY and hands out a config signed by `signedBy`
+ */
+function commissionClient({ signedBy = configSigner } = {}) {
+    const calls = { fetchUser: 0, fetchCommissionConfig: 0 };
+    return {
+        calls,
+        url: 'http://agentgatepay.test',
+        fetchUser: async () => {
+            calls.fetchUser++;
+            return { user_id: 'usr_test', email: 'owner@example.com' };
+        },
+        fetchCommissionConfig: async () => {
+            calls.fetchCommissionConfig++;
+            const config = {
+                commission_address: COMMISSION,
+                commission_rate: 0.005,
+                commission_rate_percent: '0.5%',
+                controlled_by: 'agentgatepay',
+                chains: ['testchain'],
+                expires_at: Math.floor(Date.now() / 1000) + 3600,
+                verified: true
+            };
+            return { ...config, signature: await signCommissionConfig(signedBy, config) };
+        }
+    };
+}
+
+/**
+ * Service mounted at /signer on an ephemeral port; returns { service, client, base, request, close }
+ */
+async function startService(name, options = {}) {
+    const client = options.commissionClient || commissionClient();
+    const service = createSigningService({
+        registry,
+        signer: wallet,
+        apiKey: API_KEY,
+        providers: { testchain: chain },
+        commissionClient: client,
+        configSigner: configSigner.address,
+        dataDir: path.join(dataRoot, name),
+        ...options
+    });
+
+    const app = express();
+    app.use('/signer', service);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}/signer`;
+
+    async function request(method, route, { body, headers = {} } = {}) {
+        const response = await fetch(`${base}${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'x-api-key': API_KEY, ...headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    async function close() {
+        service.stop();
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    return { service, client, base, request, close };
+}
+
+function paymentBody(overrides = {}) {
+    return {
+        merchant_address: MERCHANT,
+        total_amount: '10000000',
+        token: 'USDC',
+        chain: 'testchain',
+        ...overrides
+    };
+}
+
+before(() => {
+    installLogger({ LOG_LEVEL: 'error', LOG_FORMAT: 'json' });
+    dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-service-test-'));
+    chain.fund(wallet.address, { native: ethers.parseEther('1') });
+    chain.fund(wallet.address, { token: USDC, amount: 1000_000000n });
+});
+
+after(() => {
+    fs.rmSync(dataRoot, { recursive: true, force: true });
+});
+
+test('refuses to start without a registry or a signer', () => {
+    assert.throws(() => createSigningService({ signer: wallet }), ServiceConfigError);
+    assert.throws(() => createSigningService({ registry }), ServiceConfigError);
+});
+
+test('verifies commission configs against the hardcoded signer unless a test passes its own', async () => {
+    assert.throws(() => createSigningService({ registry, signer: wallet, configSigner: 'not-an-address' }), ServiceConfigError);
+
+    const { request, close } = await startService('pinned-signer', { configSigner: undefined });
+    try {
+        const { body } = await request('GET', '/health');
+        assert.equal(body.commission_config_signer, AGENTGATEPAY_CONFIG_SIGNER);
+    } finally {
+        await close();
+    }
+});
+
+test('refuses a second service on the same dataDir until the first is stopped', () => {
+    const dataDir = path.join(dataRoot, 'shared');
+    const first = createSigningService({ registry, signer: wallet, dataDir });
+
+    assert.throws(() => createSigningService({ registry, signer: wallet, dataDir }), /already used/);
+    first.stop();
+
+    const second = createSigningService({ registry, signer: wallet, dataDir });
+    second.stop();
+});
+
+test('/health reports the injected signer', async () => {
+    const { request, close } = await startService('health');
+    try {
+        const { status, headers } = await request('GET', '/health');
+        assert.equal(status, 200);
+        assert.ok(headers.get('x-request-id'));
+    } finally {
+        await close();
+    }
+});
+
+test('rejects an API key that is not the owner\'s', async () => {
+    const { client, request, close } = await startService('forbidden');
+    try {
+        const { status, body } = await request('POST', '/sign-payment', {
+            body: paymentBody(),
+            headers: { 'x-api-key': 'pk_test_someone_else' }
+        });
+        assert.equal(status, 403);
+        assert.equal(body.error, 'Forbidden');
+        assert.equal(client.calls.fetchCommissionConfig, 0);
+    } finally {
+        await close();
+    }
+});
+
+test('signs and confirms the commission and merchant transfers', async () => {
+    const { client, request, close } = await startService('payment');
+    const merchantBefore = chain.balanceOf(MERCHANT, USDC);
+    const commissionBefore = chain.balanceOf(COMMISSION, USDC);
+
+    try {
+        const { status, body } = await request('POST', '/sign-payment', { body: paymentBody() });
+
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.status, 'completed');
+        assert.equal(body.commission_amount, '50000');
+        assert.equal(body.merchant_amount, '9950000');
+        assert.equal(body.config_fetched_from, client.url);
+        assert.equal(client.calls.fetchCommissionConfig, 1);
+
+        assert.equal(chain.balanceOf(COMMISSION, USDC) - commissionBefore, 50000n);
+        assert.equal(chain.balanceOf(MERCHANT, USDC) - merchantBefore, 9950000n);
+
+        const [commissionTx, merchantTx] = chain.sent().slice(-2);
+        assert.equal(commissionTx.hash, body.tx_hash_commission);
+        assert.equal(merchantTx.hash, body.tx_hash);
+        assert.equal(merchantTx.nonce, commissionTx.nonce + 1);
+
+        const payment = await request('GET', `/payments/${body.payment_id}`);
+        assert.equal(payment.status, 200);
+        assert.equal(payment.body.status, 'completed');
+    } finally {
+        await close();
+    }
+});
+
+test('/metrics needs the metrics token and counts payments, gas and requests', async () => {
+    const { base, request, close } = await startService('metrics', { metricsToken: 'metrics-secret' });
+
+    try {
+        const { status, body } = await request('POST', '/sign-payment', { body: paymentBody() });
+        assert.equal(status, 200, JSON.stringify(body));
+
+        const refused = await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer wrong' } });
+        assert.equal(refused.status, 401);
+
+        const response = await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer metrics-secret' } });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+        const text = await response.text();
+        assert.match(text, /^agentgatepay_payments\{tenant="default",status="completed",chain="testchain",token="USDC"\} 1$/m);
+        assert.match(text, /^agentgatepay_confirmation_duration_seconds_count\{chain="testchain",leg="merchant"\} 1$/m);
+        assert.match(text, /^agentgatepay_gas_used_total\{chain="testchain"\} 100000$/m);
+        assert.match(text, /^agentgatepay_commission_config_fetches_total\{result="success"\} 1$/m);
+        assert.match(text, /^agentgatepay_http_requests_total\{method="GET",route="\/signer\/metrics",status="401"\} 1$/m);
+    } finally {
+        await close();
+    }
+});
+
+test('replays the original result for a retried idempotency key', async () => {
+    const { request, close } = await startService('idempotency');
+    try {
+        const headers = { 'Idempotency-Key': 'order-1' };
+        const first = await request('POST', '/sign-payment', { body: paymentBody(), headers });
+        const sentBefore = chain.sent().length;
+
+        const retry = await request('POST', '/sign-payment', { body: paymentBody(), headers });
+        assert.equal(retry.status, first.status);
+        assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+        assert.equal(retry.body.payment_id, first.body.payment_id);
+        assert.equal(chain.sent().length, sentBefore);
+
+        const conflict = await request('POST', '/sign-payment', { body: paymentBody({ total_amount: '20000000' }), headers });
+        assert.equal(conflict.status, 409);
+    } finally {
+        await close();
+    }
+});
+
+test('signs nothing when the commission config is not signed by the pinned signer', async () => {
+    const { request, close } = await startService('forged-config', {
+        commissionClient: commissionClient({ signedBy: ethers.Wallet.createRandom() })
+    });
+    const sentBefore = chain.sent().length;
+
+    try {
+        const { status, body } = await request('POST', '/sign-payment', { body: paymentBody() });
+        assert.equal(status, 500);
+        assert.equal(body.error, 'Failed to fetch commission config');
+        assert.equal(chain.sent().length, sentBefore);
+    } finally {
+        await close();
+    }
+});
+
+test('refuses tokens the spending policy does not list', async () => {
+    const { request, close } = await startService('policy', {
+        policy: { tokens: { USDC: { max_per_transaction: '100' } } }
+    });
+    try {
+        const { status, body } = await request('POST', '/sign-payment', {
+            body: paymentBody({ token: 'ETH', total_amount: '1000' })
+        });
+        assert.equal(status, 403);
+        assert.equal(body.rule, 'token_not_in_policy');
+    } finally {
+        await close();
+    }
+});
+
+test('checks webhook_url of an async payment', async () => {
+    const { request, close } = await startService('webhook-url', { webhookSecret: 'whsec_test' });
+    try {
+        const { status, body } = await request('POST', '/sign-payment', {
+            body: paymentBody({ async: true, webhook_url: 'ftp://example.com/hook' })
+        });
+        assert.equal(status, 400);
+        assert.equal(body.message, 'webhook_url must be an http(s) URL');
+    } finally {
+        await close();
+    }
+});
+
+test('x402 mode signs both authorizations and broadcasts nothing', async () => {
+    const x402Registry = new Registry({
+        chains: {
+            testchain: {
+                chain_id: 31337,
+                rpc_urls: ['http://127.0.0.1:1'],
+                native_currency: { symbol: 'ETH', decimals: 18 }
+            }
+        },
+        tokens: {
+            USDC: { decimals: 6, eip3009: { name: 'USD Coin', version: '2' }, contracts: { testchain: USDC } }
+        }
+    }, { source: 'test', env: {} });
+    const { request, close } = await startService('x402', { registry: x402Registry });
+    const sentBefore = chain.sent().length;
+
+    try {
+        const { status, body } = await request('POST', '/sign-payment', { body: paymentBody({ mode: 'x402', valid_for_seconds: 600 }) });
+
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.status, 'authorized');
+        assert.equal(body.valid_before - body.valid_after, 660);
+        assert.equal(chain.sent().length, sentBefore);
+
+        const domain = eip3009Domain({ name: 'USD Coin', version: '2', chainId: 31337, verifyingContract: USDC });
+        const legs = { x_payment: [MERCHANT, '9950000'], x_payment_commission: [COMMISSION, '50000'] };
+        for (const [field, [to, value]] of Object.entries(legs)) {
+            const { network, payload } = JSON.parse(Buffer.from(body[field], 'base64').toString('utf8'));
+            assert.equal(network, 'testchain');
+            assert.equal(payload.authorization.to, to);
+            assert.equal(payload.authorization.value, value);
+            assert.equal(ethers.verifyTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, payload.authorization, payload.signature), wallet.address);
+        }
+    } finally {
+        await close();
+    }
+});
+
+test('x402 mode is refused for tokens without EIP-3009', async () => {
+    const { request, close } = await startService('x402-unsupported');
+    try {
+        const { status, body } = await request('POST', '/sign-payment', { body: paymentBody({ mode: 'x402' }) });
+        assert.equal(status, 400);
+        assert.match(body.error, /does not support EIP-3009/);
+    } finally {
+        await close();
+    }
+});
+
+test('"chain": "auto" pays on the chain it selected and says why', async () => {
+    const { request, close } = await startService('auto-chain');
+    try {
+        const { status, body } = await request('POST', '/sign-payment', { body: paymentBody({ chain: 'auto' }) });
+
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.chain, 'testchain');
+        assert.equal(body.chain_selection.chain, 'testchain');
+        assert.match(body.chain_selection.reason, /^Only chain that can fund the payment/);
+        assert.equal(chain.sent().slice(-1)[0].hash, body.tx_hash);
+    } finally {
+        await close();
+    }
+});
+
+test('pays in the chain\'s native currency with plain value transfers', async () => {
+    const { request, close } = await startService('native');
+    const merchantBefore = chain.balanceOf(MERCHANT);
+    const commissionBefore = chain.balanceOf(COMMISSION);
+
+    try {
+        const { status, body } = await request('POST', '/sign-payment', {
+            body: paymentBody({ token: 'ETH', total_amount: ethers.parseEther('0.01').toString() })
+        });
+
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.status, 'completed');
+        assert.equal(body.commission_amount, ethers.parseEther('0.00005').toString());
+
+        const [commissionTx, merchantTx] = chain.sent().slice(-2);
+        assert.equal(merchantTx.hash, body.tx_hash);
+        assert.deepEqual([commissionTx.to, commissionTx.data], [COMMISSION, '0x']);
+        assert.deepEqual([merchantTx.to, merchantTx.data], [MERCHANT, '0x']);
+        assert.equal(chain.balanceOf(COMMISSION) - commissionBefore, ethers.parseEther('0.00005'));
+        assert.equal(chain.balanceOf(MERCHANT) - merchantBefore, ethers.parseEther('0.00995'));
+    } finally {
+        await close();
+    }
+});
+
+test('a quote simulates both transfers and pins its split for /sign-payment', async () => {
+    const { client, request, close } = await startService('quote');
+    try {
+        const quoted = await request('POST', '/quote-payment', { body: paymentBody() });
+        assert.equal(quoted.status, 200, JSON.stringify(quoted.body));
+        assert.equal(quoted.body.can_execute, true);
+        assert.equal(quoted.body.commission_amount, '50000');
+        assert.equal(quoted.body.transactions.commission.success, true);
+        assert.equal(quoted.body.transactions.merchant.success, true);
+        assert.equal(quoted.body.fees.total_gas, '100000');
+
+        // Signing with the quote doesn't fetch the commission config again
+        const signed = await request('POST', '/sign-payment', { body: paymentBody({ quote_id: quoted.body.quote_id }) });
+        assert.equal(signed.status, 200, JSON.stringify(signed.body));
+        assert.equal(signed.body.quote_id, quoted.body.quote_id);
+        assert.equal(client.calls.fetchCommissionConfig, 1);
+
+        const different = await request('POST', '/sign-payment', { body: paymentBody({ quote_id: quoted.body.quote_id, total_amount: '20000000' }) });
+        assert.equal(different.status, 400);
+        assert.match(different.body.message, /was issued for a different total_amount/);
+    } finally {
+        await close();
+    }
+});
+
+test('a quote the wallet can\'t pay says so without failing', async () => {
+    const { request, close } = await startService('quote-unfunded');
+    try {
+        const { status, body } = await request('POST', '/quote-payment', { body: paymentBody({ total_amount: '100000000000' }) });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.can_execute, false);
+        assert.equal(body.transactions.merchant.success, false);
+    } finally {
+        await close();
+    }
+});
+
+test('pays a batch with one commission transfer for all items', async () => {
+    const { request, close } = await startService('batch');
+    const other = ethers.getAddress('0x' + 'b2'.repeat(20));
+    const sentBefore = chain.sent().length;
+
+    try {
+        const { status, body } = await request('POST', '/sign-payments-batch', {
+            body: {
+                token: 'USDC',
+                chain: 'testchain',
+                items: [
+                    { merchant_address: MERCHANT, total_amount: '1000000' },
+                    { merchant_address: other, total_amount: '2000000' },
+                    { merchant_address: 'not-an-address', total_amount: '1' }
+                ]
+            }
+        });
+
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.status, 'completed');
+        assert.deepEqual(body.items.map(item => item.status), ['confirmed', 'confirmed', 'invalid']);
+        assert.equal(body.summary.commission_amount, '15000');
+        assert.equal(chain.sent().length - sentBefore, 3);
+        assert.equal(chain.balanceOf(other, USDC), 1990000n);
+
+        const batch = await request('GET', `/batches/${body.batch_id}`);
+        assert.equal(batch.status, 200);
+        assert.equal(batch.body.in_progress, false);
+    } finally {
+        await close();
+    }
+});
+
+test('resuming a payment whose broadcast was lost rebroadcasts the recorded transaction', async () => {
+    const { request, close } = await startService('lost-broadcast');
+    const commissionBefore = chain.balanceOf(COMMISSION, USDC);
+    const sentBefore = chain.sent().length;
+
+    // The commission is signed and recorded, then the connection drops before the node gets it
+    const broadcast = chain.broadcastTransaction;
+    chain.broadcastTransaction = async () => {
+        chain.broadcastTransaction = broadcast;
+        throw ethers.makeError('request timeout', 'TIMEOUT');
+    };
+
+    try {
+        const failed = await request('POST', '/sign-payment', { body: paymentBody() });
+        assert.equal(failed.status, 500);
+        assert.equal(failed.body.failed_at_status, 'commission_sent');
+        assert.ok(failed.body.commission_tx_hash);
+        assert.equal(chain.sent().length, sentBefore);
+
+        const resumed = await request('POST', `/payments/${failed.body.payment_id}/resume`);
+        assert.equal(resumed.status, 200, JSON.stringify(resumed.body));
+        assert.equal(resumed.body.tx_hash_commission, failed.body.commission_tx_hash);
+        assert.equal(chain.sent().length - sentBefore, 2);
+        assert.equal(chain.balanceOf(COMMISSION, USDC) - commissionBefore, 50000n);
+    } finally {
+        chain.broadcastTransaction = broadcast;
+        await close();
+    }
+});
+
+test('a broadcast the node refuses leaves the leg unsent', async () => {
+    const { request, close } = await startService('refused-broadcast');
+    const broadcast = chain.broadcastTransaction;
+    chain.broadcastTransaction = async () => {
+        chain.broadcastTransaction = broadcast;
+        throw ethers.makeError('insufficient funds', 'INSUFFICIENT_FUNDS');
+    };
+
+    try {
+        const failed = await request('POST', '/sign-payment', { body: paymentBody() });
+        assert.equal(failed.status, 400);
+        assert.equal(failed.body.failed_at_status, 'created');
+        assert.equal(failed.body.commission_tx_hash, undefined);
+    } finally {
+        chain.broadcastTransaction = broadcast;
+        await close();
+    }
+});
+
+test('services with their own providers keep their own nonces', async () => {
+    const first = await startService('first-chain');
+    try {
+        assert.equal((await first.request('POST', '/sign-payment', { body: paymentBody() })).status, 200);
+    } finally {
+        await first.close();
+    }
+
+    // Same wallet and chain name, another chain: nonces start from its own count
+    const otherChain = new FakeChain({ chainId: 31337 });
+    otherChain.fund(wallet.address, { native: ethers.parseEther('1') });
+    otherChain.fund(wallet.address, { token: USDC, amount: 100_000000n });
+
+    const second = await startService('second-chain', { providers: { testchain: otherChain } });
+    try {
+        const { status, body } = await second.request('POST', '/sign-payment', { body: paymentBody() });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.deepEqual(otherChain.sent().map(tx => tx.nonce), [0, 1]);
+    } finally {
+        await second.close();
+    }
+});
+
+test('an approval whose payment cannot be recorded answers 500 instead of hanging', async () => {
+    const { service, request, close } = await startService('approval-error', {
+        policy: { tokens: { USDC: { approval_threshold: '5' } } },
+        approvalKey: 'approver-secret'
+    });
+    try {
+        const pending = await request('POST', '/sign-payment', { body: paymentBody() });
+        assert.equal(pending.status, 202);
+        assert.equal(pending.body.status, 'pending_approval');
+
+        const { payments } = service.tenants.all()[0];
+        payments.transition = () => {
+            throw new Error('disk full');
+        };
+
+        const approved = await request('POST', `/payments/${pending.body.payment_id}/approve`, {
+            headers: { 'x-approval-key': 'approver-secret' }
+        });
+        assert.equal(approved.status, 500);
+        assert.equal(approved.body.message, 'disk full');
+    } finally {
+        await close();
+    }
+});
+
+test('multi-tenant balance alerts only go to each tenant\'s own webhook_url', async () => {
+    const tenantsFile = path.join(dataRoot, 'tenants.json');
+    fs.writeFileSync(tenantsFile, JSON.stringify({
+        tenants: {
+            alpha: {
+                api_key: 'pk_test_alpha',
+                signer: { backend: 'private_key', private_key: '0x' + '33'.repeat(32) },
+                webhook_url: 'http://127.0.0.1:1/alpha',
+                webhook_secret: 'alpha-secret'
+            },
+            beta: {
+                api_key: 'pk_test_beta',
+                signer: { backend: 'private_key', private_key: '0x' + '44'.repeat(32) },
+                webhook_secret: 'beta-secret'
+            }
+        }
+    }));
+    const tenants = await loadTenants({
+        tenantsFile,
+        single: { policy: null, rateLimitPerMinute: 0 },
+        registry,
+        dataDir: path.join(dataRoot, 'alerts-multi')
+    });
+    const balanceAlerts = compileBalanceAlerts({ webhook_url: 'https://ops.example.com/alerts', native: { testchain: '0.5' } }, registry);
+
+    const { service, request, close } = await startService('alerts-multi', { tenants, balanceAlerts });
+    try {
+        service.start();
+        for (let i = 0; i < 200; i++) {
+            const { body } = await request('GET', '/health');
+            if (body.balance_alerts.last_check_at) break;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        const [alpha, beta] = tenants.all();
+        assert.deepEqual(alpha.webhooks.store.values().map(d => [d.event, d.url]), [['wallet.balance_low', 'http://127.0.0.1:1/alpha']]);
+        assert.equal(beta.webhooks.pending(), 0);
+    } finally {
+        await close();
+    }
+});
+
+test('reconciliation matches recorded transfers and reports the ones no record explains', async () => {
+    const ledgerChain = new FakeChain({ chainId: 31337 });
+    const ledgerWallet = new ethers.Wallet('0x' + '55'.repeat(32), ledgerChain);
+    ledgerChain.fund(ledgerWallet.address, { native: ethers.parseEther('1') });
+    ledgerChain.fund(ledgerWallet.address, { token: USDC, amount: 100_000000n });
+
+    const { service, request, close } = await startService('reconcile', { signer: ledgerWallet, providers: { testchain: ledgerChain } });
+    try {
+        const paid = await request('POST', '/sign-payment', { body: paymentBody() });
+        assert.equal(paid.status, 200, JSON.stringify(paid.body));
+
+        // Sent from the wallet by something other than this service
+        const usdc = new ethers.Contract(USDC, ['function transfer(address to, uint256 amount) returns (bool)'], ledgerWallet);
+        const stray = await usdc.transfer(MERCHANT, 1_000000n, { nonce: 2 });
+
+        // A record that no longer says what was sent
+        const { payments } = service.tenants.all()[0];
+        payments.update(paid.body.payment_id, { merchant_amount: '1' });
+
+        const run = await request('POST', '/reconciliation/run');
+        assert.equal(run.status, 200, JSON.stringify(run.body));
+        assert.equal(run.body.new_issues, 2);
+
+        const { body } = await request('GET', '/reconciliation');
+        const issues = Object.fromEntries(body.issues.map(issue => [issue.type, issue]));
+        assert.deepEqual(Object.keys(issues).sort(), ['transfer_mismatch', 'unknown_transfer']);
+        assert.equal(issues.unknown_transfer.tx_hash, stray.hash);
+        assert.equal(issues.transfer_mismatch.payment_id, paid.body.payment_id);
+        assert.equal(issues.transfer_mismatch.leg, 'merchant');
+
+        const { reconciliation } = payments.get(paid.body.payment_id);
+        assert.equal(reconciliation.commission, 'matched');
+        assert.equal(reconciliation.merchant, 'mismatch');
+
+        // Scanned blocks aren't scanned again and known issues aren't added twice
+        const again = await request('POST', '/reconciliation/run');
+        assert.equal(again.body.new_issues, 0);
+        assert.equal(again.body.open_issues, 2);
+    } finally {
+        await close();
+    }
+});
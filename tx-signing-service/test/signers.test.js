@@ -0,0 +1,87 @@
+/**
+ * RemoteSigner: what is sent to eth_signTransaction, and that the signed
+ * transaction is checked field by field before it is used
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { RemoteSigner, SignerError } = require('../signers');
+
+const key = new ethers.Wallet('0x' + '11'.repeat(32));
+
+const TX = {
+    to: '0x' + 'ab'.repeat(20),
+    data: '0x1234',
+    value: 5n,
+    nonce: 3,
+    gasLimit: 21000n,
+    maxFeePerGas: 10n,
+    maxPriorityFeePerGas: 1n,
+    chainId: 8453n
+};
+
+/**
+ * Remote signer stub that signs what it is asked to - after `tamper(tx)`, if given
+ */
+function remoteSigner(tamper) {
+    const requests = [];
+    const client = {
+        call: async (method, [request]) => {
+            requests.push(request);
+            const tx = {
+                type: Number(request.type),
+                chainId: BigInt(request.chainId),
+                to: request.to,
+                data: request.data,
+                value: BigInt(request.value),
+                nonce: Number(request.nonce),
+                gasLimit: BigInt(request.gas)
+            };
+            if (request.maxFeePerGas) {
+                tx.maxFeePerGas = BigInt(request.maxFeePerGas);
+                tx.maxPriorityFeePerGas = BigInt(request.maxPriorityFeePerGas);
+            } else {
+                tx.gasPrice = BigInt(request.gasPrice);
+            }
+            if (tamper) tamper(tx);
+            return key.signTransaction(tx);
+        }
+    };
+    return { signer: new RemoteSigner(client, key.address), requests };
+}
+
+test('sends the chain id and transaction type with the request', async () => {
+    const { signer, requests } = remoteSigner();
+    const signed = await signer.signTransaction(TX);
+
+    assert.equal(requests[0].chainId, '0x2105');
+    assert.equal(requests[0].type, '0x2');
+    assert.equal(ethers.Transaction.from(signed).from, key.address);
+
+    await signer.signTransaction({ ...TX, maxFeePerGas: undefined, maxPriorityFeePerGas: undefined, gasPrice: 7n });
+    assert.equal(requests[1].type, '0x0');
+    assert.equal(requests[1].gasPrice, '0x7');
+});
+
+for (const [field, tamper] of [
+    ['chainId', tx => { tx.chainId = 1n; }],
+    ['nonce', tx => { tx.nonce = 4; }],
+    ['to', tx => { tx.to = '0x' + 'cd'.repeat(20); }],
+    ['value', tx => { tx.value = 6n; }],
+    ['data', tx => { tx.data = '0x'; }],
+    ['gasLimit', tx => { tx.gasLimit = 100000n; }],
+    ['maxFeePerGas', tx => { tx.maxFeePerGas = 1000n; }],
+    ['maxPriorityFeePerGas', tx => { tx.maxPriorityFeePerGas = 2n; }]
+]) {
+    test(`refuses a signed transaction with a different ${field}`, async () => {
+        const { signer } = remoteSigner(tamper);
+        await assert.rejects(signer.signTransaction(TX), error => error instanceof SignerError && error.message.includes(field));
+    });
+}
+
+test('refuses a legacy transaction with a different gas price', async () => {
+    const { signer } = remoteSigner(tx => { tx.gasPrice = 8n; });
+    const legacy = { ...TX, maxFeePerGas: undefined, maxPriorityFeePerGas: undefined, gasPrice: 7n };
+    await assert.rejects(signer.signTransaction(legacy), /gasPrice/);
+});
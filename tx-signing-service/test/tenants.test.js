@@ -0,0 +1,96 @@
+/**
+ * loadTenants(): what a tenants file must hold and where each tenant's state lives
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Registry } = require('../registry');
+const { TenantError, loadTenants } = require('../tenants');
+
+const registry = new Registry({
+    chains: {
+        testchain: {
+            chain_id: 31337,
+            rpc_urls: ['http://127.0.0.1:1'],
+            native_currency: { symbol: 'ETH', decimals: 18 }
+        }
+    },
+    tokens: {}
+}, { source: 'test', env: {} });
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-test-'));
+let fileCount = 0;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function tenant(n, overrides = {}) {
+    return {
+        api_key: `pk_test_tenant_${n}`,
+        signer: { backend: 'private_key', private_key: '0x' + String(n).padStart(2, '0').repeat(32) },
+        ...overrides
+    };
+}
+
+async function load(tenants, single = { policy: null, rateLimitPerMinute: 120 }) {
+    const tenantsFile = path.join(dir, `tenants-${fileCount++}.json`);
+    fs.writeFileSync(tenantsFile, JSON.stringify({ tenants }));
+    return loadTenants({ tenantsFile, single, registry, dataDir: path.join(dir, `data-${fileCount}`) });
+}
+
+test('loads every tenant with its own wallet, settings and state directory', async () => {
+    const secretFile = path.join(dir, 'alpha-webhook-secret');
+    fs.writeFileSync(secretFile, 'alpha-secret\n');
+
+    const directory = await load({
+        alpha: tenant(11, { webhook_url: 'https://alpha.example.com/hook', webhook_secret_file: secretFile, rate_limit_per_minute: 0 }),
+        beta: tenant(12)
+    });
+    const [alpha, beta] = directory.all();
+
+    assert.equal(directory.multiTenant, true);
+    assert.notEqual(alpha.address, beta.address);
+    assert.equal(alpha.webhookSecret, 'alpha-secret');
+    assert.equal(alpha.rateLimitPerMinute, 0);
+    assert.equal(beta.rateLimitPerMinute, 120);
+    assert.equal(beta.webhookUrl, undefined);
+
+    assert.equal(directory.forApiKey('pk_test_tenant_12'), beta);
+    assert.equal(directory.forApiKey('pk_test_unknown'), null);
+    assert.equal(directory.forKeyId('alpha'), alpha);
+    assert.equal(alpha.payments.store.file, path.join(directory.dataDir, 'tenants', 'alpha', 'payments.json'));
+});
+
+test('a payment is only found under the tenant that made it', async () => {
+    const directory = await load({ alpha: tenant(13), beta: tenant(14) });
+    const [alpha, beta] = directory.all();
+
+    alpha.payments.store.set('pay_alpha', { id: 'pay_alpha', status: 'created' });
+    assert.equal(directory.forPayment('pay_alpha'), alpha);
+    assert.equal(beta.payments.get('pay_alpha'), undefined);
+});
+
+test('tenants never share an API key or a wallet', async () => {
+    await assert.rejects(load({ alpha: tenant(15), beta: tenant(16, { api_key: 'pk_test_tenant_15' }) }),
+        /tenants.beta uses the same API key as tenants.alpha/);
+    await assert.rejects(load({ alpha: tenant(17), beta: tenant(17, { api_key: 'pk_test_other' }) }),
+        /tenants.beta uses the same wallet .* as tenants.alpha/);
+});
+
+test('invalid tenants are refused with the offending field', async () => {
+    const refused = async (tenants, message) => assert.rejects(load(tenants), error => {
+        assert.ok(error instanceof TenantError);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    await assert.rejects(load({}), /defines no tenants/);
+    await refused({ Alpha: tenant(18) }, /Invalid tenant id "Alpha"/);
+    await refused({ alpha: tenant(18, { api_key: 'secret' }) }, /needs an AgentGatePay api_key .* starting with pk_/);
+    await refused({ alpha: tenant(18, { signer: { backend: 'hsm' } }) }, /signer.backend must be one of/);
+    await refused({ alpha: tenant(18, { signer: { backend: 'keystore', keystore_file: 'k.json' } }) }, /needs keystore_password or keystore_password_file/);
+    await refused({ alpha: tenant(18, { webhook_url: 'https://alpha.example.com/hook' }) }, /needs a webhook_secret/);
+    await refused({ alpha: tenant(18, { rate_limit_per_minute: -1 }) }, /rate_limit_per_minute must be a non-negative integer/);
+});
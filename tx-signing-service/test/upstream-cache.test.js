@@ -0,0 +1,95 @@
+/**
+ * UpstreamCache: fresh hits, shared refreshes, the stale fallback and failing closed
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { installLogger } = require('../logger');
+const { UpstreamCache, UpstreamRejectedError, apiKeyCacheKey } = require('../upstream-cache');
+
+const TTL_MS = 60000;
+const MAX_STALE_MS = 3600000;
+
+before(() => installLogger({ LOG_LEVEL: 'error', LOG_FORMAT: 'json' }));
+
+function cache(options = {}) {
+    return new UpstreamCache({ name: 'Test lookup', ttlMs: TTL_MS, maxStaleMs: MAX_STALE_MS, ...options });
+}
+
+// Pretend the cached entry was fetched ageMs ago
+function age(upstream, key, ageMs) {
+    upstream.entries.get(key).fetchedAt = Date.now() - ageMs;
+}
+
+function unreachable() {
+    throw new Error('connect ECONNREFUSED');
+}
+
+test('serves fresh entries from the cache and shares concurrent fetches', async () => {
+    const upstream = cache();
+    let calls = 0;
+    const load = async () => {
+        calls += 1;
+        return { user_id: 'usr_1' };
+    };
+
+    const [first, second] = await Promise.all([upstream.get('k', load), upstream.get('k', load)]);
+    assert.deepEqual(first, { user_id: 'usr_1' });
+    assert.equal(second, first);
+    assert.equal(await upstream.get('k', load), first);
+    assert.equal(calls, 1);
+    assert.equal(upstream.stats().hits, 1);
+});
+
+test('refreshes in the background once an entry is past 80% of its TTL', async () => {
+    const upstream = cache();
+    await upstream.get('k', async () => 'old');
+    age(upstream, 'k', TTL_MS * 0.9);
+
+    assert.equal(await upstream.get('k', async () => 'new'), 'old');
+    await upstream.inflight.get('k');
+    assert.equal(await upstream.get('k', unreachable), 'new');
+});
+
+test('uses the last result while AgentGatePay is unreachable, up to maxStaleMs', async () => {
+    const upstream = cache();
+    await upstream.get('k', async () => 'verified');
+
+    age(upstream, 'k', TTL_MS + 1000);
+    assert.equal(await upstream.get('k', unreachable), 'verified');
+    assert.equal(upstream.stats().stale_served, 1);
+    assert.equal(upstream.stats().last_error, 'connect ECONNREFUSED');
+
+    // Too old to stand in any more: fail closed
+    age(upstream, 'k', MAX_STALE_MS + 1000);
+    await assert.rejects(upstream.get('k', unreachable), /ECONNREFUSED/);
+});
+
+test('a rejection drops the entry instead of serving it stale', async () => {
+    const upstream = cache();
+    await upstream.get('k', async () => 'verified');
+    age(upstream, 'k', TTL_MS + 1000);
+
+    const rejected = async () => {
+        throw new UpstreamRejectedError('Invalid API key');
+    };
+    await assert.rejects(upstream.get('k', rejected), UpstreamRejectedError);
+    assert.equal(upstream.entries.has('k'), false);
+    await assert.rejects(upstream.get('k', unreachable), /ECONNREFUSED/);
+    assert.equal(upstream.stats().rejections, 1);
+});
+
+test('a value is never used past its own expiry, fresh or stale', async () => {
+    const upstream = cache({ validUntil: value => value.expiresAt });
+    await upstream.get('k', async () => ({ expiresAt: Date.now() - 1 }));
+
+    await assert.rejects(upstream.get('k', unreachable), /ECONNREFUSED/);
+    assert.equal(upstream.stats().stale_served, 0);
+});
+
+test('API keys are hashed before they are used as cache keys', () => {
+    const key = apiKeyCacheKey('pk_live_secret');
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(key.includes('secret'), false);
+    assert.equal(apiKeyCacheKey('pk_live_secret'), key);
+});
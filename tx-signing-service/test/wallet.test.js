@@ -0,0 +1,99 @@
+/**
+ * Wallet status and low-balance alerts: thresholds, per-chain reports and the
+ * balance_low / balance_recovered transitions
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { installLogger } = require('../logger');
+const { Registry } = require('../registry');
+const { BalanceAlertError, BalanceMonitor, compileBalanceAlerts, readWalletStatus } = require('../wallet');
+const { FakeChain } = require('./helpers/fake-chain');
+
+const USDC = '0x' + '5'.repeat(40);
+const wallet = new ethers.Wallet('0x' + '33'.repeat(32));
+
+function chainConfig(chainId) {
+    return { chain_id: chainId, rpc_urls: ['http://127.0.0.1:1'], native_currency: { symbol: 'ETH', decimals: 18 } };
+}
+
+const registry = new Registry({
+    chains: { testchain: chainConfig(31337), otherchain: chainConfig(31338) },
+    tokens: { USDC: { decimals: 6, contracts: { testchain: USDC, otherchain: '0x' + '6'.repeat(40) } } }
+}, { source: 'test', env: {} });
+
+const thresholds = compileBalanceAlerts({
+    interval_seconds: 60,
+    native: { testchain: '0.01' },
+    tokens: { USDC: { min_balance: '50', chains: { otherchain: { min_balance: '200' } } } }
+}, registry);
+
+// otherchain has no RPC in these tests
+function providerFor(chain) {
+    return name => {
+        if (name !== 'testchain') throw new Error(`No provider for ${name}`);
+        return chain;
+    };
+}
+
+before(() => installLogger({ LOG_LEVEL: 'error', LOG_FORMAT: 'json' }));
+
+test('thresholds are converted to atomic units, with per-chain overrides', () => {
+    assert.equal(thresholds.intervalMs, 60000);
+    assert.equal(thresholds.webhookUrl, null);
+    assert.deepEqual(thresholds.native, { testchain: ethers.parseEther('0.01') });
+    assert.deepEqual(thresholds.tokens.USDC, { testchain: 50_000000n, otherchain: 200_000000n });
+});
+
+test('invalid thresholds are refused', () => {
+    const invalid = (raw, message) => assert.throws(() => compileBalanceAlerts(raw, registry), error => {
+        assert.ok(error instanceof BalanceAlertError);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    invalid({ interval_seconds: 5 }, /at least 30/);
+    invalid({ native: { mainnet: '1' } }, /Unknown chain in native thresholds: mainnet/);
+    invalid({ tokens: { DAI: { min_balance: '1' } } }, /Unknown token in balance alerts: DAI/);
+    invalid({ tokens: { USDC: { min_balance: 'lots' } } }, /Invalid amount for tokens.USDC.chains.testchain.min_balance/);
+});
+
+test('reports balances, thresholds and nonces per chain, and unreadable chains as errors', async () => {
+    const chain = new FakeChain({ chainId: 31337 });
+    chain.fund(wallet.address, { native: ethers.parseEther('0.005'), token: USDC, amount: 80_000000n });
+
+    const status = await readWalletStatus({ registry, address: wallet.address, providerFor: providerFor(chain), thresholds });
+    const { native, tokens, nonce } = status.chains.testchain;
+
+    assert.deepEqual(native, { symbol: 'ETH', balance: '0.005', balance_atomic: '5000000000000000', min_balance: '0.01', low: true });
+    assert.deepEqual(tokens.USDC, { address: USDC, balance: '80.0', balance_atomic: '80000000', min_balance: '50.0', low: false });
+    assert.deepEqual(nonce, { pending: 0, latest: 0, in_flight: 0 });
+    assert.deepEqual(status.chains.otherchain, { error: 'No provider for otherchain' });
+});
+
+test('alerts once when a balance drops below its threshold and once when it recovers', async () => {
+    const chain = new FakeChain({ chainId: 31337 });
+    chain.fund(wallet.address, { native: ethers.parseEther('1'), token: USDC, amount: 10_000000n });
+
+    const alerts = [];
+    const tenant = { id: 'default', address: wallet.address, run: fn => fn() };
+    const monitor = new BalanceMonitor({
+        registry,
+        thresholds,
+        tenants: () => [tenant],
+        providerFor: providerFor(chain),
+        onAlert: (t, event, data) => alerts.push({ tenant: t.id, event, asset: data.asset, balance: data.balance })
+    });
+
+    await monitor.check();
+    await monitor.check();
+    assert.deepEqual(alerts, [{ tenant: 'default', event: 'wallet.balance_low', asset: 'USDC', balance: '10.0' }]);
+    assert.equal(monitor.lowCount(), 1);
+    assert.ok(monitor.lastCheckAt);
+
+    chain.fund(wallet.address, { token: USDC, amount: 90_000000n });
+    await monitor.check();
+    assert.deepEqual(alerts.slice(1), [{ tenant: 'default', event: 'wallet.balance_recovered', asset: 'USDC', balance: '100.0' }]);
+    assert.equal(monitor.lowCount(), 0);
+});
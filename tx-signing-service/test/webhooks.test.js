@@ -0,0 +1,168 @@
+/**
+ * Webhook signatures, retries with backoff and how due deliveries are spread over their URLs
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { installLogger } = require('../logger');
+const { JsonStore } = require('../store');
+const { WebhookQueue, SIGNATURE_HEADER, signPayload, verifySignature } = require('../webhooks');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+let storeCount = 0;
+
+// Receiver: /slow/* requests hang until release() is called, /down/* answers 503, the rest 200
+let server;
+let baseUrl;
+let received = [];
+let held = [];
+
+before(async () => {
+    installLogger({ LOG_LEVEL: 'error', LOG_FORMAT: 'json' });
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body });
+            if (req.url.startsWith('/slow')) {
+                held.push(() => res.end());
+            } else if (req.url.startsWith('/down')) {
+                res.statusCode = 503;
+                res.end();
+            } else {
+                res.end();
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function queue(options = {}) {
+    received = [];
+    held = [];
+    return new WebhookQueue({ secret: 'test-secret', store: new JsonStore(`webhooks-${storeCount++}`, dir), ...options });
+}
+
+function release() {
+    held.splice(0).forEach(end => end());
+}
+
+async function until(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'timed out waiting');
+}
+
+test('a slow endpoint does not hold up deliveries to other URLs', async () => {
+    const webhooks = queue();
+    webhooks.enqueue({ url: `${baseUrl}/slow`, event: 'payment.completed', paymentId: 'pay_1', data: {} });
+    webhooks.enqueue({ url: `${baseUrl}/fast`, event: 'payment.completed', paymentId: 'pay_2', data: {} });
+
+    const processing = webhooks.processDue();
+    await until(() => received.some(r => r.path === '/fast') && webhooks.pending() === 1);
+    assert.equal(held.length, 1);
+
+    release();
+    await processing;
+    assert.equal(webhooks.pending(), 0);
+});
+
+test('deliveries to one URL go out one at a time, in order', async () => {
+    const webhooks = queue();
+    webhooks.enqueue({ url: `${baseUrl}/slow`, event: 'payment.completed', paymentId: 'pay_1', data: {} });
+    webhooks.enqueue({ url: `${baseUrl}/slow`, event: 'payment.completed', paymentId: 'pay_2', data: {} });
+
+    const first = webhooks.processDue();
+    await until(() => held.length === 1);
+    // A poll while the first is in flight leaves the second one waiting
+    await webhooks.processDue();
+    assert.equal(received.length, 1);
+
+    release();
+    await first;
+    const second = webhooks.processDue();
+    await until(() => held.length === 1);
+    release();
+    await second;
+
+    assert.deepEqual(received.map(r => JSON.parse(r.body).payment_id), ['pay_1', 'pay_2']);
+    assert.equal(webhooks.pending(), 0);
+});
+
+test('no more than the concurrency cap are in flight at once', async () => {
+    const webhooks = queue({ concurrency: 2 });
+    for (const n of [1, 2, 3]) {
+        webhooks.enqueue({ url: `${baseUrl}/slow/${n}`, event: 'payment.completed', paymentId: `pay_${n}`, data: {} });
+    }
+
+    const processing = webhooks.processDue();
+    await until(() => held.length === 2);
+    await webhooks.processDue();
+    assert.equal(received.length, 2);
+
+    release();
+    await processing;
+    const rest = webhooks.processDue();
+    await until(() => held.length === 1);
+    release();
+    await rest;
+    assert.equal(webhooks.pending(), 0);
+});
+
+test('signatures verify over the raw body and expire', () => {
+    const body = JSON.stringify({ id: 'evt_1' });
+    const header = signPayload('test-secret', body);
+
+    assert.equal(verifySignature('test-secret', header, body), true);
+    assert.equal(verifySignature('other-secret', header, body), false);
+    assert.equal(verifySignature('test-secret', header, JSON.stringify({ id: 'evt_2' })), false);
+    assert.equal(verifySignature('test-secret', 'garbage', body), false);
+
+    const old = signPayload('test-secret', body, Math.floor(Date.now() / 1000) - 600);
+    assert.equal(verifySignature('test-secret', old, body), false);
+});
+
+test('callbacks are signed and carry the delivery id and event', async () => {
+    const webhooks = queue();
+    const delivery = webhooks.enqueue({ url: `${baseUrl}/fast`, event: 'payment.completed', paymentId: 'pay_1', data: { status: 'completed' } });
+
+    await webhooks.processDue();
+    const [{ headers, body }] = received;
+    assert.equal(verifySignature('test-secret', headers[SIGNATURE_HEADER.toLowerCase()], body), true);
+    assert.equal(headers['x-agentgatepay-delivery'], delivery.id);
+    assert.equal(headers['x-agentgatepay-event'], 'payment.completed');
+    assert.deepEqual(JSON.parse(body).data, { status: 'completed' });
+});
+
+test('failed deliveries are retried with exponential backoff, then given up', async () => {
+    const updates = [];
+    const webhooks = queue({ maxAttempts: 3, onUpdate: delivery => updates.push(delivery) });
+    const { id } = webhooks.enqueue({ url: `${baseUrl}/down`, event: 'payment.completed', paymentId: 'pay_1', data: {} });
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        // Make the delivery due again without waiting for the backoff
+        webhooks.store.set(id, { ...webhooks.store.get(id), next_attempt_at: new Date().toISOString() });
+        const attemptedAt = Date.now();
+        await webhooks.processDue();
+
+        const retry = webhooks.store.get(id);
+        if (retry) delays.push(Math.round((Date.parse(retry.next_attempt_at) - attemptedAt) / 1000));
+    }
+
+    assert.deepEqual(delays, [10, 20]);
+    assert.equal(received.length, 3);
+    assert.equal(webhooks.pending(), 0);
+    assert.deepEqual(updates.slice(-1).map(d => [d.status, d.attempts, d.last_error]), [['failed', 3, 'HTTP 503']]);
+});
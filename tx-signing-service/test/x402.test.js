@@ -0,0 +1,63 @@
+/**
+ * EIP-3009 transferWithAuthorization signatures and the x402 X-PAYMENT encoding
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { TRANSFER_WITH_AUTHORIZATION_TYPES, eip3009Domain, signTransferAuthorization, encodeXPayment } = require('../x402');
+
+const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+const MERCHANT = ethers.getAddress('0x' + 'a1'.repeat(20));
+
+const domain = eip3009Domain({
+    name: 'USD Coin',
+    version: '2',
+    chainId: 8453,
+    verifyingContract: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+});
+
+function authorize(overrides = {}) {
+    return signTransferAuthorization(wallet, domain, {
+        from: wallet.address,
+        to: MERCHANT,
+        value: 9950000n,
+        validAfter: 1000,
+        validBefore: 2000,
+        ...overrides
+    });
+}
+
+test('signs a transferWithAuthorization the token contract can verify', async () => {
+    const { authorization, signature } = await authorize();
+
+    assert.deepEqual(
+        { ...authorization, nonce: undefined },
+        { from: wallet.address, to: MERCHANT, value: '9950000', validAfter: '1000', validBefore: '2000', nonce: undefined }
+    );
+    assert.match(authorization.nonce, /^0x[0-9a-f]{64}$/);
+    assert.equal(ethers.verifyTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization, signature), wallet.address);
+});
+
+test('every authorization gets its own random nonce', async () => {
+    const [first, second] = await Promise.all([authorize(), authorize()]);
+    assert.notEqual(first.authorization.nonce, second.authorization.nonce);
+});
+
+test('the signature is bound to the token contract and chain', async () => {
+    const { authorization, signature } = await authorize();
+    const otherChain = { ...domain, chainId: 1 };
+    assert.notEqual(ethers.verifyTypedData(otherChain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization, signature), wallet.address);
+});
+
+test('encodes the X-PAYMENT header as base64 JSON', async () => {
+    const signed = await authorize();
+    const decoded = JSON.parse(Buffer.from(encodeXPayment('base', signed), 'base64').toString('utf8'));
+
+    assert.deepEqual(decoded, {
+        x402Version: 1,
+        scheme: 'exact',
+        network: 'base',
+        payload: { signature: signed.signature, authorization: signed.authorization }
+    });
+});
@@ -0,0 +1,574 @@
+/**
+ * Transfers from the gateway wallet
+ *
+ * A payment's commission and merchant transfers, and a batch's commission
+ * and item transfers, are "legs": each is sent with a nonce from the shared
+ * nonce manager (see nonce-manager.js), priced by the chain's gas strategy
+ * (see gas.js) and replaced with higher fees while it is pending. A leg
+ * reads and saves its state on the payment or batch record, so a leg
+ * interrupted by a restart is picked up where it was.
+ *
+ * Every transaction is signed and recorded (hash, nonce and raw transaction)
+ * BEFORE it is broadcast. A process that stops in between leaves the leg
+ * marked sent, and waiting for it rebroadcasts the recorded transaction -
+ * it is never sent again at a new nonce.
+ */
+
+const { ethers } = require('ethers');
+const { PAYMENT_STATES } = require('./payments');
+const { BATCH_STATES, ITEM_STATES } = require('./batches');
+const { NonceManager } = require('./nonce-manager');
+const { quoteFees, bumpFees, serializeFees, parseFees, describeFees } = require('./gas');
+const { ChainSelectionError, selectChain } = require('./chain-selection');
+
+// ERC-20 interface used for both transfers (and balance checks)
+const ERC20_ABI = [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+// How long to wait for a transaction to confirm after its last (re-)broadcast
+const CONFIRMATION_TIMEOUT_MS = 60000;
+
+// How often pending transactions are checked
+const CONFIRMATION_POLL_MS = 2000;
+
+// Gas of one ERC-20 transfer assumed by the up-front balance check and by "chain": "auto"
+// (real transfers, and native ones, use less)
+const TRANSFER_GAS_ESTIMATE = 65000n;
+
+// Errors with which the node answered a broadcast - the transaction was refused.
+// Anything else (timeout, connection lost) leaves it unknown whether it went out.
+const REFUSED_BROADCAST_CODES = ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'UNSUPPORTED_OPERATION', 'UNKNOWN_ERROR'];
+
+/**
+ * The transfer a leg sends ({ to, value, data } of the transaction): an ERC-20
+ * transfer, or a plain value transfer of the chain's native currency
+ */
+function legTransaction({ tokenAddress, to, amount }) {
+    if (!tokenAddress) {
+        return { to, value: BigInt(amount), data: '0x' };
+    }
+
+    const erc20 = new ethers.Interface(ERC20_ABI);
+    return {
+        to: tokenAddress,
+        data: erc20.encodeFunctionData('transfer', [to, amount])
+    };
+}
+
+/**
+ * Record of one transaction signed for a leg (raw: the signed transaction, to rebroadcast it)
+ */
+function legAttempt(tx, kind, fees) {
+    return {
+        hash: tx.hash,
+        kind,
+        gas_limit: tx.gasLimit.toString(),
+        fees: serializeFees(fees),
+        raw: tx.serialized,
+        at: new Date().toISOString()
+    };
+}
+
+/**
+ * Sign a transaction without broadcasting it (ethers Transaction)
+ */
+async function signTransaction(wallet, request) {
+    const populated = await wallet.populateTransaction(request);
+    return ethers.Transaction.from(await wallet.signTransaction(populated));
+}
+
+/**
+ * Did the node refuse the broadcast (rather than the outcome being unknown)?
+ */
+function broadcastRefused(error) {
+    return REFUSED_BROADCAST_CODES.includes(error.code);
+}
+
+/**
+ * Simulate one transfer (ERC-20 or native) from the gateway wallet with
+ * eth_call + eth_estimateGas (nothing is signed or broadcast)
+ */
+async function simulateTransfer(provider, from, { tokenAddress, to, amount }) {
+    const result = { to, amount, success: true, gas_estimate: null };
+    const tx = { ...legTransaction({ tokenAddress, to, amount }), from };
+    try {
+        await provider.call(tx);
+        result.gas_estimate = (await provider.estimateGas(tx)).toString();
+    } catch (error) {
+        result.success = false;
+        result.revert_reason = error.reason || error.shortMessage || error.message;
+    }
+    return result;
+}
+
+/**
+ * Transfers of one signing service
+ * `providers` ({ [chain]: provider }) are used instead of the registry's RPCs
+ */
+function createTransfers({ registry, metrics, providers: injectedProviders = {} }) {
+    // Legs being replaced right now (`<payment or batch id>:<leg>`) - one replacement at a time
+    const replacingLegs = new Set();
+
+    // One provider per chain, shared by all requests and tenants (and by the nonce managers) -
+    // the injected ones, else created from the registry on first use
+    const providers = { ...injectedProviders };
+
+    function providerFor(chain) {
+        if (!providers[chain]) {
+            providers[chain] = registry.createProvider(chain);
+        }
+        return providers[chain];
+    }
+
+    // One nonce manager per chain and wallet (`<chain>:<address>`), shared by all requests
+    // of this service - never by another service, which may use other providers
+    const nonceManagers = new Map();
+
+    function nonceManagerFor(chain, address) {
+        const key = `${chain}:${address.toLowerCase()}`;
+        if (!nonceManagers.has(key)) {
+            nonceManagers.set(key, new NonceManager(providerFor(chain), address));
+        }
+        return nonceManagers.get(key);
+    }
+
+    /**
+     * A tenant's signer connected to a chain - the only way a wallet is obtained
+     */
+    function connectWallet(tenant, chain) {
+        const provider = providerFor(chain);
+        const wallet = tenant.signer.connect(provider);
+        return { provider, wallet };
+    }
+
+    /**
+     * 💵 Can the wallet cover `amount` of the token - and, if it broadcasts
+     * `transfers` transfers itself, their worst-case gas?
+     * A native-currency payment (no tokenAddress) pays both from the same balance.
+     * Returns null, or the 400 body to refuse the payment with before anything is signed
+     */
+    async function checkWalletCovers(tenant, chain, { tokenAddress, token, decimals, amount, transfers, what }) {
+        const { provider, wallet } = connectWallet(tenant, chain);
+        const { gas, nativeCurrency } = registry.getChain(chain);
+
+        const [tokenBalance, nativeBalance, fees] = await Promise.all([
+            tokenAddress ? new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(wallet.address) : null,
+            transfers > 0 || !tokenAddress ? provider.getBalance(wallet.address) : null,
+            // Above the gas cap the send itself is refused (503) - no fee estimate to check then
+            transfers > 0 ? quoteFees(provider, gas).catch(() => null) : null
+        ]);
+        const balance = tokenAddress ? tokenBalance : nativeBalance;
+
+        if (balance < BigInt(amount)) {
+            return {
+                error: 'Insufficient funds',
+                message: `Gateway wallet holds ${ethers.formatUnits(balance, decimals)} ${token} on ${chain}, the ${what} needs ${ethers.formatUnits(amount, decimals)}`,
+                asset: token,
+                balance: balance.toString(),
+                required: BigInt(amount).toString()
+            };
+        }
+
+        if (fees) {
+            const fee = BigInt(transfers) * TRANSFER_GAS_ESTIMATE * (fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice);
+            const required = tokenAddress ? fee : BigInt(amount) + fee;
+            if (nativeBalance < required) {
+                return {
+                    error: 'Insufficient funds',
+                    message: tokenAddress
+                        ? `Gateway wallet holds ${ethers.formatUnits(nativeBalance, nativeCurrency.decimals)} ${nativeCurrency.symbol} on ${chain}, gas for the ${what} may cost up to ${ethers.formatUnits(fee, nativeCurrency.decimals)}`
+                        : `Gateway wallet holds ${ethers.formatUnits(nativeBalance, nativeCurrency.decimals)} ${nativeCurrency.symbol} on ${chain}, the ${what} needs ${ethers.formatUnits(amount, decimals)} plus up to ${ethers.formatUnits(fee, nativeCurrency.decimals)} for gas`,
+                    asset: nativeCurrency.symbol,
+                    balance: nativeBalance.toString(),
+                    required: required.toString()
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 🧭 "chain": "auto" - the chain with the lowest gas cost whose wallet
+     * balances cover the payment (see chain-selection.js)
+     * `exclude(chain)` names the chains this payment can't use and why.
+     * Returns { selection: { chain, reason, candidates } } or { refused: { status, body } }
+     */
+    async function selectPaymentChain(tenant, { token, amount, transfers, exclude }) {
+        try {
+            const selection = await selectChain({
+                registry,
+                token,
+                amount,
+                gasLimit: BigInt(transfers) * TRANSFER_GAS_ESTIMATE,
+                exclude: chain => registry.unavailableReason(chain, token) || exclude(chain),
+                readFunds: async (chain) => {
+                    const { provider, wallet } = connectWallet(tenant, chain);
+                    const { address } = registry.getToken(token, chain);
+                    const [balance, nativeBalance, fees] = await Promise.all([
+                        address ? new ethers.Contract(address, ERC20_ABI, provider).balanceOf(wallet.address) : null,
+                        provider.getBalance(wallet.address),
+                        quoteFees(provider, registry.getChain(chain).gas)
+                    ]);
+                    return { balance, nativeBalance, feePerGas: fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice };
+                }
+            });
+            return { selection };
+        } catch (error) {
+            if (!(error instanceof ChainSelectionError)) throw error;
+            return {
+                refused: {
+                    status: error.status,
+                    body: {
+                        error: 'No chain available',
+                        message: error.message,
+                        candidates: error.candidates
+                    }
+                }
+            };
+        }
+    }
+
+    /**
+     * Handle on one transfer leg: 'commission' or 'merchant' of a payment, or
+     * 'commission' or an item (by index) of a batch
+     *
+     * read() returns the leg's current { chain, tokenAddress, to, amount, nonce,
+     * attempts }; save() stores its latest tx hash and attempts. sent() records a
+     * newly signed transaction (moving the payment or item to sent) before it is
+     * broadcast, and refused() undoes that if the node refuses it. `name` is
+     * 'commission' or 'merchant' (metrics label).
+     */
+    function paymentLeg(tenant, paymentId, leg) {
+        const { payments } = tenant;
+        const [unsentStatus, sentStatus] = leg === 'commission'
+            ? [PAYMENT_STATES.CREATED, PAYMENT_STATES.COMMISSION_SENT]
+            : [PAYMENT_STATES.COMMISSION_CONFIRMED, PAYMENT_STATES.MERCHANT_SENT];
+        const fields = [`${leg}_tx_hash`, `${leg}_tx_attempts`, `${leg}_nonce`];
+        let previous;
+
+        return {
+            key: `${paymentId}:${leg}`,
+            name: leg,
+            label: leg === 'commission' ? 'Commission' : 'Merchant',
+            read() {
+                const payment = payments.get(paymentId);
+                return {
+                    chain: payment.chain,
+                    tokenAddress: payment.token_address,
+                    to: payment[`${leg}_address`],
+                    amount: payment[`${leg}_amount`],
+                    nonce: payment[`${leg}_nonce`],
+                    attempts: payment[`${leg}_tx_attempts`] || []
+                };
+            },
+            save({ txHash, attempts }) {
+                payments.update(paymentId, { [`${leg}_tx_hash`]: txHash, [`${leg}_tx_attempts`]: attempts });
+            },
+            sent({ attempt, nonce }) {
+                const payment = payments.get(paymentId);
+                previous = Object.fromEntries(fields.map(field => [field, payment[field]]));
+                payments.transition(paymentId, sentStatus, {
+                    [`${leg}_tx_hash`]: attempt.hash,
+                    [`${leg}_tx_attempts`]: [attempt],
+                    [`${leg}_nonce`]: nonce
+                });
+            },
+            refused(error) {
+                payments.transition(paymentId, unsentStatus, previous, `${leg} transaction refused: ${error.message}`);
+            }
+        };
+    }
+
+    function batchLeg(tenant, batchId, leg) {
+        const { batches } = tenant;
+        let previous;
+
+        return {
+            key: `${batchId}:${leg}`,
+            name: leg === 'commission' ? 'commission' : 'merchant',
+            label: leg === 'commission' ? 'Commission' : `Item ${leg}`,
+            read() {
+                const batch = batches.get(batchId);
+                const common = { chain: batch.chain, tokenAddress: batch.token_address };
+                if (leg === 'commission') {
+                    return {
+                        ...common,
+                        to: batch.commission_address,
+                        amount: batch.commission_amount,
+                        nonce: batch.commission_nonce,
+                        attempts: batch.commission_tx_attempts || []
+                    };
+                }
+                const item = batch.items[leg];
+                return { ...common, to: item.merchant_address, amount: item.merchant_amount, nonce: item.nonce, attempts: item.tx_attempts || [] };
+            },
+            save({ txHash, attempts }) {
+                if (leg === 'commission') {
+                    batches.update(batchId, { commission_tx_hash: txHash, commission_tx_attempts: attempts });
+                } else {
+                    batches.updateItem(batchId, leg, { tx_hash: txHash, tx_attempts: attempts });
+                }
+            },
+            sent({ attempt, nonce }) {
+                const batch = batches.get(batchId);
+                if (leg === 'commission') {
+                    previous = {
+                        commission_tx_hash: batch.commission_tx_hash,
+                        commission_tx_attempts: batch.commission_tx_attempts,
+                        commission_nonce: batch.commission_nonce
+                    };
+                    batches.transition(batchId, BATCH_STATES.COMMISSION_SENT, {
+                        commission_tx_hash: attempt.hash,
+                        commission_tx_attempts: [attempt],
+                        commission_nonce: nonce
+                    });
+                } else {
+                    const item = batch.items[leg];
+                    previous = { status: item.status, tx_hash: item.tx_hash, tx_attempts: item.tx_attempts, nonce: item.nonce };
+                    batches.updateItem(batchId, leg, { status: ITEM_STATES.SENT, tx_hash: attempt.hash, tx_attempts: [attempt], nonce });
+                }
+            },
+            refused(error) {
+                if (leg === 'commission') {
+                    batches.transition(batchId, BATCH_STATES.CREATED, previous, `commission transaction refused: ${error.message}`);
+                } else {
+                    batches.updateItem(batchId, leg, previous);
+                }
+            }
+        };
+    }
+
+    /**
+     * Sign, record and broadcast one leg with a nonce from the shared nonce
+     * manager, priced by the chain's gas strategy (refuses above the fee cap)
+     *
+     * The nonce of an earlier attempt of this leg (if it was dropped, reverted or
+     * cancelled) is preferred - see NonceManager.acquire(). If the broadcast
+     * fails without the node refusing it (timeout, connection lost), the leg
+     * stays recorded as sent - waitForLeg() rebroadcasts it.
+     */
+    async function sendLeg(leg, provider, wallet) {
+        const current = leg.read();
+        const { gas } = registry.getChain(current.chain);
+        const nonceManager = nonceManagerFor(current.chain, wallet.address);
+        const lease = await nonceManager.acquire(current.nonce, leg.key);
+        let recorded = false;
+
+        try {
+            const fees = await quoteFees(provider, gas);
+
+            console.log(`     Nonce: ${lease.nonce}`);
+            console.log(`     Gas Price: ${describeFees(fees)}`);
+
+            const tx = await signTransaction(wallet, {
+                ...legTransaction(current),
+                nonce: lease.nonce,
+                ...fees
+            });
+            const attempt = legAttempt(tx, 'original', fees);
+            leg.sent({ attempt, nonce: lease.nonce });
+            recorded = true;
+
+            await provider.broadcastTransaction(attempt.raw);
+            lease.commit();
+
+            console.log(`     TX Hash: ${tx.hash}`);
+            return { attempt, nonce: lease.nonce };
+        } catch (error) {
+            if (recorded && !broadcastRefused(error)) {
+                lease.commit();
+                throw error;
+            }
+            if (recorded) leg.refused(error);
+            lease.release(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a leg's pending transaction at the same nonce with higher fees
+     *
+     * kind: 'auto_bump' / 'speed_up' re-send the same transfer; 'cancel' sends a
+     * 0-value transfer to the wallet itself, so the leg's transfer never happens.
+     * Throws GasCapError if the replacement would be above the chain's fee cap.
+     */
+    async function replaceLeg(tenant, leg, kind) {
+        if (replacingLegs.has(leg.key)) {
+            throw new Error(`${leg.label} transaction is already being replaced`);
+        }
+
+        replacingLegs.add(leg.key);
+        try {
+            const current = leg.read();
+            const { provider, wallet } = connectWallet(tenant, current.chain);
+            const latest = current.attempts[current.attempts.length - 1];
+
+            const fees = await bumpFees(provider, registry.getChain(current.chain).gas, parseFees(latest.fees));
+            const request = kind === 'cancel'
+                ? { to: wallet.address, value: 0, data: '0x', gasLimit: 21000 }
+                : { ...legTransaction(current), gasLimit: BigInt(latest.gas_limit) };
+
+            console.log(`\n  ⛽ ${kind === 'cancel' ? 'Cancelling' : 'Replacing'} ${leg.label.toLowerCase()} transaction ${latest.hash}`);
+            console.log(`     Nonce: ${current.nonce}`);
+            console.log(`     Gas Price: ${describeFees(fees)}`);
+
+            const tx = await signTransaction(wallet, {
+                ...request,
+                nonce: current.nonce,
+                ...fees
+            });
+            const attempt = legAttempt(tx, kind, fees);
+            leg.save({ txHash: tx.hash, attempts: [...current.attempts, attempt] });
+
+            try {
+                await provider.broadcastTransaction(attempt.raw);
+            } catch (error) {
+                if (broadcastRefused(error)) leg.save({ txHash: latest.hash, attempts: current.attempts });
+                throw error;
+            }
+            console.log(`     TX Hash: ${tx.hash}`);
+
+            return { attempt, replaced: latest.hash, nonce: current.nonce };
+        } finally {
+            replacingLegs.delete(leg.key);
+        }
+    }
+
+    /**
+     * Broadcast a leg's latest transaction again if none of its transactions is
+     * mined and the node doesn't know it - the process may have stopped after
+     * recording it and before broadcasting it
+     */
+    async function rebroadcastLeg(leg, provider) {
+        const { attempts } = leg.read();
+        const latest = attempts[attempts.length - 1];
+        // Legs recorded before raw transactions were kept can't be rebroadcast
+        if (!latest || !latest.raw) return;
+        if (await findLegReceipt(provider, attempts) || await provider.getTransaction(latest.hash)) return;
+
+        try {
+            await provider.broadcastTransaction(latest.raw);
+            console.log(`     ${leg.label} transaction ${latest.hash} rebroadcast`);
+        } catch (error) {
+            // E.g. its nonce is used by now - waiting below finds out what happened
+            console.warn(`  ⚠️  Could not rebroadcast ${leg.label.toLowerCase()} transaction: ${error.message}`);
+        }
+    }
+
+    /**
+     * Receipt of whichever of a leg's transactions was mined, as { receipt, attempt }
+     */
+    async function findLegReceipt(provider, attempts) {
+        for (const attempt of attempts) {
+            const receipt = await provider.getTransactionReceipt(attempt.hash);
+            if (receipt) return { receipt, attempt };
+        }
+        return null;
+    }
+
+    /**
+     * 📊 Confirmation latency and gas spent of a leg's mined transaction
+     */
+    function recordMinedLeg(leg, receipt, attempts) {
+        const { chain } = leg.read();
+        const { nativeCurrency } = registry.getChain(chain);
+
+        metrics.confirmationDuration.observe({ chain, leg: leg.name }, (Date.now() - Date.parse(attempts[0].at)) / 1000);
+        metrics.gasUsed.inc({ chain }, Number(receipt.gasUsed));
+        metrics.gasFees.inc(
+            { chain, currency: nativeCurrency.symbol },
+            Number(ethers.formatUnits(receipt.gasUsed * (receipt.gasPrice || 0n), nativeCurrency.decimals))
+        );
+    }
+
+    /**
+     * Wait for any of a leg's transactions to reach the chain's confirmation
+     * depth, replacing it with higher fees every bump_after_seconds while it is
+     * pending (up to max_bumps times). A recorded transaction the node doesn't
+     * know is rebroadcast first.
+     *
+     * Returns { receipt, attempt }, or null if the leg's transactions are gone:
+     * the node no longer knows any of them after the timeout (dropped from the
+     * mempool), or their nonce was used by a transaction we didn't send.
+     */
+    async function waitForLeg(tenant, leg, provider, wallet) {
+        const { gas, confirmations } = registry.getChain(leg.read().chain);
+        let bumpingStopped = false;
+        let reportedDepth = 0;
+
+        await rebroadcastLeg(leg, provider);
+
+        for (;;) {
+            // Re-read every time: a speed-up or cancel may have added an attempt
+            const { attempts, nonce } = leg.read();
+
+            const mined = await findLegReceipt(provider, attempts);
+            if (mined) {
+                const depth = await mined.receipt.confirmations();
+                if (depth >= confirmations) {
+                    recordMinedLeg(leg, mined.receipt, attempts);
+                    return mined;
+                }
+
+                // Re-checked every poll, so a reorg that un-mines it puts it back to pending
+                if (depth !== reportedDepth) {
+                    console.log(`     ${leg.label} confirmations: ${depth}/${confirmations}`);
+                    reportedDepth = depth;
+                }
+                await new Promise(resolve => setTimeout(resolve, CONFIRMATION_POLL_MS));
+                continue;
+            }
+
+            const confirmedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+            if (confirmedNonce > nonce) {
+                // Mined between the two checks (picked up above next time), or replaced by someone else
+                if (await findLegReceipt(provider, attempts)) continue;
+                return null;
+            }
+
+            const latest = attempts[attempts.length - 1];
+            const pendingFor = Date.now() - new Date(latest.at).getTime();
+            const autoBumps = attempts.filter(a => a.kind === 'auto_bump').length;
+
+            if (!bumpingStopped && autoBumps < gas.maxBumps && pendingFor >= gas.bumpAfterMs) {
+                try {
+                    await replaceLeg(tenant, leg, 'auto_bump');
+                } catch (error) {
+                    // Keep waiting for what was already sent
+                    console.warn(`  ⚠️  Could not bump ${leg.label.toLowerCase()} transaction: ${error.message}`);
+                    bumpingStopped = true;
+                }
+                continue;
+            }
+
+            if (pendingFor >= CONFIRMATION_TIMEOUT_MS && (bumpingStopped || autoBumps >= gas.maxBumps)) {
+                const known = await Promise.all(attempts.map(a => provider.getTransaction(a.hash)));
+                if (!known.some(Boolean)) return null;
+                throw new Error(`${leg.label} transaction ${latest.hash} not confirmed after ${CONFIRMATION_TIMEOUT_MS / 1000}s. Speed it up, cancel it, or resume to keep waiting.`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, CONFIRMATION_POLL_MS));
+        }
+    }
+
+    return {
+        providerFor,
+        connectWallet,
+        checkWalletCovers,
+        selectPaymentChain,
+        paymentLeg,
+        batchLeg,
+        sendLeg,
+        replaceLeg,
+        findLegReceipt,
+        waitForLeg
+    };
+}
+
+module.exports = {
+    ERC20_ABI,
+    simulateTransfer,
+    createTransfers
+};
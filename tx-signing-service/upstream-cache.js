@@ -0,0 +1,148 @@
+/**
+ * Cached AgentGatePay lookups (owner verification and commission config)
+ *
+ * Without a cache every payment makes two round-trips to
+ * api.agentgatepay.com, and any blip there blocks every payment. Each lookup
+ * is cached per API key:
+ *
+ * - Younger than the TTL: served from the cache. Once an entry is past 80% of
+ *   its TTL, the next hit also refreshes it in the background, so busy keys
+ *   never wait on the API
+ * - Older than the TTL: fetched again (concurrent requests share one fetch)
+ * - API unreachable (network error, timeout, 5xx): the last verified result
+ *   keeps being used until it is maxStaleMs old - after that, fail closed
+ * - API rejects the key or config (UpstreamRejectedError - 401/403, config
+ *   not verified): the entry is dropped immediately, never served stale
+ * - A value with its own expiry (validUntil - e.g. a signed commission
+ *   config's expires_at) is never used past it, fresh or stale
+ *
+ * Hits, refreshes and upstream errors are counted for /health.
+ */
+
+const crypto = require('crypto');
+
+// Share of the TTL after which a hit also refreshes the entry in the background
+const REFRESH_AHEAD = 0.8;
+
+/**
+ * AgentGatePay answered, and the answer is no - never fall back to a cached result
+ */
+class UpstreamRejectedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UpstreamRejectedError';
+    }
+}
+
+/**
+ * Cache key for an API key (the key itself is never kept as a map key)
+ */
+function apiKeyCacheKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+class UpstreamCache {
+    constructor({ name, ttlMs, maxStaleMs, validUntil = () => Infinity }) {
+        Object.assign(this, { name, ttlMs, maxStaleMs, validUntil });
+        this.entries = new Map();
+        this.inflight = new Map();
+        this.counters = { hits: 0, misses: 0, refreshes: 0, stale_served: 0, upstream_errors: 0, rejections: 0 };
+        this.lastError = null;
+        this.lastSuccessAt = null;
+    }
+
+    /**
+     * Value for key - cached, or fetched with load()
+     * Throws if there is no usable value (fail closed).
+     */
+    async get(key, load) {
+        const entry = this.usable(key);
+        const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+        if (age < this.ttlMs) {
+            this.counters.hits += 1;
+            if (age >= this.ttlMs * REFRESH_AHEAD) {
+                this.refresh(key, load).catch(() => {});
+            }
+            return entry.value;
+        }
+
+        if (!entry) this.counters.misses += 1;
+        try {
+            return await this.refresh(key, load);
+        } catch (error) {
+            // Only a verified result that is recent enough stands in for an unreachable API
+            const current = this.usable(key);
+            if (current && !(error instanceof UpstreamRejectedError) && Date.now() - current.fetchedAt < this.maxStaleMs) {
+                this.counters.stale_served += 1;
+                console.warn(`⚠️  ${this.name}: AgentGatePay unreachable, using result from ${Math.round((Date.now() - current.fetchedAt) / 1000)}s ago (${error.message})`);
+                return current.value;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Cached entry for key, unless its value has expired (expired ones are dropped)
+     */
+    usable(key) {
+        const entry = this.entries.get(key);
+        if (entry && Date.now() >= this.validUntil(entry.value)) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Fetch key from AgentGatePay now (one fetch per key at a time)
+     */
+    refresh(key, load) {
+        if (this.inflight.has(key)) return this.inflight.get(key);
+
+        this.counters.refreshes += 1;
+        const promise = Promise.resolve()
+            .then(load)
+            .then(value => {
+                const now = Date.now();
+                this.entries.set(key, { value, fetchedAt: now });
+                this.lastSuccessAt = now;
+                return value;
+            }, error => {
+                if (error instanceof UpstreamRejectedError) {
+                    this.counters.rejections += 1;
+                    this.entries.delete(key);
+                } else {
+                    this.counters.upstream_errors += 1;
+                    this.lastError = { message: error.message, at: Date.now() };
+                }
+                throw error;
+            })
+            .finally(() => this.inflight.delete(key));
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Counters and settings for /health (never the cached values)
+     */
+    stats() {
+        const iso = at => (at ? new Date(at).toISOString() : null);
+        return {
+            ttl_seconds: this.ttlMs / 1000,
+            max_stale_seconds: this.maxStaleMs / 1000,
+            entries: this.entries.size,
+            ...this.counters,
+            last_success_at: iso(this.lastSuccessAt),
+            last_error: this.lastError ? this.lastError.message : null,
+            last_error_at: iso(this.lastError && this.lastError.at)
+        };
+    }
+}
+
+module.exports = {
+    UpstreamCache,
+    UpstreamRejectedError,
+    apiKeyCacheKey
+};
@@ -0,0 +1,338 @@
+/**
+ * Gateway wallet status (GET /wallet) and low-balance alerts
+ *
+ * For every chain in the registry: the native balance, the balance of every
+ * token with a contract on that chain, and the nonces (pending / mined - the
+ * difference is transactions still in flight).
+ *
+ * Thresholds for alerts are loaded once at startup from a JSON file (see
+ * balance-alerts.example.json):
+ *
+ * {
+ *   "interval_seconds": 300,
+ *   "webhook_url": "https://ops.example.com/alerts",       // optional
+ *   "native": { "base": "0.002", "ethereum": "0.02" },     // native currency units
+ *   "tokens": {
+ *     "USDC": {
+ *       "min_balance": "50",                               // token units, not atomic units
+ *       "chains": { "ethereum": { "min_balance": "200" } } // per-chain overrides
+ *     }
+ *   }
+ * }
+ *
+ * A background monitor checks every tenant's wallet each interval and sends
+ * `wallet.balance_low` once when a balance drops below its threshold, and
+ * `wallet.balance_recovered` once it is back above it. Alerts go through the
+ * tenant's signed webhook queue (to webhook_url, or the tenant's own webhook URL -
+ * in multi-tenant mode always the tenant's own).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ERC20_BALANCE_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+
+// Per chain - one slow RPC must not hold up the others
+const CHAIN_TIMEOUT_MS = 10000;
+
+const DEFAULT_INTERVAL_SECONDS = 300;
+const MIN_INTERVAL_SECONDS = 30;
+
+class BalanceAlertError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BalanceAlertError';
+    }
+}
+
+/**
+ * Find the alerts file: BALANCE_ALERTS_FILE env → Secret File → local file (dev)
+ * Returns null if no alerts are configured.
+ */
+function loadBalanceAlertsFile() {
+    const candidates = [
+        process.env.BALANCE_ALERTS_FILE,
+        '/etc/secrets/balance-alerts.json',
+        path.join(__dirname, 'balance-alerts.json')
+    ].filter(Boolean);
+
+    for (const file of candidates) {
+        if (fs.existsSync(file)) {
+            return { file, alerts: JSON.parse(fs.readFileSync(file, 'utf8')) };
+        }
+    }
+
+    if (process.env.BALANCE_ALERTS_FILE) {
+        throw new BalanceAlertError(`Balance alerts file not found: ${process.env.BALANCE_ALERTS_FILE}`);
+    }
+    return null;
+}
+
+function parseThreshold(value, decimals, where) {
+    try {
+        return ethers.parseUnits(String(value), decimals);
+    } catch (error) {
+        throw new BalanceAlertError(`Invalid amount for ${where}: ${value}`);
+    }
+}
+
+/**
+ * Validate the raw alerts config and convert thresholds to atomic units (BigInt)
+ * Returns { intervalMs, webhookUrl, native: { chain: min }, tokens: { symbol: { chain: min } } }
+ */
+function compileBalanceAlerts(raw, registry, { isValidUrl = () => true } = {}) {
+    const interval = raw.interval_seconds !== undefined ? raw.interval_seconds : DEFAULT_INTERVAL_SECONDS;
+    if (!Number.isInteger(interval) || interval < MIN_INTERVAL_SECONDS) {
+        throw new BalanceAlertError(`interval_seconds must be an integer of at least ${MIN_INTERVAL_SECONDS}`);
+    }
+    if (raw.webhook_url !== undefined && !isValidUrl(raw.webhook_url)) {
+        throw new BalanceAlertError('webhook_url must be an http(s) URL');
+    }
+
+    const native = {};
+    for (const [chain, value] of Object.entries(raw.native || {})) {
+        const config = registry.getChain(chain);
+        if (!config) {
+            throw new BalanceAlertError(`Unknown chain in native thresholds: ${chain}`);
+        }
+        native[chain] = parseThreshold(value, config.nativeCurrency.decimals, `native.${chain}`);
+    }
+
+    const tokens = {};
+    for (const [symbol, rules] of Object.entries(raw.tokens || {})) {
+        const token = registry.tokens[symbol];
+        if (!token) {
+            throw new BalanceAlertError(`Unknown token in balance alerts: ${symbol}`);
+        }
+        for (const chain of Object.keys(rules.chains || {})) {
+            if (!token.contracts[chain]) {
+                throw new BalanceAlertError(`${symbol} is not supported on ${chain} (tokens.${symbol}.chains.${chain})`);
+            }
+        }
+
+        tokens[symbol] = {};
+        for (const [chain, contract] of Object.entries(token.contracts)) {
+            const chainRules = (rules.chains || {})[chain] || {};
+            const value = chainRules.min_balance !== undefined ? chainRules.min_balance : rules.min_balance;
+            if (value !== undefined && value !== null) {
+                tokens[symbol][chain] = parseThreshold(value, contract.decimals, `tokens.${symbol}.chains.${chain}.min_balance`);
+            }
+        }
+    }
+
+    return {
+        intervalMs: interval * 1000,
+        webhookUrl: raw.webhook_url || null,
+        native,
+        tokens
+    };
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * One balance as reported: formatted and atomic, with its alert threshold
+ */
+function describeBalance(balance, decimals, min) {
+    const hasMin = min !== undefined && min !== null;
+    return {
+        balance: ethers.formatUnits(balance, decimals),
+        balance_atomic: balance.toString(),
+        min_balance: hasMin ? ethers.formatUnits(min, decimals) : null,
+        low: hasMin ? balance < min : false
+    };
+}
+
+/**
+ * Balances and nonces of one chain (throws if the chain can't be read)
+ */
+async function readChain(registry, chain, address, provider, thresholds) {
+    const unavailable = registry.unavailableReason(chain);
+    if (unavailable) throw new Error(unavailable);
+
+    const { chainId, nativeCurrency } = registry.getChain(chain);
+    const tokens = Object.values(registry.tokens).filter(t => t.contracts[chain]);
+
+    const [nativeBalance, pending, latest, ...tokenBalances] = await withTimeout(Promise.all([
+        provider.getBalance(address),
+        provider.getTransactionCount(address, 'pending'),
+        provider.getTransactionCount(address, 'latest'),
+        ...tokens.map(t => {
+            const reason = registry.unavailableReason(chain, t.symbol);
+            if (reason) return Promise.resolve({ error: reason });
+            return new ethers.Contract(t.contracts[chain].address, ERC20_BALANCE_ABI, provider)
+                .balanceOf(address)
+                .catch(error => ({ error: error.shortMessage || error.message }));
+        })
+    ]), CHAIN_TIMEOUT_MS);
+
+    const report = {
+        chain_id: chainId,
+        native: {
+            symbol: nativeCurrency.symbol,
+            ...describeBalance(nativeBalance, nativeCurrency.decimals, thresholds && thresholds.native[chain])
+        },
+        tokens: {},
+        nonce: { pending, latest, in_flight: pending - latest }
+    };
+
+    tokens.forEach((token, i) => {
+        const { address: tokenAddress, decimals } = token.contracts[chain];
+        const balance = tokenBalances[i];
+        const min = thresholds && (thresholds.tokens[token.symbol] || {})[chain];
+        report.tokens[token.symbol] = balance && balance.error
+            ? { address: tokenAddress, error: balance.error }
+            : { address: tokenAddress, ...describeBalance(balance, decimals, min) };
+    });
+
+    return report;
+}
+
+/**
+ * Status of a wallet on every chain in the registry
+ * `providerFor(chain)` returns the chain's provider; a chain that can't be
+ * read is reported as { error } instead of failing the whole status.
+ */
+async function readWalletStatus({ registry, address, providerFor, thresholds }) {
+    const names = registry.chainNames();
+    const results = await Promise.all(names.map(chain => {
+        try {
+            return readChain(registry, chain, address, providerFor(chain), thresholds)
+                .catch(error => ({ error: error.shortMessage || error.message }));
+        } catch (error) {
+            return { error: error.message };
+        }
+    }));
+
+    return {
+        address,
+        chains: Object.fromEntries(names.map((chain, i) => [chain, results[i]]))
+    };
+}
+
+/**
+ * Balances in a wallet status that have a threshold: [{ chain, asset, native, low, ... }]
+ */
+function watchedBalances(status) {
+    const watched = [];
+    for (const [chain, report] of Object.entries(status.chains)) {
+        if (report.error) continue;
+        if (report.native.min_balance !== null) {
+            watched.push({ chain, asset: report.native.symbol, native: true, ...report.native });
+        }
+        for (const [symbol, token] of Object.entries(report.tokens)) {
+            if (!token.error && token.min_balance !== null) {
+                watched.push({ chain, asset: symbol, native: false, ...token });
+            }
+        }
+    }
+    return watched;
+}
+
+/**
+ * Checks every tenant's wallet against the thresholds on an interval
+ *
+ * `onAlert(tenant, event, data)` is called when a balance crosses its
+ * threshold (event: wallet.balance_low / wallet.balance_recovered).
+ * Which balances are low is kept in memory - after a restart, balances that
+ * are still low are reported once more.
+ */
+class BalanceMonitor {
+    constructor({ registry, thresholds, tenants, providerFor, onAlert }) {
+        Object.assign(this, { registry, thresholds, tenants, providerFor, onAlert });
+        this.low = new Map();
+        this.timer = null;
+        this.running = false;
+        this.lastCheckAt = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.check();
+        this.timer = setInterval(() => this.check(), this.thresholds.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async check() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            for (const tenant of this.tenants()) {
+                await tenant.run(() => this.checkTenant(tenant));
+            }
+            this.lastCheckAt = new Date().toISOString();
+        } catch (error) {
+            console.error(`❌ Balance check failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async checkTenant(tenant) {
+        const status = await readWalletStatus({
+            registry: this.registry,
+            address: tenant.address,
+            providerFor: this.providerFor,
+            thresholds: this.thresholds
+        });
+
+        for (const [chain, report] of Object.entries(status.chains)) {
+            if (report.error) {
+                console.warn(`⚠️  Balance check: ${chain} unavailable (${report.error})`);
+            }
+        }
+
+        for (const entry of watchedBalances(status)) {
+            const key = `${tenant.id}:${entry.chain}:${entry.asset}`;
+            const wasLow = this.low.has(key);
+            const data = {
+                address: tenant.address,
+                chain: entry.chain,
+                asset: entry.asset,
+                native: entry.native,
+                balance: entry.balance,
+                balance_atomic: entry.balance_atomic,
+                min_balance: entry.min_balance
+            };
+
+            if (entry.low && !wasLow) {
+                this.low.set(key, data);
+                console.warn(`🪫 Low balance: ${entry.balance} ${entry.asset} on ${entry.chain} (threshold ${entry.min_balance})`);
+                this.onAlert(tenant, 'wallet.balance_low', data);
+            } else if (!entry.low && wasLow) {
+                this.low.delete(key);
+                console.log(`🔋 Balance recovered: ${entry.balance} ${entry.asset} on ${entry.chain} (threshold ${entry.min_balance})`);
+                this.onAlert(tenant, 'wallet.balance_recovered', data);
+            } else if (entry.low) {
+                this.low.set(key, data);
+            }
+        }
+    }
+
+    /**
+     * Balances currently below their threshold (for /health)
+     */
+    lowCount() {
+        return this.low.size;
+    }
+}
+
+module.exports = {
+    BalanceAlertError,
+    BalanceMonitor,
+    loadBalanceAlertsFile,
+    compileBalanceAlerts,
+    readWalletStatus
+};
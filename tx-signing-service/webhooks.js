@@ -0,0 +1,231 @@
+/**
+ * Webhook callbacks (async payments)
+ *
+ * An async payment's final result is POSTed to its webhook URL as JSON:
+ *
+ *   { "id": "evt_...", "type": "payment.completed" | "payment.failed",
+ *     "created_at": "...", "payment_id": "pay_...", "data": { ...result } }
+ *
+ * Every callback is signed with the webhook secret:
+ *
+ *   X-AgentGatePay-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Wallet alerts (wallet.balance_low / wallet.balance_recovered, see wallet.js)
+ * use the same envelope and signature, without a payment_id.
+ *
+ * Receivers recompute the HMAC over the raw request body, compare it in
+ * constant time and reject old timestamps (see verifySignature()).
+ * X-AgentGatePay-Delivery stays the same across retries, so receivers can
+ * drop duplicates.
+ *
+ * Deliveries are persisted (webhooks.json) before the first attempt and
+ * retried with exponential backoff on any non-2xx response or network error,
+ * so a restart never loses a callback.
+ *
+ * Up to WEBHOOK_CONCURRENCY deliveries run at once, at most one per URL (in
+ * the order they were queued), so a slow endpoint only holds up its own
+ * callbacks.
+ */
+
+const crypto = require('crypto');
+const { JsonStore } = require('./store');
+
+const SIGNATURE_HEADER = 'X-AgentGatePay-Signature';
+
+// Retry schedule: 10s, 20s, 40s, ... capped at 1h between attempts
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10);
+const BASE_RETRY_DELAY_MS = 10000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Per attempt
+const DEFAULT_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+
+// Deliveries in flight at once (to different URLs)
+const DEFAULT_CONCURRENCY = Number(process.env.WEBHOOK_CONCURRENCY || 10);
+
+// How often due deliveries are picked up
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Signature header value for a body
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Check a signature header against the raw body (for receivers)
+ */
+function verifySignature(secret, header, body, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether a webhook URL is acceptable (http/https with a host)
+ */
+function isValidWebhookUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) && Boolean(parsed.host);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Persisted queue of pending deliveries with backoff retries
+ *
+ * `onUpdate(delivery)` is called after every attempt (to mirror the delivery
+ * state onto the payment). Finished deliveries are removed from the queue.
+ */
+class WebhookQueue {
+    constructor({ store, secret, onUpdate, maxAttempts = DEFAULT_MAX_ATTEMPTS, timeoutMs = DEFAULT_TIMEOUT_MS, concurrency = DEFAULT_CONCURRENCY } = {}) {
+        this.store = store || new JsonStore('webhooks');
+        this.secret = secret;
+        this.onUpdate = onUpdate || (() => {});
+        this.maxAttempts = maxAttempts;
+        this.timeoutMs = timeoutMs;
+        this.concurrency = concurrency;
+        this.timer = null;
+        this.busyUrls = new Set();   // URLs with a delivery in flight
+    }
+
+    /**
+     * Queue a callback - delivered on the next poll (paymentId is omitted for wallet alerts)
+     */
+    enqueue({ url, event, paymentId, data }) {
+        const now = new Date().toISOString();
+        const id = `whd_${crypto.randomBytes(12).toString('hex')}`;
+
+        const delivery = this.store.set(id, {
+            id,
+            url,
+            event,
+            payment_id: paymentId,
+            payload: {
+                id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+                type: event,
+                created_at: now,
+                payment_id: paymentId,
+                data
+            },
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: now,
+            created_at: now
+        });
+
+        this.onUpdate(delivery);
+        return delivery;
+    }
+
+    start() {
+        if (this.timer) return;
+        // A failed state write must not become an unhandled rejection (it would end the process)
+        this.timer = setInterval(() => this.processDue().catch(error => {
+            console.error(`❌ Webhook delivery failed: ${error.message}`);
+        }), POLL_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Start the due deliveries of every URL that has none in flight, up to the
+     * concurrency cap - resolves once those attempts are done (the next poll
+     * doesn't wait for them)
+     */
+    async processDue() {
+        const now = Date.now();
+        const started = [];
+
+        for (const delivery of this.store.values()) {
+            if (this.busyUrls.size >= this.concurrency) break;
+            if (this.busyUrls.has(delivery.url) || new Date(delivery.next_attempt_at).getTime() > now) continue;
+
+            this.busyUrls.add(delivery.url);
+            started.push(this.attempt(delivery)
+                .catch(error => console.error(`❌ Webhook delivery ${delivery.id} failed: ${error.message}`))
+                .finally(() => this.busyUrls.delete(delivery.url)));
+        }
+
+        await Promise.all(started);
+    }
+
+    async attempt(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const subject = delivery.payment_id || 'wallet';
+        const attempts = delivery.attempts + 1;
+        let error = null;
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'AgentGatePay-Signing-Service',
+                    'X-AgentGatePay-Event': delivery.event,
+                    'X-AgentGatePay-Delivery': delivery.id,
+                    [SIGNATURE_HEADER]: signPayload(this.secret, body)
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            if (!response.ok) error = `HTTP ${response.status}`;
+        } catch (err) {
+            error = err.message;
+        }
+
+        const now = new Date().toISOString();
+
+        if (!error) {
+            console.log(`  📬 Webhook ${delivery.event} for ${subject} delivered (attempt ${attempts})`);
+            this.store.delete(delivery.id);
+            this.onUpdate({ ...delivery, status: 'delivered', attempts, delivered_at: now, last_error: undefined });
+            return;
+        }
+
+        if (attempts >= this.maxAttempts) {
+            console.error(`  ❌ Webhook ${delivery.event} for ${subject} failed after ${attempts} attempts: ${error}`);
+            this.store.delete(delivery.id);
+            this.onUpdate({ ...delivery, status: 'failed', attempts, last_error: error, failed_at: now });
+            return;
+        }
+
+        const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+        console.warn(`  ⚠️  Webhook ${delivery.event} for ${subject} failed (${error}) - retry in ${delay / 1000}s`);
+        this.onUpdate(this.store.set(delivery.id, {
+            ...delivery,
+            attempts,
+            last_error: error,
+            last_attempt_at: now,
+            next_attempt_at: new Date(Date.now() + delay).toISOString()
+        }));
+    }
+
+    /**
+     * Deliveries still waiting to succeed
+     */
+    pending() {
+        return this.store.values().length;
+    }
+}
+
+module.exports = {
+    WebhookQueue,
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    isValidWebhookUrl
+};
@@ -0,0 +1,80 @@
+/**
+ * x402 / EIP-3009 authorizations
+ *
+ * Instead of broadcasting ERC-20 transfers (and paying gas) from the gateway
+ * wallet, the wallet signs EIP-3009 `transferWithAuthorization` payloads as
+ * EIP-712 typed data. A facilitator settles them on-chain later.
+ *
+ * Each signed authorization is returned in the x402 `X-PAYMENT` header
+ * format: base64-encoded JSON
+ *
+ * {
+ *   "x402Version": 1,
+ *   "scheme": "exact",
+ *   "network": "base",
+ *   "payload": {
+ *     "signature": "0x...",
+ *     "authorization": { "from", "to", "value", "validAfter", "validBefore", "nonce" }
+ *   }
+ * }
+ */
+
+const { ethers } = require('ethers');
+
+const X402_VERSION = 1;
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+    TransferWithAuthorization: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'validAfter', type: 'uint256' },
+        { name: 'validBefore', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' }
+    ]
+};
+
+/**
+ * EIP-712 domain of an EIP-3009 token contract
+ */
+function eip3009Domain({ name, version, chainId, verifyingContract }) {
+    return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Sign one transferWithAuthorization with a random 32-byte nonce
+ * Returns { authorization, signature } with all values as strings
+ */
+async function signTransferAuthorization(signer, domain, { from, to, value, validAfter, validBefore }) {
+    const authorization = {
+        from,
+        to,
+        value: value.toString(),
+        validAfter: validAfter.toString(),
+        validBefore: validBefore.toString(),
+        nonce: ethers.hexlify(ethers.randomBytes(32))
+    };
+
+    const signature = await signer.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization);
+    return { authorization, signature };
+}
+
+/**
+ * Encode a signed authorization as an x402 X-PAYMENT header value
+ */
+function encodeXPayment(network, { authorization, signature }) {
+    const payment = {
+        x402Version: X402_VERSION,
+        scheme: 'exact',
+        network,
+        payload: { signature, authorization }
+    };
+    return Buffer.from(JSON.stringify(payment)).toString('base64');
+}
+
+module.exports = {
+    TRANSFER_WITH_AUTHORIZATION_TYPES,
+    eip3009Domain,
+    signTransferAuthorization,
+    encodeXPayment
+};